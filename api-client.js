@@ -24,6 +24,26 @@ class TradeBridgeAPI {
         localStorage.removeItem('tradebridge_refresh_token');
     }
 
+    // Generate a key for a money-moving request. Retrying with the same key replays the
+    // original response instead of repeating the operation.
+    generateIdempotencyKey() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    // Headers for a JSON request carrying an Idempotency-Key
+    idempotencyHeaders(idempotencyKey) {
+        return {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey
+        };
+    }
+
     // Make HTTP request with authentication
     async request(endpoint, options = {}) {
         const url = `${this.baseURL}${endpoint}`;
@@ -218,9 +238,10 @@ class TradeBridgeAPI {
     }
 
     // Trade Agreement endpoints
-    async createTradeAgreement(agreementData) {
+    async createTradeAgreement(agreementData, idempotencyKey = this.generateIdempotencyKey()) {
         const response = await this.request('/trade-agreements', {
             method: 'POST',
+            headers: this.idempotencyHeaders(idempotencyKey),
             body: JSON.stringify(agreementData)
         });
 
@@ -282,196 +303,1144 @@ class TradeBridgeAPI {
         }
     }
 
-    // Shipment endpoints
-    async createShipment(shipmentData) {
-        const response = await this.request('/shipments', {
+    // Move an agreement through its lifecycle: submit, review, approve, reject, revise,
+    // activate, complete or cancel
+    async transitionTradeAgreement(id, action, reason) {
+        const response = await this.request(`/trade-agreements/${id}/${action}`, {
             method: 'POST',
-            body: JSON.stringify(shipmentData)
+            body: JSON.stringify(reason ? { reason } : {})
         });
 
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to create shipment');
+            throw new Error(error.error || `Failed to ${action} trade agreement`);
         }
     }
 
-    async getShipments(params = {}) {
-        const queryParams = new URLSearchParams(params).toString();
-        const endpoint = queryParams ? `/shipments?${queryParams}` : '/shipments';
-        
+    async generateContract(agreementId) {
+        const response = await this.request(`/trade-agreements/${agreementId}/generate-contract`, {
+            method: 'POST'
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to generate contract');
+        }
+    }
+
+    // Download the latest contract (or a specific version) as a Blob
+    async downloadContract(agreementId, version) {
+        const endpoint = version
+            ? `/trade-agreements/${agreementId}/contract/versions/${version}`
+            : `/trade-agreements/${agreementId}/contract`;
         const response = await this.request(endpoint);
+
+        if (response.ok) {
+            return await response.blob();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to download contract');
+        }
+    }
+
+    async getContractVersions(agreementId) {
+        const response = await this.request(`/trade-agreements/${agreementId}/contract/versions`);
+
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to get shipments');
+            throw new Error(error.error || 'Failed to get contract versions');
         }
     }
 
-    async getShipment(id) {
-        const response = await this.request(`/shipments/${id}`);
+    // Versions of the agreement's terms, newest first, each with its field changes
+    async getTradeAgreementVersions(id) {
+        const response = await this.request(`/trade-agreements/${id}/versions`);
+
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to get shipment');
+            throw new Error(error.error || 'Failed to get trade agreement versions');
         }
     }
 
-    async updateShipment(id, updateData) {
-        const response = await this.request(`/shipments/${id}`, {
-            method: 'PUT',
-            body: JSON.stringify(updateData)
+    // Dated installments once the agreement is active, or a preview of its payment plan before
+    async getPaymentSchedule(id) {
+        const response = await this.request(`/trade-agreements/${id}/payment-schedule`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get payment schedule');
+        }
+    }
+
+    async getAmendments(agreementId) {
+        const response = await this.request(`/trade-agreements/${agreementId}/amendments`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get amendments');
+        }
+    }
+
+    // Propose new values for a submitted agreement's terms, e.g. { quantity: 450 }
+    async proposeAmendment(agreementId, changes, reason) {
+        const response = await this.request(`/trade-agreements/${agreementId}/amendments`, {
+            method: 'POST',
+            body: JSON.stringify(reason ? { changes, reason } : { changes })
         });
 
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to update shipment');
+            throw new Error(error.error || 'Failed to propose amendment');
         }
     }
 
-    async trackShipment(trackingNumber) {
-        const response = await this.request(`/shipments/track/${trackingNumber}`);
+    // Answer an amendment: accept, reject or withdraw
+    async respondToAmendment(agreementId, amendmentId, action, reason) {
+        const response = await this.request(`/trade-agreements/${agreementId}/amendments/${amendmentId}/${action}`, {
+            method: 'POST',
+            body: JSON.stringify(reason ? { reason } : {})
+        });
+
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to track shipment');
+            throw new Error(error.error || `Failed to ${action} amendment`);
         }
     }
 
-    // Wallet endpoints
-    async getWalletBalance() {
-        const response = await this.request('/wallet/balance');
+    async getSignatures(agreementId) {
+        const response = await this.request(`/trade-agreements/${agreementId}/signatures`);
+
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to get wallet balance');
+            throw new Error(error.error || 'Failed to get signatures');
         }
     }
 
-    async getTransactions(params = {}) {
-        const queryParams = new URLSearchParams(params).toString();
-        const endpoint = queryParams ? `/wallet/transactions?${queryParams}` : '/wallet/transactions';
-        
-        const response = await this.request(endpoint);
+    // Email the user a one-time code to sign with instead of their password
+    async sendSigningCode(agreementId) {
+        const response = await this.request(`/trade-agreements/${agreementId}/signatures/code`, {
+            method: 'POST'
+        });
+
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to get transactions');
+            throw new Error(error.error || 'Failed to send signing code');
         }
     }
 
-    async createTransaction(transactionData) {
-        const response = await this.request('/wallet/transactions', {
+    // Sign the latest contract version: { typedName, documentHash, password } or
+    // { typedName, documentHash, otp }
+    async signContract(agreementId, signatureData) {
+        const response = await this.request(`/trade-agreements/${agreementId}/signatures`, {
             method: 'POST',
-            body: JSON.stringify(transactionData)
+            body: JSON.stringify(signatureData)
         });
 
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to create transaction');
+            throw new Error(error.error || 'Failed to sign contract');
         }
     }
 
-    async transferFunds(transferData) {
-        const response = await this.request('/wallet/transfer', {
+    async getParticipants(agreementId) {
+        const response = await this.request(`/trade-agreements/${agreementId}/participants`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get participants');
+        }
+    }
+
+    async addObserver(agreementId, email) {
+        const response = await this.request(`/trade-agreements/${agreementId}/participants`, {
             method: 'POST',
-            body: JSON.stringify(transferData)
+            body: JSON.stringify({ email })
         });
 
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to transfer funds');
+            throw new Error(error.error || 'Failed to add participant');
         }
     }
 
-    async getWalletStats() {
-        const response = await this.request('/wallet/stats');
+    async removeParticipant(agreementId, participantId) {
+        const response = await this.request(`/trade-agreements/${agreementId}/participants/${participantId}`, {
+            method: 'DELETE'
+        });
+
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to get wallet stats');
+            throw new Error(error.error || 'Failed to remove participant');
         }
     }
 
-    // Invoice endpoints
-    async uploadInvoice(file) {
-        const formData = new FormData();
-        formData.append('invoice', file);
+    async acceptInvitation(token) {
+        const response = await this.request(`/trade-agreements/invitations/${encodeURIComponent(token)}/accept`, {
+            method: 'POST'
+        });
 
-        const response = await this.request('/invoices/upload', {
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to accept invitation');
+        }
+    }
+
+    async getTradeAgreementHistory(id) {
+        const response = await this.request(`/trade-agreements/${id}/history`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get trade agreement history');
+        }
+    }
+
+    // A new draft with the agreement's parties, goods and terms; overrides replace any of the create fields
+    async cloneTradeAgreement(id, overrides = {}, idempotencyKey = this.generateIdempotencyKey()) {
+        const response = await this.request(`/trade-agreements/${id}/clone`, {
             method: 'POST',
-            headers: {}, // Remove Content-Type header for FormData
-            body: formData
+            headers: this.idempotencyHeaders(idempotencyKey),
+            body: JSON.stringify(overrides)
         });
 
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to upload invoice');
+            throw new Error(error.error || 'Failed to clone trade agreement');
         }
     }
 
-    async createInvoice(invoiceData) {
-        const response = await this.request('/invoices', {
+    // values fill the template's {{placeholders}}
+    async createTradeAgreementFromTemplate(templateId, values = {}, overrides = {}, idempotencyKey = this.generateIdempotencyKey()) {
+        const response = await this.request(`/trade-agreements/from-template/${templateId}`, {
             method: 'POST',
-            body: JSON.stringify(invoiceData)
+            headers: this.idempotencyHeaders(idempotencyKey),
+            body: JSON.stringify({ values, overrides })
         });
 
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to create invoice');
+            throw new Error(error.error || 'Failed to create trade agreement');
         }
     }
 
-    async getInvoices(params = {}) {
-        const queryParams = new URLSearchParams(params).toString();
-        const endpoint = queryParams ? `/invoices?${queryParams}` : '/invoices';
-        
-        const response = await this.request(endpoint);
+    // Agreement template endpoints
+    async getAgreementTemplates() {
+        const response = await this.request('/agreement-templates');
+
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to get invoices');
+            throw new Error(error.error || 'Failed to get agreement templates');
         }
     }
 
-    async getInvoice(id) {
-        const response = await this.request(`/invoices/${id}`);
+    async getAgreementTemplate(id) {
+        const response = await this.request(`/agreement-templates/${id}`);
+
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to get invoice');
+            throw new Error(error.error || 'Failed to get agreement template');
         }
     }
 
-    async generateSmartContract(invoiceId) {
-        const response = await this.request(`/invoices/${invoiceId}/generate-smart-contract`, {
-            method: 'POST'
+    // templateData: { name, description, organizationId, agreement: fields and/or agreementId }
+    async createAgreementTemplate(templateData) {
+        const response = await this.request('/agreement-templates', {
+            method: 'POST',
+            body: JSON.stringify(templateData)
         });
 
         if (response.ok) {
             return await response.json();
         } else {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to generate smart contract');
+            throw new Error(error.error || 'Failed to save agreement template');
+        }
+    }
+
+    async updateAgreementTemplate(id, updateData) {
+        const response = await this.request(`/agreement-templates/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(updateData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to update agreement template');
+        }
+    }
+
+    async deleteAgreementTemplate(id) {
+        const response = await this.request(`/agreement-templates/${id}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete agreement template');
+        }
+    }
+
+    // Organization endpoints
+    async getOrganizations() {
+        const response = await this.request('/organizations');
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get organizations');
+        }
+    }
+
+    async createOrganization(name) {
+        const response = await this.request('/organizations', {
+            method: 'POST',
+            body: JSON.stringify({ name })
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to create organization');
+        }
+    }
+
+    async getOrganizationMembers(organizationId) {
+        const response = await this.request(`/organizations/${organizationId}/members`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get organization members');
+        }
+    }
+
+    async addOrganizationMember(organizationId, email, role = 'member') {
+        const response = await this.request(`/organizations/${organizationId}/members`, {
+            method: 'POST',
+            body: JSON.stringify({ email, role })
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to add organization member');
+        }
+    }
+
+    async removeOrganizationMember(organizationId, userId) {
+        const response = await this.request(`/organizations/${organizationId}/members/${userId}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to remove organization member');
+        }
+    }
+
+    // Escrow endpoints
+    async getEscrow(agreementId) {
+        const response = await this.request(`/trade-agreements/${agreementId}/escrow`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get escrow');
+        }
+    }
+
+    async fundEscrow(agreementId, escrowData = {}, idempotencyKey = this.generateIdempotencyKey()) {
+        const response = await this.request(`/trade-agreements/${agreementId}/escrow`, {
+            method: 'POST',
+            headers: this.idempotencyHeaders(idempotencyKey),
+            body: JSON.stringify(escrowData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to fund escrow');
+        }
+    }
+
+    async confirmEscrow(agreementId, idempotencyKey = this.generateIdempotencyKey()) {
+        const response = await this.request(`/trade-agreements/${agreementId}/escrow/confirm`, {
+            method: 'POST',
+            headers: this.idempotencyHeaders(idempotencyKey)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to confirm escrow');
+        }
+    }
+
+    async releaseEscrow(agreementId, idempotencyKey = this.generateIdempotencyKey()) {
+        const response = await this.request(`/trade-agreements/${agreementId}/escrow/release`, {
+            method: 'POST',
+            headers: this.idempotencyHeaders(idempotencyKey)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to release escrow');
+        }
+    }
+
+    // Shipment endpoints
+    async createShipment(shipmentData) {
+        const response = await this.request('/shipments', {
+            method: 'POST',
+            body: JSON.stringify(shipmentData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to create shipment');
+        }
+    }
+
+    async getShipments(params = {}) {
+        const queryParams = new URLSearchParams(params).toString();
+        const endpoint = queryParams ? `/shipments?${queryParams}` : '/shipments';
+        
+        const response = await this.request(endpoint);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get shipments');
+        }
+    }
+
+    async getShipment(id) {
+        const response = await this.request(`/shipments/${id}`);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get shipment');
+        }
+    }
+
+    async updateShipment(id, updateData) {
+        const response = await this.request(`/shipments/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(updateData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to update shipment');
+        }
+    }
+
+    // reference: the tracking number, a leg's tracking reference or a container number
+    async trackShipment(reference) {
+        const response = await this.request(`/shipments/track/${encodeURIComponent(reference)}`);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to track shipment');
+        }
+    }
+
+    // Tracking timeline, newest event first
+    async getShipmentEvents(id) {
+        const response = await this.request(`/shipments/${id}/events`);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get shipment events');
+        }
+    }
+
+    // eventData: { eventCode, occurredAt?, location?, description?, legId? }; the shipment takes
+    // the status of its latest event
+    async addShipmentEvent(id, eventData) {
+        const response = await this.request(`/shipments/${id}/events`, {
+            method: 'POST',
+            body: JSON.stringify(eventData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to add shipment event');
+        }
+    }
+
+    // Why the delay check flagged the shipment
+    async getShipmentDelayAlerts(id) {
+        const response = await this.request(`/shipments/${id}/delay-alerts`);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get shipment delay alerts');
+        }
+    }
+
+    // Route legs in order, progress across them, and containers
+    async getShipmentLegs(id) {
+        const response = await this.request(`/shipments/${id}/legs`);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get shipment legs');
+        }
+    }
+
+    // The route as a GeoJSON FeatureCollection: leg lines, places and located events
+    async getShipmentRoute(id) {
+        const response = await this.request(`/shipments/${id}/route`);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get shipment route');
+        }
+    }
+
+    // legData: one leg { mode, origin, destination, carrier?, trackingReference?, plannedDeparture?, ... }
+    // or { legs: [...] }, added after the last leg
+    async addShipmentLegs(id, legData) {
+        const response = await this.request(`/shipments/${id}/legs`, {
+            method: 'POST',
+            body: JSON.stringify(legData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to add shipment legs');
+        }
+    }
+
+    async updateShipmentLeg(id, legId, legData) {
+        const response = await this.request(`/shipments/${id}/legs/${legId}`, {
+            method: 'PUT',
+            body: JSON.stringify(legData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to update shipment leg');
+        }
+    }
+
+    async removeShipmentLeg(id, legId) {
+        const response = await this.request(`/shipments/${id}/legs/${legId}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to remove shipment leg');
+        }
+    }
+
+    // containerData: one container { containerNumber, sealNumber?, weightKg? } or { containers: [...] }
+    async addShipmentContainers(id, containerData) {
+        const response = await this.request(`/shipments/${id}/containers`, {
+            method: 'POST',
+            body: JSON.stringify(containerData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to add shipment containers');
+        }
+    }
+
+    async updateShipmentContainer(id, containerId, containerData) {
+        const response = await this.request(`/shipments/${id}/containers/${containerId}`, {
+            method: 'PUT',
+            body: JSON.stringify(containerData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to update shipment container');
+        }
+    }
+
+    async removeShipmentContainer(id, containerId) {
+        const response = await this.request(`/shipments/${id}/containers/${containerId}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to remove shipment container');
+        }
+    }
+
+    async getShipmentDocuments(id) {
+        const response = await this.request(`/shipments/${id}/documents`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get shipment documents');
+        }
+    }
+
+    // Which documents the agreement's Incoterm calls for are still missing or in draft
+    async getShipmentDocumentCompleteness(id) {
+        const response = await this.request(`/shipments/${id}/documents/completeness`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to check shipment documents');
+        }
+    }
+
+    // type: bill_of_lading, commercial_invoice, packing_list, certificate_of_origin or
+    // insurance_certificate; file: a PDF, JPEG or PNG File
+    async uploadShipmentDocument(id, type, file, { documentNumber, status } = {}) {
+        const formData = new FormData();
+        formData.append('type', type);
+        if (documentNumber) {
+            formData.append('documentNumber', documentNumber);
+        }
+        if (status) {
+            formData.append('status', status);
+        }
+        formData.append('file', file);
+
+        const response = await this.request(`/shipments/${id}/documents`, {
+            method: 'POST',
+            headers: {}, // Remove Content-Type header for FormData
+            body: formData
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to upload shipment document');
+        }
+    }
+
+    async getShipmentDocument(id, documentId) {
+        const response = await this.request(`/shipments/${id}/documents/${documentId}`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get shipment document');
+        }
+    }
+
+    async updateShipmentDocument(id, documentId, updateData) {
+        const response = await this.request(`/shipments/${id}/documents/${documentId}`, {
+            method: 'PUT',
+            body: JSON.stringify(updateData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to update shipment document');
+        }
+    }
+
+    // Download the current version of a shipping document (or a specific version) as a Blob
+    async downloadShipmentDocument(id, documentId, version) {
+        const endpoint = version
+            ? `/shipments/${id}/documents/${documentId}/download?version=${version}`
+            : `/shipments/${id}/documents/${documentId}/download`;
+        const response = await this.request(endpoint);
+
+        if (response.ok) {
+            return await response.blob();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to download shipment document');
+        }
+    }
+
+    // Public tracking links (shipment owner only); the token is only returned on creation
+    async createTrackingLink(id, { expiresInDays, label } = {}) {
+        const response = await this.request(`/shipments/${id}/tracking-links`, {
+            method: 'POST',
+            body: JSON.stringify({ expiresInDays, label })
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to create tracking link');
+        }
+    }
+
+    async getTrackingLinks(id) {
+        const response = await this.request(`/shipments/${id}/tracking-links`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get tracking links');
+        }
+    }
+
+    async getTrackingLinkViews(id, linkId) {
+        const response = await this.request(`/shipments/${id}/tracking-links/${linkId}/views`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get tracking link views');
+        }
+    }
+
+    async revokeTrackingLink(id, linkId) {
+        const response = await this.request(`/shipments/${id}/tracking-links/${linkId}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to revoke tracking link');
+        }
+    }
+
+    // The redacted view behind a tracking link; needs no sign-in
+    async getPublicTracking(token) {
+        const response = await fetch(`${this.baseURL}/tracking/${encodeURIComponent(token)}`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to track shipment');
+        }
+    }
+
+    // Wallet endpoints
+    async getWalletBalance(currency) {
+        const endpoint = currency ? `/wallet/balance?currency=${encodeURIComponent(currency)}` : '/wallet/balance';
+        const response = await this.request(endpoint);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get wallet balance');
+        }
+    }
+
+    async getTransactions(params = {}) {
+        const queryParams = new URLSearchParams(params).toString();
+        const endpoint = queryParams ? `/wallet/transactions?${queryParams}` : '/wallet/transactions';
+        
+        const response = await this.request(endpoint);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get transactions');
+        }
+    }
+
+    async createTransaction(transactionData, idempotencyKey = this.generateIdempotencyKey()) {
+        const response = await this.request('/wallet/transactions', {
+            method: 'POST',
+            headers: this.idempotencyHeaders(idempotencyKey),
+            body: JSON.stringify(transactionData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to create transaction');
+        }
+    }
+
+    async transferFunds(transferData, idempotencyKey = this.generateIdempotencyKey()) {
+        const response = await this.request('/wallet/transfer', {
+            method: 'POST',
+            headers: this.idempotencyHeaders(idempotencyKey),
+            body: JSON.stringify(transferData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to transfer funds');
+        }
+    }
+
+    async getWalletStats() {
+        const response = await this.request('/wallet/stats');
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get wallet stats');
+        }
+    }
+
+    // Convert with { quoteId } from createFxQuote, or { fromCurrency, toCurrency, amount }
+    async convertCurrency(conversionData, idempotencyKey = this.generateIdempotencyKey()) {
+        const response = await this.request('/wallet/convert', {
+            method: 'POST',
+            headers: this.idempotencyHeaders(idempotencyKey),
+            body: JSON.stringify(conversionData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to convert currency');
+        }
+    }
+
+    // Location endpoints
+    // params: { q, country?, function?, limit? }, e.g. { q: 'apa', function: 'port' }
+    async searchLocations(params = {}) {
+        const queryParams = new URLSearchParams(params).toString();
+        const response = await this.request(`/locations?${queryParams}`);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to search locations');
+        }
+    }
+
+    async getLocation(code) {
+        const response = await this.request(`/locations/${encodeURIComponent(code)}`);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get location');
+        }
+    }
+
+    // FX endpoints
+    async getFxRates() {
+        const response = await this.request('/fx/rates');
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get FX rates');
+        }
+    }
+
+    // Quote { fromCurrency, toCurrency, fromAmount } or { fromCurrency, toCurrency, toAmount };
+    // pass the quote id as quoteId to convertCurrency, transferFunds or createTransaction
+    async createFxQuote(quoteData) {
+        const response = await this.request('/fx/quotes', {
+            method: 'POST',
+            body: JSON.stringify(quoteData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to create FX quote');
+        }
+    }
+
+    // Invoice endpoints
+    // The response's invoice.extractedData has each field read from the PDF as { value, confidence },
+    // with reviewFields listing those to check
+    async uploadInvoice(file) {
+        const formData = new FormData();
+        formData.append('invoice', file);
+
+        const response = await this.request('/invoices/upload', {
+            method: 'POST',
+            headers: {}, // Remove Content-Type header for FormData
+            body: formData
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to upload invoice');
+        }
+    }
+
+    async createInvoice(invoiceData, idempotencyKey = this.generateIdempotencyKey()) {
+        const response = await this.request('/invoices', {
+            method: 'POST',
+            headers: this.idempotencyHeaders(idempotencyKey),
+            body: JSON.stringify(invoiceData)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to create invoice');
+        }
+    }
+
+    async getInvoices(params = {}) {
+        const queryParams = new URLSearchParams(params).toString();
+        const endpoint = queryParams ? `/invoices?${queryParams}` : '/invoices';
+        
+        const response = await this.request(endpoint);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get invoices');
+        }
+    }
+
+    async getInvoice(id) {
+        const response = await this.request(`/invoices/${id}`);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get invoice');
+        }
+    }
+
+    // Admin: invoices awaiting review, oldest first
+    async getInvoiceReviewQueue(params = {}) {
+        const queryParams = new URLSearchParams(params).toString();
+        const endpoint = queryParams ? `/invoices/review-queue?${queryParams}` : '/invoices/review-queue';
+
+        const response = await this.request(endpoint);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get review queue');
+        }
+    }
+
+    // Extracted fields with their confidence, the review once done, and canReview
+    async getInvoiceReview(invoiceId) {
+        const response = await this.request(`/invoices/${invoiceId}/review`);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get invoice review');
+        }
+    }
+
+    // review: { decision: 'approved' | 'rejected', fields: { totalAmount, ... }, lineItems, notes };
+    // fields left out are confirmed as extracted
+    async reviewInvoice(invoiceId, review) {
+        const response = await this.request(`/invoices/${invoiceId}/review`, {
+            method: 'POST',
+            body: JSON.stringify(review)
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to review invoice');
+        }
+    }
+
+    // Admin: per-field extraction accuracy, optionally for one method ('pdf-text', 'ocr', 'none')
+    async getInvoiceReviewAccuracy(params = {}) {
+        const queryParams = new URLSearchParams(params).toString();
+        const endpoint = queryParams ? `/invoices/review-accuracy?${queryParams}` : '/invoices/review-accuracy';
+
+        const response = await this.request(endpoint);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get review accuracy');
+        }
+    }
+
+    // The uploaded invoice document as a Blob
+    async downloadInvoiceFile(invoiceId) {
+        const response = await this.request(`/invoices/${invoiceId}/file`);
+
+        if (response.ok) {
+            return await response.blob();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to download invoice file');
+        }
+    }
+
+    async generateSmartContract(invoiceId) {
+        const response = await this.request(`/invoices/${invoiceId}/generate-smart-contract`, {
+            method: 'POST'
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to generate smart contract');
+        }
+    }
+
+    // Bulk import endpoints
+    // type: trade_agreements, shipments or invoices; file: a .csv or .xlsx File
+    async importFile(type, file, { dryRun = false, mapping } = {}) {
+        const formData = new FormData();
+        formData.append('type', type);
+        formData.append('dryRun', String(dryRun));
+        if (mapping) {
+            formData.append('mapping', JSON.stringify(mapping));
+        }
+        formData.append('file', file);
+
+        const response = await this.request('/imports', {
+            method: 'POST',
+            headers: {}, // Remove Content-Type header for FormData
+            body: formData
+        });
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to import file');
+        }
+    }
+
+    async getImportColumns() {
+        const response = await this.request('/imports/columns');
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get import columns');
+        }
+    }
+
+    async getImports(params = {}) {
+        const queryParams = new URLSearchParams(params).toString();
+        const endpoint = queryParams ? `/imports?${queryParams}` : '/imports';
+
+        const response = await this.request(endpoint);
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get imports');
+        }
+    }
+
+    async getImport(id) {
+        const response = await this.request(`/imports/${id}`);
+
+        if (response.ok) {
+            return await response.json();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to get import');
+        }
+    }
+
+    // CSV of the rows that failed, with their errors
+    async downloadImportErrorReport(id) {
+        const response = await this.request(`/imports/${id}/error-report`);
+
+        if (response.ok) {
+            return await response.blob();
+        } else {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to download error report');
         }
     }
 
@@ -0,0 +1,118 @@
+const { Pool, types } = require('pg');
+
+// Return NUMERIC/DECIMAL and BIGINT (e.g. COUNT(*)) columns as JS numbers, matching SQLite
+types.setTypeParser(types.builtins.NUMERIC, value => parseFloat(value));
+types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+
+// Replace `?` placeholders with `$1, $2, ...`, leaving quoted literals untouched
+function translatePlaceholders(sql) {
+  let index = 0;
+  let inString = false;
+  let result = '';
+
+  for (const char of sql) {
+    if (char === "'") {
+      inString = !inString;
+    }
+    result += (char === '?' && !inString) ? `$${++index}` : char;
+  }
+
+  return result;
+}
+
+// Routes and migrations are written in SQLite's dialect; rewrite what Postgres spells differently
+function translateSql(sql) {
+  let text = translatePlaceholders(sql);
+
+  if (/^\s*(CREATE|ALTER)\s/i.test(text)) {
+    text = text
+      .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/gi, 'SERIAL PRIMARY KEY')
+      .replace(/\bDATETIME\b/gi, 'TIMESTAMP')
+      // Flags are compared with 0/1 throughout the routes, so keep them numeric
+      .replace(/\bBOOLEAN\b/gi, 'SMALLINT');
+  }
+
+  // SQLite's LIKE is case-insensitive
+  text = text.replace(/\bLIKE\b/g, 'ILIKE');
+
+  // Every table has an `id` key; return it so runQuery can report lastID
+  if (/^\s*INSERT\s/i.test(text) && !/\bRETURNING\b/i.test(text)) {
+    text += ' RETURNING id';
+  }
+
+  return text;
+}
+
+// Execute a statement on a pool or a checked-out client
+async function execute(client, sql, params = []) {
+  return client.query(translateSql(sql), params);
+}
+
+// Query helpers bound to a specific client, used inside transactions
+function bindExecutor(client) {
+  return {
+    async run(sql, params) {
+      const result = await execute(client, sql, params);
+      return { id: result.rows[0] ? result.rows[0].id : undefined, changes: result.rowCount };
+    },
+    async get(sql, params) {
+      const result = await execute(client, sql, params);
+      return result.rows[0];
+    },
+    async all(sql, params) {
+      const result = await execute(client, sql, params);
+      return result.rows;
+    }
+  };
+}
+
+// PostgreSQL adapter - selected when DATABASE_URL is a postgres:// URL
+class PostgresAdapter {
+  constructor(connectionString) {
+    this.dialect = 'postgres';
+    this.connectionString = connectionString;
+    this.pool = null;
+  }
+
+  async connect() {
+    this.pool = new Pool({ connectionString: this.connectionString });
+
+    // Fail fast on bad credentials instead of on the first request
+    const client = await this.pool.connect();
+    client.release();
+
+    Object.assign(this, bindExecutor(this.pool));
+    console.log('Connected to PostgreSQL database');
+  }
+
+  // Run callback on a dedicated client inside BEGIN/COMMIT, rolling back if it throws
+  async transaction(callback) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(bindExecutor(client));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // SQL expression for the timestamp `days` days before now
+  daysAgo(days) {
+    return `NOW() - INTERVAL '${parseInt(days, 10)} days'`;
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+      console.log('Database connection closed');
+    }
+  }
+}
+
+module.exports = { PostgresAdapter, translateSql };
@@ -0,0 +1,132 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+// SQLite adapter - the default for local development
+class SqliteAdapter {
+  constructor(filename) {
+    this.dialect = 'sqlite';
+    this.filename = filename;
+    this.db = null;
+    this.activeTransaction = null;
+  }
+
+  connect() {
+    // Ensure data directory exists
+    const dbDir = path.dirname(this.filename);
+    if (!fs.existsSync(dbDir)) {
+      fs.mkdirSync(dbDir, { recursive: true });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.filename, (err) => {
+        if (err) {
+          console.error('Error opening database:', err);
+          reject(err);
+        } else {
+          // Execute statements in the order they are issued
+          this.db.serialize();
+          console.log('Connected to SQLite database');
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Execute a statement directly on the connection
+  execute(method, sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db[method](sql, params, function(err, result) {
+        if (err) {
+          reject(err);
+        } else if (method === 'run') {
+          resolve({ id: this.lastID, changes: this.changes });
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  }
+
+  // A single connection is shared by every request, so statements issued while a
+  // transaction is open would silently become part of it. Hold them until it ends.
+  // The check and the statement must run in the same tick, hence no await in between.
+  async run(sql, params = []) {
+    while (this.activeTransaction) {
+      await this.activeTransaction;
+    }
+    return this.execute('run', sql, params);
+  }
+
+  async get(sql, params = []) {
+    while (this.activeTransaction) {
+      await this.activeTransaction;
+    }
+    return this.execute('get', sql, params);
+  }
+
+  async all(sql, params = []) {
+    while (this.activeTransaction) {
+      await this.activeTransaction;
+    }
+    return this.execute('all', sql, params);
+  }
+
+  // Run callback inside BEGIN/COMMIT, rolling back if it throws.
+  // Transactions are queued one at a time; the callback must only use the executor it is given.
+  async transaction(callback) {
+    while (this.activeTransaction) {
+      await this.activeTransaction;
+    }
+
+    let finish;
+    this.activeTransaction = new Promise(resolve => { finish = resolve; });
+
+    const executor = {
+      run: (sql, params) => this.execute('run', sql, params),
+      get: (sql, params) => this.execute('get', sql, params),
+      all: (sql, params) => this.execute('all', sql, params)
+    };
+
+    try {
+      // IMMEDIATE takes the write lock up front so other processes can't interleave writes
+      await executor.run('BEGIN IMMEDIATE');
+      try {
+        const result = await callback(executor);
+        await executor.run('COMMIT');
+        return result;
+      } catch (error) {
+        await executor.run('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      this.activeTransaction = null;
+      finish();
+    }
+  }
+
+  // SQL expression for the timestamp `days` days before now
+  daysAgo(days) {
+    return `datetime('now', '-${parseInt(days, 10)} days')`;
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        return resolve();
+      }
+
+      this.db.close((err) => {
+        if (err) {
+          reject(err);
+        } else {
+          this.db = null;
+          console.log('Database connection closed');
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+module.exports = { SqliteAdapter };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { runQuery, allQuery, withTransaction, getDialect } = require('./database');
+
+// Migration files live in backend/migrations and are named <version>_<name>.js,
+// e.g. 002_add_invoice_review.js. Each exports async up(db) and down(db), where db
+// carries the runQuery/getQuery/allQuery helpers and the active `dialect`.
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Render a migration the way its file is named, e.g. 001_initial_schema
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+// Load migration definitions from disk, ordered by version
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(fileName => {
+      const match = fileName.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        return null;
+      }
+
+      const migration = require(path.join(MIGRATIONS_DIR, fileName));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${fileName} must export up() and down() functions`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        fileName,
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  // Two files sharing a version number would make the applied state ambiguous
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].fileName}, ${migration.fileName}`);
+    }
+  });
+
+  return migrations;
+}
+
+// Create the tracking table if this database has never been migrated
+function ensureMigrationsTable() {
+  return runQuery(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      version INTEGER UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+}
+
+async function getAppliedMigrations() {
+  await ensureMigrationsTable();
+  return allQuery('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+// Run a single migration step and its bookkeeping as one unit
+async function runMigrationStep(migration, direction) {
+  try {
+    await withTransaction(async (tx) => {
+      const helpers = { ...tx, dialect: getDialect() };
+
+      if (direction === 'up') {
+        await migration.up(helpers);
+        await tx.runQuery(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      } else {
+        await migration.down(helpers);
+        await tx.runQuery('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+    });
+  } catch (error) {
+    error.message = `Migration ${migration.fileName} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+}
+
+// Get every known migration with its applied state
+async function getMigrationStatus() {
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations();
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const knownVersions = new Set(migrations.map(migration => migration.version));
+
+  return {
+    migrations: migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedByVersion.has(migration.version),
+      appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null
+    })),
+    // Applied in this database but missing from the codebase (e.g. running an older build)
+    unknown: applied
+      .filter(row => !knownVersions.has(row.version))
+      .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }))
+  };
+}
+
+// Apply pending migrations in order, optionally stopping at a target version
+async function migrateUp({ to } = {}) {
+  const migrations = loadMigrations();
+  const applied = new Set((await getAppliedMigrations()).map(row => row.version));
+
+  const pending = migrations.filter(migration =>
+    !applied.has(migration.version) && (to === undefined || migration.version <= to)
+  );
+
+  for (const migration of pending) {
+    await runMigrationStep(migration, 'up');
+    console.log(`⬆️  Applied migration ${migration.fileName}`);
+  }
+
+  return pending.map(migration => migration.version);
+}
+
+// Revert applied migrations, newest first. Reverts one step unless `to` is given,
+// in which case everything above that version is reverted.
+async function migrateDown({ steps = 1, to } = {}) {
+  const migrations = loadMigrations();
+  const migrationsByVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const applied = (await getAppliedMigrations()).map(row => row.version).reverse();
+
+  const toRevert = to === undefined
+    ? applied.slice(0, steps)
+    : applied.filter(version => version > to);
+
+  for (const version of toRevert) {
+    const migration = migrationsByVersion.get(version);
+    if (!migration) {
+      throw new Error(`Cannot revert migration ${version}: no migration file found`);
+    }
+
+    await runMigrationStep(migration, 'down');
+    console.log(`⬇️  Reverted migration ${migration.fileName}`);
+  }
+
+  return toRevert;
+}
+
+// Refuse to run against a schema that does not match the code
+async function assertMigrationsApplied() {
+  const { migrations, unknown } = await getMigrationStatus();
+  const pending = migrations.filter(migration => !migration.applied);
+
+  if (pending.length > 0) {
+    const error = new Error(
+      `Database has ${pending.length} pending migration(s): ` +
+      `${pending.map(formatMigration).join(', ')}. ` +
+      'Run `npm run migrate` before starting the server.'
+    );
+    error.code = 'PENDING_MIGRATIONS';
+    throw error;
+  }
+
+  if (unknown.length > 0) {
+    const error = new Error(
+      `Database has migration(s) this build does not know about: ` +
+      `${unknown.map(formatMigration).join(', ')}`
+    );
+    error.code = 'UNKNOWN_MIGRATIONS';
+    throw error;
+  }
+}
+
+module.exports = {
+  formatMigration,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertMigrationsApplied
+};
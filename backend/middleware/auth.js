@@ -138,9 +138,33 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Admins are listed by email in ADMIN_EMAILS
+const isAdmin = (user) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  return Boolean(user) && adminEmails.includes(user.email.toLowerCase());
+};
+
+// Require an admin user (use after authenticateToken)
+const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      error: 'Admin access required',
+      code: 'ADMIN_REQUIRED'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
   optionalAuth,
+  isAdmin,
+  requireAdmin,
   generateToken,
   generateRefreshToken,
   verifyRefreshToken,
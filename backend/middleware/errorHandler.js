@@ -1,3 +1,15 @@
+// Application error carrying an HTTP status and a machine-readable code.
+// Routes return these as-is; anything extra in `details` is merged into the response body.
+class AppError extends Error {
+  constructor(message, status, code, details = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
 // Global error handling middleware
 const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
@@ -33,9 +45,9 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
-  // Database errors
-  if (err.code === 'SQLITE_CONSTRAINT') {
-    if (err.message.includes('UNIQUE constraint failed')) {
+  // Database errors (SQLite reports SQLITE_CONSTRAINT, PostgreSQL class 23 SQLSTATE codes)
+  if (err.code === 'SQLITE_CONSTRAINT' || /^23\d{3}$/.test(err.code)) {
+    if (err.message.includes('UNIQUE constraint failed') || err.code === '23505') {
       error = {
         message: 'Resource already exists',
         code: 'DUPLICATE_RESOURCE',
@@ -99,4 +111,4 @@ const errorHandler = (err, req, res, next) => {
   });
 };
 
-module.exports = { errorHandler };
+module.exports = { errorHandler, AppError };
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { runQuery, getQuery } = require('../config/database');
+
+// How long a stored response is replayed for
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+// How long a claim on a key lasts before its response is stored. A request that dies without
+// answering (crash, timeout) releases the key once this passes, instead of blocking retries.
+const IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS, 10) || 60;
+
+// JSON with object keys sorted, so the same body always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+}
+
+function isUniqueViolation(error) {
+  return error.code === 'SQLITE_CONSTRAINT' || error.code === '23505';
+}
+
+// Idempotency-Key support for money-moving endpoints (use after authenticateToken).
+// The first request with a key runs normally and its response is stored; an identical retry
+// gets the stored response replayed, and reusing the key for a different request is a 422.
+// Requests without the header are unaffected.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      error: 'Idempotency-Key must be at most 255 characters',
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const now = new Date();
+    const claimExpiresAt = new Date(now.getTime() + IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS * 1000);
+
+    await runQuery('DELETE FROM idempotency_keys WHERE expires_at < ?', [now.toISOString()]);
+
+    // Claim the key; the unique (user_id, idempotency_key) index decides between concurrent retries.
+    // Stale claims are removed by the cleanup above once their short expiry passes.
+    let record;
+    try {
+      record = await runQuery(
+        `INSERT INTO idempotency_keys (user_id, idempotency_key, method, path, request_hash, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [req.user.id, key, req.method, `${req.baseUrl}${req.path}`, requestHash, claimExpiresAt.toISOString()]
+      );
+    } catch (error) {
+      if (!isUniqueViolation(error)) {
+        throw error;
+      }
+
+      const existing = await getQuery(
+        'SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+        [req.user.id, key]
+      );
+
+      if (existing && existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          error: 'Idempotency-Key was already used for a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (!existing || existing.status !== 'completed') {
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(JSON.parse(existing.response_body));
+    }
+
+    const release = () => runQuery('DELETE FROM idempotency_keys WHERE id = ?', [record.id]);
+    let settled = false;
+
+    // Store the response before sending it, so a retry that follows it is always replayed.
+    // Server errors are not stored, so the client can retry them with the same key.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+      settled = true;
+
+      const expiresAt = new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000);
+      const save = res.statusCode >= 500
+        ? release()
+        : runQuery(
+          `UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ?, expires_at = ?
+           WHERE id = ?`,
+          [res.statusCode, JSON.stringify(body), expiresAt.toISOString(), record.id]
+        );
+
+      save
+        .catch(error => console.error('Idempotency key save error:', error))
+        .then(() => json(body));
+
+      return res;
+    };
+
+    // A response sent some other way has nothing to replay, so free the key for a retry
+    res.on('finish', () => {
+      if (!settled) {
+        settled = true;
+        release().catch(error => console.error('Idempotency key release error:', error));
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({
+      error: 'Failed to process Idempotency-Key',
+      code: 'IDEMPOTENCY_ERROR'
+    });
+  }
+};
+
+module.exports = { idempotency };
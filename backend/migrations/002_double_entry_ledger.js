@@ -0,0 +1,140 @@
+// Double-entry ledger. Every movement of money is an immutable journal entry whose
+// debit and credit lines balance; wallets.balance becomes a cache of the wallet's account.
+const { v4: uuidv4 } = require('uuid');
+
+const tables = [
+  `CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL,
+    code TEXT UNIQUE NOT NULL, -- e.g. 'wallet:<wallet uuid>', 'system:funding:USD'
+    kind TEXT NOT NULL, -- 'wallet', 'system'
+    wallet_id INTEGER,
+    currency TEXT NOT NULL,
+    normal_balance TEXT NOT NULL, -- 'credit' for funds owed to users, 'debit' for platform assets
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (wallet_id) REFERENCES wallets (id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS journal_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL,
+    entry_type TEXT NOT NULL, -- 'deposit', 'withdrawal', 'payment', 'transfer', 'opening_balance'
+    description TEXT,
+    reference TEXT,
+    metadata TEXT, -- JSON string for additional data
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS journal_lines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    journal_entry_id INTEGER NOT NULL,
+    account_id INTEGER NOT NULL,
+    direction TEXT NOT NULL CHECK (direction IN ('debit', 'credit')),
+    amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+    currency TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (journal_entry_id) REFERENCES journal_entries (id),
+    FOREIGN KEY (account_id) REFERENCES ledger_accounts (id)
+  )`,
+
+  'CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON journal_lines (account_id)',
+  'CREATE INDEX IF NOT EXISTS idx_journal_lines_entry ON journal_lines (journal_entry_id)',
+  'CREATE INDEX IF NOT EXISTS idx_ledger_accounts_wallet ON ledger_accounts (wallet_id)'
+];
+
+// Reject UPDATE/DELETE on posted journal rows; corrections are new reversing entries
+function immutabilityTriggers(dialect) {
+  if (dialect === 'postgres') {
+    return [
+      `CREATE OR REPLACE FUNCTION reject_journal_mutation() RETURNS trigger AS $$
+       BEGIN
+         RAISE EXCEPTION 'journal entries are immutable';
+       END;
+       $$ LANGUAGE plpgsql`,
+      ...['journal_entries', 'journal_lines'].map(table =>
+        `CREATE TRIGGER ${table}_immutable BEFORE UPDATE OR DELETE ON ${table}
+         FOR EACH ROW EXECUTE FUNCTION reject_journal_mutation()`
+      )
+    ];
+  }
+
+  return ['journal_entries', 'journal_lines'].flatMap(table => ['UPDATE', 'DELETE'].map(operation =>
+    `CREATE TRIGGER IF NOT EXISTS ${table}_no_${operation.toLowerCase()} BEFORE ${operation} ON ${table}
+     BEGIN
+       SELECT RAISE(ABORT, 'journal entries are immutable');
+     END`
+  ));
+}
+
+module.exports = {
+  async up({ runQuery, getQuery, allQuery, dialect }) {
+    for (const tableSQL of tables) {
+      await runQuery(tableSQL);
+    }
+
+    await runQuery('ALTER TABLE transactions ADD COLUMN journal_entry_id INTEGER');
+
+    // Give every existing wallet an account, and turn its current balance into an
+    // opening entry against the platform funding account so the books start balanced
+    const wallets = await allQuery('SELECT id, uuid, user_id, currency, balance FROM wallets ORDER BY id');
+
+    for (const wallet of wallets) {
+      const walletAccount = await runQuery(
+        `INSERT INTO ledger_accounts (uuid, code, kind, wallet_id, currency, normal_balance)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), `wallet:${wallet.uuid}`, 'wallet', wallet.id, wallet.currency, 'credit']
+      );
+
+      if (!wallet.balance) {
+        continue;
+      }
+
+      const fundingCode = `system:funding:${wallet.currency}`;
+      let fundingAccount = await getQuery('SELECT id FROM ledger_accounts WHERE code = ?', [fundingCode]);
+      if (!fundingAccount) {
+        fundingAccount = await runQuery(
+          `INSERT INTO ledger_accounts (uuid, code, kind, wallet_id, currency, normal_balance)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [uuidv4(), fundingCode, 'system', null, wallet.currency, 'debit']
+        );
+      }
+
+      const amount = Math.abs(wallet.balance);
+      const [debitAccountId, creditAccountId] = wallet.balance > 0
+        ? [fundingAccount.id, walletAccount.id]
+        : [walletAccount.id, fundingAccount.id];
+
+      const entry = await runQuery(
+        `INSERT INTO journal_entries (uuid, entry_type, description, metadata, created_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          uuidv4(), 'opening_balance', 'Opening balance carried over from wallets.balance',
+          JSON.stringify({ walletId: wallet.id }), wallet.user_id
+        ]
+      );
+
+      await runQuery(
+        `INSERT INTO journal_lines (journal_entry_id, account_id, direction, amount, currency)
+         VALUES (?, ?, 'debit', ?, ?), (?, ?, 'credit', ?, ?)`,
+        [entry.id, debitAccountId, amount, wallet.currency, entry.id, creditAccountId, amount, wallet.currency]
+      );
+    }
+
+    for (const triggerSQL of immutabilityTriggers(dialect)) {
+      await runQuery(triggerSQL);
+    }
+  },
+
+  async down({ runQuery, dialect }) {
+    await runQuery('DROP TABLE IF EXISTS journal_lines');
+    await runQuery('DROP TABLE IF EXISTS journal_entries');
+    if (dialect === 'postgres') {
+      await runQuery('DROP FUNCTION IF EXISTS reject_journal_mutation()');
+    }
+
+    await runQuery('ALTER TABLE transactions DROP COLUMN journal_entry_id');
+    await runQuery('DROP TABLE IF EXISTS ledger_accounts');
+  }
+};
@@ -0,0 +1,46 @@
+// Escrow: a buyer locks funds against a trade agreement until they are released to the
+// seller or refunded. The funds sit in an 'escrow' ledger account owned by the buyer's
+// wallet, which is what wallets.frozen_balance reports.
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS escrows (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      trade_agreement_id INTEGER NOT NULL,
+      buyer_id INTEGER NOT NULL,
+      seller_id INTEGER NOT NULL,
+      wallet_id INTEGER NOT NULL,
+      ledger_account_id INTEGER NOT NULL,
+      amount DECIMAL(15,2) NOT NULL,
+      currency TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'funded', -- 'funded', 'released', 'refunded'
+      release_condition TEXT NOT NULL DEFAULT 'delivery', -- 'delivery', 'mutual_confirmation'
+      buyer_confirmed_at DATETIME,
+      seller_confirmed_at DATETIME,
+      funding_entry_id INTEGER,
+      settlement_entry_id INTEGER,
+      settlement_reason TEXT, -- 'shipment_delivered', 'mutual_confirmation', 'buyer_release', 'agreement_cancelled'
+      settled_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trade_agreement_id) REFERENCES trade_agreements (id),
+      FOREIGN KEY (buyer_id) REFERENCES users (id),
+      FOREIGN KEY (seller_id) REFERENCES users (id),
+      FOREIGN KEY (wallet_id) REFERENCES wallets (id),
+      FOREIGN KEY (ledger_account_id) REFERENCES ledger_accounts (id),
+      FOREIGN KEY (funding_entry_id) REFERENCES journal_entries (id),
+      FOREIGN KEY (settlement_entry_id) REFERENCES journal_entries (id)
+    )`);
+
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_escrows_agreement ON escrows (trade_agreement_id)');
+
+    // At most one funded escrow per agreement
+    await runQuery(
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_escrows_active ON escrows (trade_agreement_id) WHERE status = 'funded'"
+    );
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS escrows');
+  }
+};
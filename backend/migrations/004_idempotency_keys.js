@@ -0,0 +1,27 @@
+// Stored responses for requests sent with an Idempotency-Key header, so client retries
+// of money-moving requests replay the original result instead of repeating it
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS idempotency_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'processing', -- 'processing', 'completed'
+      response_status INTEGER,
+      response_body TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      UNIQUE (user_id, idempotency_key),
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`);
+
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys (expires_at)');
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS idempotency_keys');
+  }
+};
@@ -0,0 +1,39 @@
+// Multi-currency wallets: one wallet per user per currency, FX rates and conversion quotes
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery('CREATE UNIQUE INDEX IF NOT EXISTS idx_wallets_user_currency ON wallets (user_id, currency)');
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS fx_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      currency TEXT UNIQUE NOT NULL,
+      units_per_usd DECIMAL(20,8) NOT NULL, -- mid-market: 1 USD buys this many units
+      source TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS fx_quotes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL,
+      from_currency TEXT NOT NULL,
+      to_currency TEXT NOT NULL,
+      from_amount DECIMAL(15,2) NOT NULL,
+      to_amount DECIMAL(15,2) NOT NULL,
+      rate DECIMAL(20,8) NOT NULL, -- customer rate after spread
+      mid_rate DECIMAL(20,8) NOT NULL,
+      spread_bps INTEGER NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      journal_entry_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      FOREIGN KEY (journal_entry_id) REFERENCES journal_entries (id)
+    )`);
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS fx_quotes');
+    await runQuery('DROP TABLE IF EXISTS fx_rates');
+    await runQuery('DROP INDEX IF EXISTS idx_wallets_user_currency');
+  }
+};
@@ -0,0 +1,30 @@
+// Trade agreement lifecycle: draft -> submitted -> under_review -> approved/rejected ->
+// active -> completed/cancelled, with every transition recorded
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS trade_agreement_status_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_agreement_id INTEGER NOT NULL,
+      action TEXT NOT NULL, -- 'submit', 'review', 'approve', 'reject', 'revise', 'activate', 'complete', 'cancel'
+      from_status TEXT NOT NULL,
+      to_status TEXT NOT NULL,
+      actor_id INTEGER NOT NULL,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trade_agreement_id) REFERENCES trade_agreements (id),
+      FOREIGN KEY (actor_id) REFERENCES users (id)
+    )`);
+
+    await runQuery(
+      'CREATE INDEX IF NOT EXISTS idx_agreement_status_history_agreement ON trade_agreement_status_history (trade_agreement_id)'
+    );
+
+    // 'pending' was the old name for an agreement waiting on the counterparty
+    await runQuery("UPDATE trade_agreements SET status = 'submitted' WHERE status = 'pending'");
+  },
+
+  async down({ runQuery }) {
+    await runQuery("UPDATE trade_agreements SET status = 'pending' WHERE status IN ('submitted', 'under_review')");
+    await runQuery('DROP TABLE IF EXISTS trade_agreement_status_history');
+  }
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// Trade agreement participants: the users who can see an agreement and their role on it.
+// Buyers and sellers who have no account yet are 'invited' until they register or accept.
+module.exports = {
+  async up({ runQuery, allQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS trade_agreement_participants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_agreement_id INTEGER NOT NULL,
+      user_id INTEGER,
+      email TEXT NOT NULL, -- lowercased
+      role TEXT NOT NULL, -- 'creator', 'buyer', 'seller', 'observer'
+      status TEXT NOT NULL DEFAULT 'active', -- 'active', 'invited'
+      invitation_token TEXT UNIQUE,
+      invited_by INTEGER,
+      accepted_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (trade_agreement_id, email, role),
+      FOREIGN KEY (trade_agreement_id) REFERENCES trade_agreements (id),
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      FOREIGN KEY (invited_by) REFERENCES users (id)
+    )`);
+
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_participants_user ON trade_agreement_participants (user_id)');
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_participants_email ON trade_agreement_participants (email)');
+
+    // Existing agreements: the creator plus the named buyer and seller
+    const agreements = await allQuery(
+      `SELECT a.id, a.user_id, a.buyer_email, a.seller_email, u.email as creator_email
+       FROM trade_agreements a JOIN users u ON u.id = a.user_id`
+    );
+    const users = await allQuery('SELECT id, email FROM users');
+    const userIds = new Map(users.map(user => [user.email.toLowerCase(), user.id]));
+
+    for (const agreement of agreements) {
+      const parties = [
+        ['creator', agreement.creator_email],
+        ['buyer', agreement.buyer_email],
+        ['seller', agreement.seller_email]
+      ];
+
+      for (const [role, rawEmail] of parties) {
+        const email = rawEmail.toLowerCase();
+        const userId = role === 'creator' ? agreement.user_id : userIds.get(email);
+
+        await runQuery(
+          `INSERT INTO trade_agreement_participants
+           (trade_agreement_id, user_id, email, role, status, invitation_token, invited_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            agreement.id, userId || null, email, role, userId ? 'active' : 'invited',
+            userId ? null : crypto.randomBytes(24).toString('hex'), agreement.user_id
+          ]
+        );
+      }
+    }
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS trade_agreement_participants');
+  }
+};
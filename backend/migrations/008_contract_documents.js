@@ -0,0 +1,32 @@
+// Generated contract PDFs. Every generation is a new version; the agreement records the
+// hash and version of the latest one.
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS contract_documents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      trade_agreement_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      file_name TEXT NOT NULL, -- relative to CONTRACTS_PATH
+      file_size INTEGER NOT NULL,
+      sha256 TEXT NOT NULL,
+      generated_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (trade_agreement_id, version),
+      FOREIGN KEY (trade_agreement_id) REFERENCES trade_agreements (id),
+      FOREIGN KEY (generated_by) REFERENCES users (id)
+    )`);
+
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN contract_hash TEXT');
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN contract_version INTEGER');
+
+    // The old placeholder URLs never pointed at a file
+    await runQuery("UPDATE trade_agreements SET contract_url = NULL WHERE contract_url LIKE '/contracts/%'");
+  },
+
+  async down({ runQuery }) {
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN contract_version');
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN contract_hash');
+    await runQuery('DROP TABLE IF EXISTS contract_documents');
+  }
+};
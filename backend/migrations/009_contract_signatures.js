@@ -0,0 +1,54 @@
+// Electronic signatures on contract versions, one-time signing codes, and the fully signed
+// copy of a contract with its certificate page.
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS contract_signatures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      trade_agreement_id INTEGER NOT NULL,
+      contract_document_id INTEGER NOT NULL,
+      contract_version INTEGER NOT NULL,
+      document_sha256 TEXT NOT NULL, -- hash of the exact version that was signed
+      user_id INTEGER NOT NULL,
+      party_role TEXT NOT NULL, -- 'buyer' or 'seller'
+      typed_name TEXT NOT NULL,
+      ip_address TEXT,
+      user_agent TEXT,
+      auth_method TEXT NOT NULL, -- 'password' or 'otp'
+      signed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (contract_document_id, party_role),
+      FOREIGN KEY (trade_agreement_id) REFERENCES trade_agreements (id),
+      FOREIGN KEY (contract_document_id) REFERENCES contract_documents (id),
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS signing_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_agreement_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      attempts INTEGER DEFAULT 0,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trade_agreement_id) REFERENCES trade_agreements (id),
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`);
+
+    await runQuery('ALTER TABLE contract_documents ADD COLUMN signed_file_name TEXT');
+    await runQuery('ALTER TABLE contract_documents ADD COLUMN signed_file_size INTEGER');
+    await runQuery('ALTER TABLE contract_documents ADD COLUMN signed_sha256 TEXT');
+    await runQuery('ALTER TABLE contract_documents ADD COLUMN signed_at DATETIME');
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN signed_at DATETIME');
+  },
+
+  async down({ runQuery }) {
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN signed_at');
+    await runQuery('ALTER TABLE contract_documents DROP COLUMN signed_at');
+    await runQuery('ALTER TABLE contract_documents DROP COLUMN signed_sha256');
+    await runQuery('ALTER TABLE contract_documents DROP COLUMN signed_file_size');
+    await runQuery('ALTER TABLE contract_documents DROP COLUMN signed_file_name');
+    await runQuery('DROP TABLE IF EXISTS signing_codes');
+    await runQuery('DROP TABLE IF EXISTS contract_signatures');
+  }
+};
@@ -0,0 +1,67 @@
+// Immutable versions of an agreement's terms, and amendments proposed by one party for the
+// other to accept. Existing agreements get their current terms as version 1.
+const TERM_COLUMNS = [
+  'agreement_name', 'buyer_company', 'seller_company', 'buyer_email', 'seller_email', 'product_description',
+  'quantity', 'unit_price', 'total_amount', 'currency', 'payment_terms', 'delivery_terms'
+];
+
+module.exports = {
+  async up({ runQuery, allQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS trade_agreement_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_agreement_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      terms TEXT NOT NULL, -- JSON snapshot of the term columns
+      source TEXT NOT NULL, -- 'created', 'edit', 'amendment'
+      amendment_id INTEGER,
+      changed_by INTEGER NOT NULL,
+      changed_by_role TEXT NOT NULL, -- 'buyer', 'seller' or 'creator'
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (trade_agreement_id, version),
+      FOREIGN KEY (trade_agreement_id) REFERENCES trade_agreements (id),
+      FOREIGN KEY (changed_by) REFERENCES users (id)
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS trade_agreement_amendments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      trade_agreement_id INTEGER NOT NULL,
+      base_version INTEGER NOT NULL,
+      changes TEXT NOT NULL, -- JSON of the proposed term columns
+      reason TEXT,
+      status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'accepted', 'rejected', 'withdrawn'
+      proposed_by INTEGER NOT NULL,
+      proposed_by_role TEXT NOT NULL,
+      responded_by INTEGER,
+      response_reason TEXT,
+      responded_at DATETIME,
+      resulting_version INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trade_agreement_id) REFERENCES trade_agreements (id),
+      FOREIGN KEY (proposed_by) REFERENCES users (id),
+      FOREIGN KEY (responded_by) REFERENCES users (id)
+    )`);
+
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN terms_version INTEGER DEFAULT 1');
+
+    const agreements = await allQuery('SELECT * FROM trade_agreements');
+    for (const agreement of agreements) {
+      const terms = {};
+      TERM_COLUMNS.forEach(column => { terms[column] = agreement[column]; });
+
+      await runQuery(
+        `INSERT INTO trade_agreement_versions
+         (trade_agreement_id, version, terms, source, changed_by, changed_by_role, created_at)
+         VALUES (?, 1, ?, 'created', ?, 'creator', ?)`,
+        [agreement.id, JSON.stringify(terms), agreement.user_id, agreement.created_at]
+      );
+    }
+    await runQuery('UPDATE trade_agreements SET terms_version = 1');
+  },
+
+  async down({ runQuery }) {
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN terms_version');
+    await runQuery('DROP TABLE IF EXISTS trade_agreement_amendments');
+    await runQuery('DROP TABLE IF EXISTS trade_agreement_versions');
+  }
+};
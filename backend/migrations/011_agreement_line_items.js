@@ -0,0 +1,86 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Line items on trade agreements, with the totals computed from them, and the lines a shipment
+// or invoice covers. Existing agreements get their single product as line 1.
+module.exports = {
+  async up({ runQuery, allQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS trade_agreement_line_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      trade_agreement_id INTEGER NOT NULL,
+      line_number INTEGER NOT NULL,
+      sku TEXT,
+      description TEXT NOT NULL,
+      hs_code TEXT,
+      unit_of_measure TEXT NOT NULL DEFAULT 'unit',
+      quantity DECIMAL(15,4) NOT NULL,
+      unit_price DECIMAL(15,4) NOT NULL,
+      discount_rate DECIMAL(7,4) NOT NULL DEFAULT 0, -- percent
+      tax_rate DECIMAL(7,4) NOT NULL DEFAULT 0, -- percent
+      duty_rate DECIMAL(7,4) NOT NULL DEFAULT 0, -- percent
+      subtotal DECIMAL(15,2) NOT NULL,
+      discount_amount DECIMAL(15,2) NOT NULL,
+      tax_amount DECIMAL(15,2) NOT NULL,
+      duty_amount DECIMAL(15,2) NOT NULL,
+      line_total DECIMAL(15,2) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (trade_agreement_id, line_number),
+      FOREIGN KEY (trade_agreement_id) REFERENCES trade_agreements (id)
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS shipment_line_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shipment_id INTEGER NOT NULL,
+      line_item_id INTEGER NOT NULL,
+      quantity DECIMAL(15,4) NOT NULL,
+      UNIQUE (shipment_id, line_item_id),
+      FOREIGN KEY (shipment_id) REFERENCES shipments (id),
+      FOREIGN KEY (line_item_id) REFERENCES trade_agreement_line_items (id)
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS invoice_line_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      invoice_id INTEGER NOT NULL,
+      line_item_id INTEGER NOT NULL,
+      quantity DECIMAL(15,4) NOT NULL,
+      amount DECIMAL(15,2) NOT NULL,
+      UNIQUE (invoice_id, line_item_id),
+      FOREIGN KEY (invoice_id) REFERENCES invoices (id),
+      FOREIGN KEY (line_item_id) REFERENCES trade_agreement_line_items (id)
+    )`);
+
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_shipment_line_items_line ON shipment_line_items (line_item_id)');
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_invoice_line_items_line ON invoice_line_items (line_item_id)');
+
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN subtotal DECIMAL(15,2)');
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN discount_total DECIMAL(15,2) DEFAULT 0');
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN tax_total DECIMAL(15,2) DEFAULT 0');
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN duty_total DECIMAL(15,2) DEFAULT 0');
+
+    const agreements = await allQuery('SELECT * FROM trade_agreements');
+    for (const agreement of agreements) {
+      await runQuery(
+        `INSERT INTO trade_agreement_line_items
+         (uuid, trade_agreement_id, line_number, description, quantity, unit_price,
+          subtotal, discount_amount, tax_amount, duty_amount, line_total)
+         VALUES (?, ?, 1, ?, ?, ?, ?, 0, 0, 0, ?)`,
+        [
+          uuidv4(), agreement.id, agreement.product_description, agreement.quantity,
+          agreement.unit_price, agreement.total_amount, agreement.total_amount
+        ]
+      );
+    }
+    await runQuery('UPDATE trade_agreements SET subtotal = total_amount, discount_total = 0, tax_total = 0, duty_total = 0');
+  },
+
+  async down({ runQuery }) {
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN duty_total');
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN tax_total');
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN discount_total');
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN subtotal');
+    await runQuery('DROP TABLE IF EXISTS invoice_line_items');
+    await runQuery('DROP TABLE IF EXISTS shipment_line_items');
+    await runQuery('DROP TABLE IF EXISTS trade_agreement_line_items');
+  }
+};
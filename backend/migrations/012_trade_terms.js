@@ -0,0 +1,53 @@
+// Structured delivery and payment terms: the Incoterms 2020 rule and named place, the payment
+// plan as JSON, and the payment schedule computed from it when the agreement is activated.
+// Existing free-text terms are kept and, where they can be read, parsed into the new columns.
+const INCOTERMS = ['EXW', 'FCA', 'CPT', 'CIP', 'DAP', 'DPU', 'DDP', 'FAS', 'FOB', 'CFR', 'CIF'];
+
+module.exports = {
+  async up({ runQuery, allQuery }) {
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN incoterm TEXT');
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN named_place TEXT');
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN payment_plan TEXT');
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS trade_agreement_payment_schedule (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_agreement_id INTEGER NOT NULL,
+      installment_number INTEGER NOT NULL,
+      label TEXT NOT NULL,
+      percent DECIMAL(7,4) NOT NULL,
+      amount DECIMAL(15,2) NOT NULL,
+      currency TEXT NOT NULL,
+      payment_trigger TEXT NOT NULL, -- 'activation', 'shipment', 'delivery'
+      offset_days INTEGER NOT NULL DEFAULT 0,
+      trigger_date TEXT, -- YYYY-MM-DD, set when the trigger happens
+      due_date TEXT, -- YYYY-MM-DD
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (trade_agreement_id, installment_number),
+      FOREIGN KEY (trade_agreement_id) REFERENCES trade_agreements (id)
+    )`);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_payment_schedule_due ON trade_agreement_payment_schedule (due_date)');
+
+    const agreements = await allQuery('SELECT id, delivery_terms, payment_terms FROM trade_agreements');
+    for (const agreement of agreements) {
+      const [rule, ...place] = (agreement.delivery_terms || '').trim().split(/\s+/);
+      const incoterm = INCOTERMS.includes(rule.toUpperCase()) ? rule.toUpperCase() : null;
+
+      const net = /^(?:net\s*)?(\d{1,3})(?:\s*days?)?$/i.exec((agreement.payment_terms || '').trim());
+      const plan = net
+        ? JSON.stringify({ advancePercent: 0, balance: 'net', netDays: Number(net[1]), netFrom: 'delivery' })
+        : null;
+
+      await runQuery(
+        'UPDATE trade_agreements SET incoterm = ?, named_place = ?, payment_plan = ? WHERE id = ?',
+        [incoterm, incoterm && place.length ? place.join(' ') : null, plan, agreement.id]
+      );
+    }
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS trade_agreement_payment_schedule');
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN payment_plan');
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN named_place');
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN incoterm');
+  }
+};
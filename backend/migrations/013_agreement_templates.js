@@ -0,0 +1,54 @@
+// Organizations - named groups of users - and reusable trade agreement templates, owned by a
+// user and optionally shared with one of their organizations.
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS organizations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      created_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users (id)
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS organization_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      organization_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL DEFAULT 'member', -- 'owner', 'member'
+      added_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (organization_id, user_id),
+      FOREIGN KEY (organization_id) REFERENCES organizations (id),
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members (user_id)');
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS trade_agreement_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL,
+      organization_id INTEGER, -- shared with this organization's members
+      name TEXT NOT NULL,
+      description TEXT,
+      fields TEXT NOT NULL, -- JSON of agreement fields, strings may hold {{placeholders}}
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id),
+      FOREIGN KEY (organization_id) REFERENCES organizations (id)
+    )`);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_agreement_templates_user ON trade_agreement_templates (user_id)');
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_agreement_templates_org ON trade_agreement_templates (organization_id)');
+
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN template_id INTEGER');
+    await runQuery('ALTER TABLE trade_agreements ADD COLUMN cloned_from_id INTEGER');
+  },
+
+  async down({ runQuery }) {
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN cloned_from_id');
+    await runQuery('ALTER TABLE trade_agreements DROP COLUMN template_id');
+    await runQuery('DROP TABLE IF EXISTS trade_agreement_templates');
+    await runQuery('DROP TABLE IF EXISTS organization_members');
+    await runQuery('DROP TABLE IF EXISTS organizations');
+  }
+};
@@ -0,0 +1,31 @@
+// Bulk imports of trade agreements, shipments or invoices from CSV or XLSX: one row per upload,
+// dry run or committed, with its row-level errors for the downloadable error report.
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS import_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL,
+      import_type TEXT NOT NULL, -- 'trade_agreements', 'shipments', 'invoices'
+      file_name TEXT NOT NULL,
+      file_format TEXT NOT NULL, -- 'csv', 'xlsx'
+      dry_run INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'processing', -- 'processing', 'validated', 'invalid', 'completed', 'failed'
+      total_rows INTEGER NOT NULL DEFAULT 0,
+      imported_rows INTEGER NOT NULL DEFAULT 0,
+      error_count INTEGER NOT NULL DEFAULT 0,
+      column_map TEXT, -- JSON: each header and the field it maps to
+      errors TEXT, -- JSON: { row, column, field, code, message }
+      rejected_rows TEXT, -- JSON: { row, cells } as uploaded, for the error report
+      results TEXT, -- JSON: { row, id, uuid } of each record created
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    )`);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_import_jobs_user ON import_jobs (user_id)');
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS import_jobs');
+  }
+};
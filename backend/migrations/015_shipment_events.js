@@ -0,0 +1,63 @@
+// A shipment's tracking history: dated events with a location, where its status now comes from.
+// Existing shipments get a 'CREATED' event, and one for their current status if they have moved on.
+const { v4: uuidv4 } = require('uuid');
+
+const STATUS_EVENT_CODES = {
+  in_transit: 'DEPARTED',
+  delivered: 'DELIVERED',
+  delayed: 'DELAYED',
+  cancelled: 'CANCELLED'
+};
+
+// sqlite's CURRENT_TIMESTAMP text is UTC without a zone; postgres gives a Date
+function isoTimestamp(value) {
+  if (!value) {
+    return new Date().toISOString();
+  }
+  return value instanceof Date ? value.toISOString() : new Date(`${String(value).replace(' ', 'T')}Z`).toISOString();
+}
+
+module.exports = {
+  async up({ runQuery, allQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS shipment_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      shipment_id INTEGER NOT NULL,
+      event_code TEXT NOT NULL, -- see SHIPMENT_EVENT_CODES in services/shipmentEvents.js
+      description TEXT NOT NULL,
+      location TEXT,
+      occurred_at TEXT NOT NULL, -- ISO 8601 UTC, when it happened rather than when it was recorded
+      source TEXT NOT NULL DEFAULT 'manual', -- 'manual', 'system', 'carrier'
+      recorded_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (shipment_id) REFERENCES shipments (id),
+      FOREIGN KEY (recorded_by) REFERENCES users (id)
+    )`);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_shipment_events_shipment ON shipment_events (shipment_id, occurred_at)');
+
+    const shipments = await allQuery('SELECT id, status, origin, created_at, updated_at FROM shipments ORDER BY id');
+
+    for (const shipment of shipments) {
+      await runQuery(
+        `INSERT INTO shipment_events (uuid, shipment_id, event_code, description, location, occurred_at, source)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), shipment.id, 'CREATED', 'Shipment created', shipment.origin, isoTimestamp(shipment.created_at), 'system']
+      );
+
+      if (STATUS_EVENT_CODES[shipment.status]) {
+        await runQuery(
+          `INSERT INTO shipment_events (uuid, shipment_id, event_code, description, occurred_at, source)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            uuidv4(), shipment.id, STATUS_EVENT_CODES[shipment.status],
+            `Status set to ${shipment.status.replace('_', ' ')}`, isoTimestamp(shipment.updated_at), 'system'
+          ]
+        );
+      }
+    }
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS shipment_events');
+  }
+};
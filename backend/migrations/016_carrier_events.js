@@ -0,0 +1,17 @@
+// Shipment events pushed by carriers: the carrier and its own event ID, so a delivery that is
+// sent again is recognised and only recorded once.
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery('ALTER TABLE shipment_events ADD COLUMN carrier TEXT');
+    await runQuery('ALTER TABLE shipment_events ADD COLUMN external_id TEXT');
+    await runQuery(
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_shipment_events_external ON shipment_events (carrier, external_id)'
+    );
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP INDEX IF EXISTS idx_shipment_events_external');
+    await runQuery('ALTER TABLE shipment_events DROP COLUMN external_id');
+    await runQuery('ALTER TABLE shipment_events DROP COLUMN carrier');
+  }
+};
@@ -0,0 +1,24 @@
+// Delays found by the shipment delay check: why the shipment was flagged and the DELAYED event it
+// put on the timeline. The key makes each finding (this ETA, this silence, this milestone) one
+// alert however often the check runs.
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS shipment_delay_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      shipment_id INTEGER NOT NULL,
+      reason TEXT NOT NULL, -- 'eta_passed', 'no_updates', 'missed_milestone'
+      detail TEXT NOT NULL,
+      alert_key TEXT UNIQUE NOT NULL,
+      shipment_event_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (shipment_id) REFERENCES shipments (id),
+      FOREIGN KEY (shipment_event_id) REFERENCES shipment_events (id)
+    )`);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_shipment_delay_alerts_shipment ON shipment_delay_alerts (shipment_id)');
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS shipment_delay_alerts');
+  }
+};
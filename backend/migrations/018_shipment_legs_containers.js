@@ -0,0 +1,94 @@
+// The route a shipment takes as legs (truck to the port, vessel, truck on) and the containers it
+// travels in. Events can name the leg they belong to. Existing shipments get one leg from their
+// origin to their destination, departed when their first moving event happened.
+const { v4: uuidv4 } = require('uuid');
+
+const MOVING_EVENT_CODES = ['PICKED_UP', 'GATE_IN', 'LOADED', 'DEPARTED'];
+
+// Dates stored before now may be sqlite CURRENT_TIMESTAMP text (UTC, no zone), epoch
+// milliseconds or, on postgres, a Date
+function isoTimestamp(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value instanceof Date || typeof value === 'number' || /^\d+$/.test(String(value))) {
+    return new Date(Number(value instanceof Date ? value.getTime() : value)).toISOString();
+  }
+  const text = String(value);
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`).toISOString();
+}
+
+module.exports = {
+  async up({ runQuery, allQuery, getQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS shipment_legs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      shipment_id INTEGER NOT NULL,
+      leg_number INTEGER NOT NULL, -- 1 for the first leg
+      mode TEXT, -- 'truck', 'rail', 'sea', 'air', 'barge'; unknown for legs made from older shipments
+      carrier TEXT,
+      tracking_reference TEXT, -- the carrier's reference for this leg: booking, B/L, AWB, CMR
+      origin TEXT NOT NULL,
+      destination TEXT NOT NULL,
+      planned_departure TEXT, -- ISO 8601 UTC, as are the other times
+      planned_arrival TEXT,
+      actual_departure TEXT,
+      actual_arrival TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (shipment_id, leg_number),
+      FOREIGN KEY (shipment_id) REFERENCES shipments (id)
+    )`);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_shipment_legs_reference ON shipment_legs (tracking_reference)');
+
+    // A container is reused across many shipments, so its number is not unique here
+    await runQuery(`CREATE TABLE IF NOT EXISTS shipment_containers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      shipment_id INTEGER NOT NULL,
+      container_number TEXT NOT NULL, -- ISO 6346, e.g. MSCU1234565
+      seal_number TEXT,
+      weight_kg DECIMAL(12,2), -- gross weight
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (shipment_id) REFERENCES shipments (id)
+    )`);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_shipment_containers_shipment ON shipment_containers (shipment_id)');
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_shipment_containers_number ON shipment_containers (container_number)');
+
+    await runQuery('ALTER TABLE shipment_events ADD COLUMN leg_id INTEGER');
+
+    const shipments = await allQuery(
+      'SELECT id, tracking_number, carrier, origin, destination, status, estimated_delivery, actual_delivery FROM shipments ORDER BY id'
+    );
+
+    for (const shipment of shipments) {
+      const departed = await getQuery(
+        `SELECT occurred_at FROM shipment_events WHERE shipment_id = ? AND event_code IN (${MOVING_EVENT_CODES.map(() => '?').join(', ')})
+         ORDER BY occurred_at, id LIMIT 1`,
+        [shipment.id, ...MOVING_EVENT_CODES]
+      );
+      const arrived = shipment.status === 'delivered'
+        ? isoTimestamp(shipment.actual_delivery)
+        : null;
+
+      const leg = await runQuery(
+        `INSERT INTO shipment_legs
+         (uuid, shipment_id, leg_number, carrier, tracking_reference, origin, destination, planned_arrival,
+          actual_departure, actual_arrival)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          uuidv4(), shipment.id, 1, shipment.carrier, shipment.tracking_number, shipment.origin, shipment.destination,
+          isoTimestamp(shipment.estimated_delivery), departed ? departed.occurred_at : arrived, arrived
+        ]
+      );
+      await runQuery('UPDATE shipment_events SET leg_id = ? WHERE shipment_id = ?', [leg.id, shipment.id]);
+    }
+  },
+
+  async down({ runQuery }) {
+    await runQuery('ALTER TABLE shipment_events DROP COLUMN leg_id');
+    await runQuery('DROP TABLE IF EXISTS shipment_containers');
+    await runQuery('DROP TABLE IF EXISTS shipment_legs');
+  }
+};
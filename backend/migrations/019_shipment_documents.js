@@ -0,0 +1,46 @@
+// Shipping documents per shipment - bill of lading, commercial invoice, packing list, certificate
+// of origin, insurance certificate - one of each type, with every uploaded file kept as a
+// numbered version with its SHA-256 and uploader.
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS shipment_documents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      shipment_id INTEGER NOT NULL,
+      document_type TEXT NOT NULL, -- see DOCUMENT_TYPES in services/shipmentDocuments.js
+      document_number TEXT, -- the number printed on it, e.g. the B/L number
+      status TEXT NOT NULL DEFAULT 'draft', -- 'draft', 'issued', 'surrendered'
+      current_version INTEGER NOT NULL,
+      created_by INTEGER NOT NULL,
+      issued_at TEXT, -- ISO 8601 UTC
+      surrendered_at TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (shipment_id, document_type),
+      FOREIGN KEY (shipment_id) REFERENCES shipments (id),
+      FOREIGN KEY (created_by) REFERENCES users (id)
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS shipment_document_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      document_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      file_name TEXT NOT NULL, -- relative to SHIPMENT_DOCUMENTS_PATH
+      original_name TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      file_size INTEGER NOT NULL,
+      sha256 TEXT NOT NULL,
+      uploaded_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (document_id, version),
+      FOREIGN KEY (document_id) REFERENCES shipment_documents (id),
+      FOREIGN KEY (uploaded_by) REFERENCES users (id)
+    )`);
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS shipment_document_versions');
+    await runQuery('DROP TABLE IF EXISTS shipment_documents');
+  }
+};
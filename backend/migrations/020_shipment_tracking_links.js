@@ -0,0 +1,37 @@
+// Public tracking links a shipment's owner shares with people outside the platform, e.g. the
+// consignee's warehouse. Only a hash of each link's token is stored, and every use of a link is
+// logged.
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(`CREATE TABLE IF NOT EXISTS shipment_tracking_links (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      shipment_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL, -- SHA-256 of the token in the link
+      label TEXT, -- who the link was given to
+      expires_at TEXT NOT NULL, -- ISO 8601 UTC
+      revoked_at TEXT,
+      created_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (shipment_id) REFERENCES shipments (id),
+      FOREIGN KEY (created_by) REFERENCES users (id)
+    )`);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_shipment_tracking_links_shipment ON shipment_tracking_links (shipment_id)');
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS shipment_tracking_link_views (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      link_id INTEGER NOT NULL,
+      outcome TEXT NOT NULL, -- 'viewed', or 'expired' / 'revoked' when it was refused
+      ip_address TEXT,
+      user_agent TEXT,
+      viewed_at TEXT NOT NULL, -- ISO 8601 UTC
+      FOREIGN KEY (link_id) REFERENCES shipment_tracking_links (id)
+    )`);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_shipment_tracking_link_views_link ON shipment_tracking_link_views (link_id)');
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS shipment_tracking_link_views');
+    await runQuery('DROP TABLE IF EXISTS shipment_tracking_links');
+  }
+};
@@ -0,0 +1,36 @@
+// Registry codes (see services/locations.js) beside the free-text shipment, leg and event
+// locations, so routes can be drawn. Existing rows get the code their text resolves to, if any.
+const { resolveLocation } = require('../services/locations');
+
+const LOCATION_COLUMNS = [
+  { table: 'shipments', text: 'origin', code: 'origin_code' },
+  { table: 'shipments', text: 'destination', code: 'destination_code' },
+  { table: 'shipment_legs', text: 'origin', code: 'origin_code' },
+  { table: 'shipment_legs', text: 'destination', code: 'destination_code' },
+  { table: 'shipment_events', text: 'location', code: 'location_code' }
+];
+
+module.exports = {
+  async up({ runQuery, allQuery }) {
+    for (const { table, code } of LOCATION_COLUMNS) {
+      await runQuery(`ALTER TABLE ${table} ADD COLUMN ${code} TEXT`);
+    }
+
+    for (const { table, text, code } of LOCATION_COLUMNS) {
+      const values = await allQuery(`SELECT DISTINCT ${text} as value FROM ${table} WHERE ${text} IS NOT NULL`);
+
+      for (const { value } of values) {
+        const location = resolveLocation(value);
+        if (location) {
+          await runQuery(`UPDATE ${table} SET ${code} = ? WHERE ${text} = ?`, [location.code, value]);
+        }
+      }
+    }
+  },
+
+  async down({ runQuery }) {
+    for (const { table, code } of [...LOCATION_COLUMNS].reverse()) {
+      await runQuery(`ALTER TABLE ${table} DROP COLUMN ${code}`);
+    }
+  }
+};
@@ -0,0 +1,45 @@
+// Human review of the fields read from uploaded invoices. Each review keeps, per field, what was
+// extracted and what the reviewer confirmed, so extraction accuracy can be measured. Invoices
+// uploaded before this that are still pending wait for a review like new uploads.
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery('ALTER TABLE invoices ADD COLUMN review_status TEXT'); // 'awaiting_review' / 'reviewed'
+    await runQuery(
+      `UPDATE invoices SET review_status = 'awaiting_review'
+       WHERE extracted_data IS NOT NULL AND status = 'pending'`
+    );
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS invoice_reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      uuid TEXT UNIQUE NOT NULL,
+      invoice_id INTEGER UNIQUE NOT NULL,
+      reviewer_id INTEGER NOT NULL,
+      decision TEXT NOT NULL, -- 'approved' or 'rejected'
+      extraction_method TEXT, -- 'pdf-text', 'ocr' or 'none'
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (invoice_id) REFERENCES invoices (id),
+      FOREIGN KEY (reviewer_id) REFERENCES users (id)
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS invoice_review_fields (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      review_id INTEGER NOT NULL,
+      field TEXT NOT NULL, -- e.g. 'totalAmount', or 'lineItems'
+      extracted_value TEXT, -- JSON
+      extracted_confidence REAL,
+      flagged INTEGER NOT NULL DEFAULT 0, -- 1 when extraction listed it for review
+      reviewed_value TEXT, -- JSON
+      corrected INTEGER NOT NULL DEFAULT 0, -- 1 when the reviewer changed it
+      FOREIGN KEY (review_id) REFERENCES invoice_reviews (id)
+    )`);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_invoice_review_fields_review ON invoice_review_fields (review_id)');
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_invoice_review_fields_field ON invoice_review_fields (field)');
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS invoice_review_fields');
+    await runQuery('DROP TABLE IF EXISTS invoice_reviews');
+    await runQuery('ALTER TABLE invoices DROP COLUMN review_status');
+  }
+};
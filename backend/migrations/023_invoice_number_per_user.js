@@ -0,0 +1,37 @@
+// Invoice numbers are the issuer's, so two customers can hold invoices with the same number;
+// they only have to be unique within each user's invoices. SQLite cannot drop a column's UNIQUE
+// constraint, so there the table is rebuilt from its own definition without it.
+
+async function rebuildSqliteInvoices({ runQuery, getQuery }, fromDefinition, toDefinition) {
+  const { sql } = await getQuery("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'invoices'");
+  if (!sql.includes(fromDefinition)) {
+    throw new Error(`invoices.invoice_number is not declared as "${fromDefinition}"`);
+  }
+
+  await runQuery(sql.replace(/^CREATE TABLE (IF NOT EXISTS )?"?invoices"?/, 'CREATE TABLE invoices_rebuilt').replace(fromDefinition, toDefinition));
+  await runQuery('INSERT INTO invoices_rebuilt SELECT * FROM invoices');
+  await runQuery('DROP TABLE invoices');
+  await runQuery('ALTER TABLE invoices_rebuilt RENAME TO invoices');
+}
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      await db.runQuery('ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_invoice_number_key');
+    } else {
+      await rebuildSqliteInvoices(db, 'invoice_number TEXT UNIQUE NOT NULL', 'invoice_number TEXT NOT NULL');
+    }
+
+    await db.runQuery('CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_user_number ON invoices (user_id, invoice_number)');
+  },
+
+  async down(db) {
+    await db.runQuery('DROP INDEX IF EXISTS idx_invoices_user_number');
+
+    if (db.dialect === 'postgres') {
+      await db.runQuery('ALTER TABLE invoices ADD CONSTRAINT invoices_invoice_number_key UNIQUE (invoice_number)');
+    } else {
+      await rebuildSqliteInvoices(db, 'invoice_number TEXT NOT NULL', 'invoice_number TEXT UNIQUE NOT NULL');
+    }
+  }
+};
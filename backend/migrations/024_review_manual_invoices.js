@@ -0,0 +1,19 @@
+// Invoices entered by hand are reviewed like uploads. Those created before that, and not yet paid
+// or rejected, join the review queue; ones their owners approved themselves go back to pending.
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery(
+      `UPDATE invoices SET review_status = 'awaiting_review',
+       status = CASE WHEN status = 'approved' THEN 'pending' ELSE status END
+       WHERE review_status IS NULL AND status NOT IN ('paid', 'rejected')`
+    );
+  },
+
+  // Which invoices were self-approved is not kept, so they stay pending
+  async down({ runQuery }) {
+    await runQuery(
+      `UPDATE invoices SET review_status = NULL
+       WHERE review_status = 'awaiting_review' AND extracted_data IS NULL`
+    );
+  }
+};
@@ -0,0 +1,13 @@
+// Cancelling an agreement with funded escrow needs the seller's consent: the other party's cancel
+// is kept as a request on the escrow until the seller cancels too.
+module.exports = {
+  async up({ runQuery }) {
+    await runQuery('ALTER TABLE escrows ADD COLUMN refund_requested_by INTEGER');
+    await runQuery('ALTER TABLE escrows ADD COLUMN refund_requested_at DATETIME');
+  },
+
+  async down({ runQuery }) {
+    await runQuery('ALTER TABLE escrows DROP COLUMN refund_requested_at');
+    await runQuery('ALTER TABLE escrows DROP COLUMN refund_requested_by');
+  }
+};
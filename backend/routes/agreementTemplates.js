@@ -0,0 +1,276 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
+const database = require('../config/database');
+const {
+  TEMPLATE_FIELDS, VISIBLE_TEMPLATES, templatePlaceholders, applyOverrides, agreementFields, getTemplate, canEditTemplate
+} = require('../services/agreementTemplates');
+const { getMembershipRole } = require('../services/organizations');
+const { getParticipantAgreement } = require('../services/participants');
+const { listLineItems } = require('../services/lineItems');
+
+const { runQuery, allQuery, withTransaction } = database;
+
+const router = express.Router();
+
+// Validation schemas
+// Template fields are create-agreement fields whose strings may hold {{placeholders}}; they are
+// validated when an agreement is created from the template
+const templateFieldsSchema = Joi.object(Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, Joi.any()]))).min(1);
+
+// A template starts from the given fields, an agreement the user is a party to, or both
+const createTemplateSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(500).allow('').optional(),
+  organizationId: Joi.number().integer().allow(null).optional(),
+  agreementId: Joi.number().integer().optional(),
+  agreement: templateFieldsSchema.optional()
+}).or('agreement', 'agreementId');
+
+const updateTemplateSchema = Joi.object({
+  name: Joi.string().min(2).max(100).optional(),
+  description: Joi.string().max(500).allow('').optional(),
+  organizationId: Joi.number().integer().allow(null).optional(),
+  agreement: templateFieldsSchema.optional()
+}).min(1);
+
+function formatTemplate(template, canEdit) {
+  return {
+    id: template.id,
+    uuid: template.uuid,
+    name: template.name,
+    description: template.description,
+    ownerEmail: template.owner_email,
+    organizationId: template.organization_id,
+    organizationName: template.organization_name,
+    fields: template.fields,
+    placeholders: templatePlaceholders(template.fields),
+    canEdit,
+    createdAt: template.created_at,
+    updatedAt: template.updated_at
+  };
+}
+
+// Sharing with an organization needs the user to be one of its members
+async function checkOrganization(res, organizationId, userId) {
+  if (organizationId && !await getMembershipRole(database, organizationId, userId)) {
+    res.status(403).json({
+      error: 'You can only share templates with organizations you belong to',
+      code: 'NOT_A_MEMBER'
+    });
+    return false;
+  }
+  return true;
+}
+
+// Get the templates the user created or that are shared with their organizations
+router.get('/', async (req, res) => {
+  try {
+    const templates = await allQuery(
+      `SELECT t.*, u.email as owner_email, o.name as organization_name
+       FROM trade_agreement_templates t
+       JOIN users u ON u.id = t.user_id
+       LEFT JOIN organizations o ON o.id = t.organization_id
+       WHERE ${VISIBLE_TEMPLATES}
+       ORDER BY t.name`,
+      [req.user.id, req.user.id]
+    );
+
+    const formatted = [];
+    for (const template of templates) {
+      const parsed = { ...template, fields: JSON.parse(template.fields) };
+      formatted.push(formatTemplate(parsed, await canEditTemplate(database, parsed, req.user.id)));
+    }
+
+    res.json({
+      templates: formatted
+    });
+
+  } catch (error) {
+    console.error('Get agreement templates error:', error);
+    res.status(500).json({
+      error: 'Failed to get agreement templates',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Get a single template
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await getTemplate(database, req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      template: formatTemplate(template, await canEditTemplate(database, template, req.user.id))
+    });
+
+  } catch (error) {
+    console.error('Get agreement template error:', error);
+    res.status(500).json({
+      error: 'Failed to get agreement template',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Save a template, from fields or from an agreement (creator, buyer or seller)
+router.post('/', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (!await checkOrganization(res, value.organizationId, req.user.id)) {
+      return;
+    }
+
+    let fields = value.agreement || {};
+
+    if (value.agreementId) {
+      const agreement = await getParticipantAgreement(database, value.agreementId, req.user.id);
+
+      if (!agreement || !agreement.roles.some(role => role !== 'observer')) {
+        return res.status(404).json({
+          error: 'Trade agreement not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      fields = applyOverrides(agreementFields(agreement, await listLineItems(database, agreement.id)), fields);
+    }
+
+    const result = await runQuery(
+      `INSERT INTO trade_agreement_templates (uuid, user_id, organization_id, name, description, fields)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), req.user.id, value.organizationId || null, value.name, value.description || null, JSON.stringify(fields)]
+    );
+
+    const template = await getTemplate(database, result.id, req.user.id);
+
+    res.status(201).json({
+      message: 'Template saved',
+      template: formatTemplate(template, true)
+    });
+
+  } catch (error) {
+    console.error('Create agreement template error:', error);
+    res.status(500).json({
+      error: 'Failed to save agreement template',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Update a template; `agreement` replaces its fields and organizationId null stops sharing it
+router.put('/:id', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = updateTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const template = await getTemplate(database, req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!await canEditTemplate(database, template, req.user.id)) {
+      return res.status(403).json({
+        error: 'Only its creator or an organization owner can change this template',
+        code: 'NOT_TEMPLATE_OWNER'
+      });
+    }
+
+    if (!await checkOrganization(res, value.organizationId, req.user.id)) {
+      return;
+    }
+
+    const columns = {
+      name: value.name,
+      description: value.description,
+      organization_id: value.organizationId,
+      fields: value.agreement ? JSON.stringify(value.agreement) : undefined
+    };
+    const updates = Object.keys(columns).filter(column => columns[column] !== undefined);
+
+    await runQuery(
+      `UPDATE trade_agreement_templates SET ${updates.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...updates.map(column => columns[column]), template.id]
+    );
+
+    // An organization owner who unshares someone else's template no longer sees it
+    const updated = await getTemplate(database, template.id, req.user.id);
+
+    res.json({
+      message: 'Template updated',
+      template: updated ? formatTemplate(updated, true) : null
+    });
+
+  } catch (error) {
+    console.error('Update agreement template error:', error);
+    res.status(500).json({
+      error: 'Failed to update agreement template',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete a template. Agreements created from it keep their terms.
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await getTemplate(database, req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!await canEditTemplate(database, template, req.user.id)) {
+      return res.status(403).json({
+        error: 'Only its creator or an organization owner can delete this template',
+        code: 'NOT_TEMPLATE_OWNER'
+      });
+    }
+
+    await withTransaction(async (tx) => {
+      await tx.runQuery('UPDATE trade_agreements SET template_id = NULL WHERE template_id = ?', [template.id]);
+      await tx.runQuery('DELETE FROM trade_agreement_templates WHERE id = ?', [template.id]);
+    });
+
+    res.json({
+      message: 'Template deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete agreement template error:', error);
+    res.status(500).json({
+      error: 'Failed to delete agreement template',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
-const { runQuery, getQuery } = require('../config/database');
+const { runQuery, getQuery, withTransaction } = require('../config/database');
+const { getWalletAccount, getSystemAccount, postJournalEntry } = require('../services/ledger');
 const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
 
 const router = express.Router();
@@ -53,29 +54,34 @@ router.post('/register', async (req, res) => {
     // Generate UUID
     const userUuid = uuidv4();
 
-    // Create user
-    const result = await runQuery(
-      `INSERT INTO users (uuid, email, password_hash, first_name, last_name, company, phone, country, verification_status) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [userUuid, email, passwordHash, firstName, lastName, company, phone, country, 'pending']
-    );
+    // The user, their wallet and their first session are created together
+    const { result, token, refreshToken } = await withTransaction(async (tx) => {
+      // Create user
+      const result = await tx.runQuery(
+        `INSERT INTO users (uuid, email, password_hash, first_name, last_name, company, phone, country, verification_status) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userUuid, email, passwordHash, firstName, lastName, company, phone, country, 'pending']
+      );
 
-    // Create default wallet
-    const walletUuid = uuidv4();
-    await runQuery(
-      'INSERT INTO wallets (uuid, user_id, currency, balance) VALUES (?, ?, ?, ?)',
-      [walletUuid, result.id, 'USD', 0.00]
-    );
+      // Create default wallet
+      const walletUuid = uuidv4();
+      await tx.runQuery(
+        'INSERT INTO wallets (uuid, user_id, currency, balance) VALUES (?, ?, ?, ?)',
+        [walletUuid, result.id, 'USD', 0.00]
+      );
 
-    // Generate tokens
-    const token = generateToken(result.id, email);
-    const refreshToken = generateRefreshToken(result.id);
+      // Generate tokens
+      const token = generateToken(result.id, email);
+      const refreshToken = generateRefreshToken(result.id);
 
-    // Store refresh token
-    await runQuery(
-      'INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
-      [result.id, refreshToken, new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)]
-    );
+      // Store refresh token
+      await tx.runQuery(
+        'INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+        [result.id, refreshToken, new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)]
+      );
+
+      return { result, token, refreshToken };
+    });
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -332,18 +338,34 @@ router.post('/demo-login', async (req, res) => {
       const userUuid = uuidv4();
       const passwordHash = await bcrypt.hash('demo123', 12);
       
-      const result = await runQuery(
-        `INSERT INTO users (uuid, email, password_hash, first_name, last_name, company, phone, country, verification_status) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [userUuid, email, passwordHash, 'Demo', 'User', 'Demo Company', '+234-000-000-0000', 'Nigeria', 'verified']
-      );
-
-      // Create default wallet
-      const walletUuid = uuidv4();
-      await runQuery(
-        'INSERT INTO wallets (uuid, user_id, currency, balance) VALUES (?, ?, ?, ?)',
-        [walletUuid, result.id, 'USD', 10000.00]
-      );
+      const result = await withTransaction(async (tx) => {
+        const result = await tx.runQuery(
+          `INSERT INTO users (uuid, email, password_hash, first_name, last_name, company, phone, country, verification_status) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [userUuid, email, passwordHash, 'Demo', 'User', 'Demo Company', '+234-000-000-0000', 'Nigeria', 'verified']
+        );
+
+        // Create default wallet and fund it through the ledger
+        const walletUuid = uuidv4();
+        const walletResult = await tx.runQuery(
+          'INSERT INTO wallets (uuid, user_id, currency, balance) VALUES (?, ?, ?, ?)',
+          [walletUuid, result.id, 'USD', 0.00]
+        );
+
+        const walletAccount = await getWalletAccount(tx, { id: walletResult.id, uuid: walletUuid, currency: 'USD' });
+        const fundingAccount = await getSystemAccount(tx, 'funding', 'USD');
+        await postJournalEntry(tx, {
+          entryType: 'deposit',
+          description: 'Demo account funding',
+          createdBy: result.id,
+          lines: [
+            { accountId: fundingAccount.id, direction: 'debit', amount: 10000.00, currency: 'USD' },
+            { accountId: walletAccount.id, direction: 'credit', amount: 10000.00, currency: 'USD' }
+          ]
+        });
+
+        return result;
+      });
 
       user = {
         id: result.id,
@@ -0,0 +1,128 @@
+const express = require('express');
+const Joi = require('joi');
+const database = require('../config/database');
+const { requireAdmin } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const { FX_SPREAD_BPS, listRates, setRates, createQuote } = require('../services/fx');
+
+const router = express.Router();
+
+// Validation schemas
+const currencySchema = Joi.string().uppercase().pattern(/^[A-Z]{3,5}$/);
+
+const setRatesSchema = Joi.object({
+  rates: Joi.object().pattern(currencySchema, Joi.number().positive()).min(1).required()
+});
+
+const createQuoteSchema = Joi.object({
+  fromCurrency: currencySchema.required(),
+  toCurrency: currencySchema.required(),
+  fromAmount: Joi.number().positive(),
+  toAmount: Joi.number().positive()
+}).xor('fromAmount', 'toAmount');
+
+function formatQuote(quote) {
+  return {
+    id: quote.uuid,
+    fromCurrency: quote.from_currency,
+    toCurrency: quote.to_currency,
+    fromAmount: quote.from_amount,
+    toAmount: quote.to_amount,
+    rate: quote.rate,
+    midRate: quote.mid_rate,
+    spreadBps: quote.spread_bps,
+    expiresAt: quote.expires_at,
+    usedAt: quote.used_at,
+    createdAt: quote.created_at
+  };
+}
+
+// Get current mid-market rates (units per USD)
+router.get('/rates', async (req, res) => {
+  try {
+    const rates = await listRates(database);
+
+    res.json({
+      base: 'USD',
+      spreadBps: FX_SPREAD_BPS,
+      rates: rates.map(rate => ({
+        currency: rate.currency,
+        unitsPerUsd: rate.units_per_usd,
+        source: rate.source,
+        updatedAt: rate.updated_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get FX rates error:', error);
+    res.status(500).json({
+      error: 'Failed to get FX rates',
+      code: 'RATES_ERROR'
+    });
+  }
+});
+
+// Update rates (admin only)
+router.put('/rates', requireAdmin, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = setRatesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const updated = await setRates(database, value.rates, `admin:${req.user.email}`);
+
+    res.json({
+      message: 'FX rates updated successfully',
+      updated
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Update FX rates error:', error);
+    res.status(500).json({
+      error: 'Failed to update FX rates',
+      code: 'RATES_ERROR'
+    });
+  }
+});
+
+// Quote a conversion; the rate is locked until the quote expires
+router.post('/quotes', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createQuoteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const quote = await createQuote(database, { userId: req.user.id, ...value });
+
+    res.status(201).json({
+      quote: formatQuote(quote)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Create FX quote error:', error);
+    res.status(500).json({
+      error: 'Failed to create quote',
+      code: 'QUOTE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+const express = require('express');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
+const database = require('../config/database');
+const { createNotification } = require('../services/notifications');
+const { sendInvitation } = require('../services/participants');
+const {
+  IMPORT_TYPES, importFields, fileFormat, readSheet, mapColumns, runImport, errorReport
+} = require('../services/imports');
+const { AppError } = require('../middleware/errorHandler');
+
+const { runQuery, getQuery, allQuery } = database;
+
+const router = express.Router();
+
+// Imports are parsed in memory and not kept
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Validation schemas
+// Multipart fields: dryRun reports without importing; mapping is JSON of header -> field for
+// headers that do not match a field name
+const importSchema = Joi.object({
+  type: Joi.string().valid(...Object.keys(IMPORT_TYPES)).required(),
+  dryRun: Joi.boolean().default(false),
+  mapping: Joi.string().optional()
+});
+
+const mappingSchema = Joi.object().pattern(Joi.string(), Joi.string()).messages({
+  'object.base': 'mapping must be a JSON object of column header to field name'
+});
+
+function formatJob(job, { details = false } = {}) {
+  const formatted = {
+    id: job.id,
+    uuid: job.uuid,
+    type: job.import_type,
+    fileName: job.file_name,
+    fileFormat: job.file_format,
+    dryRun: Boolean(job.dry_run),
+    status: job.status,
+    totalRows: job.total_rows,
+    importedRows: job.imported_rows,
+    errorCount: job.error_count,
+    errorReportUrl: job.error_count > 0 ? `/api/imports/${job.id}/error-report` : null,
+    createdAt: job.created_at,
+    completedAt: job.completed_at
+  };
+
+  if (details) {
+    formatted.columns = JSON.parse(job.column_map || '[]');
+    formatted.errors = JSON.parse(job.errors || '[]');
+    formatted.results = JSON.parse(job.results || '[]');
+  }
+
+  return formatted;
+}
+
+// The fields each import type's columns can map to
+router.get('/columns', (req, res) => {
+  res.json({
+    types: Object.fromEntries(Object.keys(IMPORT_TYPES).map(type => [type, importFields(type)]))
+  });
+});
+
+// Import a CSV or XLSX file (multipart field `file`); with dryRun=true nothing is saved
+router.post('/', upload.single('file'), async (req, res) => {
+  let job = null;
+
+  try {
+    // Validate input
+    const { error, value } = importSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        code: 'NO_FILE'
+      });
+    }
+
+    let mapping = {};
+    if (value.mapping) {
+      let mappingError;
+      try {
+        ({ error: mappingError, value: mapping } = mappingSchema.validate(JSON.parse(value.mapping)));
+      } catch (parseError) {
+        mappingError = { details: [{ message: 'mapping must be JSON' }] };
+      }
+      if (mappingError) {
+        return res.status(400).json({
+          error: mappingError.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+    }
+
+    const format = fileFormat(req.file.originalname);
+    const { headers, rows } = await readSheet(req.file.buffer, format);
+    const columns = mapColumns(value.type, headers, mapping);
+
+    const result = await runQuery(
+      `INSERT INTO import_jobs (uuid, user_id, import_type, file_name, file_format, dry_run, total_rows, column_map)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(), req.user.id, value.type, req.file.originalname, format, value.dryRun ? 1 : 0,
+        rows.length, JSON.stringify(columns)
+      ]
+    );
+    job = await getQuery('SELECT * FROM import_jobs WHERE id = ?', [result.id]);
+
+    const { errors, created } = await runImport(database, req.user, {
+      importType: value.type,
+      columns,
+      rows,
+      dryRun: value.dryRun
+    });
+
+    let status = 'completed';
+    if (errors.length > 0) {
+      status = 'invalid';
+    } else if (value.dryRun) {
+      status = 'validated';
+    }
+
+    const rejectedRows = rows.filter(({ row }) => errors.some(error => error.row === row));
+
+    await runQuery(
+      `UPDATE import_jobs SET status = ?, imported_rows = ?, error_count = ?, errors = ?, rejected_rows = ?,
+       results = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [
+        status, created.length, errors.length, JSON.stringify(errors), JSON.stringify(rejectedRows),
+        JSON.stringify(created.map(item => ({ row: item.row, id: item.record.id, uuid: item.record.uuid }))),
+        job.id
+      ]
+    );
+    job = await getQuery('SELECT * FROM import_jobs WHERE id = ?', [job.id]);
+
+    if (status === 'completed') {
+      for (const item of created) {
+        for (const participant of item.participants) {
+          await sendInvitation(participant, item.record, req.user.email);
+        }
+      }
+
+      await createNotification(database, {
+        userId: req.user.id,
+        type: 'system',
+        title: 'Import Completed',
+        message: `${created.length} ${value.type.replace('_', ' ')} imported from ${req.file.originalname}`,
+        metadata: { importJobId: job.id }
+      });
+    }
+
+    let message = `${created.length} rows imported`;
+    if (status === 'invalid') {
+      message = `${rejectedRows.length} of ${rows.length} rows have errors; ${value.dryRun ? 'this was a dry run' : 'nothing was imported'}`;
+    } else if (status === 'validated') {
+      message = `All ${rows.length} rows are valid; nothing was imported (dry run)`;
+    }
+
+    res.status(status === 'completed' ? 201 : 200).json({
+      message,
+      job: formatJob(job, { details: true }),
+      ignoredColumns: columns.filter(column => !column.field).map(column => column.header)
+    });
+
+  } catch (error) {
+    if (job) {
+      await runQuery(
+        "UPDATE import_jobs SET status = 'failed', completed_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [job.id]
+      ).catch(updateError => console.error('Mark import failed error:', updateError));
+    }
+
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Import error:', error);
+    res.status(500).json({
+      error: 'Failed to import file',
+      code: 'IMPORT_ERROR'
+    });
+  }
+});
+
+// Get the user's imports, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const jobs = await allQuery(
+      'SELECT * FROM import_jobs WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?',
+      [req.user.id, parseInt(limit), offset]
+    );
+
+    const totalResult = await getQuery(
+      'SELECT COUNT(*) as total FROM import_jobs WHERE user_id = ?',
+      [req.user.id]
+    );
+
+    res.json({
+      imports: jobs.map(job => formatJob(job)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalResult.total,
+        pages: Math.ceil(totalResult.total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({
+      error: 'Failed to get imports',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Get an import with its column mapping, row errors and the records it created
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getQuery(
+      'SELECT * FROM import_jobs WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Import not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      job: formatJob(job, { details: true })
+    });
+
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({
+      error: 'Failed to get import',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Download the rows that failed, with their errors, as CSV
+router.get('/:id/error-report', async (req, res) => {
+  try {
+    const job = await getQuery(
+      'SELECT * FROM import_jobs WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Import not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const fileName = `${job.file_name.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_')}-errors.csv`;
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(errorReport(job));
+
+  } catch (error) {
+    console.error('Get import error report error:', error);
+    res.status(500).json({
+      error: 'Failed to get import error report',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+module.exports = router;
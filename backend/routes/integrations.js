@@ -0,0 +1,52 @@
+const express = require('express');
+const database = require('../config/database');
+const { verifySignature, parseCarrierPayload, ingestCarrierEvents } = require('../services/carrierWebhooks');
+const { AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// The signature covers the exact bytes sent, so the body is read raw here rather than by the
+// app's JSON parser
+const rawBody = express.raw({ type: () => true, limit: '5mb' });
+
+// Tracking updates pushed by a carrier, signed with its webhook secret
+router.post('/carriers/:carrier/webhook', rawBody, async (req, res) => {
+  try {
+    const carrier = req.params.carrier.toLowerCase();
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    verifySignature(carrier, {
+      timestamp: req.get('X-Webhook-Timestamp'),
+      signature: req.get('X-Webhook-Signature')
+    }, body);
+
+    const { format, events } = parseCarrierPayload(req.get('Content-Type'), body);
+    const results = await ingestCarrierEvents(database, carrier, events);
+    const count = result => results.filter(item => item.result === result).length;
+
+    res.json({
+      carrier,
+      format,
+      received: results.length,
+      recorded: count('recorded'),
+      duplicates: count('duplicate'),
+      unmatched: count('unmatched'),
+      ignored: count('ignored'),
+      rejected: count('rejected'),
+      results
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Carrier webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to process carrier webhook',
+      code: 'WEBHOOK_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,31 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
-const { runQuery, getQuery, allQuery } = require('../config/database');
+const database = require('../config/database');
+const { createNotification } = require('../services/notifications');
+const { PARTICIPANT_AGREEMENT_IDS } = require('../services/participants');
+const { listAllocations, formatAllocation } = require('../services/lineItems');
+const { createInvoiceSchema, createInvoice } = require('../services/invoices');
+const { extractInvoiceData } = require('../services/invoiceExtraction');
+const {
+  reviewInvoiceSchema,
+  reviewQueueSchema,
+  reviewAccuracySchema,
+  assertReviewed,
+  assertUpdateAllowed,
+  getInvoiceForReview,
+  listReviewQueue,
+  getInvoiceReview,
+  submitInvoiceReview,
+  reviewAccuracy,
+  formatReviewView,
+  formatQueuedInvoice
+} = require('../services/invoiceReviews');
+const { requireAdmin } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
+
+const { runQuery, getQuery, allQuery, withTransaction } = database;
 
 const router = express.Router();
 
@@ -42,23 +66,16 @@ const upload = multer({
 });
 
 // Validation schemas
-const createInvoiceSchema = Joi.object({
-  tradeAgreementId: Joi.number().integer().optional(),
-  invoiceNumber: Joi.string().min(3).max(50).required(),
-  amount: Joi.number().positive().required(),
-  currency: Joi.string().length(3).default('USD'),
-  dueDate: Joi.date().optional()
-});
-
 const updateInvoiceSchema = Joi.object({
   invoiceNumber: Joi.string().min(3).max(50).optional(),
   amount: Joi.number().positive().optional(),
-  currency: Joi.string().length(3).optional(),
+  currency: Joi.string().uppercase().pattern(/^[A-Z]{3,5}$/).optional(),
   dueDate: Joi.date().optional(),
   status: Joi.string().valid('pending', 'approved', 'rejected', 'paid', 'overdue').optional()
 });
 
-// Upload invoice file
+// Upload an invoice file; its fields are read from the PDF and the invoice is stored with what
+// was found, awaiting review. Fields that most need checking are listed in extractedData.reviewFields.
 router.post('/upload', upload.single('invoice'), async (req, res) => {
   try {
     if (!req.file) {
@@ -71,67 +88,82 @@ router.post('/upload', upload.single('invoice'), async (req, res) => {
     const invoiceUuid = uuidv4();
     const fileUrl = `/uploads/invoices/${req.file.filename}`;
 
-    // Generate invoice number
-    const invoiceNumber = `INV-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
-
-    // Simulate AI extraction (in real implementation, this would use AI/ML)
-    const extractedData = {
-      invoiceNumber: invoiceNumber,
-      amount: Math.floor(Math.random() * 10000) + 1000, // Random amount for demo
-      currency: 'USD',
-      dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 30 days from now
-      vendor: 'Sample Vendor',
-      customer: 'Sample Customer',
-      items: [
-        {
-          description: 'Sample Product/Service',
-          quantity: 1,
-          unitPrice: Math.floor(Math.random() * 10000) + 1000,
-          total: Math.floor(Math.random() * 10000) + 1000
-        }
-      ],
-      extractedAt: new Date().toISOString()
-    };
-
-    // Create invoice record
-    const result = await runQuery(
-      `INSERT INTO invoices 
-       (uuid, user_id, invoice_number, amount, currency, due_date, status, file_url, extracted_data)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        invoiceUuid, req.user.id, invoiceNumber, extractedData.amount, extractedData.currency,
-        extractedData.dueDate, 'pending', fileUrl, JSON.stringify(extractedData)
-      ]
-    );
+    const extractedData = await extractInvoiceData(await fs.promises.readFile(req.file.path), req.file.mimetype);
+    const { fields } = extractedData;
 
-    // Create notification
-    await runQuery(
-      `INSERT INTO notifications (uuid, user_id, type, title, message, metadata)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [
-        uuidv4(), req.user.id, 'invoice',
-        'Invoice Uploaded',
-        `Invoice ${invoiceNumber} has been uploaded and processed`,
-        JSON.stringify({ invoiceId: result.id, invoiceUuid, invoiceNumber })
-      ]
+    // The invoice's own number when it could be read, otherwise one of ours to correct in review
+    const invoiceNumber = fields.invoiceNumber.value ||
+      `INV-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+
+    // Numbers are the vendor's, so only this user's invoices are checked; another customer may
+    // hold an invoice with the same number
+    const existingInvoice = await getQuery(
+      'SELECT id FROM invoices WHERE user_id = ? AND invoice_number = ?',
+      [req.user.id, invoiceNumber]
     );
+    if (existingInvoice) {
+      throw new AppError('Invoice number already exists', 409, 'INVOICE_NUMBER_EXISTS', { invoiceNumber });
+    }
+
+    // Nothing is made up: an amount that could not be read is 0 until it is reviewed
+    const amount = fields.totalAmount.value || 0;
+    const currency = fields.currency.value || 'USD';
+    const dueDate = fields.dueDate.value;
+
+    const result = await withTransaction(async (tx) => {
+      // Create invoice record
+      const insertResult = await tx.runQuery(
+        `INSERT INTO invoices 
+         (uuid, user_id, invoice_number, amount, currency, due_date, status, file_url, extracted_data, review_status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          invoiceUuid, req.user.id, invoiceNumber, amount, currency,
+          dueDate, 'pending', fileUrl, JSON.stringify(extractedData), 'awaiting_review'
+        ]
+      );
+
+      // Create notification
+      await createNotification(tx, {
+        userId: req.user.id,
+        type: 'invoice',
+        title: 'Invoice Uploaded',
+        message: extractedData.needsReview
+          ? `Invoice ${invoiceNumber} has been uploaded and is awaiting review; ${extractedData.reviewFields.length} field(s) were flagged`
+          : `Invoice ${invoiceNumber} has been uploaded and is awaiting review`,
+        metadata: { invoiceId: insertResult.id, invoiceUuid, invoiceNumber }
+      });
+
+      return insertResult;
+    });
 
     res.status(201).json({
-      message: 'Invoice uploaded and processed successfully',
+      message: extractedData.needsReview
+        ? 'Invoice uploaded and awaiting review; some fields were flagged'
+        : 'Invoice uploaded and awaiting review',
       invoice: {
         id: result.id,
         uuid: invoiceUuid,
         invoiceNumber: invoiceNumber,
-        amount: extractedData.amount,
-        currency: extractedData.currency,
-        dueDate: extractedData.dueDate,
+        amount: amount,
+        currency: currency,
+        dueDate: dueDate,
         status: 'pending',
+        reviewStatus: 'awaiting_review',
         fileUrl: fileUrl,
         extractedData: extractedData
       }
     });
 
   } catch (error) {
+    // Keep no file for an invoice that was not stored
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Invoice upload error:', error);
     res.status(500).json({
       error: 'Failed to upload invoice',
@@ -141,7 +173,7 @@ router.post('/upload', upload.single('invoice'), async (req, res) => {
 });
 
 // Create invoice manually
-router.post('/', async (req, res) => {
+router.post('/', idempotency, async (req, res) => {
   try {
     // Validate input
     const { error, value } = createInvoiceSchema.validate(req.body);
@@ -152,66 +184,24 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const { tradeAgreementId, invoiceNumber, amount, currency, dueDate } = value;
-
-    // Verify trade agreement exists and belongs to user (if provided)
-    if (tradeAgreementId) {
-      const tradeAgreement = await getQuery(
-        'SELECT * FROM trade_agreements WHERE id = ? AND user_id = ?',
-        [tradeAgreementId, req.user.id]
-      );
-
-      if (!tradeAgreement) {
-        return res.status(404).json({
-          error: 'Trade agreement not found',
-          code: 'TRADE_AGREEMENT_NOT_FOUND'
-        });
-      }
-    }
-
-    // Check if invoice number already exists
-    const existingInvoice = await getQuery(
-      'SELECT id FROM invoices WHERE invoice_number = ?',
-      [invoiceNumber]
-    );
-
-    if (existingInvoice) {
-      return res.status(409).json({
-        error: 'Invoice number already exists',
-        code: 'INVOICE_NUMBER_EXISTS'
+    const { invoice, allocations } = await withTransaction(async (tx) => {
+      const created = await createInvoice(tx, req.user, value);
+
+      // Create notification
+      await createNotification(tx, {
+        userId: req.user.id,
+        type: 'invoice',
+        title: 'Invoice Created',
+        message: `Invoice ${created.invoice.invoice_number} has been created and is awaiting review`,
+        metadata: {
+          invoiceId: created.invoice.id,
+          invoiceUuid: created.invoice.uuid,
+          invoiceNumber: created.invoice.invoice_number
+        }
       });
-    }
-
-    const invoiceUuid = uuidv4();
-
-    // Create invoice
-    const result = await runQuery(
-      `INSERT INTO invoices 
-       (uuid, user_id, trade_agreement_id, invoice_number, amount, currency, due_date, status)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        invoiceUuid, req.user.id, tradeAgreementId, invoiceNumber, amount, currency,
-        dueDate, 'pending'
-      ]
-    );
-
-    // Get created invoice
-    const invoice = await getQuery(
-      'SELECT * FROM invoices WHERE id = ?',
-      [result.id]
-    );
 
-    // Create notification
-    await runQuery(
-      `INSERT INTO notifications (uuid, user_id, type, title, message, metadata)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [
-        uuidv4(), req.user.id, 'invoice',
-        'Invoice Created',
-        `Invoice ${invoiceNumber} has been created successfully`,
-        JSON.stringify({ invoiceId: invoice.id, invoiceUuid, invoiceNumber })
-      ]
-    );
+      return created;
+    });
 
     res.status(201).json({
       message: 'Invoice created successfully',
@@ -224,15 +214,21 @@ router.post('/', async (req, res) => {
         currency: invoice.currency,
         dueDate: invoice.due_date,
         status: invoice.status,
+        reviewStatus: invoice.review_status || null,
         fileUrl: invoice.file_url,
         extractedData: invoice.extracted_data ? JSON.parse(invoice.extracted_data) : null,
         smartContractUrl: invoice.smart_contract_url,
         createdAt: invoice.created_at,
-        updatedAt: invoice.updated_at
+        updatedAt: invoice.updated_at,
+        lineItems: allocations.map(formatAllocation)
       }
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Create invoice error:', error);
     res.status(500).json({
       error: 'Failed to create invoice',
@@ -241,14 +237,14 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get all invoices for user
+// Get the user's invoices plus those on agreements they participate in
 router.get('/', async (req, res) => {
   try {
     const { page = 1, limit = 10, status, search } = req.query;
     const offset = (page - 1) * limit;
 
-    let whereClause = 'WHERE i.user_id = ?';
-    let queryParams = [req.user.id];
+    let whereClause = `WHERE (i.user_id = ? OR i.trade_agreement_id IN (${PARTICIPANT_AGREEMENT_IDS}))`;
+    let queryParams = [req.user.id, req.user.id];
 
     // Add status filter
     if (status) {
@@ -258,7 +254,7 @@ router.get('/', async (req, res) => {
 
     // Add search filter
     if (search) {
-      whereClause += ' AND (i.invoice_number LIKE ? OR i.amount LIKE ?)';
+      whereClause += ' AND (i.invoice_number LIKE ? OR CAST(i.amount AS TEXT) LIKE ?)';
       const searchTerm = `%${search}%`;
       queryParams.push(searchTerm, searchTerm);
     }
@@ -292,6 +288,7 @@ router.get('/', async (req, res) => {
         currency: invoice.currency,
         dueDate: invoice.due_date,
         status: invoice.status,
+        reviewStatus: invoice.review_status || null,
         fileUrl: invoice.file_url,
         extractedData: invoice.extracted_data ? JSON.parse(invoice.extracted_data) : null,
         smartContractUrl: invoice.smart_contract_url,
@@ -315,6 +312,60 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Invoices awaiting review, oldest first (admin)
+router.get('/review-queue', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = reviewQueueSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { invoices, total } = await listReviewQueue(database, value);
+
+    res.json({
+      invoices: invoices.map(formatQueuedInvoice),
+      pagination: {
+        page: value.page,
+        limit: value.limit,
+        total,
+        pages: Math.ceil(total / value.limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      error: 'Failed to get review queue',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// How often review kept each extracted field (admin)
+router.get('/review-accuracy', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = reviewAccuracySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    res.json({ accuracy: await reviewAccuracy(database, value) });
+
+  } catch (error) {
+    console.error('Get review accuracy error:', error);
+    res.status(500).json({
+      error: 'Failed to get review accuracy',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
 // Get single invoice
 router.get('/:id', async (req, res) => {
   try {
@@ -324,8 +375,8 @@ router.get('/:id', async (req, res) => {
       `SELECT i.*, ta.agreement_name 
        FROM invoices i 
        LEFT JOIN trade_agreements ta ON i.trade_agreement_id = ta.id 
-       WHERE i.id = ? AND i.user_id = ?`,
-      [id, req.user.id]
+       WHERE i.id = ? AND (i.user_id = ? OR i.trade_agreement_id IN (${PARTICIPANT_AGREEMENT_IDS}))`,
+      [id, req.user.id, req.user.id]
     );
 
     if (!invoice) {
@@ -346,11 +397,14 @@ router.get('/:id', async (req, res) => {
         currency: invoice.currency,
         dueDate: invoice.due_date,
         status: invoice.status,
+        reviewStatus: invoice.review_status || null,
         fileUrl: invoice.file_url,
         extractedData: invoice.extracted_data ? JSON.parse(invoice.extracted_data) : null,
         smartContractUrl: invoice.smart_contract_url,
         createdAt: invoice.created_at,
-        updatedAt: invoice.updated_at
+        updatedAt: invoice.updated_at,
+        lineItems: (await listAllocations(database, 'invoice_line_items', 'invoice_id', invoice.id))
+          .map(formatAllocation)
       }
     });
 
@@ -363,6 +417,86 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// The uploaded document, for viewing beside its extracted fields
+router.get('/:id/file', async (req, res) => {
+  try {
+    const invoice = await getInvoiceForReview(database, req.params.id, req.user);
+    const filePath = invoice.file_url
+      ? path.join(__dirname, '../uploads/invoices', path.basename(invoice.file_url))
+      : null;
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new AppError('Invoice has no uploaded file', 404, 'FILE_NOT_FOUND');
+    }
+
+    res.sendFile(filePath);
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Get invoice file error:', error);
+    res.status(500).json({
+      error: 'Failed to get invoice file',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// The extracted fields and, once there is one, the review
+router.get('/:id/review', async (req, res) => {
+  try {
+    const invoice = await getInvoiceForReview(database, req.params.id, req.user);
+    const review = await getInvoiceReview(database, invoice.id);
+
+    res.json(formatReviewView(invoice, review, req.user));
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Get invoice review error:', error);
+    res.status(500).json({
+      error: 'Failed to get invoice review',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Confirm or correct the extracted fields and approve or reject the invoice (admin)
+router.post('/:id/review', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = reviewInvoiceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const invoice = await getInvoiceForReview(database, req.params.id, req.user);
+    const { invoice: reviewed, review } = await submitInvoiceReview(database, invoice, req.user, value);
+
+    res.json({
+      message: value.decision === 'approved' ? 'Invoice reviewed and approved' : 'Invoice reviewed and rejected',
+      ...formatReviewView(reviewed, review, req.user)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Review invoice error:', error);
+    res.status(500).json({
+      error: 'Failed to review invoice',
+      code: 'REVIEW_ERROR'
+    });
+  }
+});
+
 // Update invoice
 router.put('/:id', async (req, res) => {
   try {
@@ -390,11 +524,14 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // Check if invoice number already exists (if being updated)
+    // Invoices are approved through review, and keep what it confirmed
+    await assertUpdateAllowed(database, existingInvoice, value);
+
+    // Check if invoice number already exists among the owner's invoices (if being updated)
     if (value.invoiceNumber && value.invoiceNumber !== existingInvoice.invoice_number) {
       const duplicateInvoice = await getQuery(
-        'SELECT id FROM invoices WHERE invoice_number = ? AND id != ?',
-        [value.invoiceNumber, id]
+        'SELECT id FROM invoices WHERE user_id = ? AND invoice_number = ? AND id != ?',
+        [existingInvoice.user_id, value.invoiceNumber, id]
       );
 
       if (duplicateInvoice) {
@@ -453,6 +590,7 @@ router.put('/:id', async (req, res) => {
         currency: updatedInvoice.currency,
         dueDate: updatedInvoice.due_date,
         status: updatedInvoice.status,
+        reviewStatus: updatedInvoice.review_status || null,
         fileUrl: updatedInvoice.file_url,
         extractedData: updatedInvoice.extracted_data ? JSON.parse(updatedInvoice.extracted_data) : null,
         smartContractUrl: updatedInvoice.smart_contract_url,
@@ -462,6 +600,10 @@ router.put('/:id', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Update invoice error:', error);
     res.status(500).json({
       error: 'Failed to update invoice',
@@ -487,27 +629,31 @@ router.post('/:id/generate-smart-contract', async (req, res) => {
       });
     }
 
+    await assertReviewed(database, invoice, 'financed');
+    if (invoice.status === 'rejected') {
+      throw new AppError('Rejected invoices cannot be financed', 409, 'INVOICE_REJECTED');
+    }
+
     // Generate smart contract URL (in a real implementation, this would generate an actual smart contract)
     const contractUuid = uuidv4();
     const smartContractUrl = `/smart-contracts/${contractUuid}.json`;
 
-    // Update invoice with smart contract URL
-    await runQuery(
-      'UPDATE invoices SET smart_contract_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [smartContractUrl, id]
-    );
+    await withTransaction(async (tx) => {
+      // Update invoice with smart contract URL
+      await tx.runQuery(
+        'UPDATE invoices SET smart_contract_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [smartContractUrl, id]
+      );
 
-    // Create notification
-    await runQuery(
-      `INSERT INTO notifications (uuid, user_id, type, title, message, metadata)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [
-        uuidv4(), req.user.id, 'invoice',
-        'Smart Contract Generated',
-        `Smart contract for invoice ${invoice.invoice_number} has been generated`,
-        JSON.stringify({ invoiceId: invoice.id, invoiceNumber: invoice.invoice_number, smartContractUrl })
-      ]
-    );
+      // Create notification
+      await createNotification(tx, {
+        userId: req.user.id,
+        type: 'invoice',
+        title: 'Smart Contract Generated',
+        message: `Smart contract for invoice ${invoice.invoice_number} has been generated`,
+        metadata: { invoiceId: invoice.id, invoiceNumber: invoice.invoice_number, smartContractUrl }
+      });
+    });
 
     res.json({
       message: 'Smart contract generated successfully',
@@ -515,6 +661,10 @@ router.post('/:id/generate-smart-contract', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Generate smart contract error:', error);
     res.status(500).json({
       error: 'Failed to generate smart contract',
@@ -541,11 +691,11 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Delete invoice
-    await runQuery(
-      'DELETE FROM invoices WHERE id = ?',
-      [id]
-    );
+    // Delete invoice, releasing the line quantities it billed
+    await withTransaction(async (tx) => {
+      await tx.runQuery('DELETE FROM invoice_line_items WHERE invoice_id = ?', [id]);
+      await tx.runQuery('DELETE FROM invoices WHERE id = ?', [id]);
+    });
 
     res.json({
       message: 'Invoice deleted successfully'
@@ -0,0 +1,53 @@
+const express = require('express');
+const { AppError } = require('../middleware/errorHandler');
+const { searchLocationsSchema, searchLocations, getLocation, formatLocation } = require('../services/locations');
+
+const router = express.Router();
+
+// Search the location registry, for autocomplete: ?q=apa, optionally narrowed by country (ISO
+// code) and function (port, rail, road, airport)
+router.get('/', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = searchLocationsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    res.json({
+      locations: searchLocations(value).map(formatLocation)
+    });
+
+  } catch (error) {
+    console.error('Search locations error:', error);
+    res.status(500).json({
+      error: 'Failed to search locations',
+      code: 'SEARCH_ERROR'
+    });
+  }
+});
+
+// Get a location by its code, e.g. NGAPP
+router.get('/:code', async (req, res) => {
+  try {
+    res.json({
+      location: formatLocation(getLocation(req.params.code))
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Get location error:', error);
+    res.status(500).json({
+      error: 'Failed to get location',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
-const { runQuery, getQuery, allQuery } = require('../config/database');
+const { runQuery, getQuery, allQuery, sqlDaysAgo } = require('../config/database');
 
 const router = express.Router();
 
@@ -319,7 +319,7 @@ router.get('/stats', async (req, res) => {
     const recentResult = await getQuery(
       `SELECT COUNT(*) as recent 
        FROM notifications 
-       WHERE user_id = ? AND created_at >= datetime('now', '-7 days')`,
+       WHERE user_id = ? AND created_at >= ${sqlDaysAgo(7)}`,
       [req.user.id]
     );
 
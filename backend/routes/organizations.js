@@ -0,0 +1,293 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
+const database = require('../config/database');
+const {
+  ORGANIZATION_ROLES, getMembershipRole, listMembers, countOwners
+} = require('../services/organizations');
+
+const { getQuery, allQuery, withTransaction } = database;
+
+const router = express.Router();
+
+// Validation schemas
+const createOrganizationSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required()
+});
+
+// Members must already have an account
+const addMemberSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid(...ORGANIZATION_ROLES).default('member')
+});
+
+function formatOrganization(organization) {
+  return {
+    id: organization.id,
+    uuid: organization.uuid,
+    name: organization.name,
+    role: organization.role,
+    memberCount: organization.member_count,
+    createdAt: organization.created_at
+  };
+}
+
+function formatMember(member) {
+  return {
+    userId: member.user_id,
+    email: member.email,
+    name: member.first_name ? `${member.first_name} ${member.last_name}` : null,
+    role: member.role,
+    createdAt: member.created_at
+  };
+}
+
+// The organization with the user's role in it, or null if they are not a member
+async function getMemberOrganization(organizationId, userId) {
+  return getQuery(
+    `SELECT o.*, m.role, c.member_count
+     FROM organizations o
+     JOIN organization_members m ON m.organization_id = o.id AND m.user_id = ?
+     JOIN (SELECT organization_id, COUNT(*) as member_count FROM organization_members GROUP BY organization_id) c
+       ON c.organization_id = o.id
+     WHERE o.id = ?`,
+    [userId, organizationId]
+  );
+}
+
+// Create an organization; the creator is its first owner
+router.post('/', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createOrganizationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const organizationId = await withTransaction(async (tx) => {
+      const result = await tx.runQuery(
+        'INSERT INTO organizations (uuid, name, created_by) VALUES (?, ?, ?)',
+        [uuidv4(), value.name, req.user.id]
+      );
+      await tx.runQuery(
+        "INSERT INTO organization_members (organization_id, user_id, role, added_by) VALUES (?, ?, 'owner', ?)",
+        [result.id, req.user.id, req.user.id]
+      );
+      return result.id;
+    });
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization: formatOrganization(await getMemberOrganization(organizationId, req.user.id))
+    });
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      error: 'Failed to create organization',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Get the organizations the user belongs to
+router.get('/', async (req, res) => {
+  try {
+    const organizations = await allQuery(
+      `SELECT o.*, m.role, c.member_count
+       FROM organizations o
+       JOIN organization_members m ON m.organization_id = o.id AND m.user_id = ?
+       JOIN (SELECT organization_id, COUNT(*) as member_count FROM organization_members GROUP BY organization_id) c
+         ON c.organization_id = o.id
+       ORDER BY o.name`,
+      [req.user.id]
+    );
+
+    res.json({
+      organizations: organizations.map(formatOrganization)
+    });
+
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      error: 'Failed to get organizations',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Get an organization's members (members only)
+router.get('/:id/members', async (req, res) => {
+  try {
+    const organization = await getMemberOrganization(req.params.id, req.user.id);
+
+    if (!organization) {
+      return res.status(404).json({
+        error: 'Organization not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      organization: formatOrganization(organization),
+      members: (await listMembers(database, organization.id)).map(formatMember)
+    });
+
+  } catch (error) {
+    console.error('Get organization members error:', error);
+    res.status(500).json({
+      error: 'Failed to get organization members',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Add a registered user as a member or owner, or change their role (owners only)
+router.post('/:id/members', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = addMemberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const organization = await getMemberOrganization(req.params.id, req.user.id);
+
+    if (!organization) {
+      return res.status(404).json({
+        error: 'Organization not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (organization.role !== 'owner') {
+      return res.status(403).json({
+        error: 'Only owners can add members',
+        code: 'NOT_OWNER'
+      });
+    }
+
+    const user = await getQuery('SELECT id FROM users WHERE email = ?', [value.email]);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'No TradeBridge account uses this email',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const member = await withTransaction(async (tx) => {
+      const role = await getMembershipRole(tx, organization.id, user.id);
+
+      if (role === 'owner' && value.role !== 'owner' && await countOwners(tx, organization.id) === 1) {
+        return null;
+      }
+
+      if (role) {
+        await tx.runQuery(
+          'UPDATE organization_members SET role = ? WHERE organization_id = ? AND user_id = ?',
+          [value.role, organization.id, user.id]
+        );
+      } else {
+        await tx.runQuery(
+          'INSERT INTO organization_members (organization_id, user_id, role, added_by) VALUES (?, ?, ?, ?)',
+          [organization.id, user.id, value.role, req.user.id]
+        );
+      }
+
+      return (await listMembers(tx, organization.id)).find(row => row.user_id === user.id);
+    });
+
+    if (!member) {
+      return res.status(409).json({
+        error: 'An organization needs at least one owner',
+        code: 'LAST_OWNER'
+      });
+    }
+
+    res.status(201).json({
+      message: 'Member added',
+      member: formatMember(member)
+    });
+
+  } catch (error) {
+    console.error('Add organization member error:', error);
+    res.status(500).json({
+      error: 'Failed to add organization member',
+      code: 'MEMBERS_ERROR'
+    });
+  }
+});
+
+// Remove a member (owners), or leave the organization. Templates the member shared stay shared.
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const organization = await getMemberOrganization(req.params.id, req.user.id);
+
+    if (!organization) {
+      return res.status(404).json({
+        error: 'Organization not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const userId = parseInt(req.params.userId, 10);
+
+    if (organization.role !== 'owner' && userId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Only owners can remove other members',
+        code: 'NOT_OWNER'
+      });
+    }
+
+    const removed = await withTransaction(async (tx) => {
+      const role = await getMembershipRole(tx, organization.id, userId);
+
+      if (!role) {
+        return { found: false };
+      }
+      if (role === 'owner' && await countOwners(tx, organization.id) === 1) {
+        return { found: true, lastOwner: true };
+      }
+
+      await tx.runQuery(
+        'DELETE FROM organization_members WHERE organization_id = ? AND user_id = ?',
+        [organization.id, userId]
+      );
+      return { found: true };
+    });
+
+    if (!removed.found) {
+      return res.status(404).json({
+        error: 'Member not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (removed.lastOwner) {
+      return res.status(409).json({
+        error: 'An organization needs at least one owner',
+        code: 'LAST_OWNER'
+      });
+    }
+
+    res.json({
+      message: 'Member removed'
+    });
+
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({
+      error: 'Failed to remove organization member',
+      code: 'MEMBERS_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,48 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
+const multer = require('multer');
 const Joi = require('joi');
-const { runQuery, getQuery, allQuery } = require('../config/database');
+const database = require('../config/database');
+const { createNotification } = require('../services/notifications');
+const { PARTICIPANT_AGREEMENT_IDS, getParticipantRoles } = require('../services/participants');
+const { listAllocations, formatAllocation } = require('../services/lineItems');
+const { createShipmentSchema, createShipment } = require('../services/shipments');
+const {
+  STATUS_EVENT_CODES, FINAL_STATUSES, shipmentEventSchema, listShipmentEvents, recordShipmentEvent,
+  formatShipmentEvent
+} = require('../services/shipmentEvents');
+const { listDelayAlerts, formatDelayAlert } = require('../services/delayDetection');
+const {
+  shipmentLegSchema, updateShipmentLegSchema, shipmentContainerSchema, updateShipmentContainerSchema,
+  listShipmentLegs, listShipmentContainers, legsByShipment, insertShipmentLegs, updateShipmentLeg, removeShipmentLeg,
+  insertShipmentContainers, updateShipmentContainer, removeShipmentContainer, findShipmentByReference,
+  shipmentProgress, formatShipmentLeg, formatShipmentContainer
+} = require('../services/shipmentLegs');
+const {
+  MAX_DOCUMENT_SIZE, uploadShipmentDocumentSchema, updateShipmentDocumentSchema, listShipmentDocuments,
+  getShipmentDocument, listDocumentVersions, getDocumentVersion, documentFilePath, uploadShipmentDocument,
+  updateShipmentDocument, documentCompleteness, removeShipmentDocumentFiles, formatShipmentDocument,
+  formatDocumentVersion
+} = require('../services/shipmentDocuments');
+const {
+  createTrackingLinkSchema, trackingUrl, createTrackingLink, listTrackingLinks, getTrackingLink, revokeTrackingLink,
+  listTrackingLinkViews, formatTrackingLink, formatTrackingLinkView
+} = require('../services/trackingLinks');
+const { normalizeLocation, routeGeoJSON } = require('../services/locations');
+const { AppError } = require('../middleware/errorHandler');
+
+const { getQuery, allQuery, withTransaction } = database;
 
 const router = express.Router();
 
-// Validation schemas
-const createShipmentSchema = Joi.object({
-  tradeAgreementId: Joi.number().integer().required(),
-  trackingNumber: Joi.string().min(5).max(50).required(),
-  carrier: Joi.string().min(2).max(50).required(),
-  origin: Joi.string().min(2).max(100).required(),
-  destination: Joi.string().min(2).max(100).required(),
-  estimatedDelivery: Joi.date().optional()
+// Shipping documents are checked and stored by the service, so multer only buffers them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DOCUMENT_SIZE
+  }
 });
 
+// Validation schemas
 const updateShipmentSchema = Joi.object({
   trackingNumber: Joi.string().min(5).max(50).optional(),
   carrier: Joi.string().min(2).max(50).optional(),
@@ -26,6 +54,71 @@ const updateShipmentSchema = Joi.object({
   documentsUrls: Joi.string().optional()
 });
 
+// One leg or container, or several in { legs } or { containers }
+const addShipmentLegsSchema = Joi.alternatives().conditional(Joi.object({ legs: Joi.exist() }).unknown(), {
+  then: Joi.object({ legs: Joi.array().items(shipmentLegSchema).min(1).required() }),
+  otherwise: shipmentLegSchema
+});
+
+const addShipmentContainersSchema = Joi.alternatives().conditional(Joi.object({ containers: Joi.exist() }).unknown(), {
+  then: Joi.object({ containers: Joi.array().items(shipmentContainerSchema).min(1).required() }),
+  otherwise: shipmentContainerSchema
+});
+
+// A shipment the user can see: theirs, or one on an agreement they take part in
+async function getVisibleShipment(shipmentId, userId) {
+  const shipment = await getQuery(
+    `SELECT s.* FROM shipments s
+     WHERE s.id = ? AND (s.user_id = ? OR s.trade_agreement_id IN (${PARTICIPANT_AGREEMENT_IDS}))`,
+    [shipmentId, userId, userId]
+  );
+
+  if (!shipment) {
+    throw new AppError('Shipment not found', 404, 'NOT_FOUND');
+  }
+
+  return shipment;
+}
+
+// A shipment the user created; only they share it outside the platform
+async function getOwnShipment(shipmentId, userId) {
+  const shipment = await getQuery('SELECT * FROM shipments WHERE id = ? AND user_id = ?', [shipmentId, userId]);
+
+  if (!shipment) {
+    throw new AppError('Shipment not found', 404, 'NOT_FOUND');
+  }
+
+  return shipment;
+}
+
+// A shipment the user can change the route, containers and timeline of: theirs, or one on an
+// agreement where they are the buyer, seller or creator
+async function getEditableShipment(shipmentId, userId, action) {
+  const shipment = await getQuery('SELECT * FROM shipments WHERE id = ?', [shipmentId]);
+  const roles = shipment ? await getParticipantRoles(database, shipment.trade_agreement_id, userId) : [];
+
+  if (!shipment || (shipment.user_id !== userId && roles.length === 0)) {
+    throw new AppError('Shipment not found', 404, 'NOT_FOUND');
+  }
+
+  if (shipment.user_id !== userId && roles.every(role => role === 'observer')) {
+    throw new AppError(`Observers cannot ${action}`, 403, 'NOT_PARTY');
+  }
+
+  return shipment;
+}
+
+// A shipment's legs, containers and progress across the legs
+async function routeDetails(db, shipment) {
+  const legs = await listShipmentLegs(db, shipment.id);
+
+  return {
+    progress: shipmentProgress(shipment, legs),
+    legs: legs.map(formatShipmentLeg),
+    containers: (await listShipmentContainers(db, shipment.id)).map(formatShipmentContainer)
+  };
+}
+
 // Create shipment
 router.post('/', async (req, res) => {
   try {
@@ -38,75 +131,24 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const {
-      tradeAgreementId,
-      trackingNumber,
-      carrier,
-      origin,
-      destination,
-      estimatedDelivery
-    } = value;
+    const { shipment, allocations, legs, containers } = await withTransaction(async (tx) => {
+      const created = await createShipment(tx, req.user, value);
 
-    // Verify trade agreement exists and belongs to user
-    const tradeAgreement = await getQuery(
-      'SELECT * FROM trade_agreements WHERE id = ? AND user_id = ?',
-      [tradeAgreementId, req.user.id]
-    );
-
-    if (!tradeAgreement) {
-      return res.status(404).json({
-        error: 'Trade agreement not found',
-        code: 'TRADE_AGREEMENT_NOT_FOUND'
+      // Create notification
+      await createNotification(tx, {
+        userId: req.user.id,
+        type: 'shipment',
+        title: 'Shipment Created',
+        message: `Shipment ${created.shipment.tracking_number} has been created successfully`,
+        metadata: {
+          shipmentId: created.shipment.id,
+          shipmentUuid: created.shipment.uuid,
+          trackingNumber: created.shipment.tracking_number
+        }
       });
-    }
-
-    // Check if tracking number already exists
-    const existingShipment = await getQuery(
-      'SELECT id FROM shipments WHERE tracking_number = ?',
-      [trackingNumber]
-    );
 
-    if (existingShipment) {
-      return res.status(409).json({
-        error: 'Tracking number already exists',
-        code: 'TRACKING_NUMBER_EXISTS'
-      });
-    }
-
-    const shipmentUuid = uuidv4();
-
-    // Create shipment
-    const result = await runQuery(
-      `INSERT INTO shipments 
-       (uuid, trade_agreement_id, user_id, tracking_number, carrier, origin, destination, 
-        status, estimated_delivery)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        shipmentUuid, tradeAgreementId, req.user.id, trackingNumber, carrier,
-        origin, destination, 'pending', estimatedDelivery
-      ]
-    );
-
-    // Get created shipment
-    const shipment = await getQuery(
-      `SELECT s.*, ta.agreement_name, ta.buyer_company, ta.seller_company 
-       FROM shipments s 
-       JOIN trade_agreements ta ON s.trade_agreement_id = ta.id 
-       WHERE s.id = ?`,
-      [result.id]
-    );
-
-    // Create notification
-    await runQuery(
-      `INSERT INTO notifications (uuid, user_id, type, title, message, metadata)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [
-        uuidv4(), req.user.id, 'shipment',
-        'Shipment Created',
-        `Shipment ${trackingNumber} has been created successfully`,
-        JSON.stringify({ shipmentId: shipment.id, shipmentUuid, trackingNumber })
-      ]
-    );
+      return created;
+    });
 
     res.status(201).json({
       message: 'Shipment created successfully',
@@ -120,17 +162,27 @@ router.post('/', async (req, res) => {
         trackingNumber: shipment.tracking_number,
         carrier: shipment.carrier,
         origin: shipment.origin,
+        originCode: shipment.origin_code || null,
         destination: shipment.destination,
+        destinationCode: shipment.destination_code || null,
         status: shipment.status,
         estimatedDelivery: shipment.estimated_delivery,
         actualDelivery: shipment.actual_delivery,
         documentsUrls: shipment.documents_urls,
         createdAt: shipment.created_at,
-        updatedAt: shipment.updated_at
+        updatedAt: shipment.updated_at,
+        lineItems: allocations.map(formatAllocation),
+        progress: shipmentProgress(shipment, legs),
+        legs: legs.map(formatShipmentLeg),
+        containers: containers.map(formatShipmentContainer)
       }
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Create shipment error:', error);
     res.status(500).json({
       error: 'Failed to create shipment',
@@ -139,14 +191,14 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get all shipments for user
+// Get the user's shipments plus those on agreements they participate in
 router.get('/', async (req, res) => {
   try {
     const { page = 1, limit = 10, status, search } = req.query;
     const offset = (page - 1) * limit;
 
-    let whereClause = 'WHERE s.user_id = ?';
-    let queryParams = [req.user.id];
+    let whereClause = `WHERE (s.user_id = ? OR s.trade_agreement_id IN (${PARTICIPANT_AGREEMENT_IDS}))`;
+    let queryParams = [req.user.id, req.user.id];
 
     // Add status filter
     if (status) {
@@ -179,6 +231,8 @@ router.get('/', async (req, res) => {
       queryParams
     );
 
+    const legs = await legsByShipment(database, shipments.map(shipment => shipment.id));
+
     res.json({
       shipments: shipments.map(shipment => ({
         id: shipment.id,
@@ -190,13 +244,16 @@ router.get('/', async (req, res) => {
         trackingNumber: shipment.tracking_number,
         carrier: shipment.carrier,
         origin: shipment.origin,
+        originCode: shipment.origin_code || null,
         destination: shipment.destination,
+        destinationCode: shipment.destination_code || null,
         status: shipment.status,
         estimatedDelivery: shipment.estimated_delivery,
         actualDelivery: shipment.actual_delivery,
         documentsUrls: shipment.documents_urls,
         createdAt: shipment.created_at,
-        updatedAt: shipment.updated_at
+        updatedAt: shipment.updated_at,
+        progress: shipmentProgress(shipment, legs.get(shipment.id))
       })),
       pagination: {
         page: parseInt(page),
@@ -224,8 +281,8 @@ router.get('/:id', async (req, res) => {
       `SELECT s.*, ta.agreement_name, ta.buyer_company, ta.seller_company 
        FROM shipments s 
        JOIN trade_agreements ta ON s.trade_agreement_id = ta.id 
-       WHERE s.id = ? AND s.user_id = ?`,
-      [id, req.user.id]
+       WHERE s.id = ? AND (s.user_id = ? OR s.trade_agreement_id IN (${PARTICIPANT_AGREEMENT_IDS}))`,
+      [id, req.user.id, req.user.id]
     );
 
     if (!shipment) {
@@ -246,13 +303,18 @@ router.get('/:id', async (req, res) => {
         trackingNumber: shipment.tracking_number,
         carrier: shipment.carrier,
         origin: shipment.origin,
+        originCode: shipment.origin_code || null,
         destination: shipment.destination,
+        destinationCode: shipment.destination_code || null,
         status: shipment.status,
         estimatedDelivery: shipment.estimated_delivery,
         actualDelivery: shipment.actual_delivery,
         documentsUrls: shipment.documents_urls,
         createdAt: shipment.created_at,
-        updatedAt: shipment.updated_at
+        updatedAt: shipment.updated_at,
+        lineItems: (await listAllocations(database, 'shipment_line_items', 'shipment_id', shipment.id))
+          .map(formatAllocation),
+        ...(await routeDetails(database, shipment))
       }
     });
 
@@ -265,6 +327,668 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get a shipment's tracking timeline, newest event first
+router.get('/:id/events', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const shipment = await getQuery(
+      `SELECT s.* FROM shipments s
+       WHERE s.id = ? AND (s.user_id = ? OR s.trade_agreement_id IN (${PARTICIPANT_AGREEMENT_IDS}))`,
+      [id, req.user.id, req.user.id]
+    );
+
+    if (!shipment) {
+      return res.status(404).json({
+        error: 'Shipment not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const events = await listShipmentEvents(database, shipment.id);
+
+    res.json({
+      shipmentId: shipment.id,
+      status: shipment.status,
+      events: events.map(formatShipmentEvent)
+    });
+
+  } catch (error) {
+    console.error('Get shipment events error:', error);
+    res.status(500).json({
+      error: 'Failed to get shipment events',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Why the delay check flagged a shipment, newest first
+router.get('/:id/delay-alerts', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const shipment = await getQuery(
+      `SELECT s.* FROM shipments s
+       WHERE s.id = ? AND (s.user_id = ? OR s.trade_agreement_id IN (${PARTICIPANT_AGREEMENT_IDS}))`,
+      [id, req.user.id, req.user.id]
+    );
+
+    if (!shipment) {
+      return res.status(404).json({
+        error: 'Shipment not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const alerts = await listDelayAlerts(database, shipment.id);
+
+    res.json({
+      shipmentId: shipment.id,
+      status: shipment.status,
+      alerts: alerts.map(formatDelayAlert)
+    });
+
+  } catch (error) {
+    console.error('Get shipment delay alerts error:', error);
+    res.status(500).json({
+      error: 'Failed to get shipment delay alerts',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Add an event to a shipment's timeline; the shipment takes the status of its latest event.
+// The shipment's creator and the agreement's buyer, seller and creator can add events. An event
+// on a leg (legId) dates the leg's departure or arrival.
+router.post('/:id/events', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate input
+    const { error, value } = shipmentEventSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const shipment = await getEditableShipment(id, req.user.id, 'add shipment events');
+
+    const result = await recordShipmentEvent(database, shipment.id, value, { source: 'manual', actorId: req.user.id });
+
+    res.status(201).json({
+      message: 'Shipment event added successfully',
+      event: formatShipmentEvent(result.event),
+      status: result.shipment.status,
+      previousStatus: shipment.status
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Add shipment event error:', error);
+    res.status(500).json({
+      error: 'Failed to add shipment event',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Get a shipment's route: its legs in order, with progress across them, and its containers
+router.get('/:id/legs', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const shipment = await getQuery(
+      `SELECT s.* FROM shipments s
+       WHERE s.id = ? AND (s.user_id = ? OR s.trade_agreement_id IN (${PARTICIPANT_AGREEMENT_IDS}))`,
+      [id, req.user.id, req.user.id]
+    );
+
+    if (!shipment) {
+      return res.status(404).json({
+        error: 'Shipment not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      shipmentId: shipment.id,
+      status: shipment.status,
+      ...(await routeDetails(database, shipment))
+    });
+
+  } catch (error) {
+    console.error('Get shipment legs error:', error);
+    res.status(500).json({
+      error: 'Failed to get shipment legs',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Get a shipment's route for the map as GeoJSON: its legs, the places along them and where its
+// events happened, wherever those are in the location registry
+router.get('/:id/route', async (req, res) => {
+  try {
+    const shipment = await getVisibleShipment(req.params.id, req.user.id);
+    const legs = await listShipmentLegs(database, shipment.id);
+    const events = await listShipmentEvents(database, shipment.id);
+
+    res.type('application/geo+json').json(
+      routeGeoJSON(legs.map(formatShipmentLeg), events.map(formatShipmentEvent))
+    );
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Get shipment route error:', error);
+    res.status(500).json({
+      error: 'Failed to get shipment route',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Add legs to the end of a shipment's route: one leg, or { legs: [...] } in order
+router.post('/:id/legs', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate input
+    const { error, value } = addShipmentLegsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const shipment = await getEditableShipment(id, req.user.id, 'change the route');
+    const ids = await withTransaction(tx => insertShipmentLegs(tx, shipment, value.legs || [value]));
+
+    const legs = await listShipmentLegs(database, shipment.id);
+
+    res.status(201).json({
+      message: 'Shipment legs added successfully',
+      added: legs.filter(leg => ids.includes(leg.id)).map(formatShipmentLeg),
+      progress: shipmentProgress(shipment, legs),
+      legs: legs.map(formatShipmentLeg)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Add shipment legs error:', error);
+    res.status(500).json({
+      error: 'Failed to add shipment legs',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Update a leg: its plan, or its actual departure and arrival when no carrier reports them
+router.put('/:id/legs/:legId', async (req, res) => {
+  try {
+    const { id, legId } = req.params;
+
+    // Validate input
+    const { error, value } = updateShipmentLegSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const shipment = await getEditableShipment(id, req.user.id, 'change the route');
+    const leg = await updateShipmentLeg(database, shipment.id, legId, value);
+
+    res.json({
+      message: 'Shipment leg updated successfully',
+      leg: formatShipmentLeg(leg),
+      progress: shipmentProgress(shipment, await listShipmentLegs(database, shipment.id))
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Update shipment leg error:', error);
+    res.status(500).json({
+      error: 'Failed to update shipment leg',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Remove a leg; the legs after it move up
+router.delete('/:id/legs/:legId', async (req, res) => {
+  try {
+    const { id, legId } = req.params;
+
+    const shipment = await getEditableShipment(id, req.user.id, 'change the route');
+    await removeShipmentLeg(database, shipment.id, legId);
+
+    res.json({
+      message: 'Shipment leg removed successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Remove shipment leg error:', error);
+    res.status(500).json({
+      error: 'Failed to remove shipment leg',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+// Add containers to a shipment: one container, or { containers: [...] }
+router.post('/:id/containers', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate input
+    const { error, value } = addShipmentContainersSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const shipment = await getEditableShipment(id, req.user.id, 'change containers');
+    const ids = await withTransaction(tx => insertShipmentContainers(tx, shipment.id, value.containers || [value]));
+
+    const containers = await listShipmentContainers(database, shipment.id);
+
+    res.status(201).json({
+      message: 'Shipment containers added successfully',
+      added: containers.filter(container => ids.includes(container.id)).map(formatShipmentContainer),
+      containers: containers.map(formatShipmentContainer)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Add shipment containers error:', error);
+    res.status(500).json({
+      error: 'Failed to add shipment containers',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Update a container's number, seal or weight
+router.put('/:id/containers/:containerId', async (req, res) => {
+  try {
+    const { id, containerId } = req.params;
+
+    // Validate input
+    const { error, value } = updateShipmentContainerSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const shipment = await getEditableShipment(id, req.user.id, 'change containers');
+    const container = await updateShipmentContainer(database, shipment.id, containerId, value);
+
+    res.json({
+      message: 'Shipment container updated successfully',
+      container: formatShipmentContainer(container)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Update shipment container error:', error);
+    res.status(500).json({
+      error: 'Failed to update shipment container',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Remove a container from a shipment
+router.delete('/:id/containers/:containerId', async (req, res) => {
+  try {
+    const { id, containerId } = req.params;
+
+    const shipment = await getEditableShipment(id, req.user.id, 'change containers');
+    await removeShipmentContainer(database, shipment.id, containerId);
+
+    res.json({
+      message: 'Shipment container removed successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Remove shipment container error:', error);
+    res.status(500).json({
+      error: 'Failed to remove shipment container',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+// List a shipment's shipping documents, each at its current version
+router.get('/:id/documents', async (req, res) => {
+  try {
+    const shipment = await getVisibleShipment(req.params.id, req.user.id);
+    const documents = await listShipmentDocuments(database, shipment.id);
+
+    res.json({
+      documents: documents.map(formatShipmentDocument)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Get shipment documents error:', error);
+    res.status(500).json({
+      error: 'Failed to get shipment documents',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Check the shipment has issued every document its agreement's Incoterm calls for
+router.get('/:id/documents/completeness', async (req, res) => {
+  try {
+    const shipment = await getVisibleShipment(req.params.id, req.user.id);
+    const agreement = await getQuery('SELECT incoterm FROM trade_agreements WHERE id = ?', [shipment.trade_agreement_id]);
+
+    res.json({
+      shipmentId: shipment.id,
+      ...(await documentCompleteness(database, shipment.id, agreement && agreement.incoterm))
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Get document completeness error:', error);
+    res.status(500).json({
+      error: 'Failed to check shipment documents',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Upload a shipping document (multipart field `file`, PDF, JPEG or PNG); uploading a type the
+// shipment already has adds a new version of it
+router.post('/:id/documents', upload.single('file'), async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = uploadShipmentDocumentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        code: 'NO_FILE'
+      });
+    }
+
+    const shipment = await getEditableShipment(req.params.id, req.user.id, 'upload shipping documents');
+    const document = await uploadShipmentDocument(database, shipment, req.user.id, value, req.file);
+
+    res.status(201).json({
+      message: document.current_version === 1
+        ? 'Shipment document uploaded successfully'
+        : `Version ${document.current_version} of the document uploaded successfully`,
+      document: formatShipmentDocument(document)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Upload shipment document error:', error);
+    res.status(500).json({
+      error: 'Failed to upload shipment document',
+      code: 'UPLOAD_ERROR'
+    });
+  }
+});
+
+// Get a shipping document with all of its versions
+router.get('/:id/documents/:documentId', async (req, res) => {
+  try {
+    const shipment = await getVisibleShipment(req.params.id, req.user.id);
+    const document = await getShipmentDocument(database, shipment.id, req.params.documentId);
+    const versions = await listDocumentVersions(database, document.id);
+
+    res.json({
+      document: formatShipmentDocument(document),
+      versions: versions.map(version => formatDocumentVersion(version, shipment.id, document))
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Get shipment document error:', error);
+    res.status(500).json({
+      error: 'Failed to get shipment document',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Issue or surrender a shipping document, or correct its number
+router.put('/:id/documents/:documentId', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = updateShipmentDocumentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const shipment = await getEditableShipment(req.params.id, req.user.id, 'change shipping documents');
+    const document = await updateShipmentDocument(database, shipment.id, req.params.documentId, value);
+
+    res.json({
+      message: 'Shipment document updated successfully',
+      document: formatShipmentDocument(document)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Update shipment document error:', error);
+    res.status(500).json({
+      error: 'Failed to update shipment document',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// Download a shipping document's current version, or ?version=n
+router.get('/:id/documents/:documentId/download', async (req, res) => {
+  try {
+    const shipment = await getVisibleShipment(req.params.id, req.user.id);
+    const document = await getShipmentDocument(database, shipment.id, req.params.documentId);
+
+    const versionNumber = req.query.version === undefined ? document.current_version : Number(req.query.version);
+    if (!Number.isInteger(versionNumber)) {
+      throw new AppError('Document version not found', 404, 'DOCUMENT_NOT_FOUND');
+    }
+    const version = await getDocumentVersion(database, document.id, versionNumber);
+
+    res.set({
+      'Content-Type': version.mime_type,
+      'Content-Disposition': `attachment; filename="${version.original_name.replace(/[^\w.-]+/g, '_')}"`,
+      'X-Document-SHA256': version.sha256,
+      'Cache-Control': 'private, no-store'
+    });
+    res.sendFile(documentFilePath(version), sendError => {
+      if (sendError && !res.headersSent) {
+        console.error('Send shipment document error:', sendError);
+        res.status(500).json({
+          error: 'Failed to download shipment document',
+          code: 'DOWNLOAD_ERROR'
+        });
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Download shipment document error:', error);
+    res.status(500).json({
+      error: 'Failed to download shipment document',
+      code: 'DOWNLOAD_ERROR'
+    });
+  }
+});
+
+// Create a public tracking link; its token is only returned here
+router.post('/:id/tracking-links', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = createTrackingLinkSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const shipment = await getOwnShipment(req.params.id, req.user.id);
+    const { link, token } = await createTrackingLink(database, shipment, req.user.id, value);
+
+    res.status(201).json({
+      message: 'Tracking link created successfully',
+      token,
+      url: trackingUrl(token),
+      link: formatTrackingLink(link)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Create tracking link error:', error);
+    res.status(500).json({
+      error: 'Failed to create tracking link',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// List a shipment's tracking links, newest first, with how often each was opened
+router.get('/:id/tracking-links', async (req, res) => {
+  try {
+    const shipment = await getOwnShipment(req.params.id, req.user.id);
+    const links = await listTrackingLinks(database, shipment.id);
+
+    res.json({
+      links: links.map(formatTrackingLink)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Get tracking links error:', error);
+    res.status(500).json({
+      error: 'Failed to get tracking links',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// The access log of a tracking link, newest first
+router.get('/:id/tracking-links/:linkId/views', async (req, res) => {
+  try {
+    const shipment = await getOwnShipment(req.params.id, req.user.id);
+    const link = await getTrackingLink(database, shipment.id, req.params.linkId);
+    const views = await listTrackingLinkViews(database, link.id);
+
+    res.json({
+      link: formatTrackingLink(link),
+      views: views.map(formatTrackingLinkView)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Get tracking link views error:', error);
+    res.status(500).json({
+      error: 'Failed to get tracking link views',
+      code: 'GET_ERROR'
+    });
+  }
+});
+
+// Revoke a tracking link; it stays listed with its access log
+router.delete('/:id/tracking-links/:linkId', async (req, res) => {
+  try {
+    const shipment = await getOwnShipment(req.params.id, req.user.id);
+    const link = await revokeTrackingLink(database, shipment.id, req.params.linkId);
+
+    res.json({
+      message: 'Tracking link revoked successfully',
+      link: formatTrackingLink(link)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Revoke tracking link error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke tracking link',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
 // Update shipment
 router.put('/:id', async (req, res) => {
   try {
@@ -292,6 +1016,15 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    // Delivered and cancelled are final here as on the timeline; a delivery cannot be taken back
+    if (value.status && value.status !== existingShipment.status && FINAL_STATUSES.includes(existingShipment.status)) {
+      return res.status(409).json({
+        error: `A ${existingShipment.status} shipment's status cannot be changed`,
+        code: 'SHIPMENT_FINAL',
+        status: existingShipment.status
+      });
+    }
+
     // Check if tracking number already exists (if being updated)
     if (value.trackingNumber && value.trackingNumber !== existingShipment.tracking_number) {
       const duplicateShipment = await getQuery(
@@ -307,19 +1040,28 @@ router.put('/:id', async (req, res) => {
       }
     }
 
-    // Build update query dynamically
+    // Origin and destination keep their registry codes alongside
+    ['origin', 'destination'].forEach(key => {
+      if (value[key] !== undefined) {
+        const place = normalizeLocation(value[key]);
+        value[key] = place.name;
+        value[`${key}Code`] = place.code;
+      }
+    });
+
+    // Build update query dynamically; the status is set by the event recorded for it below
     const updates = [];
     const values = [];
 
     Object.keys(value).forEach(key => {
-      if (value[key] !== undefined) {
+      if (value[key] !== undefined && key !== 'status') {
         const dbKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
         updates.push(`${dbKey} = ?`);
         values.push(value[key]);
       }
     });
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && !value.status) {
       return res.status(400).json({
         error: 'No fields to update',
         code: 'NO_UPDATES'
@@ -329,10 +1071,22 @@ router.put('/:id', async (req, res) => {
     updates.push('updated_at = CURRENT_TIMESTAMP');
     values.push(id);
 
-    await runQuery(
-      `UPDATE shipments SET ${updates.join(', ')} WHERE id = ?`,
-      values
-    );
+    // A status set here is recorded as its tracking event, which moves the shipment on with the
+    // same consequences (escrow release, payment dates) as any other event
+    await withTransaction(async (tx) => {
+      await tx.runQuery(
+        `UPDATE shipments SET ${updates.join(', ')} WHERE id = ?`,
+        values
+      );
+
+      if (value.status && value.status !== existingShipment.status) {
+        await recordShipmentEvent(tx, existingShipment.id, {
+          eventCode: STATUS_EVENT_CODES[value.status],
+          occurredAt: value.status === 'delivered' ? value.actualDelivery : undefined,
+          description: `Status set to ${value.status.replace('_', ' ')}`
+        }, { source: 'manual', actorId: req.user.id });
+      }
+    });
 
     // Get updated shipment
     const updatedShipment = await getQuery(
@@ -355,7 +1109,9 @@ router.put('/:id', async (req, res) => {
         trackingNumber: updatedShipment.tracking_number,
         carrier: updatedShipment.carrier,
         origin: updatedShipment.origin,
+        originCode: updatedShipment.origin_code || null,
         destination: updatedShipment.destination,
+        destinationCode: updatedShipment.destination_code || null,
         status: updatedShipment.status,
         estimatedDelivery: updatedShipment.estimated_delivery,
         actualDelivery: updatedShipment.actual_delivery,
@@ -366,6 +1122,10 @@ router.put('/:id', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Update shipment error:', error);
     res.status(500).json({
       error: 'Failed to update shipment',
@@ -392,11 +1152,27 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Delete shipment
-    await runQuery(
-      'DELETE FROM shipments WHERE id = ?',
-      [id]
-    );
+    // Delete shipment with its timeline, route, containers, documents and tracking links,
+    // releasing the line quantities it held
+    await withTransaction(async (tx) => {
+      await tx.runQuery(
+        'DELETE FROM shipment_document_versions WHERE document_id IN (SELECT id FROM shipment_documents WHERE shipment_id = ?)',
+        [id]
+      );
+      await tx.runQuery('DELETE FROM shipment_documents WHERE shipment_id = ?', [id]);
+      await tx.runQuery(
+        'DELETE FROM shipment_tracking_link_views WHERE link_id IN (SELECT id FROM shipment_tracking_links WHERE shipment_id = ?)',
+        [id]
+      );
+      await tx.runQuery('DELETE FROM shipment_tracking_links WHERE shipment_id = ?', [id]);
+      await tx.runQuery('DELETE FROM shipment_delay_alerts WHERE shipment_id = ?', [id]);
+      await tx.runQuery('DELETE FROM shipment_events WHERE shipment_id = ?', [id]);
+      await tx.runQuery('DELETE FROM shipment_containers WHERE shipment_id = ?', [id]);
+      await tx.runQuery('DELETE FROM shipment_legs WHERE shipment_id = ?', [id]);
+      await tx.runQuery('DELETE FROM shipment_line_items WHERE shipment_id = ?', [id]);
+      await tx.runQuery('DELETE FROM shipments WHERE id = ?', [id]);
+    });
+    removeShipmentDocumentFiles(shipment);
 
     res.json({
       message: 'Shipment deleted successfully'
@@ -411,37 +1187,46 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Track shipment (public endpoint for tracking)
-router.get('/track/:trackingNumber', async (req, res) => {
+// Find one of the user's shipments, or one on an agreement they take part in, by its tracking
+// number, a leg's tracking reference or a container number. Anyone else follows a shipment
+// through a tracking link (/api/tracking/:token).
+router.get('/track/:reference', async (req, res) => {
   try {
-    const { trackingNumber } = req.params;
+    const { reference } = req.params;
 
-    const shipment = await getQuery(
-      `SELECT s.*, ta.agreement_name, ta.buyer_company, ta.seller_company 
-       FROM shipments s 
-       JOIN trade_agreements ta ON s.trade_agreement_id = ta.id 
-       WHERE s.tracking_number = ?`,
-      [trackingNumber]
-    );
+    const found = await findShipmentByReference(database, [reference], { userId: req.user.id });
 
-    if (!shipment) {
+    if (!found) {
       return res.status(404).json({
         error: 'Shipment not found',
         code: 'NOT_FOUND'
       });
     }
 
+    const { shipment } = found;
+    const legs = await listShipmentLegs(database, shipment.id);
+    const containers = await listShipmentContainers(database, shipment.id);
+
     res.json({
       shipment: {
+        id: shipment.id,
         trackingNumber: shipment.tracking_number,
         carrier: shipment.carrier,
         origin: shipment.origin,
+        originCode: shipment.origin_code || null,
         destination: shipment.destination,
+        destinationCode: shipment.destination_code || null,
         status: shipment.status,
         estimatedDelivery: shipment.estimated_delivery,
         actualDelivery: shipment.actual_delivery,
         createdAt: shipment.created_at,
-        updatedAt: shipment.updated_at
+        updatedAt: shipment.updated_at,
+        progress: shipmentProgress(shipment, legs),
+        legs: legs.map(leg => {
+          const { id, uuid, createdAt, updatedAt, ...publicLeg } = formatShipmentLeg(leg);
+          return publicLeg;
+        }),
+        containers: containers.map(container => container.container_number)
       }
     });
 
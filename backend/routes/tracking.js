@@ -0,0 +1,35 @@
+const express = require('express');
+const database = require('../config/database');
+const { openTrackingLink, publicTrackingView } = require('../services/trackingLinks');
+const { AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Follow a shipment through a tracking link its owner shared. The token in the link is the only
+// credential, so this router is mounted without authentication.
+router.get('/:token', async (req, res) => {
+  try {
+    const shipment = await openTrackingLink(database, req.params.token, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.set('Cache-Control', 'private, no-store');
+    res.json({
+      shipment: await publicTrackingView(database, shipment)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Public tracking error:', error);
+    res.status(500).json({
+      error: 'Failed to track shipment',
+      code: 'TRACK_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,25 +1,45 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
-const { runQuery, getQuery, allQuery } = require('../config/database');
+const database = require('../config/database');
+const { createNotification } = require('../services/notifications');
+const { ESCROW_STATUSES, getActiveEscrow, fundEscrow, releaseEscrow, confirmEscrow } = require('../services/escrow');
+const {
+  TRANSITIONS, STATUSES, EDITABLE_STATUSES, DELETABLE_STATUSES, lifecycleRoles, allowedActions, transitionAgreement, getStatusHistory
+} = require('../services/agreementLifecycle');
+const {
+  ROLES, PARTICIPANT_AGREEMENT_IDS, getParticipantRoles, getParticipantAgreement, listParticipants, addParticipant,
+  syncPartyParticipants, acceptInvitation, sendInvitation
+} = require('../services/participants');
+const { partyRole, recordVersion, listVersions } = require('../services/agreementVersions');
+const {
+  LINE_TERMS, linesForChanges, lineTermColumns, formatLineItem, listLineItems, saveLineItems
+} = require('../services/lineItems');
+const {
+  AMENDABLE_FIELDS, RESPONSES, listAmendments, proposeAmendment, respondToAmendment
+} = require('../services/amendments');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  listContractVersions, getContractDocument, contractFilePath, generateContract, removeContractFiles
+} = require('../services/contracts');
+const {
+  SIGNING_STATUSES, PARTY_ROLES, getSigningStatus, sendSigningCode, signContract, removeSignatures
+} = require('../services/signatures');
+const {
+  INCOTERMS, TRADE_TERMS, tradeTermColumns, listPaymentSchedule, scheduleRows, formatInstallment
+} = require('../services/paymentTerms');
+const {
+  TEMPLATE_FIELDS, fillTemplate, applyOverrides, agreementFields, getTemplate
+} = require('../services/agreementTemplates');
+const {
+  lineItemSchema, paymentPlanSchema, createTradeAgreementSchema, createTradeAgreement
+} = require('../services/tradeAgreements');
+const { idempotency } = require('../middleware/idempotency');
+
+const { runQuery, getQuery, allQuery, withTransaction } = database;
 
 const router = express.Router();
 
 // Validation schemas
-const createTradeAgreementSchema = Joi.object({
-  agreementName: Joi.string().min(3).max(100).required(),
-  buyerCompany: Joi.string().min(2).max(100).required(),
-  sellerCompany: Joi.string().min(2).max(100).required(),
-  buyerEmail: Joi.string().email().required(),
-  sellerEmail: Joi.string().email().required(),
-  productDescription: Joi.string().min(10).max(500).required(),
-  quantity: Joi.number().integer().min(1).required(),
-  unitPrice: Joi.number().positive().required(),
-  currency: Joi.string().length(3).default('USD'),
-  paymentTerms: Joi.string().max(100).default('30 days'),
-  deliveryTerms: Joi.string().max(100).default('FOB')
-});
-
 const updateTradeAgreementSchema = Joi.object({
   agreementName: Joi.string().min(3).max(100).optional(),
   buyerCompany: Joi.string().min(2).max(100).optional(),
@@ -27,16 +47,170 @@ const updateTradeAgreementSchema = Joi.object({
   buyerEmail: Joi.string().email().optional(),
   sellerEmail: Joi.string().email().optional(),
   productDescription: Joi.string().min(10).max(500).optional(),
-  quantity: Joi.number().integer().min(1).optional(),
-  unitPrice: Joi.number().positive().optional(),
-  currency: Joi.string().length(3).optional(),
-  paymentTerms: Joi.string().max(100).optional(),
+  quantity: Joi.number().integer().min(1).when('lineItems', { is: Joi.exist(), then: Joi.forbidden() }),
+  unitPrice: Joi.number().positive().when('lineItems', { is: Joi.exist(), then: Joi.forbidden() }),
+  lineItems: Joi.array().items(lineItemSchema).min(1).max(200).optional(),
+  currency: Joi.string().uppercase().pattern(/^[A-Z]{3,5}$/).optional(),
+  incoterm: Joi.string().uppercase().valid(...Object.keys(INCOTERMS)).optional(),
+  namedPlace: Joi.string().min(2).max(100).optional(),
   deliveryTerms: Joi.string().max(100).optional(),
-  status: Joi.string().valid('draft', 'pending', 'approved', 'rejected', 'active', 'completed', 'cancelled').optional()
+  paymentPlan: paymentPlanSchema.optional(),
+  paymentTerms: Joi.string().max(100).optional()
+}).oxor('incoterm', 'deliveryTerms').oxor('namedPlace', 'deliveryTerms').oxor('paymentPlan', 'paymentTerms')
+  .messages({ 'object.oxor': 'Send either {{#presentWithLabels}}, not both' });
+
+// Clones and templates take any create fields as overrides; the merged fields are validated
+// with createTradeAgreementSchema
+const agreementOverridesSchema = Joi.object(Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, Joi.any()])));
+
+const instantiateTemplateSchema = Joi.object({
+  values: Joi.object().pattern(/^[A-Za-z]\w*$/, Joi.alternatives(Joi.string().max(500), Joi.number())).default({}),
+  overrides: agreementOverridesSchema.default({})
+});
+
+// Status changes go through the lifecycle endpoints (POST /:id/submit, /approve, ...)
+const transitionSchema = Joi.object({
+  reason: Joi.string().max(500).optional()
+});
+
+// Amendments propose new values for any of the terms except the parties' emails and the totals
+const proposeAmendmentSchema = Joi.object({
+  changes: updateTradeAgreementSchema.fork(['buyerEmail', 'sellerEmail'], field => field.forbidden()).min(1).required(),
+  reason: Joi.string().max(500).optional()
+});
+
+const respondAmendmentSchema = Joi.object({
+  reason: Joi.string().max(500).optional()
+});
+
+const addParticipantSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+// Signing needs the hash of the version the signer reviewed and their password or emailed code
+const signContractSchema = Joi.object({
+  typedName: Joi.string().trim().min(2).max(100).required(),
+  documentHash: Joi.string().hex().length(64).lowercase().required(),
+  password: Joi.string(),
+  otp: Joi.string().pattern(/^\d{6}$/)
+}).xor('password', 'otp').messages({
+  'object.missing': 'Enter your password or the signing code emailed to you',
+  'object.xor': 'Enter either your password or a signing code, not both'
+});
+
+const fundEscrowSchema = Joi.object({
+  amount: Joi.number().positive().optional(),
+  releaseCondition: Joi.string().valid('delivery', 'mutual_confirmation').default('delivery')
 });
 
+// The user's role for escrow purposes, from their participant roles (agreement.roles)
+function escrowRole(agreement) {
+  if (agreement.roles.includes('buyer')) {
+    return 'buyer';
+  }
+  if (agreement.roles.includes('seller')) {
+    return 'seller';
+  }
+  return null;
+}
+
+function formatAgreement(agreement) {
+  return {
+    id: agreement.id,
+    uuid: agreement.uuid,
+    agreementName: agreement.agreement_name,
+    buyerCompany: agreement.buyer_company,
+    sellerCompany: agreement.seller_company,
+    buyerEmail: agreement.buyer_email,
+    sellerEmail: agreement.seller_email,
+    productDescription: agreement.product_description,
+    quantity: agreement.quantity,
+    unitPrice: agreement.unit_price,
+    subtotal: agreement.subtotal,
+    discountTotal: agreement.discount_total,
+    taxTotal: agreement.tax_total,
+    dutyTotal: agreement.duty_total,
+    totalAmount: agreement.total_amount,
+    currency: agreement.currency,
+    paymentTerms: agreement.payment_terms,
+    paymentPlan: agreement.payment_plan ? JSON.parse(agreement.payment_plan) : null,
+    deliveryTerms: agreement.delivery_terms,
+    incoterm: agreement.incoterm,
+    namedPlace: agreement.named_place,
+    status: agreement.status,
+    contractUrl: agreement.contract_url,
+    contractHash: agreement.contract_hash,
+    contractVersion: agreement.contract_version,
+    termsVersion: agreement.terms_version,
+    templateId: agreement.template_id,
+    clonedFromId: agreement.cloned_from_id,
+    signedAt: agreement.signed_at,
+    createdAt: agreement.created_at,
+    updatedAt: agreement.updated_at
+  };
+}
+
+function formatParticipant(participant) {
+  return {
+    id: participant.id,
+    email: participant.email,
+    role: participant.role,
+    status: participant.status,
+    userId: participant.user_id,
+    name: participant.first_name ? `${participant.first_name} ${participant.last_name}` : null,
+    company: participant.company || null,
+    acceptedAt: participant.accepted_at,
+    createdAt: participant.created_at
+  };
+}
+
+function formatEscrow(escrow) {
+  return {
+    id: escrow.id,
+    uuid: escrow.uuid,
+    tradeAgreementId: escrow.trade_agreement_id,
+    amount: escrow.amount,
+    currency: escrow.currency,
+    status: escrow.status,
+    releaseCondition: escrow.release_condition,
+    buyerConfirmedAt: escrow.buyer_confirmed_at,
+    sellerConfirmedAt: escrow.seller_confirmed_at,
+    refundRequestedBy: escrow.refund_requested_by,
+    refundRequestedAt: escrow.refund_requested_at,
+    settlementReason: escrow.settlement_reason,
+    settledAt: escrow.settled_at,
+    createdAt: escrow.created_at,
+    updatedAt: escrow.updated_at
+  };
+}
+
+// Create a draft agreement from validated create fields and invite the parties. `origin` records
+// the template or agreement it came from.
+async function createAgreement(user, value, origin) {
+  const created = await withTransaction(async (tx) => {
+    const created = await createTradeAgreement(tx, user, value, origin);
+
+    // Create notification
+    await createNotification(tx, {
+      userId: user.id,
+      type: 'trade',
+      title: 'Trade Agreement Created',
+      message: `Trade agreement "${created.agreement.agreement_name}" has been created successfully`,
+      metadata: { agreementId: created.agreement.id, agreementUuid: created.agreement.uuid }
+    });
+
+    return created;
+  });
+
+  for (const participant of created.participants) {
+    await sendInvitation(participant, created.agreement, user.email);
+  }
+
+  return created;
+}
+
 // Create trade agreement
-router.post('/', async (req, res) => {
+router.post('/', idempotency, async (req, res) => {
   try {
     // Validate input
     const { error, value } = createTradeAgreementSchema.validate(req.body);
@@ -47,79 +221,22 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const {
-      agreementName,
-      buyerCompany,
-      sellerCompany,
-      buyerEmail,
-      sellerEmail,
-      productDescription,
-      quantity,
-      unitPrice,
-      currency,
-      paymentTerms,
-      deliveryTerms
-    } = value;
-
-    const totalAmount = quantity * unitPrice;
-    const agreementUuid = uuidv4();
-
-    // Create trade agreement
-    const result = await runQuery(
-      `INSERT INTO trade_agreements 
-       (uuid, user_id, agreement_name, buyer_company, seller_company, buyer_email, seller_email,
-        product_description, quantity, unit_price, total_amount, currency, payment_terms, delivery_terms, status)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        agreementUuid, req.user.id, agreementName, buyerCompany, sellerCompany,
-        buyerEmail, sellerEmail, productDescription, quantity, unitPrice,
-        totalAmount, currency, paymentTerms, deliveryTerms, 'draft'
-      ]
-    );
-
-    // Get created agreement
-    const agreement = await getQuery(
-      `SELECT * FROM trade_agreements WHERE id = ?`,
-      [result.id]
-    );
-
-    // Create notification
-    await runQuery(
-      `INSERT INTO notifications (uuid, user_id, type, title, message, metadata)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [
-        uuidv4(), req.user.id, 'trade',
-        'Trade Agreement Created',
-        `Trade agreement "${agreementName}" has been created successfully`,
-        JSON.stringify({ agreementId: agreement.id, agreementUuid })
-      ]
-    );
+    const { agreement, participants, lineItems } = await createAgreement(req.user, value);
 
     res.status(201).json({
       message: 'Trade agreement created successfully',
       agreement: {
-        id: agreement.id,
-        uuid: agreement.uuid,
-        agreementName: agreement.agreement_name,
-        buyerCompany: agreement.buyer_company,
-        sellerCompany: agreement.seller_company,
-        buyerEmail: agreement.buyer_email,
-        sellerEmail: agreement.seller_email,
-        productDescription: agreement.product_description,
-        quantity: agreement.quantity,
-        unitPrice: agreement.unit_price,
-        totalAmount: agreement.total_amount,
-        currency: agreement.currency,
-        paymentTerms: agreement.payment_terms,
-        deliveryTerms: agreement.delivery_terms,
-        status: agreement.status,
-        contractUrl: agreement.contract_url,
-        createdAt: agreement.created_at,
-        updatedAt: agreement.updated_at
-      }
+        ...formatAgreement(agreement),
+        lineItems: lineItems.map(formatLineItem)
+      },
+      participants: participants.map(formatParticipant)
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Create trade agreement error:', error);
     res.status(500).json({
       error: 'Failed to create trade agreement',
@@ -128,14 +245,132 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get all trade agreements for user
+// Create a draft agreement from merged clone or template fields, validated like POST /
+async function createFromFields(req, res, fields, origin) {
+  const { error, value } = createTradeAgreementSchema.validate(fields);
+  if (error) {
+    return res.status(400).json({
+      error: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    });
+  }
+
+  const { agreement, participants, lineItems } = await createAgreement(req.user, value, origin);
+
+  res.status(201).json({
+    message: 'Trade agreement created successfully',
+    agreement: { ...formatAgreement(agreement), lineItems: lineItems.map(formatLineItem) },
+    participants: participants.map(formatParticipant)
+  });
+}
+
+// Create a draft agreement from a template the user can use, filling its placeholders
+router.post('/from-template/:templateId', idempotency, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = instantiateTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const template = await getTemplate(database, req.params.templateId, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const fields = applyOverrides(fillTemplate(template.fields, value.values), value.overrides);
+
+    await createFromFields(req, res, fields, { templateId: template.id });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Create trade agreement from template error:', error);
+    res.status(500).json({
+      error: 'Failed to create trade agreement',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// Start a new draft with this agreement's parties, goods and terms (creator, buyer or seller);
+// the body can override any of the create fields
+router.post('/:id/clone', idempotency, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = agreementOverridesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!agreement.roles.some(role => role !== 'observer')) {
+      return res.status(403).json({
+        error: 'Observers cannot clone this agreement',
+        code: 'NOT_A_PARTY'
+      });
+    }
+
+    const fields = agreementFields(agreement, await listLineItems(database, agreement.id));
+    fields.agreementName = `${fields.agreementName.slice(0, 93)} (copy)`;
+
+    await createFromFields(req, res, applyOverrides(fields, value), { clonedFromId: agreement.id });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Clone trade agreement error:', error);
+    res.status(500).json({
+      error: 'Failed to clone trade agreement',
+      code: 'CLONE_ERROR'
+    });
+  }
+});
+
+// Get all trade agreements the user participates in (?role= narrows to one role)
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, search } = req.query;
+    const { page = 1, limit = 10, status, search, role } = req.query;
     const offset = (page - 1) * limit;
 
-    let whereClause = 'WHERE user_id = ?';
-    let queryParams = [req.user.id];
+    let whereClause = `WHERE id IN (${PARTICIPANT_AGREEMENT_IDS}${role ? ' AND role = ?' : ''})`;
+    let queryParams = role ? [req.user.id, role] : [req.user.id];
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `Role must be one of ${ROLES.join(', ')}`,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Status must be one of ${STATUSES.join(', ')}`,
+        code: 'VALIDATION_ERROR'
+      });
+    }
 
     // Add status filter
     if (status) {
@@ -163,26 +398,19 @@ router.get('/', async (req, res) => {
       queryParams
     );
 
+    // The user's roles on each agreement on this page
+    const roleRows = agreements.length > 0
+      ? await allQuery(
+        `SELECT trade_agreement_id, role FROM trade_agreement_participants
+         WHERE user_id = ? AND trade_agreement_id IN (${agreements.map(() => '?').join(', ')})`,
+        [req.user.id, ...agreements.map(agreement => agreement.id)]
+      )
+      : [];
+
     res.json({
       agreements: agreements.map(agreement => ({
-        id: agreement.id,
-        uuid: agreement.uuid,
-        agreementName: agreement.agreement_name,
-        buyerCompany: agreement.buyer_company,
-        sellerCompany: agreement.seller_company,
-        buyerEmail: agreement.buyer_email,
-        sellerEmail: agreement.seller_email,
-        productDescription: agreement.product_description,
-        quantity: agreement.quantity,
-        unitPrice: agreement.unit_price,
-        totalAmount: agreement.total_amount,
-        currency: agreement.currency,
-        paymentTerms: agreement.payment_terms,
-        deliveryTerms: agreement.delivery_terms,
-        status: agreement.status,
-        contractUrl: agreement.contract_url,
-        createdAt: agreement.created_at,
-        updatedAt: agreement.updated_at
+        ...formatAgreement(agreement),
+        roles: roleRows.filter(row => row.trade_agreement_id === agreement.id).map(row => row.role)
       })),
       pagination: {
         page: parseInt(page),
@@ -206,10 +434,7 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const agreement = await getQuery(
-      `SELECT * FROM trade_agreements WHERE id = ? AND user_id = ?`,
-      [id, req.user.id]
-    );
+    const agreement = await getParticipantAgreement(database, id, req.user.id);
 
     if (!agreement) {
       return res.status(404).json({
@@ -220,25 +445,11 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       agreement: {
-        id: agreement.id,
-        uuid: agreement.uuid,
-        agreementName: agreement.agreement_name,
-        buyerCompany: agreement.buyer_company,
-        sellerCompany: agreement.seller_company,
-        buyerEmail: agreement.buyer_email,
-        sellerEmail: agreement.seller_email,
-        productDescription: agreement.product_description,
-        quantity: agreement.quantity,
-        unitPrice: agreement.unit_price,
-        totalAmount: agreement.total_amount,
-        currency: agreement.currency,
-        paymentTerms: agreement.payment_terms,
-        deliveryTerms: agreement.delivery_terms,
-        status: agreement.status,
-        contractUrl: agreement.contract_url,
-        createdAt: agreement.created_at,
-        updatedAt: agreement.updated_at
-      }
+        ...formatAgreement(agreement),
+        lineItems: (await listLineItems(database, agreement.id)).map(formatLineItem)
+      },
+      roles: agreement.roles,
+      allowedActions: allowedActions(agreement)
     });
 
   } catch (error) {
@@ -265,10 +476,7 @@ router.put('/:id', async (req, res) => {
     }
 
     // Check if agreement exists
-    const existingAgreement = await getQuery(
-      'SELECT * FROM trade_agreements WHERE id = ? AND user_id = ?',
-      [id, req.user.id]
-    );
+    const existingAgreement = await getParticipantAgreement(database, id, req.user.id);
 
     if (!existingAgreement) {
       return res.status(404).json({
@@ -277,18 +485,56 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    if (!existingAgreement.roles.includes('creator')) {
+      return res.status(403).json({
+        error: 'Only the creator can edit this agreement',
+        code: 'NOT_CREATOR'
+      });
+    }
+
+    if (existingAgreement.signed_at) {
+      return res.status(409).json({
+        error: 'Signed agreements cannot be edited',
+        code: 'AGREEMENT_SIGNED'
+      });
+    }
+
+    // Once submitted, terms change only through amendments the other party accepts
+    if (!EDITABLE_STATUSES.includes(existingAgreement.status)) {
+      return res.status(409).json({
+        error: `Cannot edit a ${existingAgreement.status} agreement; propose an amendment instead`,
+        code: 'AGREEMENT_LOCKED'
+      });
+    }
+
+    // Line changes reprice the agreement and delivery and payment terms are parsed; the totals
+    // and term summaries are never set directly
+    const lines = linesForChanges(await listLineItems(database, id), value);
+
     // Build update query dynamically
     const updates = [];
     const values = [];
 
     Object.keys(value).forEach(key => {
-      if (value[key] !== undefined) {
+      if (value[key] !== undefined && !LINE_TERMS.includes(key) && !TRADE_TERMS.includes(key)) {
         const dbKey = key.replace(/([A-Z])/g, '_$1').toLowerCase();
         updates.push(`${dbKey} = ?`);
         values.push(value[key]);
       }
     });
 
+    if (lines) {
+      Object.entries(lineTermColumns(lines)).forEach(([column, total]) => {
+        updates.push(`${column} = ?`);
+        values.push(total);
+      });
+    }
+
+    Object.entries(tradeTermColumns(value, existingAgreement)).forEach(([column, term]) => {
+      updates.push(`${column} = ?`);
+      values.push(term);
+    });
+
     if (updates.length === 0) {
       return res.status(400).json({
         error: 'No fields to update',
@@ -296,53 +542,65 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // Recalculate total amount if quantity or unit price changed
-    if (value.quantity !== undefined || value.unitPrice !== undefined) {
-      const newQuantity = value.quantity || existingAgreement.quantity;
-      const newUnitPrice = value.unitPrice || existingAgreement.unit_price;
-      updates.push('total_amount = ?');
-      values.push(newQuantity * newUnitPrice);
-    }
-
     updates.push('updated_at = CURRENT_TIMESTAMP');
-    values.push(id);
+    values.push(id, ...EDITABLE_STATUSES);
 
-    await runQuery(
-      `UPDATE trade_agreements SET ${updates.join(', ')} WHERE id = ?`,
-      values
-    );
+    const { updatedAgreement, lineItems, invited } = await withTransaction(async (tx) => {
+      // Re-check the status in the update so a submission that lands first wins
+      const result = await tx.runQuery(
+        `UPDATE trade_agreements SET ${updates.join(', ')}
+         WHERE id = ? AND status IN (${EDITABLE_STATUSES.map(() => '?').join(', ')})`,
+        values
+      );
 
-    // Get updated agreement
-    const updatedAgreement = await getQuery(
-      'SELECT * FROM trade_agreements WHERE id = ?',
-      [id]
-    );
+      if (result.changes === 0) {
+        throw new AppError('The agreement can no longer be edited', 409, 'AGREEMENT_LOCKED');
+      }
+
+      if (lines) {
+        await saveLineItems(tx, id, lines);
+      }
+
+      // Get updated agreement
+      const updatedAgreement = await tx.getQuery(
+        'SELECT * FROM trade_agreements WHERE id = ?',
+        [id]
+      );
+
+      // A changed buyer or seller email replaces that participant
+      const invited = await syncPartyParticipants(tx, updatedAgreement, req.user.id);
+
+      // Keep the edit as a new version, attributed to the creator's side
+      await recordVersion(tx, updatedAgreement, {
+        actorId: req.user.id,
+        role: partyRole(await getParticipantRoles(tx, id, req.user.id)),
+        source: 'edit'
+      });
+
+      return {
+        updatedAgreement: await tx.getQuery('SELECT * FROM trade_agreements WHERE id = ?', [id]),
+        lineItems: await listLineItems(tx, id),
+        invited
+      };
+    });
+
+    for (const participant of invited) {
+      await sendInvitation(participant, updatedAgreement, req.user.email);
+    }
 
     res.json({
       message: 'Trade agreement updated successfully',
       agreement: {
-        id: updatedAgreement.id,
-        uuid: updatedAgreement.uuid,
-        agreementName: updatedAgreement.agreement_name,
-        buyerCompany: updatedAgreement.buyer_company,
-        sellerCompany: updatedAgreement.seller_company,
-        buyerEmail: updatedAgreement.buyer_email,
-        sellerEmail: updatedAgreement.seller_email,
-        productDescription: updatedAgreement.product_description,
-        quantity: updatedAgreement.quantity,
-        unitPrice: updatedAgreement.unit_price,
-        totalAmount: updatedAgreement.total_amount,
-        currency: updatedAgreement.currency,
-        paymentTerms: updatedAgreement.payment_terms,
-        deliveryTerms: updatedAgreement.delivery_terms,
-        status: updatedAgreement.status,
-        contractUrl: updatedAgreement.contract_url,
-        createdAt: updatedAgreement.created_at,
-        updatedAt: updatedAgreement.updated_at
+        ...formatAgreement(updatedAgreement),
+        lineItems: lineItems.map(formatLineItem)
       }
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Update trade agreement error:', error);
     res.status(500).json({
       error: 'Failed to update trade agreement',
@@ -357,10 +615,7 @@ router.delete('/:id', async (req, res) => {
     const { id } = req.params;
 
     // Check if agreement exists
-    const agreement = await getQuery(
-      'SELECT * FROM trade_agreements WHERE id = ? AND user_id = ?',
-      [id, req.user.id]
-    );
+    const agreement = await getParticipantAgreement(database, id, req.user.id);
 
     if (!agreement) {
       return res.status(404).json({
@@ -369,6 +624,20 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    if (!agreement.roles.includes('creator')) {
+      return res.status(403).json({
+        error: 'Only the creator can delete this agreement',
+        code: 'NOT_CREATOR'
+      });
+    }
+
+    if (!DELETABLE_STATUSES.includes(agreement.status)) {
+      return res.status(409).json({
+        error: `Cannot delete a ${agreement.status} agreement; cancel it instead`,
+        code: 'AGREEMENT_LOCKED'
+      });
+    }
+
     // Check if agreement has associated shipments
     const shipments = await getQuery(
       'SELECT COUNT(*) as count FROM shipments WHERE trade_agreement_id = ?',
@@ -382,12 +651,55 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Delete agreement
-    await runQuery(
-      'DELETE FROM trade_agreements WHERE id = ?',
+    // Escrow history references the agreement and its ledger entries
+    const escrows = await getQuery(
+      'SELECT COUNT(*) as count FROM escrows WHERE trade_agreement_id = ?',
+      [id]
+    );
+
+    if (escrows.count > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete trade agreement with escrow',
+        code: 'HAS_ESCROW'
+      });
+    }
+
+    // Signatures are the parties' record of what they agreed to
+    const signatures = await getQuery(
+      'SELECT COUNT(*) as count FROM contract_signatures WHERE trade_agreement_id = ?',
       [id]
     );
 
+    if (signatures.count > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete a trade agreement that has been signed',
+        code: 'HAS_SIGNATURES'
+      });
+    }
+
+    // Delete agreement with its participants, history, versions, amendments, signing codes,
+    // contract documents, line items and payment schedule. Invoices outlive the agreement, without
+    // their lines.
+    await withTransaction(async (tx) => {
+      await removeSignatures(tx, id);
+      await tx.runQuery(
+        `DELETE FROM invoice_line_items WHERE line_item_id IN
+         (SELECT id FROM trade_agreement_line_items WHERE trade_agreement_id = ?)`,
+        [id]
+      );
+      await tx.runQuery('DELETE FROM trade_agreement_line_items WHERE trade_agreement_id = ?', [id]);
+      await tx.runQuery('DELETE FROM trade_agreement_payment_schedule WHERE trade_agreement_id = ?', [id]);
+      await tx.runQuery('DELETE FROM trade_agreement_amendments WHERE trade_agreement_id = ?', [id]);
+      await tx.runQuery('DELETE FROM trade_agreement_versions WHERE trade_agreement_id = ?', [id]);
+      await tx.runQuery('DELETE FROM trade_agreement_participants WHERE trade_agreement_id = ?', [id]);
+      await tx.runQuery('DELETE FROM trade_agreement_status_history WHERE trade_agreement_id = ?', [id]);
+      await tx.runQuery('DELETE FROM contract_documents WHERE trade_agreement_id = ?', [id]);
+      await tx.runQuery('UPDATE trade_agreements SET cloned_from_id = NULL WHERE cloned_from_id = ?', [id]);
+      await tx.runQuery('DELETE FROM trade_agreements WHERE id = ?', [id]);
+    });
+
+    removeContractFiles(agreement);
+
     res.json({
       message: 'Trade agreement deleted successfully'
     });
@@ -401,15 +713,60 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Generate contract document
+function formatContractDocument(document) {
+  return {
+    uuid: document.uuid,
+    version: document.version,
+    sha256: document.sha256,
+    fileSize: document.file_size,
+    generatedBy: document.generated_by_email,
+    downloadUrl: `/api/trade-agreements/${document.trade_agreement_id}/contract/versions/${document.version}`,
+    signedAt: document.signed_at,
+    signedSha256: document.signed_sha256,
+    createdAt: document.created_at
+  };
+}
+
+function formatSignature(signature) {
+  return {
+    uuid: signature.uuid,
+    role: signature.party_role,
+    typedName: signature.typed_name,
+    signerEmail: signature.signer_email,
+    contractVersion: signature.contract_version,
+    documentSha256: signature.document_sha256,
+    ipAddress: signature.ip_address,
+    authMethod: signature.auth_method,
+    signedAt: signature.signed_at
+  };
+}
+
+// Stream a stored contract version as a PDF download; `signed` sends the copy with the
+// signature certificate page
+function sendContractDocument(res, agreement, document, { signed = false } = {}) {
+  const fileName = `${agreement.agreement_name.replace(/[^\w.-]+/g, '_')}-v${document.version}${signed ? '-signed' : ''}.pdf`;
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'X-Document-SHA256': signed ? document.signed_sha256 : document.sha256,
+    'Cache-Control': 'private, no-store'
+  });
+  res.sendFile(contractFilePath(document, { signed }), error => {
+    if (error && !res.headersSent) {
+      console.error('Send contract error:', error);
+      res.status(500).json({
+        error: 'Failed to download contract',
+        code: 'CONTRACT_ERROR'
+      });
+    }
+  });
+}
+
+// Generate a new contract PDF version (creator, buyer or seller)
 router.post('/:id/generate-contract', async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const agreement = await getQuery(
-      'SELECT * FROM trade_agreements WHERE id = ? AND user_id = ?',
-      [id, req.user.id]
-    );
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
 
     if (!agreement) {
       return res.status(404).json({
@@ -418,22 +775,33 @@ router.post('/:id/generate-contract', async (req, res) => {
       });
     }
 
-    // Generate contract URL (in a real implementation, this would generate an actual document)
-    const contractUuid = uuidv4();
-    const contractUrl = `/contracts/${contractUuid}.pdf`;
+    if (agreement.roles.every(role => role === 'observer')) {
+      return res.status(403).json({
+        error: 'Observers cannot generate contracts',
+        code: 'NOT_PARTY'
+      });
+    }
 
-    // Update agreement with contract URL
-    await runQuery(
-      'UPDATE trade_agreements SET contract_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [contractUrl, id]
-    );
+    if (agreement.signed_at) {
+      return res.status(409).json({
+        error: 'The contract has been signed by both parties and can no longer change',
+        code: 'AGREEMENT_SIGNED'
+      });
+    }
 
-    res.json({
+    const document = await withTransaction(tx => generateContract(tx, agreement, req.user.id));
+
+    res.status(201).json({
       message: 'Contract generated successfully',
-      contractUrl: contractUrl
+      contractUrl: `/api/trade-agreements/${agreement.id}/contract`,
+      document: formatContractDocument({ ...document, generated_by_email: req.user.email })
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Generate contract error:', error);
     res.status(500).json({
       error: 'Failed to generate contract',
@@ -442,4 +810,896 @@ router.post('/:id/generate-contract', async (req, res) => {
   }
 });
 
+// Download the latest contract PDF; once signed by both parties, the copy with the
+// signature certificate page
+router.get('/:id/contract', async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const document = await getContractDocument(database, agreement.id);
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'No contract has been generated for this agreement',
+        code: 'CONTRACT_NOT_FOUND'
+      });
+    }
+
+    sendContractDocument(res, agreement, document, { signed: Boolean(document.signed_file_name) });
+
+  } catch (error) {
+    console.error('Download contract error:', error);
+    res.status(500).json({
+      error: 'Failed to download contract',
+      code: 'CONTRACT_ERROR'
+    });
+  }
+});
+
+// List contract versions, newest first
+router.get('/:id/contract/versions', async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const versions = await listContractVersions(database, agreement.id);
+
+    res.json({
+      versions: versions.map(formatContractDocument)
+    });
+
+  } catch (error) {
+    console.error('Get contract versions error:', error);
+    res.status(500).json({
+      error: 'Failed to get contract versions',
+      code: 'CONTRACT_ERROR'
+    });
+  }
+});
+
+// Download a specific contract version
+router.get('/:id/contract/versions/:version', async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const version = Number(req.params.version);
+    const document = Number.isInteger(version) ? await getContractDocument(database, agreement.id, version) : null;
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Contract version not found',
+        code: 'CONTRACT_NOT_FOUND'
+      });
+    }
+
+    sendContractDocument(res, agreement, document);
+
+  } catch (error) {
+    console.error('Download contract version error:', error);
+    res.status(500).json({
+      error: 'Failed to download contract',
+      code: 'CONTRACT_ERROR'
+    });
+  }
+});
+
+// Get the signatures on the latest contract version and who still has to sign
+router.get('/:id/signatures', async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const { document, signatures, pendingRoles, signed } = await getSigningStatus(database, agreement);
+
+    res.json({
+      signed,
+      signedAt: agreement.signed_at,
+      document: document ? formatContractDocument(document) : null,
+      signatures: signatures.map(formatSignature),
+      pendingRoles,
+      canSign: Boolean(document) && !signed && SIGNING_STATUSES.includes(agreement.status) &&
+        agreement.roles.some(role => pendingRoles.includes(role))
+    });
+
+  } catch (error) {
+    console.error('Get signatures error:', error);
+    res.status(500).json({
+      error: 'Failed to get signatures',
+      code: 'SIGNATURE_ERROR'
+    });
+  }
+});
+
+// Email the user a one-time code to sign with instead of their password
+router.post('/:id/signatures/code', async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!agreement.roles.some(role => PARTY_ROLES.includes(role))) {
+      return res.status(403).json({
+        error: 'Only the buyer or seller can sign the contract',
+        code: 'NOT_PARTY'
+      });
+    }
+
+    const { expiresAt } = await sendSigningCode(database, agreement, req.user);
+
+    res.status(201).json({
+      message: `Signing code sent to ${req.user.email}`,
+      expiresAt
+    });
+
+  } catch (error) {
+    console.error('Send signing code error:', error);
+    res.status(500).json({
+      error: 'Failed to send signing code',
+      code: 'SIGNATURE_ERROR'
+    });
+  }
+});
+
+// Sign the latest contract version (buyer or seller)
+router.post('/:id/signatures', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = signContractSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const signed = await signContract(database, agreement, req.user, {
+      ...value,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      message: signed.agreement.signed_at ? 'Contract signed by both parties' : 'Signature recorded',
+      agreement: formatAgreement(signed.agreement),
+      document: formatContractDocument(signed.document),
+      signatures: signed.signatures.map(formatSignature)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Sign contract error:', error);
+    res.status(500).json({
+      error: 'Failed to sign contract',
+      code: 'SIGNATURE_ERROR'
+    });
+  }
+});
+
+// Lifecycle transitions: POST /:id/submit, /review, /approve, /reject, /revise, /activate,
+// /complete and /cancel. Each checks the current status and who may take the action.
+Object.keys(TRANSITIONS).forEach(action => {
+  router.post(`/:id/${action}`, async (req, res) => {
+    try {
+      // Validate input
+      const { error, value } = transitionSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+      if (!agreement) {
+        return res.status(404).json({
+          error: 'Trade agreement not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      const updatedAgreement = await withTransaction(tx => transitionAgreement(tx, agreement, {
+        action,
+        actor: req.user,
+        reason: value.reason
+      }));
+
+      // With escrow funded, a cancel other than the seller's waits for the seller to cancel too
+      if (updatedAgreement.status !== TRANSITIONS[action].to) {
+        return res.status(202).json({
+          message: 'Cancellation requested; the seller has to cancel as well before the escrow is refunded',
+          agreement: formatAgreement(updatedAgreement),
+          allowedActions: allowedActions({ ...updatedAgreement, roles: agreement.roles })
+        });
+      }
+
+      res.json({
+        message: `Trade agreement ${updatedAgreement.status.replace('_', ' ')}`,
+        agreement: formatAgreement(updatedAgreement),
+        allowedActions: allowedActions({ ...updatedAgreement, roles: agreement.roles })
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+      }
+
+      console.error(`Trade agreement ${action} error:`, error);
+      res.status(500).json({
+        error: `Failed to ${action} trade agreement`,
+        code: 'TRANSITION_ERROR'
+      });
+    }
+  });
+});
+
+// Get the agreement's status history
+router.get('/:id/history', async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const history = await getStatusHistory(database, agreement.id);
+
+    res.json({
+      status: agreement.status,
+      roles: agreement.roles,
+      lifecycleRoles: lifecycleRoles(agreement),
+      allowedActions: allowedActions(agreement),
+      history: history.map(entry => ({
+        id: entry.id,
+        action: entry.action,
+        fromStatus: entry.from_status,
+        toStatus: entry.to_status,
+        actorEmail: entry.actor_email,
+        reason: entry.reason,
+        createdAt: entry.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get trade agreement history error:', error);
+    res.status(500).json({
+      error: 'Failed to get trade agreement history',
+      code: 'HISTORY_ERROR'
+    });
+  }
+});
+
+function formatAmendment(amendment) {
+  const changes = {};
+  Object.entries(amendment.changes).forEach(([column, value]) => {
+    let change = value;
+    if (column === 'line_items') {
+      change = value.map(formatLineItem);
+    } else if (column === 'payment_plan') {
+      change = JSON.parse(value);
+    }
+    changes[column.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase())] = change;
+  });
+
+  return {
+    id: amendment.id,
+    uuid: amendment.uuid,
+    status: amendment.status,
+    baseVersion: amendment.base_version,
+    changes,
+    reason: amendment.reason,
+    proposedBy: amendment.proposed_by_email,
+    proposedByRole: amendment.proposed_by_role,
+    respondedBy: amendment.responded_by_email,
+    responseReason: amendment.response_reason,
+    respondedAt: amendment.responded_at,
+    resultingVersion: amendment.resulting_version,
+    createdAt: amendment.created_at
+  };
+}
+
+// Get every version of the agreement's terms, newest first, with the changes from the one before
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const versions = await listVersions(database, agreement.id);
+
+    res.json({
+      currentVersion: agreement.terms_version,
+      versions: versions.map(version => ({
+        version: version.version,
+        source: version.source,
+        changedBy: version.changed_by_email,
+        changedByRole: version.changed_by_role,
+        acceptedBy: version.accepted_by_email,
+        amendmentId: version.amendment_id,
+        changes: version.changes,
+        createdAt: version.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get trade agreement versions error:', error);
+    res.status(500).json({
+      error: 'Failed to get trade agreement versions',
+      code: 'VERSIONS_ERROR'
+    });
+  }
+});
+
+// Get the agreement's amendments, newest first
+router.get('/:id/amendments', async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const amendments = await listAmendments(database, agreement.id);
+
+    res.json({
+      amendableFields: AMENDABLE_FIELDS,
+      amendments: amendments.map(formatAmendment)
+    });
+
+  } catch (error) {
+    console.error('Get amendments error:', error);
+    res.status(500).json({
+      error: 'Failed to get amendments',
+      code: 'AMENDMENT_ERROR'
+    });
+  }
+});
+
+// Propose an amendment to a submitted agreement (creator, buyer or seller)
+router.post('/:id/amendments', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = proposeAmendmentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const amendment = await proposeAmendment(database, agreement, req.user, value);
+
+    res.status(201).json({
+      message: 'Amendment proposed',
+      amendment: formatAmendment(amendment)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Propose amendment error:', error);
+    res.status(500).json({
+      error: 'Failed to propose amendment',
+      code: 'AMENDMENT_ERROR'
+    });
+  }
+});
+
+// Answer an amendment: POST /:id/amendments/:amendmentId/accept or /reject (the other party),
+// or /withdraw (the proposer)
+Object.keys(RESPONSES).forEach(action => {
+  router.post(`/:id/amendments/:amendmentId/${action}`, async (req, res) => {
+    try {
+      // Validate input
+      const { error, value } = respondAmendmentSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+      if (!agreement) {
+        return res.status(404).json({
+          error: 'Trade agreement not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      const amendmentId = Number(req.params.amendmentId);
+      if (!Number.isInteger(amendmentId)) {
+        return res.status(404).json({
+          error: 'Amendment not found',
+          code: 'AMENDMENT_NOT_FOUND'
+        });
+      }
+
+      const result = await respondToAmendment(database, agreement, req.user, amendmentId, {
+        action,
+        reason: value.reason
+      });
+
+      res.json({
+        message: `Amendment ${result.amendment.status}`,
+        amendment: formatAmendment(result.amendment),
+        agreement: formatAgreement(result.agreement)
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+      }
+
+      console.error(`Amendment ${action} error:`, error);
+      res.status(500).json({
+        error: `Failed to ${action} amendment`,
+        code: 'AMENDMENT_ERROR'
+      });
+    }
+  });
+});
+
+// Get the payment schedule: the dated installments once the agreement is active, or what its
+// payment plan would produce before that
+router.get('/:id/payment-schedule', async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const installments = await listPaymentSchedule(database, agreement.id);
+    const scheduled = installments.length > 0;
+
+    res.json({
+      scheduled,
+      paymentTerms: agreement.payment_terms,
+      paymentPlan: agreement.payment_plan ? JSON.parse(agreement.payment_plan) : null,
+      totalAmount: agreement.total_amount,
+      currency: agreement.currency,
+      installments: (scheduled ? installments : scheduleRows(agreement)).map(installment => formatInstallment(installment))
+    });
+
+  } catch (error) {
+    console.error('Get payment schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to get payment schedule',
+      code: 'PAYMENT_SCHEDULE_ERROR'
+    });
+  }
+});
+
+// Get the agreement's participants
+router.get('/:id/participants', async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const participants = await listParticipants(database, agreement.id);
+
+    res.json({
+      participants: participants.map(formatParticipant)
+    });
+
+  } catch (error) {
+    console.error('Get participants error:', error);
+    res.status(500).json({
+      error: 'Failed to get participants',
+      code: 'PARTICIPANTS_ERROR'
+    });
+  }
+});
+
+// Add an observer (creator only); unregistered users are invited by email
+router.post('/:id/participants', async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = addParticipantSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!agreement.roles.includes('creator')) {
+      return res.status(403).json({
+        error: 'Only the creator can add participants',
+        code: 'NOT_CREATOR'
+      });
+    }
+
+    const participant = await withTransaction(tx => addParticipant(tx, {
+      agreement,
+      email: value.email,
+      role: 'observer',
+      invitedBy: req.user.id
+    }));
+
+    await sendInvitation(participant, agreement, req.user.email);
+
+    res.status(201).json({
+      message: participant.status === 'invited' ? 'Invitation sent' : 'Participant added',
+      participant: formatParticipant(participant)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Add participant error:', error);
+    res.status(500).json({
+      error: 'Failed to add participant',
+      code: 'PARTICIPANTS_ERROR'
+    });
+  }
+});
+
+// Remove an observer (creator only). Buyer and seller follow the agreement's emails.
+router.delete('/:id/participants/:participantId', async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!agreement.roles.includes('creator')) {
+      return res.status(403).json({
+        error: 'Only the creator can remove participants',
+        code: 'NOT_CREATOR'
+      });
+    }
+
+    const participant = await getQuery(
+      'SELECT * FROM trade_agreement_participants WHERE id = ? AND trade_agreement_id = ?',
+      [req.params.participantId, agreement.id]
+    );
+
+    if (!participant) {
+      return res.status(404).json({
+        error: 'Participant not found',
+        code: 'PARTICIPANT_NOT_FOUND'
+      });
+    }
+
+    if (participant.role !== 'observer') {
+      return res.status(400).json({
+        error: 'Change the buyer or seller email to replace a party',
+        code: 'CANNOT_REMOVE_PARTY'
+      });
+    }
+
+    await runQuery('DELETE FROM trade_agreement_participants WHERE id = ?', [participant.id]);
+
+    res.json({
+      message: 'Participant removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove participant error:', error);
+    res.status(500).json({
+      error: 'Failed to remove participant',
+      code: 'PARTICIPANTS_ERROR'
+    });
+  }
+});
+
+// Accept an emailed invitation with the logged-in account
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    const participant = await withTransaction(tx => acceptInvitation(tx, req.params.token, req.user));
+    const agreement = await getParticipantAgreement(database, participant.trade_agreement_id, req.user.id);
+
+    res.json({
+      message: 'Invitation accepted',
+      participant: formatParticipant(participant),
+      agreement: formatAgreement(agreement),
+      roles: agreement.roles
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to accept invitation',
+      code: 'INVITATION_ERROR'
+    });
+  }
+});
+
+// Get the agreement's current escrow (the funded one, or the most recently settled)
+router.get('/:id/escrow', async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const escrow = await getQuery(
+      `SELECT * FROM escrows WHERE trade_agreement_id = ?
+       ORDER BY CASE WHEN status = 'funded' THEN 0 ELSE 1 END, id DESC LIMIT 1`,
+      [agreement.id]
+    );
+
+    if (!escrow) {
+      return res.status(404).json({
+        error: 'No escrow for this trade agreement',
+        code: 'ESCROW_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      escrow: formatEscrow(escrow),
+      role: escrowRole(agreement)
+    });
+
+  } catch (error) {
+    console.error('Get escrow error:', error);
+    res.status(500).json({
+      error: 'Failed to get escrow',
+      code: 'ESCROW_ERROR'
+    });
+  }
+});
+
+// Fund escrow (buyer only)
+router.post('/:id/escrow', idempotency, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = fundEscrowSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (escrowRole(agreement) !== 'buyer') {
+      return res.status(403).json({
+        error: 'Only the buyer can fund escrow',
+        code: 'NOT_BUYER'
+      });
+    }
+
+    // Escrow secures terms both parties have agreed to
+    if (!ESCROW_STATUSES.includes(agreement.status)) {
+      return res.status(400).json({
+        error: `Cannot fund escrow for a ${agreement.status} agreement; it must be approved or active`,
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    const amount = value.amount || agreement.total_amount;
+    if (amount > agreement.total_amount) {
+      return res.status(400).json({
+        error: 'Escrow cannot exceed the agreement total',
+        code: 'AMOUNT_EXCEEDS_TOTAL'
+      });
+    }
+
+    const escrow = await withTransaction(tx => fundEscrow(tx, {
+      agreement,
+      buyer: req.user,
+      amount,
+      releaseCondition: value.releaseCondition
+    }));
+
+    res.status(201).json({
+      message: 'Escrow funded successfully',
+      escrow: formatEscrow(escrow)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Fund escrow error:', error);
+    res.status(500).json({
+      error: 'Failed to fund escrow',
+      code: 'ESCROW_ERROR'
+    });
+  }
+});
+
+// Confirm the escrow can be released (buyer or seller); releases once both confirm
+router.post('/:id/escrow/confirm', idempotency, async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const role = escrowRole(agreement);
+    if (!role) {
+      return res.status(403).json({
+        error: 'Only the buyer or seller can confirm escrow',
+        code: 'NOT_PARTY'
+      });
+    }
+
+    const confirmed = await withTransaction(async (tx) => {
+      const escrow = await getActiveEscrow(tx, agreement.id);
+      if (!escrow) {
+        throw new AppError('No funded escrow for this trade agreement', 404, 'ESCROW_NOT_FOUND');
+      }
+
+      return confirmEscrow(tx, escrow, { party: role, actorId: req.user.id });
+    });
+
+    res.json({
+      message: confirmed.status === 'released' ? 'Escrow released' : 'Escrow confirmation recorded',
+      escrow: formatEscrow(confirmed)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Confirm escrow error:', error);
+    res.status(500).json({
+      error: 'Failed to confirm escrow',
+      code: 'ESCROW_ERROR'
+    });
+  }
+});
+
+// Release escrow to the seller early (buyer only)
+router.post('/:id/escrow/release', idempotency, async (req, res) => {
+  try {
+    const agreement = await getParticipantAgreement(database, req.params.id, req.user.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        error: 'Trade agreement not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (escrowRole(agreement) !== 'buyer') {
+      return res.status(403).json({
+        error: 'Only the buyer can release escrow',
+        code: 'NOT_BUYER'
+      });
+    }
+
+    const released = await withTransaction(async (tx) => {
+      const escrow = await getActiveEscrow(tx, agreement.id);
+      if (!escrow) {
+        throw new AppError('No funded escrow for this trade agreement', 404, 'ESCROW_NOT_FOUND');
+      }
+
+      return releaseEscrow(tx, escrow, { reason: 'buyer_release', actorId: req.user.id });
+    });
+
+    res.json({
+      message: 'Escrow released',
+      escrow: formatEscrow(released)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Release escrow error:', error);
+    res.status(500).json({
+      error: 'Failed to release escrow',
+      code: 'ESCROW_ERROR'
+    });
+  }
+});
+
 module.exports = router;
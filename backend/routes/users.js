@@ -5,7 +5,12 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
-const { runQuery, getQuery, allQuery } = require('../config/database');
+const database = require('../config/database');
+const { DEFAULT_CURRENCY, listWallets } = require('../services/wallets');
+const { consolidateBalances } = require('../services/fx');
+const { PARTICIPANT_AGREEMENT_IDS } = require('../services/participants');
+
+const { runQuery, getQuery, allQuery, withTransaction } = database;
 
 const router = express.Router();
 
@@ -74,11 +79,9 @@ router.get('/profile', async (req, res) => {
       });
     }
 
-    // Get wallet balance
-    const wallet = await getQuery(
-      'SELECT balance, currency FROM wallets WHERE user_id = ?',
-      [req.user.id]
-    );
+    // Get wallet balances, default currency first
+    const wallets = await listWallets(database, req.user.id);
+    const wallet = wallets[0];
 
     res.json({
       user: {
@@ -98,6 +101,10 @@ router.get('/profile', async (req, res) => {
           balance: wallet.balance,
           currency: wallet.currency
         } : null,
+        wallets: wallets.map(w => ({
+          balance: w.balance,
+          currency: w.currency
+        })),
         createdAt: user.created_at,
         updatedAt: user.updated_at,
         lastLogin: user.last_login
@@ -304,36 +311,40 @@ router.post('/documents', upload.array('documents', 5), async (req, res) => {
 
     const uploadedDocuments = [];
 
-    for (const file of req.files) {
-      const documentUuid = uuidv4();
-      const documentUrl = `/uploads/documents/${file.filename}`;
+    const docCount = await withTransaction(async (tx) => {
+      for (const file of req.files) {
+        const documentUuid = uuidv4();
+        const documentUrl = `/uploads/documents/${file.filename}`;
+
+        // Save document record
+        await tx.runQuery(
+          `INSERT INTO document_uploads (uuid, user_id, file_name, file_path, file_size, file_type, upload_type, status)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [documentUuid, req.user.id, file.originalname, documentUrl, file.size, file.mimetype, 'verification', 'uploaded']
+        );
+
+        uploadedDocuments.push({
+          uuid: documentUuid,
+          fileName: file.originalname,
+          fileUrl: documentUrl,
+          fileSize: file.size,
+          fileType: file.mimetype
+        });
+      }
 
-      // Save document record
-      await runQuery(
-        `INSERT INTO document_uploads (uuid, user_id, file_name, file_path, file_size, file_type, upload_type, status)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [documentUuid, req.user.id, file.originalname, documentUrl, file.size, file.mimetype, 'verification', 'uploaded']
+      // Update documents count
+      const docCount = await tx.getQuery(
+        'SELECT COUNT(*) as count FROM document_uploads WHERE user_id = ? AND upload_type = ?',
+        [req.user.id, 'verification']
       );
 
-      uploadedDocuments.push({
-        uuid: documentUuid,
-        fileName: file.originalname,
-        fileUrl: documentUrl,
-        fileSize: file.size,
-        fileType: file.mimetype
-      });
-    }
-
-    // Update documents count
-    const docCount = await getQuery(
-      'SELECT COUNT(*) as count FROM document_uploads WHERE user_id = ? AND upload_type = ?',
-      [req.user.id, 'verification']
-    );
+      await tx.runQuery(
+        'UPDATE users SET documents_uploaded = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [docCount.count, req.user.id]
+      );
 
-    await runQuery(
-      'UPDATE users SET documents_uploaded = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [docCount.count, req.user.id]
-    );
+      return docCount;
+    });
 
     res.json({
       message: 'Documents uploaded successfully',
@@ -386,21 +397,20 @@ router.get('/stats', async (req, res) => {
   try {
     // Get trade agreements count
     const tradeAgreements = await getQuery(
-      'SELECT COUNT(*) as count FROM trade_agreements WHERE user_id = ?',
+      `SELECT COUNT(*) as count FROM trade_agreements WHERE id IN (${PARTICIPANT_AGREEMENT_IDS})`,
       [req.user.id]
     );
 
     // Get shipments count
     const shipments = await getQuery(
-      'SELECT COUNT(*) as count FROM shipments WHERE user_id = ?',
-      [req.user.id]
+      `SELECT COUNT(*) as count FROM shipments
+       WHERE user_id = ? OR trade_agreement_id IN (${PARTICIPANT_AGREEMENT_IDS})`,
+      [req.user.id, req.user.id]
     );
 
-    // Get wallet balance
-    const wallet = await getQuery(
-      'SELECT balance, currency FROM wallets WHERE user_id = ?',
-      [req.user.id]
-    );
+    // Get wallet balances, consolidated into the default currency
+    const wallets = await listWallets(database, req.user.id);
+    const consolidated = await consolidateBalances(database, wallets, DEFAULT_CURRENCY);
 
     // Get notifications count
     const notifications = await getQuery(
@@ -412,8 +422,12 @@ router.get('/stats', async (req, res) => {
       stats: {
         tradeAgreements: tradeAgreements.count,
         shipments: shipments.count,
-        walletBalance: wallet ? wallet.balance : 0,
-        walletCurrency: wallet ? wallet.currency : 'USD',
+        walletBalance: consolidated.balance,
+        walletCurrency: consolidated.currency,
+        walletBalances: wallets.map(w => ({
+          balance: w.balance,
+          currency: w.currency
+        })),
         unreadNotifications: notifications.count
       }
     });
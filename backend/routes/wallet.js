@@ -1,56 +1,126 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
-const { runQuery, getQuery, allQuery } = require('../config/database');
+const database = require('../config/database');
+const { createNotification } = require('../services/notifications');
+const { getWalletAccount, getSystemAccount, postJournalEntry, roundMoney } = require('../services/ledger');
+const { DEFAULT_CURRENCY, findWallet, getOrCreateWallet, listWallets } = require('../services/wallets');
+const { assertSupportedCurrency, createQuote, executeQuote, consolidateBalances } = require('../services/fx');
+const { AppError } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
+
+const { getQuery, allQuery, withTransaction } = database;
 
 const router = express.Router();
 
 // Validation schemas
+const currencySchema = Joi.string().uppercase().pattern(/^[A-Z]{3,5}$/);
+
+// Rounded to the cent, so an amount too small to post is refused here rather than by the ledger
+const amountSchema = Joi.number().positive().precision(2);
+
 const createTransactionSchema = Joi.object({
   type: Joi.string().valid('credit', 'debit', 'transfer', 'payment').required(),
-  amount: Joi.number().positive().required(),
-  currency: Joi.string().length(3).default('USD'),
+  amount: amountSchema.required(),
+  currency: currencySchema.default(DEFAULT_CURRENCY),
   description: Joi.string().max(200).optional(),
   reference: Joi.string().max(100).optional(),
-  metadata: Joi.object().optional()
+  metadata: Joi.object().optional(),
+  // Pay from another currency by converting at a quoted rate first
+  quoteId: Joi.string().guid().when('type', { is: 'credit', then: Joi.forbidden() })
 });
 
+// Journal entry type posted for each transaction type
+const ENTRY_TYPES = {
+  credit: 'deposit',
+  debit: 'withdrawal',
+  transfer: 'withdrawal',
+  payment: 'payment'
+};
+
 const transferSchema = Joi.object({
   recipientEmail: Joi.string().email().required(),
-  amount: Joi.number().positive().required(),
-  currency: Joi.string().length(3).default('USD'),
-  description: Joi.string().max(200).optional()
+  amount: amountSchema.required(),
+  currency: currencySchema.default(DEFAULT_CURRENCY),
+  description: Joi.string().max(200).optional(),
+  quoteId: Joi.string().guid().optional()
 });
 
-// Get wallet balance
+// Either execute an existing quote, or convert an amount at the current rate
+const convertSchema = Joi.object({
+  quoteId: Joi.string().guid(),
+  fromCurrency: currencySchema,
+  toCurrency: currencySchema,
+  amount: amountSchema
+}).xor('quoteId', 'fromCurrency').with('fromCurrency', ['toCurrency', 'amount']);
+
+function formatWallet(wallet) {
+  return {
+    id: wallet.id,
+    uuid: wallet.uuid,
+    currency: wallet.currency,
+    balance: wallet.balance,
+    frozenBalance: wallet.frozen_balance,
+    availableBalance: roundMoney(wallet.balance - wallet.frozen_balance),
+    createdAt: wallet.created_at,
+    updatedAt: wallet.updated_at
+  };
+}
+
+// Wallet to pay `amount` of `currency` from. With a quote the user's funds are converted
+// into `currency` first; without one they must already hold that currency.
+async function getPayingWallet(tx, userId, { currency, amount, quoteId }) {
+  if (quoteId) {
+    const { quote, toWallet } = await executeQuote(tx, quoteId, userId);
+
+    if (quote.to_currency !== currency || quote.to_amount !== roundMoney(amount)) {
+      throw new AppError(`Quote does not buy ${currency} ${amount}`, 400, 'QUOTE_MISMATCH');
+    }
+
+    return toWallet;
+  }
+
+  const wallet = await findWallet(tx, userId, currency);
+  if (!wallet) {
+    throw new AppError(
+      `No ${currency} wallet. Request a quote to pay from another currency.`,
+      400,
+      'CURRENCY_MISMATCH'
+    );
+  }
+
+  return wallet;
+}
+
+// Get wallet balances, per currency and consolidated into ?currency= (default USD)
 router.get('/balance', async (req, res) => {
   try {
-    const wallet = await getQuery(
-      'SELECT * FROM wallets WHERE user_id = ?',
-      [req.user.id]
-    );
+    const wallets = await listWallets(database, req.user.id);
 
-    if (!wallet) {
+    if (wallets.length === 0) {
       return res.status(404).json({
         error: 'Wallet not found',
         code: 'WALLET_NOT_FOUND'
       });
     }
 
+    const consolidated = await consolidateBalances(
+      database,
+      wallets,
+      (req.query.currency || DEFAULT_CURRENCY).toUpperCase()
+    );
+
     res.json({
-      wallet: {
-        id: wallet.id,
-        uuid: wallet.uuid,
-        currency: wallet.currency,
-        balance: wallet.balance,
-        frozenBalance: wallet.frozen_balance,
-        availableBalance: wallet.balance - wallet.frozen_balance,
-        createdAt: wallet.created_at,
-        updatedAt: wallet.updated_at
-      }
+      wallet: formatWallet(wallets[0]),
+      wallets: wallets.map(formatWallet),
+      consolidated
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Get wallet balance error:', error);
     res.status(500).json({
       error: 'Failed to get wallet balance',
@@ -129,7 +199,7 @@ router.get('/transactions', async (req, res) => {
 });
 
 // Create transaction
-router.post('/transactions', async (req, res) => {
+router.post('/transactions', idempotency, async (req, res) => {
   try {
     // Validate input
     const { error, value } = createTransactionSchema.validate(req.body);
@@ -140,82 +210,61 @@ router.post('/transactions', async (req, res) => {
       });
     }
 
-    const { type, amount, currency, description, reference, metadata } = value;
-
-    // Get user's wallet
-    const wallet = await getQuery(
-      'SELECT * FROM wallets WHERE user_id = ?',
-      [req.user.id]
-    );
-
-    if (!wallet) {
-      return res.status(404).json({
-        error: 'Wallet not found',
-        code: 'WALLET_NOT_FOUND'
-      });
-    }
-
-    // Check sufficient balance for debit transactions
-    if (type === 'debit' || type === 'transfer' || type === 'payment') {
-      const availableBalance = wallet.balance - wallet.frozen_balance;
-      if (availableBalance < amount) {
-        return res.status(400).json({
-          error: 'Insufficient balance',
-          code: 'INSUFFICIENT_BALANCE',
-          availableBalance: availableBalance
-        });
-      }
-    }
-
+    const { type, amount, currency, description, reference, metadata, quoteId } = value;
+    await assertSupportedCurrency(database, currency);
     const transactionUuid = uuidv4();
 
-    // Create transaction
-    const result = await runQuery(
-      `INSERT INTO transactions 
-       (uuid, wallet_id, user_id, type, amount, currency, description, reference, status, metadata)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        transactionUuid, wallet.id, req.user.id, type, amount, currency,
-        description, reference, 'pending', metadata ? JSON.stringify(metadata) : null
-      ]
-    );
-
-    // Update wallet balance
-    let newBalance = wallet.balance;
-    if (type === 'credit') {
-      newBalance += amount;
-    } else if (type === 'debit' || type === 'transfer' || type === 'payment') {
-      newBalance -= amount;
-    }
-
-    await runQuery(
-      'UPDATE wallets SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [newBalance, wallet.id]
-    );
-
-    // Update transaction status to completed
-    await runQuery(
-      'UPDATE transactions SET status = ? WHERE id = ?',
-      ['completed', result.id]
-    );
+    // Post the journal entry, record the transaction and notify in one database transaction.
+    // The ledger rejects debits that would overdraw the wallet.
+    const { transaction, updatedWallet } = await withTransaction(async (tx) => {
+      const wallet = type === 'credit'
+        ? await getOrCreateWallet(tx, req.user.id, currency)
+        : await getPayingWallet(tx, req.user.id, { currency, amount, quoteId });
+
+      const walletAccount = await getWalletAccount(tx, wallet);
+      const fundingAccount = await getSystemAccount(tx, 'funding', currency);
+      const [debitAccount, creditAccount] = type === 'credit'
+        ? [fundingAccount, walletAccount]
+        : [walletAccount, fundingAccount];
+
+      const entry = await postJournalEntry(tx, {
+        entryType: ENTRY_TYPES[type],
+        description,
+        reference: reference || transactionUuid,
+        metadata,
+        createdBy: req.user.id,
+        lines: [
+          { accountId: debitAccount.id, direction: 'debit', amount, currency },
+          { accountId: creditAccount.id, direction: 'credit', amount, currency }
+        ]
+      });
 
-    // Get created transaction
-    const transaction = await getQuery(
-      'SELECT * FROM transactions WHERE id = ?',
-      [result.id]
-    );
+      // Create transaction
+      const result = await tx.runQuery(
+        `INSERT INTO transactions 
+         (uuid, wallet_id, user_id, type, amount, currency, description, reference, status, metadata, journal_entry_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          transactionUuid, wallet.id, req.user.id, type, amount, currency,
+          description, reference, 'completed', metadata ? JSON.stringify(metadata) : null, entry.id
+        ]
+      );
+
+      // Create notification
+      await createNotification(tx, {
+        userId: req.user.id,
+        type: 'payment',
+        title: 'Transaction Completed',
+        message: `${type.charAt(0).toUpperCase() + type.slice(1)} transaction of ${currency} ${amount} completed`,
+        metadata: { transactionId: result.id, transactionUuid, type, amount, currency }
+      });
 
-    // Create notification
-    await runQuery(
-      `INSERT INTO notifications (uuid, user_id, type, title, message, metadata)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [
-        uuidv4(), req.user.id, 'payment',
-        'Transaction Completed',
-        `${type.charAt(0).toUpperCase() + type.slice(1)} transaction of ${currency} ${amount} completed`,
-        JSON.stringify({ transactionId: transaction.id, transactionUuid, type, amount, currency })
-      ]
-    );
+      // Get created transaction
+      return {
+        transaction: await tx.getQuery('SELECT * FROM transactions WHERE id = ?', [result.id]),
+        updatedWallet: await tx.getQuery('SELECT * FROM wallets WHERE id = ?', [wallet.id])
+      };
+    });
 
     res.status(201).json({
       message: 'Transaction created successfully',
@@ -231,10 +280,14 @@ router.post('/transactions', async (req, res) => {
         metadata: transaction.metadata ? JSON.parse(transaction.metadata) : null,
         createdAt: transaction.created_at
       },
-      newBalance: newBalance
+      newBalance: updatedWallet.balance
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Create transaction error:', error);
     res.status(500).json({
       error: 'Failed to create transaction',
@@ -244,7 +297,7 @@ router.post('/transactions', async (req, res) => {
 });
 
 // Transfer funds to another user
-router.post('/transfer', async (req, res) => {
+router.post('/transfer', idempotency, async (req, res) => {
   try {
     // Validate input
     const { error, value } = transferSchema.validate(req.body);
@@ -255,30 +308,8 @@ router.post('/transfer', async (req, res) => {
       });
     }
 
-    const { recipientEmail, amount, currency, description } = value;
-
-    // Get sender's wallet
-    const senderWallet = await getQuery(
-      'SELECT * FROM wallets WHERE user_id = ?',
-      [req.user.id]
-    );
-
-    if (!senderWallet) {
-      return res.status(404).json({
-        error: 'Sender wallet not found',
-        code: 'SENDER_WALLET_NOT_FOUND'
-      });
-    }
-
-    // Check sufficient balance
-    const availableBalance = senderWallet.balance - senderWallet.frozen_balance;
-    if (availableBalance < amount) {
-      return res.status(400).json({
-        error: 'Insufficient balance',
-        code: 'INSUFFICIENT_BALANCE',
-        availableBalance: availableBalance
-      });
-    }
+    const { recipientEmail, amount, currency, description, quoteId } = value;
+    await assertSupportedCurrency(database, currency);
 
     // Find recipient user
     const recipient = await getQuery(
@@ -293,79 +324,79 @@ router.post('/transfer', async (req, res) => {
       });
     }
 
-    // Get recipient's wallet
-    const recipientWallet = await getQuery(
-      'SELECT * FROM wallets WHERE user_id = ?',
-      [recipient.id]
-    );
-
-    if (!recipientWallet) {
-      return res.status(404).json({
-        error: 'Recipient wallet not found',
-        code: 'RECIPIENT_WALLET_NOT_FOUND'
+    if (recipient.id === req.user.id) {
+      return res.status(400).json({
+        error: 'Cannot transfer funds to yourself',
+        code: 'SELF_TRANSFER'
       });
     }
 
     const transferUuid = uuidv4();
 
-    // Create debit transaction for sender
-    const senderTransaction = await runQuery(
-      `INSERT INTO transactions 
-       (uuid, wallet_id, user_id, type, amount, currency, description, reference, status, metadata)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        uuidv4(), senderWallet.id, req.user.id, 'transfer', amount, currency,
-        `Transfer to ${recipientEmail}`, transferUuid, 'completed',
-        JSON.stringify({ recipientEmail, recipientId: recipient.id, transferType: 'outgoing' })
-      ]
-    );
-
-    // Create credit transaction for recipient
-    const recipientTransaction = await runQuery(
-      `INSERT INTO transactions 
-       (uuid, wallet_id, user_id, type, amount, currency, description, reference, status, metadata)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        uuidv4(), recipientWallet.id, recipient.id, 'credit', amount, currency,
-        `Transfer from ${req.user.email}`, transferUuid, 'completed',
-        JSON.stringify({ senderEmail: req.user.email, senderId: req.user.id, transferType: 'incoming' })
-      ]
-    );
-
-    // Update sender's wallet balance
-    await runQuery(
-      'UPDATE wallets SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [senderWallet.balance - amount, senderWallet.id]
-    );
+    // One journal entry moves the funds; both transaction rows and notifications commit with it.
+    // The recipient is paid into their wallet for the transfer currency, opened if needed.
+    const updatedWallet = await withTransaction(async (tx) => {
+      const senderWallet = await getPayingWallet(tx, req.user.id, { currency, amount, quoteId });
+      const recipientWallet = await getOrCreateWallet(tx, recipient.id, currency);
+
+      const senderAccount = await getWalletAccount(tx, senderWallet);
+      const recipientAccount = await getWalletAccount(tx, recipientWallet);
+
+      const entry = await postJournalEntry(tx, {
+        entryType: 'transfer',
+        description: description || `Transfer from ${req.user.email} to ${recipientEmail}`,
+        reference: transferUuid,
+        metadata: { senderId: req.user.id, recipientId: recipient.id },
+        createdBy: req.user.id,
+        lines: [
+          { accountId: senderAccount.id, direction: 'debit', amount, currency },
+          { accountId: recipientAccount.id, direction: 'credit', amount, currency }
+        ]
+      });
 
-    // Update recipient's wallet balance
-    await runQuery(
-      'UPDATE wallets SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [recipientWallet.balance + amount, recipientWallet.id]
-    );
+      // Create debit transaction for sender
+      const senderTransaction = await tx.runQuery(
+        `INSERT INTO transactions 
+         (uuid, wallet_id, user_id, type, amount, currency, description, reference, status, metadata, journal_entry_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          uuidv4(), senderWallet.id, req.user.id, 'transfer', amount, currency,
+          `Transfer to ${recipientEmail}`, transferUuid, 'completed',
+          JSON.stringify({ recipientEmail, recipientId: recipient.id, transferType: 'outgoing' }), entry.id
+        ]
+      );
+
+      // Create credit transaction for recipient
+      const recipientTransaction = await tx.runQuery(
+        `INSERT INTO transactions 
+         (uuid, wallet_id, user_id, type, amount, currency, description, reference, status, metadata, journal_entry_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          uuidv4(), recipientWallet.id, recipient.id, 'credit', amount, currency,
+          `Transfer from ${req.user.email}`, transferUuid, 'completed',
+          JSON.stringify({ senderEmail: req.user.email, senderId: req.user.id, transferType: 'incoming' }), entry.id
+        ]
+      );
+
+      // Create notifications
+      await createNotification(tx, {
+        userId: req.user.id,
+        type: 'payment',
+        title: 'Transfer Sent',
+        message: `Transfer of ${currency} ${amount} sent to ${recipientEmail}`,
+        metadata: { transactionId: senderTransaction.id, transferUuid, amount, currency }
+      });
 
-    // Create notifications
-    await runQuery(
-      `INSERT INTO notifications (uuid, user_id, type, title, message, metadata)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [
-        uuidv4(), req.user.id, 'payment',
-        'Transfer Sent',
-        `Transfer of ${currency} ${amount} sent to ${recipientEmail}`,
-        JSON.stringify({ transactionId: senderTransaction.id, transferUuid, amount, currency })
-      ]
-    );
+      await createNotification(tx, {
+        userId: recipient.id,
+        type: 'payment',
+        title: 'Transfer Received',
+        message: `Transfer of ${currency} ${amount} received from ${req.user.email}`,
+        metadata: { transactionId: recipientTransaction.id, transferUuid, amount, currency }
+      });
 
-    await runQuery(
-      `INSERT INTO notifications (uuid, user_id, type, title, message, metadata)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [
-        uuidv4(), recipient.id, 'payment',
-        'Transfer Received',
-        `Transfer of ${currency} ${amount} received from ${req.user.email}`,
-        JSON.stringify({ transactionId: recipientTransaction.id, transferUuid, amount, currency })
-      ]
-    );
+      return tx.getQuery('SELECT * FROM wallets WHERE id = ?', [senderWallet.id]);
+    });
 
     res.json({
       message: 'Transfer completed successfully',
@@ -377,10 +408,14 @@ router.post('/transfer', async (req, res) => {
         recipientName: `${recipient.first_name} ${recipient.last_name}`,
         description: description
       },
-      newBalance: senderWallet.balance - amount
+      newBalance: updatedWallet.balance
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Transfer error:', error);
     res.status(500).json({
       error: 'Failed to process transfer',
@@ -389,6 +424,140 @@ router.post('/transfer', async (req, res) => {
   }
 });
 
+// Convert between the user's currency wallets
+router.post('/convert', idempotency, async (req, res) => {
+  try {
+    // Validate input
+    const { error, value } = convertSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { quote, fromWallet, toWallet } = await withTransaction(async (tx) => {
+      const quoteId = value.quoteId || (await createQuote(tx, {
+        userId: req.user.id,
+        fromCurrency: value.fromCurrency,
+        toCurrency: value.toCurrency,
+        fromAmount: value.amount
+      })).uuid;
+
+      const conversion = await executeQuote(tx, quoteId, req.user.id);
+
+      await createNotification(tx, {
+        userId: req.user.id,
+        type: 'payment',
+        title: 'Conversion Completed',
+        message: `Converted ${conversion.quote.from_currency} ${conversion.quote.from_amount} to ` +
+          `${conversion.quote.to_currency} ${conversion.quote.to_amount}`,
+        metadata: { quoteId }
+      });
+
+      return conversion;
+    });
+
+    res.json({
+      message: 'Conversion completed successfully',
+      conversion: {
+        quoteId: quote.uuid,
+        fromCurrency: quote.from_currency,
+        toCurrency: quote.to_currency,
+        fromAmount: quote.from_amount,
+        toAmount: quote.to_amount,
+        rate: quote.rate
+      },
+      wallets: [formatWallet(fromWallet), formatWallet(toWallet)]
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
+    console.error('Convert error:', error);
+    res.status(500).json({
+      error: 'Failed to convert funds',
+      code: 'CONVERT_ERROR'
+    });
+  }
+});
+
+// Get the journal lines posted to the user's wallet accounts
+router.get('/ledger', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Wallet and escrow accounts are credit-normal: balance is credits minus debits
+    const accounts = await allQuery(
+      `SELECT a.id, a.uuid, a.code, a.kind, a.currency,
+         COALESCE(SUM(CASE WHEN l.direction = 'credit' THEN l.amount ELSE -l.amount END), 0) as balance
+       FROM ledger_accounts a
+       JOIN wallets w ON a.wallet_id = w.id
+       LEFT JOIN journal_lines l ON l.account_id = a.id
+       WHERE w.user_id = ?
+       GROUP BY a.id, a.uuid, a.code, a.kind, a.currency
+       ORDER BY a.id`,
+      [req.user.id]
+    );
+
+    const lines = await allQuery(
+      `SELECT l.*, e.uuid as entry_uuid, e.entry_type, e.description, e.reference, a.code as account_code
+       FROM journal_lines l
+       JOIN journal_entries e ON l.journal_entry_id = e.id
+       JOIN ledger_accounts a ON l.account_id = a.id
+       JOIN wallets w ON a.wallet_id = w.id
+       WHERE w.user_id = ?
+       ORDER BY l.id DESC LIMIT ? OFFSET ?`,
+      [req.user.id, parseInt(limit), offset]
+    );
+
+    const totalResult = await getQuery(
+      `SELECT COUNT(*) as total FROM journal_lines l
+       JOIN ledger_accounts a ON l.account_id = a.id
+       JOIN wallets w ON a.wallet_id = w.id
+       WHERE w.user_id = ?`,
+      [req.user.id]
+    );
+
+    res.json({
+      accounts: accounts.map(account => ({
+        uuid: account.uuid,
+        code: account.code,
+        kind: account.kind,
+        currency: account.currency,
+        balance: roundMoney(account.balance)
+      })),
+      entries: lines.map(line => ({
+        entryUuid: line.entry_uuid,
+        entryType: line.entry_type,
+        description: line.description,
+        reference: line.reference,
+        accountCode: line.account_code,
+        direction: line.direction,
+        amount: line.amount,
+        currency: line.currency,
+        createdAt: line.created_at
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalResult.total,
+        pages: Math.ceil(totalResult.total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json({
+      error: 'Failed to get ledger',
+      code: 'LEDGER_ERROR'
+    });
+  }
+});
+
 // Get transaction by ID
 router.get('/transactions/:id', async (req, res) => {
   try {
@@ -436,23 +605,26 @@ router.get('/transactions/:id', async (req, res) => {
 // Get wallet statistics
 router.get('/stats', async (req, res) => {
   try {
-    const wallet = await getQuery(
-      'SELECT * FROM wallets WHERE user_id = ?',
-      [req.user.id]
-    );
+    const wallets = await listWallets(database, req.user.id);
 
-    if (!wallet) {
+    if (wallets.length === 0) {
       return res.status(404).json({
         error: 'Wallet not found',
         code: 'WALLET_NOT_FOUND'
       });
     }
 
-    // Get transaction counts by type
+    const consolidated = await consolidateBalances(
+      database,
+      wallets,
+      (req.query.currency || DEFAULT_CURRENCY).toUpperCase()
+    );
+
+    // Get transaction counts by type and currency
     const transactionStats = await allQuery(
-      `SELECT type, COUNT(*) as count, SUM(amount) as total 
+      `SELECT type, currency, COUNT(*) as count, SUM(amount) as total 
        FROM transactions WHERE user_id = ? AND status = 'completed' 
-       GROUP BY type`,
+       GROUP BY type, currency`,
       [req.user.id]
     );
 
@@ -465,19 +637,15 @@ router.get('/stats', async (req, res) => {
     );
 
     res.json({
-      wallet: {
-        balance: wallet.balance,
-        frozenBalance: wallet.frozen_balance,
-        availableBalance: wallet.balance - wallet.frozen_balance,
-        currency: wallet.currency
-      },
+      wallet: formatWallet(wallets[0]),
+      wallets: wallets.map(formatWallet),
+      consolidated,
       stats: {
         totalTransactions: transactionStats.reduce((sum, stat) => sum + stat.count, 0),
         transactionTypes: transactionStats.reduce((acc, stat) => {
-          acc[stat.type] = {
-            count: stat.count,
-            total: stat.total
-          };
+          acc[stat.type] = acc[stat.type] || { count: 0, totals: {} };
+          acc[stat.type].count += stat.count;
+          acc[stat.type].totals[stat.currency] = roundMoney(stat.total);
           return acc;
         }, {})
       },
@@ -491,6 +659,10 @@ router.get('/stats', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+
     console.error('Get wallet stats error:', error);
     res.status(500).json({
       error: 'Failed to get wallet statistics',
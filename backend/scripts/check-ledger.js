@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Ledger integrity check
+//
+// Usage:
+//   node scripts/check-ledger.js
+//
+// Verifies that debits equal credits per currency, that every journal entry balances and
+// that every cached wallet balance matches the ledger. Exits non-zero if anything is off.
+require('dotenv').config();
+
+const { initializeDatabase, closeDatabase, ...database } = require('../config/database');
+const { checkLedgerIntegrity } = require('../services/ledger');
+
+async function main() {
+  await initializeDatabase();
+
+  try {
+    const report = await checkLedgerIntegrity(database);
+
+    report.currencies.forEach(row => {
+      console.log(`${row.currency}  debits ${row.debits.toFixed(2)}  credits ${row.credits.toFixed(2)}  net ${row.net.toFixed(2)}`);
+    });
+
+    report.unbalancedEntries.forEach(entry => {
+      console.log(`Unbalanced entry ${entry.entryUuid}: ${entry.currency} off by ${entry.net}`);
+    });
+
+    report.walletMismatches.forEach(wallet => {
+      console.log(`Wallet ${wallet.walletUuid}: cached ${wallet.cachedBalance} (frozen ${wallet.cachedFrozenBalance}), ` +
+        `ledger ${wallet.ledgerBalance} (frozen ${wallet.ledgerFrozenBalance})`);
+    });
+
+    if (!report.balanced) {
+      throw new Error('Ledger does not balance');
+    }
+
+    console.log('✅ Ledger balances');
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Ledger check failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// Check pending and in-transit shipments for delays
+//
+// Usage:
+//   node scripts/check-shipment-delays.js
+//
+// The same check the server runs every DELAY_CHECK_INTERVAL_MINUTES, for running from cron
+// when that is 0. Shipments found late are set to delayed and their buyer and seller notified.
+require('dotenv').config();
+
+const { initializeDatabase, closeDatabase, ...database } = require('../config/database');
+const { checkShipmentDelays } = require('../services/delayDetection');
+
+async function main() {
+  await initializeDatabase();
+
+  try {
+    const { checked, flagged } = await checkShipmentDelays(database);
+    flagged.forEach(shipment => console.log(`⏰ ${shipment.trackingNumber}: ${shipment.reasons.join(', ')}`));
+    console.log(`✅ Checked ${checked} shipment(s), ${flagged.length} flagged as delayed`);
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Delay check failed:', error.message);
+  process.exit(1);
+});
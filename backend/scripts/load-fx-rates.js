@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Load FX rates from a JSON file
+//
+// Usage:
+//   node scripts/load-fx-rates.js [file]
+//
+// The file lists units of each currency per USD, like resources/fx-rates.json. Defaults to
+// FX_RATES_FILE. Currencies not in the file keep their current rate.
+require('dotenv').config();
+
+const path = require('path');
+const { initializeDatabase, closeDatabase, ...database } = require('../config/database');
+const { loadRatesFromFile } = require('../services/fx');
+
+async function main() {
+  await initializeDatabase();
+
+  try {
+    const file = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+    const loaded = await loadRatesFromFile(database, file);
+    console.log(`✅ Loaded ${loaded} FX rate(s)`);
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ FX rate load failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Database migration CLI
+//
+// Usage:
+//   node scripts/migrate.js [up] [--to=<version>]       Apply pending migrations
+//   node scripts/migrate.js down [--steps=<n>|--to=<v>] Revert migrations (default: last one)
+//   node scripts/migrate.js status                      List migrations and their state
+require('dotenv').config();
+
+const { initializeDatabase, closeDatabase } = require('../config/database');
+const { formatMigration, getMigrationStatus, migrateUp, migrateDown } = require('../config/migrations');
+
+function parseArgs(argv) {
+  const args = { command: 'up' };
+
+  argv.forEach(arg => {
+    const option = arg.match(/^--(\w+)=(.+)$/);
+    if (option) {
+      const value = parseInt(option[2], 10);
+      if (Number.isNaN(value)) {
+        throw new Error(`Option --${option[1]} expects a number`);
+      }
+      args[option[1]] = value;
+    } else {
+      args.command = arg;
+    }
+  });
+
+  return args;
+}
+
+async function printStatus() {
+  const { migrations, unknown } = await getMigrationStatus();
+
+  migrations.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`${formatMigration(migration)}  ${state}`);
+  });
+
+  unknown.forEach(migration => {
+    console.log(`${formatMigration(migration)}  applied ${migration.appliedAt} (no migration file)`);
+  });
+
+  const pendingCount = migrations.filter(migration => !migration.applied).length;
+  console.log(`\n${migrations.length - pendingCount} applied, ${pendingCount} pending`);
+}
+
+async function main() {
+  const { command, to, steps } = parseArgs(process.argv.slice(2));
+
+  await initializeDatabase();
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp({ to });
+        console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+        break;
+      }
+      case 'down': {
+        const reverted = await migrateDown({ steps, to });
+        console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to revert');
+        break;
+      }
+      case 'status':
+        await printStatus();
+        break;
+      default:
+        throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -16,13 +16,24 @@ const shipmentRoutes = require('./routes/shipments');
 const walletRoutes = require('./routes/wallet');
 const invoiceRoutes = require('./routes/invoices');
 const notificationRoutes = require('./routes/notifications');
+const fxRoutes = require('./routes/fx');
+const organizationRoutes = require('./routes/organizations');
+const templateRoutes = require('./routes/agreementTemplates');
+const importRoutes = require('./routes/imports');
+const integrationRoutes = require('./routes/integrations');
+const trackingRoutes = require('./routes/tracking');
+const locationRoutes = require('./routes/locations');
 
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
 const { errorHandler } = require('./middleware/errorHandler');
 
 // Import database
-const { initializeDatabase } = require('./config/database');
+const database = require('./config/database');
+const { assertMigrationsApplied } = require('./config/migrations');
+const { ensureFxRates } = require('./services/fx');
+const { loadDelayThresholds, checkShipmentDelays } = require('./services/delayDetection');
+const { loadLocations } = require('./services/locations');
 
 const app = express();
 const server = createServer(app);
@@ -33,6 +44,12 @@ const io = new Server(server, {
   }
 });
 
+// Behind a load balancer, set TRUST_PROXY (e.g. 1) so req.ip - recorded on contract
+// signatures and used for rate limiting - is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -60,6 +77,11 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:3000",
   credentials: true
 }));
+
+// Carrier webhooks verify signatures over the raw body, so they are routed before it is parsed.
+// They are signed rather than authenticated with a user token.
+app.use('/api/integrations', integrationRoutes);
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -77,12 +99,19 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+// Public tracking links carry their own token instead of a user's
+app.use('/api/tracking', trackingRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/trade-agreements', authenticateToken, tradeRoutes);
 app.use('/api/shipments', authenticateToken, shipmentRoutes);
 app.use('/api/wallet', authenticateToken, walletRoutes);
 app.use('/api/invoices', authenticateToken, invoiceRoutes);
 app.use('/api/notifications', authenticateToken, notificationRoutes);
+app.use('/api/fx', authenticateToken, fxRoutes);
+app.use('/api/organizations', authenticateToken, organizationRoutes);
+app.use('/api/agreement-templates', authenticateToken, templateRoutes);
+app.use('/api/imports', authenticateToken, importRoutes);
+app.use('/api/locations', authenticateToken, locationRoutes);
 
 // WebSocket connection handling
 io.on('connection', (socket) => {
@@ -131,10 +160,41 @@ app.use('*', (req, res) => {
 // Initialize database and start server
 const PORT = process.env.PORT || 5000;
 
+// How often shipments are checked for delays; 0 turns the check off (run
+// scripts/check-shipment-delays.js from cron instead)
+const DELAY_CHECK_INTERVAL_MINUTES = process.env.DELAY_CHECK_INTERVAL_MINUTES !== undefined
+  ? Number(process.env.DELAY_CHECK_INTERVAL_MINUTES)
+  : 60;
+let delayCheckTimer = null;
+
+async function runDelayCheck() {
+  try {
+    const { checked, flagged } = await checkShipmentDelays(database);
+    if (flagged.length > 0) {
+      console.log(`⏰ Delay check: ${flagged.length} of ${checked} shipment(s) flagged as delayed`);
+    }
+  } catch (error) {
+    console.error('Delay check error:', error);
+  }
+}
+
 async function startServer() {
   try {
-    await initializeDatabase();
+    await database.initializeDatabase();
+    await assertMigrationsApplied();
+    await ensureFxRates(database);
     console.log('✅ Database initialized successfully');
+
+    // A broken location registry stops the start rather than the first lookup
+    loadLocations();
+
+    // Check for delays on a timer; the thresholds are loaded now so a broken file stops the start
+    // rather than every check
+    if (DELAY_CHECK_INTERVAL_MINUTES > 0) {
+      loadDelayThresholds();
+      delayCheckTimer = setInterval(runDelayCheck, DELAY_CHECK_INTERVAL_MINUTES * 60 * 1000);
+      delayCheckTimer.unref();
+    }
     
     server.listen(PORT, () => {
       console.log(`🚀 TradeBridge Backend Server running on port ${PORT}`);
@@ -150,6 +210,7 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  clearInterval(delayCheckTimer);
   server.close(() => {
     console.log('Process terminated');
   });
@@ -157,6 +218,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  clearInterval(delayCheckTimer);
   server.close(() => {
     console.log('Process terminated');
   });
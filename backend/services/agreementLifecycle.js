@@ -0,0 +1,149 @@
+const { AppError } = require('../middleware/errorHandler');
+const { createNotification } = require('./notifications');
+const { getActiveEscrow, requestRefundOnCancellation, refundEscrowOnCancellation } = require('./escrow');
+const { getParticipantUserIds } = require('./participants');
+const { today, schedulePayments } = require('./paymentTerms');
+
+// Trade agreement lifecycle
+//
+// The creator drafts and submits an agreement; the counterparty (a buyer or seller participant
+// who is not the creator) reviews it and approves or rejects it. A rejected agreement can be
+// revised back to a draft. Either side activates an approved agreement, completes an active one,
+// or cancels it before completion; with escrow funded, the seller has to cancel too. Terms are edited directly only in draft; after that they
+// change through amendments the other party accepts (services/amendments.js). Activation turns
+// the payment plan into a dated payment schedule (services/paymentTerms.js).
+
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'submitted', actors: ['creator'], title: 'Trade Agreement Submitted' },
+  review: { from: ['submitted'], to: 'under_review', actors: ['counterparty'], title: 'Trade Agreement Under Review' },
+  approve: { from: ['submitted', 'under_review'], to: 'approved', actors: ['counterparty'], title: 'Trade Agreement Approved' },
+  reject: { from: ['submitted', 'under_review'], to: 'rejected', actors: ['counterparty'], title: 'Trade Agreement Rejected' },
+  revise: { from: ['rejected'], to: 'draft', actors: ['creator'], title: 'Trade Agreement Reopened' },
+  activate: { from: ['approved'], to: 'active', actors: ['creator', 'counterparty'], title: 'Trade Agreement Active' },
+  complete: { from: ['active'], to: 'completed', actors: ['creator', 'counterparty'], title: 'Trade Agreement Completed' },
+  cancel: {
+    from: ['draft', 'submitted', 'under_review', 'approved', 'rejected', 'active'],
+    to: 'cancelled',
+    actors: ['creator', 'counterparty'],
+    title: 'Trade Agreement Cancelled'
+  }
+};
+
+const STATUSES = ['draft', 'submitted', 'under_review', 'approved', 'rejected', 'active', 'completed', 'cancelled'];
+
+// Statuses in which the creator can still edit the terms directly
+const EDITABLE_STATUSES = ['draft'];
+
+// Statuses in which the creator can delete the agreement; once agreed its history is kept
+const DELETABLE_STATUSES = ['draft', 'rejected'];
+
+// ['creator'], ['counterparty'] or [] from the user's participant roles (agreement.roles)
+function lifecycleRoles(agreement) {
+  if (agreement.roles.includes('creator')) {
+    return ['creator'];
+  }
+  return agreement.roles.some(role => role === 'buyer' || role === 'seller') ? ['counterparty'] : [];
+}
+
+// Actions the user can take on the agreement in its current status
+function allowedActions(agreement) {
+  const roles = lifecycleRoles(agreement);
+
+  return Object.keys(TRANSITIONS).filter(action => {
+    const transition = TRANSITIONS[action];
+    return transition.from.includes(agreement.status) && transition.actors.some(actor => roles.includes(actor));
+  });
+}
+
+// Move the agreement through `action`, record it in the history and notify the other
+// participants. `agreement` carries the actor's participant roles (getParticipantAgreement).
+async function transitionAgreement(db, agreement, { action, actor, reason }) {
+  const transition = TRANSITIONS[action];
+
+  if (!transition.from.includes(agreement.status)) {
+    throw new AppError(`Cannot ${action} a ${agreement.status} agreement`, 409, 'INVALID_TRANSITION', {
+      status: agreement.status
+    });
+  }
+
+  const roles = lifecycleRoles(agreement);
+  if (!transition.actors.some(role => roles.includes(role))) {
+    throw new AppError(`Only the ${transition.actors.join(' or ')} can ${action} this agreement`, 403, 'TRANSITION_NOT_ALLOWED');
+  }
+
+  return db.withTransaction(async (tx) => {
+    if (action === 'complete' && await getActiveEscrow(tx, agreement.id)) {
+      throw new AppError('Release or refund the funded escrow before completing the agreement', 409, 'ESCROW_FUNDED');
+    }
+
+    // The agreement stays as it is until the seller agrees to give up the escrowed payment
+    if (action === 'cancel') {
+      const escrow = await getActiveEscrow(tx, agreement.id);
+      if (escrow && escrow.seller_id !== actor.id) {
+        await requestRefundOnCancellation(tx, escrow, { actorId: actor.id, agreementName: agreement.agreement_name });
+        return tx.getQuery('SELECT * FROM trade_agreements WHERE id = ?', [agreement.id]);
+      }
+    }
+
+    // Guard on the current status so concurrent transitions cannot both apply
+    const result = await tx.runQuery(
+      'UPDATE trade_agreements SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?',
+      [transition.to, agreement.id, agreement.status]
+    );
+
+    if (result.changes === 0) {
+      throw new AppError('The agreement was changed by someone else; reload and try again', 409, 'INVALID_TRANSITION');
+    }
+
+    await tx.runQuery(
+      `INSERT INTO trade_agreement_status_history
+       (trade_agreement_id, action, from_status, to_status, actor_id, reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [agreement.id, action, agreement.status, transition.to, actor.id, reason || null]
+    );
+
+    if (action === 'cancel') {
+      await refundEscrowOnCancellation(tx, agreement.id, actor.id);
+    }
+
+    if (action === 'activate') {
+      await schedulePayments(tx, { ...agreement, status: transition.to }, { activation: today() });
+    }
+
+    const userIds = await getParticipantUserIds(tx, agreement.id);
+    for (const userId of userIds.filter(id => id !== actor.id)) {
+      await createNotification(tx, {
+        userId,
+        type: 'trade',
+        title: transition.title,
+        message: `${actor.email} moved "${agreement.agreement_name}" to ${transition.to.replace('_', ' ')}` +
+          (reason ? `: ${reason}` : ''),
+        metadata: { agreementId: agreement.id, agreementUuid: agreement.uuid, action, status: transition.to }
+      });
+    }
+
+    return tx.getQuery('SELECT * FROM trade_agreements WHERE id = ?', [agreement.id]);
+  });
+}
+
+async function getStatusHistory(db, tradeAgreementId) {
+  return db.allQuery(
+    `SELECT h.*, u.email as actor_email
+     FROM trade_agreement_status_history h
+     JOIN users u ON u.id = h.actor_id
+     WHERE h.trade_agreement_id = ?
+     ORDER BY h.id`,
+    [tradeAgreementId]
+  );
+}
+
+module.exports = {
+  TRANSITIONS,
+  STATUSES,
+  EDITABLE_STATUSES,
+  DELETABLE_STATUSES,
+  lifecycleRoles,
+  allowedActions,
+  transitionAgreement,
+  getStatusHistory
+};
@@ -0,0 +1,171 @@
+const { AppError } = require('../middleware/errorHandler');
+const { LINE_FIELDS } = require('./lineItems');
+const { MEMBER_ORGANIZATION_IDS, getMembershipRole } = require('./organizations');
+
+// Trade agreement templates
+//
+// A template is a saved set of create-agreement fields - parties, goods and terms - that any
+// string value can parameterize with {{placeholders}}, e.g. "Sesame / {{month}} {{year}}" or a
+// quantity of "{{quantity}}". Creating an agreement from it fills the placeholders and validates
+// the result like any new agreement. date, month and year fill themselves unless given. Templates
+// belong to a user and can be shared with an organization they belong to; cloning an agreement
+// uses the same field mapping.
+
+// The create-agreement fields a template can hold
+const TEMPLATE_FIELDS = [
+  'agreementName', 'buyerCompany', 'sellerCompany', 'buyerEmail', 'sellerEmail', 'productDescription',
+  'quantity', 'unitPrice', 'lineItems', 'currency', 'incoterm', 'namedPlace', 'deliveryTerms',
+  'paymentPlan', 'paymentTerms'
+];
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z][\w]*)\s*\}\}/g;
+
+// Condition on trade_agreement_templates for the templates a user can use; bind the user id twice
+const VISIBLE_TEMPLATES = `(t.user_id = ? OR t.organization_id IN (${MEMBER_ORGANIZATION_IDS}))`;
+
+function builtInValues(now = new Date()) {
+  return {
+    date: now.toISOString().slice(0, 10),
+    month: now.toLocaleString('en-US', { month: 'long', timeZone: 'UTC' }),
+    year: String(now.getUTCFullYear())
+  };
+}
+
+// Fields an override replaces besides its own, because they are alternatives to it
+const REPLACES = {
+  lineItems: ['quantity', 'unitPrice'],
+  quantity: ['lineItems'],
+  unitPrice: ['lineItems'],
+  incoterm: ['deliveryTerms'],
+  namedPlace: ['deliveryTerms'],
+  deliveryTerms: ['incoterm', 'namedPlace'],
+  paymentPlan: ['paymentTerms'],
+  paymentTerms: ['paymentPlan']
+};
+
+// Every string in a JSON value, e.g. to find or fill placeholders
+function mapStrings(value, fn) {
+  if (typeof value === 'string') {
+    return fn(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mapStrings(item, fn));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+  }
+  return value;
+}
+
+// The placeholder names a template's fields use, in order of first appearance
+function templatePlaceholders(fields) {
+  const names = [];
+  mapStrings(fields, text => {
+    for (const match of text.matchAll(PLACEHOLDER)) {
+      if (!names.includes(match[1])) {
+        names.push(match[1]);
+      }
+    }
+    return text;
+  });
+  return names;
+}
+
+// The fields with every placeholder replaced. A string that is just one placeholder takes the
+// value as given, so numbers stay numbers.
+function fillTemplate(fields, values) {
+  const available = { ...builtInValues(), ...values };
+  const missing = templatePlaceholders(fields).filter(name => available[name] === undefined);
+
+  if (missing.length > 0) {
+    throw new AppError(`Values are needed for ${missing.join(', ')}`, 400, 'MISSING_PLACEHOLDER_VALUES', { missing });
+  }
+
+  return mapStrings(fields, text => {
+    const whole = /^\{\{\s*([A-Za-z][\w]*)\s*\}\}$/.exec(text);
+    return whole ? available[whole[1]] : text.replace(PLACEHOLDER, (match, name) => String(available[name]));
+  });
+}
+
+// Template or cloned fields with the caller's overrides applied, e.g. a new quantity in place of
+// the source's line items
+function applyOverrides(fields, overrides) {
+  const merged = { ...fields };
+  Object.keys(overrides).forEach(field => (REPLACES[field] || []).forEach(replaced => { delete merged[replaced]; }));
+  return { ...merged, ...overrides };
+}
+
+// Create-agreement fields from an existing agreement and its line items
+function agreementFields(agreement, lines) {
+  const fields = {
+    agreementName: agreement.agreement_name,
+    buyerCompany: agreement.buyer_company,
+    sellerCompany: agreement.seller_company,
+    buyerEmail: agreement.buyer_email,
+    sellerEmail: agreement.seller_email,
+    currency: agreement.currency,
+    lineItems: lines.map(line => {
+      const item = {};
+      Object.entries(LINE_FIELDS).forEach(([field, column]) => {
+        if (line[column] !== null && line[column] !== undefined) {
+          item[field] = line[column];
+        }
+      });
+      return item;
+    })
+  };
+
+  // A description derived from the lines is left for the copy to derive again
+  if (agreement.product_description !== lines.map(line => line.description).join('; ').slice(0, 500)) {
+    fields.productDescription = agreement.product_description;
+  }
+
+  if (agreement.incoterm && agreement.named_place) {
+    fields.incoterm = agreement.incoterm;
+    fields.namedPlace = agreement.named_place;
+  } else if (agreement.delivery_terms) {
+    fields.deliveryTerms = agreement.delivery_terms;
+  }
+
+  if (agreement.payment_plan) {
+    fields.paymentPlan = JSON.parse(agreement.payment_plan);
+  } else if (agreement.payment_terms) {
+    fields.paymentTerms = agreement.payment_terms;
+  }
+
+  return fields;
+}
+
+// A template the user can use, with its fields parsed, or null
+async function getTemplate(db, templateId, userId) {
+  const template = await db.getQuery(
+    `SELECT t.*, u.email as owner_email, o.name as organization_name
+     FROM trade_agreement_templates t
+     JOIN users u ON u.id = t.user_id
+     LEFT JOIN organizations o ON o.id = t.organization_id
+     WHERE t.id = ? AND ${VISIBLE_TEMPLATES}`,
+    [templateId, userId, userId]
+  );
+  return template ? { ...template, fields: JSON.parse(template.fields) } : null;
+}
+
+// Its creator can change or delete a template, and so can the owners of the organization it is
+// shared with
+async function canEditTemplate(db, template, userId) {
+  if (template.user_id === userId) {
+    return true;
+  }
+  return Boolean(template.organization_id) &&
+    await getMembershipRole(db, template.organization_id, userId) === 'owner';
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  VISIBLE_TEMPLATES,
+  templatePlaceholders,
+  fillTemplate,
+  applyOverrides,
+  agreementFields,
+  getTemplate,
+  canEditTemplate
+};
@@ -0,0 +1,134 @@
+const { LINE_FIELDS, listLineItems, snapshotLineItems } = require('./lineItems');
+
+// Trade agreement versions
+//
+// Every change to an agreement's terms is stored as a new immutable version holding a snapshot
+// of the term columns and line items, who made it and how (created, a draft edit, or an accepted
+// amendment). The agreement's terms_version is the latest one. Diffs are computed between
+// consecutive snapshots, so the history reads "quantity changed 500 -> 450 by seller".
+
+// Response field -> trade_agreements column for every versioned term
+const TERM_FIELDS = {
+  agreementName: 'agreement_name',
+  buyerCompany: 'buyer_company',
+  sellerCompany: 'seller_company',
+  buyerEmail: 'buyer_email',
+  sellerEmail: 'seller_email',
+  productDescription: 'product_description',
+  quantity: 'quantity',
+  unitPrice: 'unit_price',
+  subtotal: 'subtotal',
+  discountTotal: 'discount_total',
+  taxTotal: 'tax_total',
+  dutyTotal: 'duty_total',
+  totalAmount: 'total_amount',
+  currency: 'currency',
+  paymentTerms: 'payment_terms',
+  paymentPlan: 'payment_plan',
+  deliveryTerms: 'delivery_terms',
+  incoterm: 'incoterm',
+  namedPlace: 'named_place'
+};
+
+// Term columns stored as JSON text
+const JSON_TERMS = ['payment_plan'];
+
+// The role a change is attributed to: the party the user signs for, else creator or observer
+function partyRole(roles) {
+  return ['buyer', 'seller', 'creator', 'observer'].find(role => roles.includes(role)) || null;
+}
+
+function snapshotTerms(agreement, lines) {
+  const terms = {};
+  Object.values(TERM_FIELDS).forEach(column => { terms[column] = agreement[column]; });
+  terms.line_items = snapshotLineItems(lines);
+  return terms;
+}
+
+// Field-level changes between two snapshots. Line changes carry the line number; an added or
+// removed line is a `lineItem` change from or to its description. Terms missing from the older
+// snapshot (versions stored before the term existed) are skipped.
+function diffTerms(before, after) {
+  const value = (terms, column) => JSON_TERMS.includes(column) && terms[column] ? JSON.parse(terms[column]) : terms[column];
+  const changes = Object.entries(TERM_FIELDS)
+    .filter(([, column]) => column in before && column in after && before[column] !== after[column])
+    .map(([field, column]) => ({ field, from: value(before, column), to: value(after, column) }));
+
+  if (!before.line_items || !after.line_items) {
+    return changes;
+  }
+
+  const lineNumbers = [...new Set([...before.line_items, ...after.line_items].map(line => line.line_number))]
+    .sort((a, b) => a - b);
+
+  lineNumbers.forEach(line => {
+    const from = before.line_items.find(item => item.line_number === line);
+    const to = after.line_items.find(item => item.line_number === line);
+
+    if (!from || !to) {
+      changes.push({ field: 'lineItem', line, from: from ? from.description : null, to: to ? to.description : null });
+      return;
+    }
+
+    Object.entries(LINE_FIELDS)
+      .filter(([, column]) => from[column] !== to[column])
+      .forEach(([field, column]) => changes.push({ field, line, from: from[column], to: to[column] }));
+  });
+
+  return changes;
+}
+
+// Store the agreement's current terms as its next version
+async function recordVersion(db, agreement, { actorId, role, source, amendmentId }) {
+  const { latest } = await db.getQuery(
+    'SELECT MAX(version) as latest FROM trade_agreement_versions WHERE trade_agreement_id = ?',
+    [agreement.id]
+  );
+  const version = (latest || 0) + 1;
+
+  await db.runQuery(
+    `INSERT INTO trade_agreement_versions
+     (trade_agreement_id, version, terms, source, amendment_id, changed_by, changed_by_role)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      agreement.id, version, JSON.stringify(snapshotTerms(agreement, await listLineItems(db, agreement.id))),
+      source, amendmentId || null, actorId, role
+    ]
+  );
+  await db.runQuery('UPDATE trade_agreements SET terms_version = ? WHERE id = ?', [version, agreement.id]);
+
+  return version;
+}
+
+// All versions, newest first, each with its changes from the version before
+async function listVersions(db, tradeAgreementId) {
+  const rows = await db.allQuery(
+    `SELECT v.*, u.email as changed_by_email, r.email as accepted_by_email
+     FROM trade_agreement_versions v
+     JOIN users u ON u.id = v.changed_by
+     LEFT JOIN trade_agreement_amendments a ON a.id = v.amendment_id
+     LEFT JOIN users r ON r.id = a.responded_by
+     WHERE v.trade_agreement_id = ?
+     ORDER BY v.version`,
+    [tradeAgreementId]
+  );
+
+  let previous = null;
+  const versions = rows.map(row => {
+    const terms = JSON.parse(row.terms);
+    const version = { ...row, terms, changes: previous ? diffTerms(previous, terms) : [] };
+    previous = terms;
+    return version;
+  });
+
+  return versions.reverse();
+}
+
+module.exports = {
+  TERM_FIELDS,
+  partyRole,
+  snapshotTerms,
+  diffTerms,
+  recordVersion,
+  listVersions
+};
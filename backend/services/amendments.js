@@ -0,0 +1,248 @@
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../middleware/errorHandler');
+const { createNotification } = require('./notifications');
+const { getActiveEscrow } = require('./escrow');
+const { getParticipantUserIds } = require('./participants');
+const { generateContract } = require('./contracts');
+const { TERM_FIELDS, partyRole, recordVersion } = require('./agreementVersions');
+const { LINE_TERMS, linesForChanges, lineTermColumns, sameLineItems, listLineItems, saveLineItems } = require('./lineItems');
+const { TRADE_TERMS, tradeTermColumns, schedulePayments } = require('./paymentTerms');
+
+// Trade agreement amendments
+//
+// Once an agreement has been submitted its terms only change through amendments: the creator,
+// buyer or seller proposes new values and another of them accepts or rejects the proposal. An
+// accepted amendment becomes the next agreement version and, if a contract was generated,
+// renders a new contract version so signatures apply to the amended terms. The buyer and seller
+// emails are not amendable - a different party means a different agreement - and the totals
+// follow from the line items. An amendment accepted on an active agreement reschedules its
+// payments.
+
+const AMENDABLE_STATUSES = ['submitted', 'under_review', 'approved', 'active'];
+
+const COMPUTED_FIELDS = ['subtotal', 'discountTotal', 'taxTotal', 'dutyTotal', 'totalAmount'];
+
+const AMENDABLE_FIELDS = Object.keys(TERM_FIELDS)
+  .filter(field => !['buyerEmail', 'sellerEmail', ...COMPUTED_FIELDS].includes(field))
+  .concat('lineItems');
+
+const RESPONSES = {
+  accept: { status: 'accepted', title: 'Amendment Accepted' },
+  reject: { status: 'rejected', title: 'Amendment Rejected' },
+  withdraw: { status: 'withdrawn', title: 'Amendment Withdrawn' }
+};
+
+function assertAmendable(agreement) {
+  if (agreement.signed_at) {
+    throw new AppError('The agreement has been signed by both parties and can no longer change', 409, 'AGREEMENT_SIGNED');
+  }
+  if (!AMENDABLE_STATUSES.includes(agreement.status)) {
+    throw new AppError(
+      agreement.status === 'draft'
+        ? 'Edit a draft agreement directly'
+        : `Cannot amend a ${agreement.status} agreement`,
+      409,
+      'INVALID_STATUS',
+      { status: agreement.status }
+    );
+  }
+}
+
+async function notifyParticipants(db, agreement, actor, { title, message, amendment }) {
+  const userIds = await getParticipantUserIds(db, agreement.id);
+  for (const userId of userIds.filter(id => id !== actor.id)) {
+    await createNotification(db, {
+      userId,
+      type: 'trade',
+      title,
+      message,
+      metadata: { agreementId: agreement.id, agreementUuid: agreement.uuid, amendmentId: amendment.id }
+    });
+  }
+}
+
+async function listAmendments(db, tradeAgreementId) {
+  const rows = await db.allQuery(
+    `SELECT a.*, p.email as proposed_by_email, r.email as responded_by_email
+     FROM trade_agreement_amendments a
+     JOIN users p ON p.id = a.proposed_by
+     LEFT JOIN users r ON r.id = a.responded_by
+     WHERE a.trade_agreement_id = ?
+     ORDER BY a.id DESC`,
+    [tradeAgreementId]
+  );
+  return rows.map(row => ({ ...row, changes: JSON.parse(row.changes) }));
+}
+
+async function getAmendment(db, tradeAgreementId, amendmentId) {
+  const row = await db.getQuery(
+    `SELECT a.*, p.email as proposed_by_email, r.email as responded_by_email
+     FROM trade_agreement_amendments a
+     JOIN users p ON p.id = a.proposed_by
+     LEFT JOIN users r ON r.id = a.responded_by
+     WHERE a.trade_agreement_id = ? AND a.id = ?`,
+    [tradeAgreementId, amendmentId]
+  );
+  return row ? { ...row, changes: JSON.parse(row.changes) } : null;
+}
+
+// Propose new values for some of the terms. `agreement` carries the proposer's roles.
+async function proposeAmendment(db, agreement, actor, { changes, reason }) {
+  const role = partyRole(agreement.roles);
+  if (role === 'observer') {
+    throw new AppError('Observers cannot propose amendments', 403, 'NOT_PARTY');
+  }
+  assertAmendable(agreement);
+
+  // Keep only the values that actually change
+  const columns = {};
+  Object.entries(changes).forEach(([field, value]) => {
+    const column = TERM_FIELDS[field];
+    if (!LINE_TERMS.includes(field) && !TRADE_TERMS.includes(field) && agreement[column] !== value) {
+      columns[column] = value;
+    }
+  });
+
+  Object.entries(tradeTermColumns(changes, agreement)).forEach(([column, value]) => {
+    if (agreement[column] !== value) {
+      columns[column] = value;
+    }
+  });
+
+  const currentLines = await listLineItems(db, agreement.id);
+  const lines = linesForChanges(currentLines, changes);
+  if (lines && !sameLineItems(currentLines, lines)) {
+    Object.assign(columns, lineTermColumns(lines));
+    columns.line_items = lines;
+  }
+
+  if (Object.keys(columns).length === 0) {
+    throw new AppError('The amendment does not change any terms', 400, 'NO_CHANGES');
+  }
+
+  return db.withTransaction(async (tx) => {
+    const amendmentUuid = uuidv4();
+    const result = await tx.runQuery(
+      `INSERT INTO trade_agreement_amendments
+       (uuid, trade_agreement_id, base_version, changes, reason, proposed_by, proposed_by_role)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [amendmentUuid, agreement.id, agreement.terms_version, JSON.stringify(columns), reason || null, actor.id, role]
+    );
+
+    const amendment = await getAmendment(tx, agreement.id, result.id);
+
+    await notifyParticipants(tx, agreement, actor, {
+      title: 'Amendment Proposed',
+      message: `${actor.email} proposed changes to "${agreement.agreement_name}"` + (reason ? `: ${reason}` : ''),
+      amendment
+    });
+
+    return amendment;
+  });
+}
+
+// Accept or reject another party's amendment, or withdraw your own
+async function respondToAmendment(db, agreement, actor, amendmentId, { action, reason }) {
+  const response = RESPONSES[action];
+
+  return db.withTransaction(async (tx) => {
+    const amendment = await getAmendment(tx, agreement.id, amendmentId);
+
+    if (!amendment) {
+      throw new AppError('Amendment not found', 404, 'AMENDMENT_NOT_FOUND');
+    }
+    if (amendment.status !== 'pending') {
+      throw new AppError(`The amendment has already been ${amendment.status}`, 409, 'AMENDMENT_CLOSED');
+    }
+
+    const isProposer = amendment.proposed_by === actor.id;
+    if (action === 'withdraw' && !isProposer) {
+      throw new AppError('Only the proposer can withdraw an amendment', 403, 'NOT_PROPOSER');
+    }
+    if (action !== 'withdraw' && (isProposer || partyRole(agreement.roles) === 'observer')) {
+      throw new AppError(`Only the other party can ${action} this amendment`, 403, 'NOT_COUNTERPARTY');
+    }
+
+    let resultingVersion = null;
+
+    if (action === 'accept') {
+      assertAmendable(agreement);
+
+      if (amendment.base_version !== agreement.terms_version) {
+        throw new AppError('The terms have changed since this amendment was proposed', 409, 'AMENDMENT_STALE');
+      }
+
+      const escrow = await getActiveEscrow(tx, agreement.id);
+      const newTotal = amendment.changes.total_amount || agreement.total_amount;
+      const newCurrency = amendment.changes.currency || agreement.currency;
+      if (escrow && (escrow.currency !== newCurrency || escrow.amount > newTotal)) {
+        throw new AppError('The funded escrow does not fit the amended total; refund it first', 409, 'ESCROW_FUNDED');
+      }
+
+      // Guard on the version so two accepted amendments cannot both apply
+      const columns = Object.keys(amendment.changes).filter(column => column !== 'line_items');
+      const result = await tx.runQuery(
+        `UPDATE trade_agreements SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND terms_version = ? AND signed_at IS NULL`,
+        [...columns.map(column => amendment.changes[column]), agreement.id, amendment.base_version]
+      );
+
+      if (result.changes === 0) {
+        throw new AppError('The terms have changed since this amendment was proposed', 409, 'AMENDMENT_STALE');
+      }
+
+      if (amendment.changes.line_items) {
+        await saveLineItems(tx, agreement.id, amendment.changes.line_items);
+      }
+
+      const amended = await tx.getQuery('SELECT * FROM trade_agreements WHERE id = ?', [agreement.id]);
+      resultingVersion = await recordVersion(tx, amended, {
+        actorId: amendment.proposed_by,
+        role: amendment.proposed_by_role,
+        source: 'amendment',
+        amendmentId: amendment.id
+      });
+
+      if (amended.contract_version) {
+        await generateContract(tx, amended, actor.id);
+      }
+
+      if (amended.status === 'active') {
+        await schedulePayments(tx, amended);
+      }
+    }
+
+    const result = await tx.runQuery(
+      `UPDATE trade_agreement_amendments
+       SET status = ?, responded_by = ?, response_reason = ?, responded_at = CURRENT_TIMESTAMP, resulting_version = ?
+       WHERE id = ? AND status = 'pending'`,
+      [response.status, actor.id, reason || null, resultingVersion, amendment.id]
+    );
+
+    if (result.changes === 0) {
+      throw new AppError('The amendment was answered by someone else; reload and try again', 409, 'AMENDMENT_CLOSED');
+    }
+
+    await notifyParticipants(tx, agreement, actor, {
+      title: response.title,
+      message: `${actor.email} ${response.status} the amendment to "${agreement.agreement_name}"` +
+        (reason ? `: ${reason}` : ''),
+      amendment
+    });
+
+    return {
+      amendment: await getAmendment(tx, agreement.id, amendment.id),
+      agreement: await tx.getQuery('SELECT * FROM trade_agreements WHERE id = ?', [agreement.id])
+    };
+  });
+}
+
+module.exports = {
+  AMENDABLE_STATUSES,
+  AMENDABLE_FIELDS,
+  RESPONSES,
+  listAmendments,
+  getAmendment,
+  proposeAmendment,
+  respondToAmendment
+};
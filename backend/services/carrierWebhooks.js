@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
+const { AppError } = require('../middleware/errorHandler');
+const { SHIPMENT_EVENT_CODES, STATUS_EVENT_CODES, recordShipmentEvent } = require('./shipmentEvents');
+const { findShipmentByReference } = require('./shipmentLegs');
+
+// Carrier webhooks
+//
+// Carriers and forwarders push tracking updates to POST /api/integrations/carriers/:carrier/webhook.
+// Each carrier has its own secret (CARRIER_WEBHOOK_SECRETS) and signs every delivery: the
+// X-Webhook-Signature header is "sha256=" and the hex HMAC-SHA256 of the X-Webhook-Timestamp
+// header (unix seconds), a dot and the raw body. Old timestamps are refused so a captured
+// delivery cannot be replayed later.
+//
+// The body is DCSA Track & Trace style JSON (an event, an array of events or { events }) or a
+// CSV status feed with event_id, tracking_number, event, occurred_at and optional location and
+// description columns. Either way each event becomes a shipment event for the shipment one of
+// its references points to: its tracking number, one of its legs' tracking references (the event
+// then belongs to that leg and can date its departure or arrival) or one of its container
+// numbers. Only shipments and legs whose carrier is the webhook's carrier are matched, so one
+// carrier's secret cannot move another carrier's shipments. Carriers retry, so an event ID
+// already recorded for the carrier is skipped rather than added twice.
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// DCSA event type codes to ours; anything else goes on the timeline as a note
+const DCSA_TRANSPORT_CODES = {
+  DEPA: 'DEPARTED',
+  ARRI: 'ARRIVED'
+};
+
+const DCSA_EQUIPMENT_CODES = {
+  PICK: 'PICKED_UP',
+  GTIN: 'GATE_IN',
+  LOAD: 'LOADED',
+  DISC: 'DISCHARGED',
+  GTOT: 'GATE_OUT'
+};
+
+const DCSA_SHIPMENT_CODES = {
+  CONF: 'BOOKED',
+  HOLD: 'CUSTOMS_HOLD',
+  RELS: 'CUSTOMS_CLEARED'
+};
+
+const CSV_COLUMNS = ['event_id', 'tracking_number', 'event', 'occurred_at', 'location', 'description'];
+
+// "maersk=secret,acme-freight=other" -> { maersk: 'secret', 'acme-freight': 'other' }
+function carrierSecrets() {
+  return Object.fromEntries((process.env.CARRIER_WEBHOOK_SECRETS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.includes('='))
+    .map(entry => [entry.slice(0, entry.indexOf('=')).trim().toLowerCase(), entry.slice(entry.indexOf('=') + 1).trim()]));
+}
+
+function signPayload(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+}
+
+function verifySignature(carrier, { timestamp, signature }, rawBody) {
+  const secret = carrierSecrets()[carrier];
+  if (!secret) {
+    throw new AppError('Unknown carrier', 404, 'UNKNOWN_CARRIER');
+  }
+
+  const seconds = Number(timestamp);
+  if (!timestamp || !Number.isInteger(seconds) || Math.abs(Date.now() / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new AppError('Missing or expired X-Webhook-Timestamp', 401, 'INVALID_SIGNATURE');
+  }
+
+  const expected = Buffer.from(`sha256=${signPayload(secret, timestamp, rawBody)}`);
+  const given = Buffer.from(String(signature || ''));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new AppError('Invalid X-Webhook-Signature', 401, 'INVALID_SIGNATURE');
+  }
+}
+
+function parseDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+}
+
+// A normalized event: { externalId, references, eventCode, occurredAt, location, locationCode, description },
+// with `ignored` or `error` set when it should not be recorded
+function dcsaEvent(event) {
+  const transportCall = event.transportCall || {};
+  const place = (transportCall.location || event.eventLocation || {});
+  const vessel = transportCall.vessel && transportCall.vessel.vesselName;
+
+  let eventCode;
+  if (event.eventType === 'TRANSPORT') {
+    eventCode = DCSA_TRANSPORT_CODES[event.transportEventTypeCode];
+  } else if (event.eventType === 'EQUIPMENT') {
+    eventCode = DCSA_EQUIPMENT_CODES[event.equipmentEventTypeCode];
+  } else if (event.eventType === 'SHIPMENT') {
+    eventCode = DCSA_SHIPMENT_CODES[event.shipmentEventTypeCode];
+  }
+  eventCode = eventCode || 'NOTE';
+
+  const typeCode = event.transportEventTypeCode || event.equipmentEventTypeCode || event.shipmentEventTypeCode;
+  let description = eventCode === 'NOTE'
+    ? `${event.eventType || 'Carrier'} event ${typeCode || ''}`.trim()
+    : SHIPMENT_EVENT_CODES[eventCode].label;
+  if (event.equipmentReference) {
+    description += ` - container ${event.equipmentReference}`;
+  }
+  if (vessel) {
+    description += ` (${vessel})`;
+  }
+
+  const normalized = {
+    externalId: event.eventID ? String(event.eventID) : null,
+    references: [
+      ...(event.documentReferences || []).map(reference => reference.documentReferenceValue),
+      ...(event.references || []).map(reference => reference.referenceValue),
+      event.transportDocumentReference,
+      event.carrierBookingReference,
+      event.equipmentReference
+    ].filter(Boolean).map(String),
+    eventCode,
+    occurredAt: parseDate(event.eventDateTime),
+    location: place.locationName || place.UNLocationCode || transportCall.UNLocationCode || null,
+    locationCode: place.UNLocationCode || transportCall.UNLocationCode || null,
+    description
+  };
+
+  // Only what has happened goes on the timeline, not planned or estimated times
+  if (event.eventClassifierCode && event.eventClassifierCode !== 'ACT') {
+    normalized.ignored = `${event.eventClassifierCode} events are not recorded`;
+  } else if (!normalized.externalId) {
+    normalized.error = 'eventID is required';
+  } else if (!normalized.occurredAt) {
+    normalized.error = 'eventDateTime is missing or not a date';
+  }
+
+  return normalized;
+}
+
+function csvEvent(row) {
+  const code = String(row.event || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+  const eventCode = SHIPMENT_EVENT_CODES[code] ? code : STATUS_EVENT_CODES[code.toLowerCase()];
+
+  const normalized = {
+    externalId: row.event_id || null,
+    references: row.tracking_number ? [row.tracking_number] : [],
+    eventCode,
+    occurredAt: parseDate(row.occurred_at),
+    location: row.location || null,
+    description: row.description || (eventCode ? SHIPMENT_EVENT_CODES[eventCode].label : null)
+  };
+
+  if (!normalized.externalId) {
+    normalized.error = 'event_id is required';
+  } else if (!eventCode) {
+    normalized.error = `Unknown event "${row.event || ''}"`;
+  } else if (!normalized.occurredAt) {
+    normalized.error = 'occurred_at is missing or not a date';
+  }
+
+  return normalized;
+}
+
+// The events in a delivery, by its content type
+function parseCarrierPayload(contentType, rawBody) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+  if (type === 'application/json') {
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw new AppError('The body is not valid JSON', 400, 'INVALID_PAYLOAD');
+    }
+
+    const events = Array.isArray(body) ? body : (body && body.events) || [body];
+    if (!events.every(event => event && typeof event === 'object' && !Array.isArray(event))) {
+      throw new AppError('Send a DCSA event, an array of events or { events: [...] }', 400, 'INVALID_PAYLOAD');
+    }
+    return { format: 'dcsa', events: events.map(dcsaEvent) };
+  }
+
+  if (type === 'text/csv') {
+    let rows;
+    try {
+      rows = parse(rawBody, {
+        bom: true,
+        columns: header => header.map(column => String(column).trim().toLowerCase().replace(/[\s-]+/g, '_')),
+        skip_empty_lines: true,
+        trim: true
+      });
+    } catch (error) {
+      throw new AppError(`The CSV could not be read: ${error.message}`, 400, 'INVALID_PAYLOAD');
+    }
+
+    if (rows.length > 0 && !['event_id', 'tracking_number', 'event', 'occurred_at'].every(column => column in rows[0])) {
+      throw new AppError(`The CSV needs the columns ${CSV_COLUMNS.join(', ')}`, 400, 'INVALID_PAYLOAD', {
+        columns: CSV_COLUMNS
+      });
+    }
+    return { format: 'csv', events: rows.map(csvEvent) };
+  }
+
+  throw new AppError('Send application/json (DCSA events) or text/csv', 415, 'UNSUPPORTED_FORMAT');
+}
+
+async function findDuplicate(db, carrier, externalId) {
+  return db.getQuery(
+    'SELECT id FROM shipment_events WHERE carrier = ? AND external_id = ?',
+    [carrier, externalId]
+  );
+}
+
+// Record each event against its shipment. Returns one result per event: 'recorded',
+// 'duplicate', 'unmatched' (none of its references is a shipment, leg or container this carrier
+// moves), 'ignored' or 'rejected' (including a reference on more than one shipment under way).
+async function ingestCarrierEvents(db, carrier, events) {
+  const results = [];
+
+  for (const event of events) {
+    const result = { externalId: event.externalId, eventCode: event.eventCode || null };
+    results.push(result);
+
+    if (event.ignored || event.error) {
+      Object.assign(result, event.ignored
+        ? { result: 'ignored', message: event.ignored }
+        : { result: 'rejected', message: event.error });
+      continue;
+    }
+
+    if (await findDuplicate(db, carrier, event.externalId)) {
+      result.result = 'duplicate';
+      continue;
+    }
+
+    let found;
+    try {
+      found = await findShipmentByReference(db, event.references, { carrier });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+      Object.assign(result, { result: 'rejected', message: error.message });
+      continue;
+    }
+    if (!found) {
+      Object.assign(result, { result: 'unmatched', message: `No ${carrier} shipment, leg or container has this reference` });
+      continue;
+    }
+    const { shipment, leg } = found;
+
+    result.trackingNumber = shipment.tracking_number;
+
+    try {
+      const recorded = await recordShipmentEvent(db, shipment.id, {
+        eventCode: event.eventCode,
+        occurredAt: event.occurredAt,
+        location: event.location,
+        locationCode: event.locationCode,
+        description: event.description,
+        carrier,
+        externalId: event.externalId,
+        legId: leg ? leg.id : undefined
+      }, { source: 'carrier' });
+
+      Object.assign(result, { result: 'recorded', status: recorded.shipment.status });
+    } catch (error) {
+      if (error instanceof AppError) {
+        Object.assign(result, { result: 'rejected', message: error.message });
+      } else if (await findDuplicate(db, carrier, event.externalId)) {
+        // The same event arrived twice at once and the other delivery recorded it
+        result.result = 'duplicate';
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  carrierSecrets,
+  signPayload,
+  verifySignature,
+  parseCarrierPayload,
+  ingestCarrierEvents
+};
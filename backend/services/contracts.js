@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../middleware/errorHandler');
+const { listLineItems } = require('./lineItems');
+
+// Contract documents
+//
+// Renders a trade agreement to PDF with the same Articles 1-4 as the contract preview in
+// trade-agreement.html. Every generation is kept as a new numbered version with the SHA-256 of
+// its bytes; the agreement points at the latest one (contract_url, contract_hash,
+// contract_version). Files live under CONTRACTS_PATH and are only served through the
+// authenticated download routes.
+
+const CONTRACTS_PATH = process.env.CONTRACTS_PATH || path.join(__dirname, '../storage/contracts');
+
+function formatAmount(amount) {
+  return Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function formatLine(line, currency) {
+  const codes = [line.sku && `SKU ${line.sku}`, line.hs_code && `HS ${line.hs_code}`].filter(Boolean);
+  const rates = [
+    ['discount', line.discount_rate], ['tax', line.tax_rate], ['duty', line.duty_rate]
+  ].filter(([, rate]) => Number(rate) > 0).map(([name, rate]) => `${name} ${Number(rate)}%`);
+
+  return `${line.line_number}. ${line.description}` + (codes.length ? ` (${codes.join(', ')})` : '') +
+    `: ${Number(line.quantity)} ${line.unit_of_measure} at ${currency} ${formatAmount(line.unit_price)}` +
+    (rates.length ? `, ${rates.join(', ')}` : '') +
+    ` - ${currency} ${formatAmount(line.line_total)}`;
+}
+
+// The article headings and text shown in the contract preview, filled from the agreement and,
+// when given, its line items (agreement.line_items)
+function contractArticles(agreement) {
+  const lines = agreement.line_items || [];
+  const currency = agreement.currency;
+
+  const goods = lines.length > 0
+    ? 'Seller agrees to sell and deliver the following goods:\n' +
+      lines.map(line => formatLine(line, currency)).join('\n')
+    : `Seller agrees to sell and deliver ${agreement.quantity} of ${agreement.product_description}, ` +
+      `at ${currency} ${formatAmount(agreement.unit_price)} per unit.`;
+
+  const adjustments = [
+    ['Discounts', agreement.discount_total], ['Taxes', agreement.tax_total], ['Duties', agreement.duty_total]
+  ].filter(([, amount]) => Number(amount) > 0);
+  const breakdown = lines.length > 0
+    ? [['Subtotal', agreement.subtotal], ...adjustments]
+      .map(([label, amount]) => `${label}: ${currency} ${formatAmount(amount)}.\n`).join('')
+    : '';
+
+  return [
+    {
+      heading: 'Article 1: Parties',
+      body: `This agreement is between ${agreement.buyer_company} (${agreement.buyer_email}) (Buyer) and ` +
+        `${agreement.seller_company} (${agreement.seller_email}) (Seller).`
+    },
+    {
+      heading: 'Article 2: Goods',
+      body: goods
+    },
+    {
+      heading: 'Article 3: Payment',
+      body: breakdown +
+        `Total contract value: ${currency} ${formatAmount(agreement.total_amount)}.\n` +
+        `Payment terms: ${agreement.payment_terms}.`
+    },
+    {
+      heading: 'Article 4: Delivery',
+      body: `Delivery terms: ${agreement.delivery_terms}.`
+    }
+  ];
+}
+
+// Render the agreement to a PDF buffer
+function renderContractPdf(agreement, { version, generatedAt }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 56,
+      info: {
+        Title: `${agreement.agreement_name} - Trade Agreement`,
+        Author: 'TradeBridge',
+        Subject: `Trade agreement ${agreement.uuid}, version ${version}`,
+        CreationDate: generatedAt
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(20).text('Trade Agreement', { align: 'center' });
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(13).text(agreement.agreement_name, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(9).fillColor('#555555')
+      .text(`Reference ${agreement.uuid}  |  Version ${version}  |  Generated ${generatedAt.toISOString()}`, { align: 'center' });
+    doc.fillColor('#000000');
+    doc.moveDown(1.5);
+
+    contractArticles(agreement).forEach(article => {
+      doc.font('Helvetica-Bold').fontSize(12).text(article.heading);
+      doc.moveDown(0.3);
+      doc.font('Helvetica').fontSize(11).text(article.body, { lineGap: 2 });
+      doc.moveDown(1);
+    });
+
+    doc.end();
+  });
+}
+
+async function listContractVersions(db, tradeAgreementId) {
+  return db.allQuery(
+    `SELECT d.*, u.email as generated_by_email
+     FROM contract_documents d
+     JOIN users u ON u.id = d.generated_by
+     WHERE d.trade_agreement_id = ?
+     ORDER BY d.version DESC`,
+    [tradeAgreementId]
+  );
+}
+
+// A stored version, or the latest when `version` is omitted
+async function getContractDocument(db, tradeAgreementId, version) {
+  return version === undefined
+    ? db.getQuery(
+      'SELECT * FROM contract_documents WHERE trade_agreement_id = ? ORDER BY version DESC LIMIT 1',
+      [tradeAgreementId]
+    )
+    : db.getQuery(
+      'SELECT * FROM contract_documents WHERE trade_agreement_id = ? AND version = ?',
+      [tradeAgreementId, version]
+    );
+}
+
+// The stored file of a version, or its signed copy with the certificate page
+function contractFilePath(document, { signed = false } = {}) {
+  return path.join(CONTRACTS_PATH, signed ? document.signed_file_name : document.file_name);
+}
+
+// Render and store the next contract version, and point the agreement at it
+async function generateContract(db, agreement, userId) {
+  return db.withTransaction(async (tx) => {
+    const { latest } = await tx.getQuery(
+      'SELECT MAX(version) as latest FROM contract_documents WHERE trade_agreement_id = ?',
+      [agreement.id]
+    );
+    const version = (latest || 0) + 1;
+    const generatedAt = new Date();
+
+    const lineItems = await listLineItems(tx, agreement.id);
+    const pdf = await renderContractPdf({ ...agreement, line_items: lineItems }, { version, generatedAt });
+    const documentHash = sha256(pdf);
+    const documentUuid = uuidv4();
+    const fileName = path.join(agreement.uuid, `v${version}-${documentUuid}.pdf`);
+    const filePath = path.join(CONTRACTS_PATH, fileName);
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, pdf);
+
+    try {
+      await tx.runQuery(
+        `INSERT INTO contract_documents
+         (uuid, trade_agreement_id, version, file_name, file_size, sha256, generated_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [documentUuid, agreement.id, version, fileName, pdf.length, documentHash, userId]
+      );
+    } catch (error) {
+      fs.unlinkSync(filePath);
+
+      if (error.code === 'SQLITE_CONSTRAINT' || error.code === '23505') {
+        throw new AppError('The contract is already being generated', 409, 'CONTRACT_GENERATION_IN_PROGRESS');
+      }
+      throw error;
+    }
+
+    // A contract signed by both parties is final
+    const result = await tx.runQuery(
+      `UPDATE trade_agreements
+       SET contract_url = ?, contract_hash = ?, contract_version = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND signed_at IS NULL`,
+      [`/api/trade-agreements/${agreement.id}/contract`, documentHash, version, agreement.id]
+    );
+
+    if (result.changes === 0) {
+      fs.unlinkSync(filePath);
+      throw new AppError('The contract has been signed by both parties and can no longer change', 409, 'AGREEMENT_SIGNED');
+    }
+
+    return tx.getQuery('SELECT * FROM contract_documents WHERE uuid = ?', [documentUuid]);
+  });
+}
+
+// Delete every stored version of a deleted agreement's contract
+function removeContractFiles(agreement) {
+  fs.rmSync(path.join(CONTRACTS_PATH, agreement.uuid), { recursive: true, force: true });
+}
+
+module.exports = {
+  CONTRACTS_PATH,
+  contractArticles,
+  renderContractPdf,
+  listContractVersions,
+  getContractDocument,
+  contractFilePath,
+  generateContract,
+  removeContractFiles
+};
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { createNotification } = require('./notifications');
+const { SHIPMENT_EVENT_CODES, recordShipmentEvent } = require('./shipmentEvents');
+
+// Shipment delay detection
+//
+// A periodic check of every pending and in-transit shipment for three signs of delay: its
+// estimated delivery has passed (plus a grace period) without delivery, it has had no event for
+// too many days, or its events show a missed milestone - something that should follow an event
+// (departure after booking, clearance after a customs hold) has not within so many days. A
+// shipment found late gets a DELAYED event giving the reasons, which sets its status, and its
+// buyer and seller are notified. Each finding is recorded once as an alert, so a shipment that
+// moves on after being flagged is not flagged again for the same ETA, silence or milestone.
+//
+// Thresholds come from DELAY_THRESHOLDS_FILE: defaults, and rules for a carrier, an origin, a
+// destination or any mix of them. Every matching rule applies, the more specific ones last.
+
+const DELAY_THRESHOLDS_FILE = process.env.DELAY_THRESHOLDS_FILE ||
+  path.join(__dirname, '../resources/delay-thresholds.json');
+
+const CHECKED_STATUSES = ['pending', 'in_transit'];
+
+const MATCH_FIELDS = ['carrier', 'origin', 'destination'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const eventCodes = Joi.array().items(Joi.string().valid(...Object.keys(SHIPMENT_EVENT_CODES))).min(1);
+
+// null switches a check off
+const thresholdFields = {
+  etaGraceHours: Joi.number().min(0).allow(null),
+  maxSilenceDays: Joi.number().positive().allow(null),
+  milestones: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    after: eventCodes.required(),
+    expect: eventCodes.required(),
+    withinDays: Joi.number().positive().required()
+  }))
+};
+
+const thresholdsSchema = Joi.object({
+  defaults: Joi.object(thresholdFields).required(),
+  rules: Joi.array().items(Joi.object({
+    carrier: Joi.string(),
+    origin: Joi.string(),
+    destination: Joi.string(),
+    ...thresholdFields
+  }).or(...MATCH_FIELDS)).default([])
+});
+
+function loadDelayThresholds(file = DELAY_THRESHOLDS_FILE) {
+  const { error, value } = thresholdsSchema.validate(JSON.parse(fs.readFileSync(file, 'utf8')));
+  if (error) {
+    throw new Error(`${file}: ${error.details[0].message}`);
+  }
+  return value;
+}
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// The thresholds for a shipment: the defaults, overridden by each rule whose carrier, origin and
+// destination (those it gives) match the shipment's, least specific first
+function thresholdsFor(shipment, { defaults, rules }) {
+  const matching = rules
+    .map((rule, index) => ({ rule, index, fields: MATCH_FIELDS.filter(field => rule[field] !== undefined) }))
+    .filter(({ rule, fields }) => fields.every(field => sameText(rule[field], shipment[field])))
+    .sort((a, b) => a.fields.length - b.fields.length || a.index - b.index);
+
+  const thresholds = { ...defaults };
+  matching.forEach(({ rule }) => {
+    Object.keys(thresholdFields).forEach(field => {
+      if (rule[field] !== undefined) {
+        thresholds[field] = rule[field];
+      }
+    });
+  });
+  return thresholds;
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// What makes the shipment late as of `now`: { reason, key, detail } for each check it fails.
+// `events` are the shipment's events, oldest first.
+function delayFindings(shipment, events, thresholds, now) {
+  const findings = [];
+
+  if (shipment.estimated_delivery && thresholds.etaGraceHours !== null && thresholds.etaGraceHours !== undefined) {
+    const eta = new Date(shipment.estimated_delivery);
+    if (!isNaN(eta) && now.getTime() > eta.getTime() + thresholds.etaGraceHours * 60 * 60 * 1000) {
+      findings.push({
+        reason: 'eta_passed',
+        key: `eta:${shipment.id}:${eta.toISOString()}`,
+        detail: `Estimated delivery ${formatDay(eta)} has passed without delivery`
+      });
+    }
+  }
+
+  // Entering a shipment is not news of it, unless nothing else has been heard
+  const updates = events.filter(event => event.event_code !== 'CREATED');
+  const last = updates.length > 0 ? updates[updates.length - 1] : events[events.length - 1];
+  if (last && thresholds.maxSilenceDays) {
+    const days = Math.floor((now.getTime() - new Date(last.occurred_at).getTime()) / DAY_MS);
+    if (days > thresholds.maxSilenceDays) {
+      findings.push({
+        reason: 'no_updates',
+        key: `silence:${shipment.id}:${last.id}`,
+        detail: `No tracking update for ${days} days (expected within ${thresholds.maxSilenceDays})`
+      });
+    }
+  }
+
+  (thresholds.milestones || []).forEach((milestone) => {
+    const anchor = events.filter(event => milestone.after.includes(event.event_code)).pop();
+    if (!anchor) {
+      return;
+    }
+
+    const met = events.some(event => milestone.expect.includes(event.event_code) && event.occurred_at > anchor.occurred_at);
+    const due = new Date(anchor.occurred_at).getTime() + milestone.withinDays * DAY_MS;
+    if (!met && now.getTime() > due) {
+      findings.push({
+        reason: 'missed_milestone',
+        key: `milestone:${shipment.id}:${milestone.name}:${anchor.id}`,
+        detail: `Missed milestone "${milestone.name}": nothing within ${milestone.withinDays} days of ` +
+          `${SHIPMENT_EVENT_CODES[anchor.event_code].label.toLowerCase()} on ${anchor.occurred_at.slice(0, 10)}`
+      });
+    }
+  });
+
+  return findings;
+}
+
+// Registered buyers and sellers on the agreement
+async function tradePartyUserIds(db, tradeAgreementId) {
+  const rows = await db.allQuery(
+    `SELECT DISTINCT user_id FROM trade_agreement_participants
+     WHERE trade_agreement_id = ? AND role IN ('buyer', 'seller') AND user_id IS NOT NULL`,
+    [tradeAgreementId]
+  );
+  return rows.map(row => row.user_id);
+}
+
+// Flag one shipment's new findings: alerts, the DELAYED event and the notifications, together
+async function flagShipment(db, shipment, findings) {
+  return db.withTransaction(async (tx) => {
+    const detail = findings.map(finding => finding.detail).join('; ');
+    const { event } = await recordShipmentEvent(tx, shipment.id, {
+      eventCode: 'DELAYED',
+      description: detail
+    }, { source: 'system' });
+
+    for (const finding of findings) {
+      await tx.runQuery(
+        `INSERT INTO shipment_delay_alerts (uuid, shipment_id, reason, detail, alert_key, shipment_event_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), shipment.id, finding.reason, finding.detail, finding.key, event.id]
+      );
+    }
+
+    for (const userId of await tradePartyUserIds(tx, shipment.trade_agreement_id)) {
+      await createNotification(tx, {
+        userId,
+        type: 'shipment',
+        title: 'Shipment Delayed',
+        message: `Shipment ${shipment.tracking_number} looks delayed: ${detail}`,
+        metadata: {
+          shipmentId: shipment.id,
+          shipmentUuid: shipment.uuid,
+          trackingNumber: shipment.tracking_number,
+          reasons: findings.map(finding => finding.reason)
+        }
+      });
+    }
+
+    return event;
+  });
+}
+
+// Check every pending and in-transit shipment. Returns how many were checked and those flagged.
+async function checkShipmentDelays(db, { now = new Date(), thresholds = loadDelayThresholds() } = {}) {
+  const shipments = await db.allQuery(
+    `SELECT * FROM shipments WHERE status IN (${CHECKED_STATUSES.map(() => '?').join(', ')}) ORDER BY id`,
+    CHECKED_STATUSES
+  );
+  const flagged = [];
+
+  for (const shipment of shipments) {
+    const events = await db.allQuery(
+      'SELECT id, event_code, occurred_at FROM shipment_events WHERE shipment_id = ? ORDER BY occurred_at, id',
+      [shipment.id]
+    );
+    const alerted = (await db.allQuery('SELECT alert_key FROM shipment_delay_alerts WHERE shipment_id = ?', [shipment.id]))
+      .map(alert => alert.alert_key);
+
+    const findings = delayFindings(shipment, events, thresholdsFor(shipment, thresholds), now)
+      .filter(finding => !alerted.includes(finding.key));
+    if (findings.length === 0) {
+      continue;
+    }
+
+    try {
+      await flagShipment(db, shipment, findings);
+      flagged.push({
+        shipmentId: shipment.id,
+        trackingNumber: shipment.tracking_number,
+        reasons: findings.map(finding => finding.reason)
+      });
+    } catch (error) {
+      // One shipment failing should not stop the rest being checked
+      console.error(`Delay check failed for shipment ${shipment.id}:`, error);
+    }
+  }
+
+  return { checked: shipments.length, flagged };
+}
+
+async function listDelayAlerts(db, shipmentId) {
+  return db.allQuery(
+    'SELECT * FROM shipment_delay_alerts WHERE shipment_id = ? ORDER BY created_at DESC, id DESC',
+    [shipmentId]
+  );
+}
+
+function formatDelayAlert(alert) {
+  return {
+    id: alert.id,
+    uuid: alert.uuid,
+    reason: alert.reason,
+    detail: alert.detail,
+    shipmentEventId: alert.shipment_event_id,
+    createdAt: alert.created_at
+  };
+}
+
+module.exports = {
+  DELAY_THRESHOLDS_FILE,
+  loadDelayThresholds,
+  thresholdsFor,
+  delayFindings,
+  checkShipmentDelays,
+  listDelayAlerts,
+  formatDelayAlert
+};
@@ -0,0 +1,349 @@
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../middleware/errorHandler');
+const { createNotification } = require('./notifications');
+const { getWalletAccount, getEscrowAccount, postJournalEntry } = require('./ledger');
+const { findWallet, getOrCreateWallet, recordTransaction } = require('./wallets');
+
+// Escrow against a trade agreement
+//
+// The buyer funds escrow from their wallet into a dedicated escrow ledger account, which
+// freezes the amount in their wallet. A funded escrow is released to the seller's wallet
+// when a shipment for the agreement is delivered (for 'delivery' escrows), when both
+// parties confirm, or when the buyer releases it early. Cancelling the agreement refunds it once
+// the seller agrees.
+
+// Agreements escrow can be funded for, and released by a delivery for; until one is agreed
+// nothing is owed
+const ESCROW_STATUSES = ['approved', 'active'];
+
+async function getActiveEscrow(db, tradeAgreementId) {
+  return db.getQuery(
+    "SELECT * FROM escrows WHERE trade_agreement_id = ? AND status = 'funded'",
+    [tradeAgreementId]
+  );
+}
+
+async function notifyParties(db, escrow, { title, message }) {
+  for (const userId of new Set([escrow.buyer_id, escrow.seller_id])) {
+    await createNotification(db, {
+      userId,
+      type: 'payment',
+      title,
+      message,
+      metadata: { escrowUuid: escrow.uuid, tradeAgreementId: escrow.trade_agreement_id, status: escrow.status }
+    });
+  }
+}
+
+// Lock `amount` of the buyer's funds against the agreement
+async function fundEscrow(db, { agreement, buyer, amount, releaseCondition }) {
+  return db.withTransaction(async (tx) => {
+    if (await getActiveEscrow(tx, agreement.id)) {
+      throw new AppError('Escrow is already funded for this agreement', 409, 'ESCROW_EXISTS');
+    }
+
+    const buyerWallet = await findWallet(tx, buyer.id, agreement.currency);
+
+    if (!buyerWallet) {
+      throw new AppError(`No ${agreement.currency} wallet to fund escrow from`, 400, 'WALLET_NOT_FOUND');
+    }
+
+    // The seller must be able to receive the funds before they are locked up
+    const seller = await tx.getQuery(
+      `SELECT u.id FROM trade_agreement_participants p
+       JOIN users u ON u.id = p.user_id
+       WHERE p.trade_agreement_id = ? AND p.role = 'seller' AND u.is_active = 1`,
+      [agreement.id]
+    );
+
+    if (!seller) {
+      throw new AppError('The seller needs a TradeBridge account before escrow can be funded', 409, 'SELLER_NOT_REGISTERED');
+    }
+
+    const escrowUuid = uuidv4();
+    const walletAccount = await getWalletAccount(tx, buyerWallet);
+    const escrowAccount = await getEscrowAccount(tx, escrowUuid, buyerWallet);
+
+    const entry = await postJournalEntry(tx, {
+      entryType: 'escrow_fund',
+      description: `Escrow for ${agreement.agreement_name}`,
+      reference: escrowUuid,
+      metadata: { tradeAgreementId: agreement.id },
+      createdBy: buyer.id,
+      lines: [
+        { accountId: walletAccount.id, direction: 'debit', amount, currency: agreement.currency },
+        { accountId: escrowAccount.id, direction: 'credit', amount, currency: agreement.currency }
+      ]
+    });
+
+    // idx_escrows_active rejects a second funded escrow that raced past the check above
+    const result = await tx.runQuery(
+      `INSERT INTO escrows
+       (uuid, trade_agreement_id, buyer_id, seller_id, wallet_id, ledger_account_id, amount, currency,
+        release_condition, funding_entry_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        escrowUuid, agreement.id, buyer.id, seller.id, buyerWallet.id, escrowAccount.id, amount,
+        agreement.currency, releaseCondition, entry.id
+      ]
+    ).catch(error => {
+      if (error.code === 'SQLITE_CONSTRAINT' || error.code === '23505') {
+        throw new AppError('Escrow is already funded for this agreement', 409, 'ESCROW_EXISTS');
+      }
+      throw error;
+    });
+
+    await recordTransaction(tx, {
+      wallet: buyerWallet,
+      userId: buyer.id,
+      type: 'escrow_hold',
+      amount,
+      description: `Escrow funded for ${agreement.agreement_name}`,
+      reference: escrowUuid,
+      metadata: { tradeAgreementId: agreement.id },
+      journalEntryId: entry.id
+    });
+
+    const escrow = await tx.getQuery('SELECT * FROM escrows WHERE id = ?', [result.id]);
+
+    await notifyParties(tx, escrow, {
+      title: 'Escrow Funded',
+      message: `${agreement.currency} ${amount} is held in escrow for ${agreement.agreement_name}`
+    });
+
+    return escrow;
+  });
+}
+
+// Pay a funded escrow out to the seller ('released') or back to the buyer ('refunded')
+async function settleEscrow(db, escrow, { outcome, reason, actorId }) {
+  return db.withTransaction(async (tx) => {
+    // Claim the escrow first so concurrent settlements can't both pay it out
+    const claim = await tx.runQuery(
+      `UPDATE escrows SET status = ?, settlement_reason = ?, settled_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'funded'`,
+      [outcome, reason, escrow.id]
+    );
+
+    if (claim.changes === 0) {
+      throw new AppError('Escrow is not funded', 409, 'ESCROW_NOT_FUNDED');
+    }
+
+    const agreement = await tx.getQuery(
+      'SELECT agreement_name FROM trade_agreements WHERE id = ?',
+      [escrow.trade_agreement_id]
+    );
+    const buyerWallet = await tx.getQuery('SELECT * FROM wallets WHERE id = ?', [escrow.wallet_id]);
+    const recipientWallet = outcome === 'released'
+      ? await getOrCreateWallet(tx, escrow.seller_id, escrow.currency)
+      : buyerWallet;
+
+    const recipientAccount = await getWalletAccount(tx, recipientWallet);
+    const entry = await postJournalEntry(tx, {
+      entryType: outcome === 'released' ? 'escrow_release' : 'escrow_refund',
+      description: `Escrow ${outcome} for ${agreement.agreement_name}`,
+      reference: escrow.uuid,
+      metadata: { tradeAgreementId: escrow.trade_agreement_id, reason },
+      createdBy: actorId,
+      lines: [
+        { accountId: escrow.ledger_account_id, direction: 'debit', amount: escrow.amount, currency: escrow.currency },
+        { accountId: recipientAccount.id, direction: 'credit', amount: escrow.amount, currency: escrow.currency }
+      ]
+    });
+
+    await tx.runQuery('UPDATE escrows SET settlement_entry_id = ? WHERE id = ?', [entry.id, escrow.id]);
+
+    const metadata = { tradeAgreementId: escrow.trade_agreement_id, reason };
+    if (outcome === 'released') {
+      await recordTransaction(tx, {
+        wallet: buyerWallet,
+        userId: escrow.buyer_id,
+        type: 'escrow_release',
+        amount: escrow.amount,
+        description: `Escrow released to seller for ${agreement.agreement_name}`,
+        reference: escrow.uuid,
+        metadata,
+        journalEntryId: entry.id
+      });
+      await recordTransaction(tx, {
+        wallet: recipientWallet,
+        userId: escrow.seller_id,
+        type: 'credit',
+        amount: escrow.amount,
+        description: `Escrow payment for ${agreement.agreement_name}`,
+        reference: escrow.uuid,
+        metadata,
+        journalEntryId: entry.id
+      });
+    } else {
+      await recordTransaction(tx, {
+        wallet: buyerWallet,
+        userId: escrow.buyer_id,
+        type: 'escrow_refund',
+        amount: escrow.amount,
+        description: `Escrow refunded for ${agreement.agreement_name}`,
+        reference: escrow.uuid,
+        metadata,
+        journalEntryId: entry.id
+      });
+    }
+
+    const settled = await tx.getQuery('SELECT * FROM escrows WHERE id = ?', [escrow.id]);
+
+    await notifyParties(tx, settled, outcome === 'released'
+      ? {
+        title: 'Escrow Released',
+        message: `${escrow.currency} ${escrow.amount} escrow for ${agreement.agreement_name} was released to the seller`
+      }
+      : {
+        title: 'Escrow Refunded',
+        message: `${escrow.currency} ${escrow.amount} escrow for ${agreement.agreement_name} was refunded to the buyer`
+      });
+
+    return settled;
+  });
+}
+
+function releaseEscrow(db, escrow, { reason, actorId }) {
+  return settleEscrow(db, escrow, { outcome: 'released', reason, actorId });
+}
+
+function refundEscrow(db, escrow, { reason, actorId }) {
+  return settleEscrow(db, escrow, { outcome: 'refunded', reason, actorId });
+}
+
+// Record one party's confirmation; the escrow is released once both have confirmed
+async function confirmEscrow(db, escrow, { party, actorId }) {
+  const column = party === 'buyer' ? 'buyer_confirmed_at' : 'seller_confirmed_at';
+
+  return db.withTransaction(async (tx) => {
+    const result = await tx.runQuery(
+      `UPDATE escrows SET ${column} = COALESCE(${column}, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'funded'`,
+      [escrow.id]
+    );
+
+    if (result.changes === 0) {
+      throw new AppError('Escrow is not funded', 409, 'ESCROW_NOT_FUNDED');
+    }
+
+    const confirmed = await tx.getQuery('SELECT * FROM escrows WHERE id = ?', [escrow.id]);
+
+    if (confirmed.buyer_confirmed_at && confirmed.seller_confirmed_at) {
+      return releaseEscrow(tx, confirmed, { reason: 'mutual_confirmation', actorId });
+    }
+
+    await createNotification(tx, {
+      userId: party === 'buyer' ? confirmed.seller_id : confirmed.buyer_id,
+      type: 'payment',
+      title: 'Escrow Confirmation',
+      message: `The ${party} confirmed the escrow can be released. Confirm as well to release it.`,
+      metadata: { escrowUuid: confirmed.uuid, tradeAgreementId: confirmed.trade_agreement_id }
+    });
+
+    return confirmed;
+  });
+}
+
+// Release a 'delivery' escrow once a shipment for the approved or active agreement is
+// delivered, as reported by the carrier or by the buyer. A delivery anyone else records only
+// asks the buyer to confirm it, by releasing the escrow themselves.
+async function releaseEscrowOnDelivery(db, tradeAgreementId, { actorId, source }) {
+  const escrow = await getActiveEscrow(db, tradeAgreementId);
+
+  if (!escrow || escrow.release_condition !== 'delivery') {
+    return null;
+  }
+
+  const agreement = await db.getQuery(
+    'SELECT agreement_name, status FROM trade_agreements WHERE id = ?',
+    [tradeAgreementId]
+  );
+  if (!agreement || !ESCROW_STATUSES.includes(agreement.status)) {
+    return null;
+  }
+
+  if (source === 'carrier') {
+    return releaseEscrow(db, escrow, { reason: 'shipment_delivered', actorId });
+  }
+  if (actorId === escrow.buyer_id) {
+    return releaseEscrow(db, escrow, { reason: 'buyer_confirmed_delivery', actorId });
+  }
+
+  await createNotification(db, {
+    userId: escrow.buyer_id,
+    type: 'payment',
+    title: 'Delivery Awaiting Confirmation',
+    message: `A shipment for ${agreement.agreement_name} was marked delivered. Release the escrow once you have received it.`,
+    metadata: { escrowUuid: escrow.uuid, tradeAgreementId }
+  });
+  return null;
+}
+
+async function hasDeliveredShipment(db, tradeAgreementId) {
+  const delivered = await db.getQuery(
+    `SELECT s.id FROM shipments s
+     WHERE s.trade_agreement_id = ?
+       AND (s.status = 'delivered'
+         OR EXISTS (SELECT 1 FROM shipment_events e WHERE e.shipment_id = s.id AND e.event_code = 'DELIVERED'))
+     LIMIT 1`,
+    [tradeAgreementId]
+  );
+  return Boolean(delivered);
+}
+
+// Anyone but the seller cancelling an agreement with funded escrow only asks the seller to agree,
+// as the refund takes their payment away. Once a shipment is delivered it cannot be asked for.
+async function requestRefundOnCancellation(db, escrow, { actorId, agreementName }) {
+  if (await hasDeliveredShipment(db, escrow.trade_agreement_id)) {
+    throw new AppError(
+      'A shipment for this agreement has been delivered, so the funded escrow cannot be refunded by cancelling it',
+      409,
+      'SHIPMENT_DELIVERED'
+    );
+  }
+
+  const result = await db.runQuery(
+    `UPDATE escrows SET refund_requested_by = ?, refund_requested_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'funded' AND refund_requested_by IS NULL`,
+    [actorId, escrow.id]
+  );
+
+  if (result.changes === 0) {
+    throw new AppError('Cancellation was already requested; the seller has to cancel as well', 409, 'CANCELLATION_REQUESTED');
+  }
+
+  await createNotification(db, {
+    userId: escrow.seller_id,
+    type: 'payment',
+    title: 'Cancellation Requested',
+    message: `Cancelling ${agreementName} was requested. Cancel it as well to refund the escrow to the buyer.`,
+    metadata: { escrowUuid: escrow.uuid, tradeAgreementId: escrow.trade_agreement_id }
+  });
+
+  return db.getQuery('SELECT * FROM escrows WHERE id = ?', [escrow.id]);
+}
+
+// Return funded escrow to the buyer when the agreement is cancelled
+async function refundEscrowOnCancellation(db, tradeAgreementId, actorId) {
+  const escrow = await getActiveEscrow(db, tradeAgreementId);
+
+  if (!escrow) {
+    return null;
+  }
+
+  return refundEscrow(db, escrow, { reason: 'agreement_cancelled', actorId });
+}
+
+module.exports = {
+  ESCROW_STATUSES,
+  getActiveEscrow,
+  fundEscrow,
+  releaseEscrow,
+  refundEscrow,
+  confirmEscrow,
+  releaseEscrowOnDelivery,
+  requestRefundOnCancellation,
+  refundEscrowOnCancellation
+};
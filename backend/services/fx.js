@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../middleware/errorHandler');
+const { roundMoney, getWalletAccount, getSystemAccount, postJournalEntry } = require('./ledger');
+const { findWallet, getOrCreateWallet, recordTransaction } = require('./wallets');
+
+// Foreign exchange
+//
+// fx_rates holds mid-market rates against USD. Customers convert at the mid rate less
+// FX_SPREAD_BPS, always through a quote that locks the rate for FX_QUOTE_TTL_SECONDS.
+// A conversion is one journal entry: the customer's source wallet pays the platform's
+// system:fx account in that currency, and the platform's system:fx account in the target
+// currency pays the customer's target wallet.
+
+const BASE_CURRENCY = 'USD';
+const FX_SPREAD_BPS = process.env.FX_SPREAD_BPS !== undefined ? parseInt(process.env.FX_SPREAD_BPS, 10) : 50;
+const FX_QUOTE_TTL_SECONDS = parseInt(process.env.FX_QUOTE_TTL_SECONDS, 10) || 60;
+const FX_RATES_FILE = process.env.FX_RATES_FILE || path.join(__dirname, '../resources/fx-rates.json');
+
+// Round in the platform's favour so a conversion never pays out more than the rate allows
+function floorMoney(amount) {
+  return Math.floor(amount * 100 + 1e-9) / 100;
+}
+
+function ceilMoney(amount) {
+  return Math.ceil(amount * 100 - 1e-9) / 100;
+}
+
+// Units of each currency per USD, USD included
+async function getRateTable(db) {
+  const rows = await db.allQuery('SELECT currency, units_per_usd FROM fx_rates');
+  const table = { [BASE_CURRENCY]: 1 };
+  rows.forEach(row => {
+    table[row.currency] = row.units_per_usd;
+  });
+  return table;
+}
+
+async function getMidRate(db, fromCurrency, toCurrency) {
+  const table = await getRateTable(db);
+
+  [fromCurrency, toCurrency].forEach(currency => {
+    if (!table[currency]) {
+      throw new AppError(`No FX rate for ${currency}`, 400, 'RATE_NOT_FOUND');
+    }
+  });
+
+  return table[toCurrency] / table[fromCurrency];
+}
+
+// Money is only held in currencies with a rate, so every balance can be valued and converted
+async function assertSupportedCurrency(db, currency) {
+  const table = await getRateTable(db);
+
+  if (!table[currency]) {
+    throw new AppError(`${currency} is not a supported currency`, 400, 'UNSUPPORTED_CURRENCY');
+  }
+}
+
+async function listRates(db) {
+  return db.allQuery('SELECT currency, units_per_usd, source, updated_at FROM fx_rates ORDER BY currency');
+}
+
+// Replace rates for the given currencies, e.g. setRates(db, { NGN: 1550, EUR: 0.92 }, 'admin')
+async function setRates(db, rates, source) {
+  const entries = Object.entries(rates).filter(([currency]) => currency !== BASE_CURRENCY);
+
+  entries.forEach(([currency, unitsPerUsd]) => {
+    if (!/^[A-Z]{3,5}$/.test(currency) || !(unitsPerUsd > 0)) {
+      throw new AppError(`Invalid rate for ${currency}`, 400, 'INVALID_RATE');
+    }
+  });
+
+  return db.withTransaction(async (tx) => {
+    for (const [currency, unitsPerUsd] of entries) {
+      const result = await tx.runQuery(
+        'UPDATE fx_rates SET units_per_usd = ?, source = ?, updated_at = CURRENT_TIMESTAMP WHERE currency = ?',
+        [unitsPerUsd, source, currency]
+      );
+
+      if (result.changes === 0) {
+        await tx.runQuery(
+          'INSERT INTO fx_rates (currency, units_per_usd, source) VALUES (?, ?, ?)',
+          [currency, unitsPerUsd, source]
+        );
+      }
+    }
+
+    return entries.length;
+  });
+}
+
+// Load a rates file shaped like resources/fx-rates.json: { "base": "USD", "rates": { "NGN": 1550 } }
+async function loadRatesFromFile(db, file = FX_RATES_FILE) {
+  const { base, rates } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (base !== BASE_CURRENCY || !rates) {
+    throw new Error(`${file} must list rates against ${BASE_CURRENCY}`);
+  }
+
+  return setRates(db, rates, `file:${path.basename(file)}`);
+}
+
+// Seed rates from FX_RATES_FILE on first start so conversions work out of the box
+async function ensureFxRates(db) {
+  const { count } = await db.getQuery('SELECT COUNT(*) as count FROM fx_rates');
+
+  if (count === 0) {
+    const loaded = await loadRatesFromFile(db);
+    console.log(`💱 Loaded ${loaded} FX rate(s) from ${FX_RATES_FILE}`);
+  }
+}
+
+// Quote a conversion. Give fromAmount to sell an exact amount, or toAmount to buy one.
+async function createQuote(db, { userId, fromCurrency, toCurrency, fromAmount, toAmount }) {
+  if (fromCurrency === toCurrency) {
+    throw new AppError('Cannot convert a currency to itself', 400, 'SAME_CURRENCY');
+  }
+
+  const midRate = await getMidRate(db, fromCurrency, toCurrency);
+  const rate = midRate * (1 - FX_SPREAD_BPS / 10000);
+
+  const quotedFromAmount = fromAmount !== undefined ? roundMoney(fromAmount) : ceilMoney(toAmount / rate);
+  const quotedToAmount = fromAmount !== undefined ? floorMoney(fromAmount * rate) : roundMoney(toAmount);
+
+  if (!(quotedFromAmount > 0) || !(quotedToAmount > 0)) {
+    throw new AppError('Amount is too small to convert', 400, 'AMOUNT_TOO_SMALL');
+  }
+
+  const quoteUuid = uuidv4();
+  const expiresAt = new Date(Date.now() + FX_QUOTE_TTL_SECONDS * 1000).toISOString();
+
+  const result = await db.runQuery(
+    `INSERT INTO fx_quotes
+     (uuid, user_id, from_currency, to_currency, from_amount, to_amount, rate, mid_rate, spread_bps, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [quoteUuid, userId, fromCurrency, toCurrency, quotedFromAmount, quotedToAmount, rate, midRate, FX_SPREAD_BPS, expiresAt]
+  );
+
+  return db.getQuery('SELECT * FROM fx_quotes WHERE id = ?', [result.id]);
+}
+
+// Mark a quote used; each quote can be executed once, before it expires
+async function claimQuote(db, quoteUuid, userId) {
+  const result = await db.runQuery(
+    `UPDATE fx_quotes SET used_at = CURRENT_TIMESTAMP
+     WHERE uuid = ? AND user_id = ? AND used_at IS NULL AND expires_at > ?`,
+    [quoteUuid, userId, new Date().toISOString()]
+  );
+
+  const quote = await db.getQuery('SELECT * FROM fx_quotes WHERE uuid = ? AND user_id = ?', [quoteUuid, userId]);
+
+  if (result.changes === 0) {
+    if (!quote) {
+      throw new AppError('Quote not found', 404, 'QUOTE_NOT_FOUND');
+    }
+    if (quote.used_at) {
+      throw new AppError('Quote has already been used', 409, 'QUOTE_USED');
+    }
+    throw new AppError('Quote has expired', 410, 'QUOTE_EXPIRED');
+  }
+
+  return quote;
+}
+
+// Execute a quote: move from_amount out of the user's source wallet and to_amount into
+// their target wallet (opened if needed)
+async function executeQuote(db, quoteUuid, userId) {
+  return db.withTransaction(async (tx) => {
+    const quote = await claimQuote(tx, quoteUuid, userId);
+
+    const fromWallet = await findWallet(tx, userId, quote.from_currency);
+    if (!fromWallet) {
+      throw new AppError(`No ${quote.from_currency} wallet to convert from`, 400, 'WALLET_NOT_FOUND');
+    }
+    const toWallet = await getOrCreateWallet(tx, userId, quote.to_currency);
+
+    const fromAccount = await getWalletAccount(tx, fromWallet);
+    const toAccount = await getWalletAccount(tx, toWallet);
+    const fxFromAccount = await getSystemAccount(tx, 'fx', quote.from_currency);
+    const fxToAccount = await getSystemAccount(tx, 'fx', quote.to_currency);
+
+    const description = `Convert ${quote.from_currency} ${quote.from_amount} to ${quote.to_currency} ${quote.to_amount}`;
+    const entry = await postJournalEntry(tx, {
+      entryType: 'fx_conversion',
+      description,
+      reference: quote.uuid,
+      metadata: { rate: quote.rate, midRate: quote.mid_rate, spreadBps: quote.spread_bps },
+      createdBy: userId,
+      lines: [
+        { accountId: fromAccount.id, direction: 'debit', amount: quote.from_amount, currency: quote.from_currency },
+        { accountId: fxFromAccount.id, direction: 'credit', amount: quote.from_amount, currency: quote.from_currency },
+        { accountId: fxToAccount.id, direction: 'debit', amount: quote.to_amount, currency: quote.to_currency },
+        { accountId: toAccount.id, direction: 'credit', amount: quote.to_amount, currency: quote.to_currency }
+      ]
+    });
+
+    await tx.runQuery('UPDATE fx_quotes SET journal_entry_id = ? WHERE id = ?', [entry.id, quote.id]);
+
+    const metadata = { quoteId: quote.uuid, rate: quote.rate };
+    await recordTransaction(tx, {
+      wallet: fromWallet,
+      userId,
+      type: 'conversion',
+      amount: quote.from_amount,
+      description,
+      reference: quote.uuid,
+      metadata: { ...metadata, direction: 'out' },
+      journalEntryId: entry.id
+    });
+    await recordTransaction(tx, {
+      wallet: toWallet,
+      userId,
+      type: 'conversion',
+      amount: quote.to_amount,
+      description,
+      reference: quote.uuid,
+      metadata: { ...metadata, direction: 'in' },
+      journalEntryId: entry.id
+    });
+
+    return {
+      quote: await tx.getQuery('SELECT * FROM fx_quotes WHERE id = ?', [quote.id]),
+      fromWallet: await tx.getQuery('SELECT * FROM wallets WHERE id = ?', [fromWallet.id]),
+      toWallet: await tx.getQuery('SELECT * FROM wallets WHERE id = ?', [toWallet.id])
+    };
+  });
+}
+
+// Total of several wallets in one currency at mid-market rates
+async function consolidateBalances(db, wallets, currency) {
+  const table = await getRateTable(db);
+
+  if (!table[currency]) {
+    throw new AppError(`No FX rate for ${currency}`, 400, 'RATE_NOT_FOUND');
+  }
+
+  let balance = 0;
+  let availableBalance = 0;
+  const unconvertedCurrencies = [];
+
+  wallets.forEach(wallet => {
+    if (!table[wallet.currency]) {
+      unconvertedCurrencies.push(wallet.currency);
+      return;
+    }
+
+    const rate = table[currency] / table[wallet.currency];
+    balance += wallet.balance * rate;
+    availableBalance += (wallet.balance - wallet.frozen_balance) * rate;
+  });
+
+  return {
+    currency,
+    balance: roundMoney(balance),
+    availableBalance: roundMoney(availableBalance),
+    unconvertedCurrencies
+  };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  FX_SPREAD_BPS,
+  getMidRate,
+  assertSupportedCurrency,
+  listRates,
+  setRates,
+  loadRatesFromFile,
+  ensureFxRates,
+  createQuote,
+  executeQuote,
+  consolidateBalances
+};
@@ -0,0 +1,282 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { AppError } = require('../middleware/errorHandler');
+const { PARTICIPANT_AGREEMENT_IDS } = require('./participants');
+const { createTradeAgreementSchema, createTradeAgreement } = require('./tradeAgreements');
+const { createShipmentSchema, createShipment } = require('./shipments');
+const { createInvoiceSchema, createInvoice } = require('./invoices');
+
+// Bulk imports
+//
+// A CSV or XLSX file (first worksheet) with a header row is imported as trade agreements,
+// shipments or invoices, one record per row. Headers map to the fields of the same create schema
+// the API uses - "Agreement Name", "agreement_name" and "agreementName" all mean agreementName -
+// or through an explicit mapping. lineItems and paymentPlan cells hold JSON. Shipments and
+// invoices can name their agreement by tradeAgreementUuid instead of its id.
+//
+// Every row is validated, then created inside one transaction, so later rows see earlier ones
+// (two rows with the same invoice number are caught). The transaction only commits when no row
+// has an error; a dry run always rolls it back and just reports.
+
+const IMPORT_TYPES = {
+  trade_agreements: { schema: createTradeAgreementSchema, create: createTradeAgreement, record: 'agreement' },
+  shipments: { schema: createShipmentSchema, create: createShipment, record: 'shipment' },
+  invoices: { schema: createInvoiceSchema, create: createInvoice, record: 'invoice' }
+};
+
+const FILE_FORMATS = { '.csv': 'csv', '.xlsx': 'xlsx' };
+
+// Fields whose cells are JSON
+const JSON_FIELDS = ['lineItems', 'paymentPlan'];
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS, 10) || 5000;
+
+const ROLLBACK = new Error('Import rolled back');
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// The fields an import type's columns can map to
+function importFields(importType) {
+  const fields = Object.keys(IMPORT_TYPES[importType].schema.describe().keys);
+  return fields.includes('tradeAgreementId') ? [...fields, 'tradeAgreementUuid'] : fields;
+}
+
+function fileFormat(fileName) {
+  const format = FILE_FORMATS[path.extname(fileName).toLowerCase()];
+  if (!format) {
+    throw new AppError('Upload a .csv or .xlsx file', 400, 'UNSUPPORTED_FORMAT');
+  }
+  return format;
+}
+
+// A spreadsheet cell as a plain value: dates as YYYY-MM-DD, formulas as their result
+function cellValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (value && typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if ('result' in value) {
+      return cellValue(value.result);
+    }
+    if ('text' in value) {
+      return cellValue(value.text);
+    }
+    return null;
+  }
+  return value;
+}
+
+// The header row and the data rows, each with its row number in the file
+async function readSheet(buffer, format) {
+  let table;
+
+  if (format === 'csv') {
+    try {
+      table = parse(buffer, { bom: true, relax_column_count: true, skip_empty_lines: true })
+        .map((cells, index) => ({ row: index + 1, cells }));
+    } catch (error) {
+      throw new AppError(`The CSV file could not be read: ${error.message}`, 400, 'INVALID_FILE');
+    }
+  } else {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new AppError('The XLSX file could not be read', 400, 'INVALID_FILE');
+    }
+
+    table = [];
+    const sheet = workbook.worksheets[0];
+    if (sheet) {
+      sheet.eachRow((row, rowNumber) => {
+        table.push({ row: rowNumber, cells: row.values.slice(1).map(cellValue) });
+      });
+    }
+  }
+
+  const rows = table.filter(({ cells }) => cells.some(cell => cell !== null && cell !== undefined && String(cell).trim() !== ''));
+  if (rows.length < 2) {
+    throw new AppError('The file needs a header row and at least one data row', 400, 'EMPTY_FILE');
+  }
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    throw new AppError(`Imports are limited to ${MAX_IMPORT_ROWS} rows`, 400, 'TOO_MANY_ROWS');
+  }
+
+  return { headers: rows[0].cells.map(cell => (cell === null || cell === undefined ? '' : String(cell).trim())), rows: rows.slice(1) };
+}
+
+// The field each header maps to (null for columns that are ignored). `mapping` names the field
+// for headers that do not match one by name.
+function mapColumns(importType, headers, mapping = {}) {
+  const fields = importFields(importType);
+  const byName = Object.fromEntries(fields.map(field => [normalizeHeader(field), field]));
+
+  Object.entries(mapping).forEach(([header, field]) => {
+    if (!fields.includes(field)) {
+      throw new AppError(`Column "${header}" is mapped to unknown field "${field}"`, 400, 'UNKNOWN_FIELD', { fields });
+    }
+  });
+
+  const columns = headers.map(header => ({
+    header,
+    field: mapping[header] || byName[normalizeHeader(header)] || null
+  }));
+
+  const mapped = columns.filter(column => column.field).map(column => column.field);
+  const duplicate = mapped.find((field, index) => mapped.indexOf(field) !== index);
+  if (duplicate) {
+    throw new AppError(`More than one column maps to ${duplicate}`, 400, 'DUPLICATE_COLUMN');
+  }
+
+  return columns;
+}
+
+// The row's fields from its non-empty cells, with any cell that cannot be read as an error
+function rowFields(columns, cells) {
+  const fields = {};
+  const errors = [];
+
+  columns.forEach(({ header, field }, index) => {
+    const cell = cells[index];
+    if (!field || cell === null || cell === undefined || String(cell).trim() === '') {
+      return;
+    }
+
+    const value = typeof cell === 'string' ? cell.trim() : cell;
+    if (JSON_FIELDS.includes(field)) {
+      try {
+        fields[field] = typeof value === 'string' ? JSON.parse(value) : value;
+      } catch (error) {
+        errors.push({ column: header, field, code: 'INVALID_JSON', message: `"${field}" must be JSON` });
+      }
+    } else {
+      fields[field] = value;
+    }
+  });
+
+  return { fields, errors };
+}
+
+// Validate and create every row. Returns the row errors and, when committed, the records created.
+async function runImport(db, user, { importType, columns, rows, dryRun }) {
+  const { schema, create, record } = IMPORT_TYPES[importType];
+  const columnFor = field => (columns.find(column => column.field === field) || {}).header || null;
+  const errors = [];
+  const valid = [];
+
+  for (const { row, cells } of rows) {
+    const { fields, errors: cellErrors } = rowFields(columns, cells);
+    const rowErrors = cellErrors.map(error => ({ row, ...error }));
+
+    if (fields.tradeAgreementUuid) {
+      const agreement = await db.getQuery(
+        `SELECT id FROM trade_agreements WHERE uuid = ? AND id IN (${PARTICIPANT_AGREEMENT_IDS})`,
+        [fields.tradeAgreementUuid, user.id]
+      );
+      if (agreement) {
+        fields.tradeAgreementId = fields.tradeAgreementId || agreement.id;
+      } else {
+        rowErrors.push({
+          row,
+          column: columnFor('tradeAgreementUuid'),
+          field: 'tradeAgreementUuid',
+          code: 'TRADE_AGREEMENT_NOT_FOUND',
+          message: 'Trade agreement not found'
+        });
+      }
+      delete fields.tradeAgreementUuid;
+    }
+
+    // A field whose cell could not be read is reported once, not again as missing
+    const reported = rowErrors.map(error => (error.field === 'tradeAgreementUuid' ? 'tradeAgreementId' : error.field));
+    const { error, value } = schema.validate(fields, { abortEarly: false });
+    if (error) {
+      error.details
+        .filter(detail => !reported.includes(detail.path[0]))
+        .forEach(detail => rowErrors.push({
+          row,
+          column: columnFor(detail.path[0]),
+          field: detail.path.join('.') || null,
+          code: 'VALIDATION_ERROR',
+          message: detail.message
+        }));
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+    } else {
+      valid.push({ row, value });
+    }
+  }
+
+  const created = [];
+  try {
+    await db.withTransaction(async (tx) => {
+      for (const { row, value } of valid) {
+        try {
+          created.push({ row, ...(await create(tx, user, value)) });
+        } catch (error) {
+          if (!(error instanceof AppError)) {
+            throw error;
+          }
+          errors.push({ row, column: null, field: null, code: error.code, message: error.message });
+        }
+      }
+
+      if (dryRun || errors.length > 0) {
+        throw ROLLBACK;
+      }
+    });
+  } catch (error) {
+    if (error !== ROLLBACK) {
+      throw error;
+    }
+    return { errors: errors.sort((a, b) => a.row - b.row), created: [] };
+  }
+
+  return {
+    errors: [],
+    created: created.map(item => ({ row: item.row, record: item[record], participants: item.participants || [] }))
+  };
+}
+
+// CSV field, quoted when needed
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The rows that failed, as uploaded, with their row number and errors in front - fix them and
+// upload the file again (the extra columns are ignored)
+function errorReport(job) {
+  const columns = JSON.parse(job.column_map || '[]');
+  const errors = JSON.parse(job.errors || '[]');
+  const rejectedRows = JSON.parse(job.rejected_rows || '[]');
+
+  const lines = [['Row', 'Errors', ...columns.map(column => column.header)]];
+  rejectedRows.forEach(({ row, cells }) => {
+    const messages = errors
+      .filter(error => error.row === row)
+      .map(error => (error.column ? `${error.column}: ${error.message}` : error.message));
+    lines.push([row, messages.join('; '), ...columns.map((column, index) => cells[index])]);
+  });
+
+  return `${lines.map(line => line.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  IMPORT_TYPES,
+  MAX_IMPORT_ROWS,
+  importFields,
+  fileFormat,
+  readSheet,
+  mapColumns,
+  runImport,
+  errorReport
+};
@@ -0,0 +1,542 @@
+const { extractPdfText } = require('./pdfText');
+const { AppError } = require('../middleware/errorHandler');
+
+// Invoice extraction
+//
+// Reads an uploaded invoice's number, dates, currency, totals, vendor, customer and line items
+// from the text of the PDF, locally and without any outside service. Fields are found by their
+// labels ("Invoice No:", "Due Date", "Bill To", "Total Due") next to or under the value, and line
+// items from the table under a Description/Qty/Price/Amount header. Each field gets a confidence
+// between 0 and 1: lower for values that could be read more than one way (03/04/2026), were
+// worked out rather than read (a due date from "Net 30") or don't add up (lines against the
+// subtotal, subtotal and tax against the total). Fields under INVOICE_REVIEW_CONFIDENCE, and
+// required fields that were not found, are listed in `reviewFields`.
+//
+// Scanned PDFs and images have no text to read. An OCR provider can be plugged in with
+// setOcrProvider; without one they come back with nothing extracted and every required field
+// up for review.
+
+const REVIEW_CONFIDENCE = Number(process.env.INVOICE_REVIEW_CONFIDENCE || 0.8);
+
+// Fewer characters than this and a PDF is taken to be a scan
+const MIN_TEXT_LENGTH = 20;
+
+const FIELDS = [
+  'invoiceNumber', 'issueDate', 'dueDate', 'currency', 'subtotal', 'taxAmount', 'totalAmount', 'vendor', 'customer'
+];
+
+// Financing needs these; the rest are only reviewed when they were found with low confidence
+const REQUIRED_FIELDS = ['invoiceNumber', 'dueDate', 'currency', 'totalAmount', 'vendor', 'customer'];
+
+const CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'NGN', 'GHS', 'XOF', 'XAF', 'KES', 'TZS', 'UGX', 'ETB', 'ZAR', 'EGP', 'MAD', 'AED',
+  'CNY', 'JPY', 'INR', 'CHF', 'CAD', 'AUD', 'USDC'
+];
+
+// Symbols, with how sure a symbol alone makes us ($ is also CAD, AUD, ...)
+const CURRENCY_SYMBOLS = [['₦', 'NGN', 0.8], ['€', 'EUR', 0.8], ['£', 'GBP', 0.8], ['$', 'USD', 0.5]];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const LABELS = {
+  invoiceNumber: /^(?:(?:commercial|proforma|pro forma|tax)\s+)?(?:invoice|inv\.?)\s*(?:no\.?|number|num\.?|nr\.?|#|ref(?:erence)?)\s*[:#.]?\s*(.*)$/i,
+  issueDate: /^(?:invoice\s+date|date\s+of\s+(?:issue|invoice)|issue\s+date|issued(?:\s+on)?|date)\s*[:.]?\s*(.*)$/i,
+  dueDate: /^(?:(?:payment\s+)?due\s+date|payment\s+due|due\s+(?:on|by)|pay\s+by)\s*[:.]?\s*(.*)$/i,
+  vendor: /^(?:seller|supplier|vendor|exporter|sold\s+by|bill(?:ed)?\s+from|beneficiary|from\s*:)\s*[:.]?\s*(.*)$/i,
+  customer: /^(?:bill(?:ed)?\s+to|sold\s+to|invoice\s+to|customer|buyer|client|importer|consignee|to\s*:)\s*[:.]?\s*(.*)$/i
+};
+
+const TOTAL_LABEL = /\b(?:grand\s+total|total\s+(?:amount\s+)?due|amount\s+due|balance\s+due|total\s+payable|invoice\s+total|total\s+amount|total)\b/i;
+const STRONG_TOTAL_LABEL = /\b(?:grand\s+total|total\s+(?:amount\s+)?due|amount\s+due|balance\s+due|total\s+payable)\b/i;
+const NOT_A_TOTAL = /sub\s*-?\s*total|total\s+(?:qty|quantity|weight|packages|cartons|bags|units|pieces|pcs|net|gross|volume)/i;
+const SUBTOTAL_LABEL = /^sub\s*-?\s*total\b/i;
+const TAX_LABEL = /^(?:vat|tax|gst|sales\s+tax|value\s+added\s+tax)\b(?!\s*(?:id|no\.?|number|reg))/i;
+
+let ocrProvider = null;
+
+// `provider(buffer, mimeType)` resolves to the text of a scanned PDF or image, as a string or
+// an array of lines
+function setOcrProvider(provider) {
+  ocrProvider = provider;
+}
+
+// Amounts
+
+// "34,000.00", "34.000,00", "(1,200.50)" and "42150" as numbers; not percentages or dates
+function amountsIn(text) {
+  const amounts = [];
+  const pattern = /(\(?)(-?)(\d{1,3}(?:[,.'’]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?)(\)?)(?!\s*%|[\d/.-]*\d)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const before = text.slice(0, match.index);
+    if (/[/-]$/.test(before) || /\d[/-]?$/.test(before)) {
+      continue;
+    }
+
+    let digits = match[3];
+    const decimal = digits.match(/[.,](\d{1,2})$/);
+    digits = decimal
+      ? `${digits.slice(0, -decimal[0].length).replace(/[,.'’]/g, '')}.${decimal[1]}`
+      : digits.replace(/[,.'’]/g, '');
+
+    const value = Number(digits) * (match[1] === '(' && match[4] === ')' || match[2] ? -1 : 1);
+    if (Number.isFinite(value)) {
+      amounts.push(value);
+    }
+  }
+
+  return amounts;
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function sameAmount(a, b) {
+  return Math.abs(a - b) < 0.01 + Math.abs(b) * 0.0001;
+}
+
+// Dates
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// { date: 'YYYY-MM-DD', ambiguous } for the first date in the text. Numeric dates are read day
+// first unless that cannot be right; 03/04/2026 could be either, so it is ambiguous.
+function parseDate(text) {
+  if (!text) {
+    return null;
+  }
+  const year = value => (value.length === 2 ? 2000 + Number(value) : Number(value));
+  let match = text.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (match) {
+    const date = isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    return date ? { date, ambiguous: false } : null;
+  }
+
+  match = text.match(/\b(\d{1,2})[\s-]*([A-Za-z]{3,9})\.?[\s,-]*(\d{4}|\d{2})\b/);
+  if (match && MONTHS.includes(match[2].slice(0, 3).toLowerCase())) {
+    const date = isoDate(year(match[3]), MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1, Number(match[1]));
+    return date ? { date, ambiguous: false } : null;
+  }
+
+  match = text.match(/\b([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/);
+  if (match && MONTHS.includes(match[1].slice(0, 3).toLowerCase())) {
+    const date = isoDate(Number(match[3]), MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1, Number(match[2]));
+    return date ? { date, ambiguous: false } : null;
+  }
+
+  match = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/);
+  if (match) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    const dayFirst = isoDate(year(match[3]), second, first);
+    const monthFirst = isoDate(year(match[3]), first, second);
+    if (dayFirst && monthFirst) {
+      return { date: dayFirst, ambiguous: first !== second };
+    }
+    return dayFirst || monthFirst ? { date: dayFirst || monthFirst, ambiguous: false } : null;
+  }
+
+  return null;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Labels
+
+// Values for a label: after it in the same cell, in the next cell on the line, or in the cell
+// under it on the next lines (for blocks like "Bill To" with the name and address below). A
+// next cell that is itself a label ("From:  To:") is not a value.
+function findLabeled(lines, pattern, { below = 1 } = {}) {
+  const found = [];
+
+  lines.forEach((line, index) => {
+    line.cells.forEach((cell, cellIndex) => {
+      const match = cell.text.match(pattern);
+      if (!match) {
+        return;
+      }
+
+      if (match[1] && match[1].trim()) {
+        found.push({ value: match[1].trim(), place: 'inline', line: index });
+      } else if (line.cells[cellIndex + 1] && !/:\s*$/.test(line.cells[cellIndex + 1].text)) {
+        found.push({ value: line.cells[cellIndex + 1].text, place: 'inline', line: index });
+      } else {
+        for (let next = index + 1; next <= index + below && next < lines.length; next++) {
+          const under = lines[next].cells.find(candidate => Math.abs(candidate.x - cell.x) <= 15);
+          if (under && lines[next].page === line.page) {
+            found.push({ value: under.text, place: 'below', line: next });
+            break;
+          }
+        }
+      }
+    });
+  });
+
+  return found;
+}
+
+function field(value, confidence) {
+  return { value: value === undefined ? null : value, confidence: value === null || value === undefined ? 0 : round(confidence) };
+}
+
+// Fields
+
+function extractInvoiceNumber(lines) {
+  const labeled = findLabeled(lines, LABELS.invoiceNumber)
+    .map(found => ({ ...found, number: (found.value.match(/[A-Z0-9][A-Z0-9\-/._]*\d[A-Z0-9\-/._]*/i) || [])[0] }))
+    .find(found => found.number);
+  if (labeled) {
+    return field(labeled.number.replace(/[.]$/, ''), labeled.place === 'inline' ? 0.95 : 0.85);
+  }
+
+  // "Invoice KAE-2026-0147" without a label for the number
+  for (const line of lines) {
+    const match = line.text.match(/\binvoice\s+([A-Z]{0,6}[-/]?\d[A-Z0-9\-/]{2,})\b/i);
+    if (match) {
+      return field(match[1], 0.6);
+    }
+  }
+  return field(null);
+}
+
+function extractDate(lines, pattern) {
+  for (const found of findLabeled(lines, pattern)) {
+    const parsed = parseDate(found.value);
+    if (parsed) {
+      return field(parsed.date, parsed.ambiguous ? 0.6 : 0.9);
+    }
+  }
+  return field(null);
+}
+
+// "Net 30", "30 days from invoice date", "payment within 60 days"
+function paymentTermDays(lines) {
+  for (const line of lines) {
+    const match = line.text.match(/\bnet\s*(\d{1,3})\b/i) ||
+      line.text.match(/\b(\d{1,3})\s*days\s+(?:net|from|after|of)\b/i) ||
+      line.text.match(/\bwithin\s+(\d{1,3})\s*days\b/i);
+    if (match) {
+      return Number(match[1]);
+    }
+  }
+  return null;
+}
+
+// The amount on a line with a label: the last one on it, which is the line's total
+function labeledAmounts(lines, test) {
+  const found = [];
+  lines.forEach((line, index) => {
+    const labelCell = line.cells.findIndex(cell => test(cell.text));
+    if (labelCell === -1) {
+      return;
+    }
+    const rest = line.cells.slice(labelCell).map(cell => cell.text).join('  ')
+      .replace(/^[^\d(-]*?(?=[\d(-])/, '');
+    const amounts = amountsIn(rest);
+    if (amounts.length > 0) {
+      found.push({ amount: amounts[amounts.length - 1], label: line.cells[labelCell].text, line: index });
+    }
+  });
+  return found;
+}
+
+function extractTotals(lines) {
+  const subtotals = labeledAmounts(lines, text => SUBTOTAL_LABEL.test(text));
+  const taxes = labeledAmounts(lines, text => TAX_LABEL.test(text));
+  const totals = labeledAmounts(lines, text => TOTAL_LABEL.test(text) && !NOT_A_TOTAL.test(text));
+
+  // The strongest label wins, and the last of those (totals come after subtotals and tax)
+  const strong = totals.filter(found => STRONG_TOTAL_LABEL.test(found.label));
+  const total = (strong.length ? strong : totals)[(strong.length ? strong : totals).length - 1];
+  const subtotal = subtotals[subtotals.length - 1];
+  const tax = taxes.length > 0
+    ? { amount: round(taxes.reduce((sum, found) => sum + found.amount, 0)), line: taxes[0].line }
+    : null;
+
+  const result = {
+    subtotal: field(subtotal ? subtotal.amount : null, 0.85),
+    taxAmount: field(tax ? tax.amount : null, 0.8),
+    totalAmount: field(total ? total.amount : null, total && STRONG_TOTAL_LABEL.test(total.label) ? 0.9 : 0.8)
+  };
+
+  if (subtotal && total) {
+    if (sameAmount(subtotal.amount + (tax ? tax.amount : 0), total.amount)) {
+      result.subtotal.confidence = 0.98;
+      result.totalAmount.confidence = 0.98;
+      if (tax) {
+        result.taxAmount.confidence = 0.98;
+      }
+    } else {
+      result.subtotal.confidence = 0.5;
+      result.totalAmount.confidence = 0.6;
+      if (tax) {
+        result.taxAmount.confidence = 0.5;
+      }
+    }
+  }
+
+  return result;
+}
+
+// A currency code on the total's line beats one anywhere else, which beats a symbol
+function extractCurrency(lines, totalLine) {
+  const codesIn = text => (text.toUpperCase().match(new RegExp(`\\b(${CURRENCIES.join('|')})\\b`, 'g')) || []);
+
+  if (totalLine !== undefined) {
+    const codes = codesIn(lines[totalLine].text);
+    if (codes.length > 0) {
+      return field(codes[0], 0.95);
+    }
+  }
+
+  const counts = {};
+  lines.forEach(line => codesIn(line.text).forEach(code => {
+    counts[code] = (counts[code] || 0) + 1;
+  }));
+  const ranked = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  if (ranked.length > 0) {
+    return field(ranked[0], ranked.length === 1 ? 0.85 : 0.5);
+  }
+
+  const text = lines.map(line => line.text).join('\n');
+  const symbol = CURRENCY_SYMBOLS.find(([sign]) => text.includes(sign));
+  return symbol ? field(symbol[1], symbol[2]) : field(null);
+}
+
+function partyName(value) {
+  const name = value.replace(/\s{2,}/g, ' ').replace(/[,;:]+$/, '').trim();
+  return /[A-Za-z]{2}/.test(name) && name.length <= 120 ? name : null;
+}
+
+function extractParty(lines, pattern) {
+  for (const found of findLabeled(lines, pattern)) {
+    const name = partyName(found.value);
+    if (name) {
+      return field(name, 0.85);
+    }
+  }
+  return field(null);
+}
+
+// Without a "Seller"/"From" label, the vendor is usually the name at the top of the first page
+function vendorFromLetterhead(lines, customer) {
+  const top = lines.filter(line => line.page === 1).slice(0, 3);
+  for (const line of top) {
+    const text = line.cells[0].text;
+    if (!/invoice|^page\b|:/i.test(text) && partyName(text) && text !== customer && !/^\d/.test(text)) {
+      return field(partyName(text), 0.5);
+    }
+  }
+  return field(null);
+}
+
+// Line items: the rows under a header naming a description column and quantity, price or
+// amount columns, up to the totals. Each cell goes to the header column nearest to it.
+const COLUMN_PATTERNS = [
+  ['description', /description|item|product|goods|particulars|services?|commodity/i],
+  ['unitPrice', /unit\s*(?:price|cost|value)|price|rate/i],
+  ['quantity', /qty|quantity|units?\b|pcs|pieces/i],
+  ['total', /amount|total|value|ext(?:ension|\.)?/i]
+];
+
+function extractLineItems(lines) {
+  const headerIndex = lines.findIndex(line => {
+    const roles = line.cells.map(cell => (COLUMN_PATTERNS.find(([, pattern]) => pattern.test(cell.text)) || [])[0]);
+    return roles.includes('description') && roles.filter(Boolean).length >= 3;
+  });
+  if (headerIndex === -1) {
+    return { value: [], confidence: 0 };
+  }
+
+  const header = lines[headerIndex];
+  const columns = [];
+  header.cells.forEach(cell => {
+    const role = (COLUMN_PATTERNS.find(([name, pattern]) => pattern.test(cell.text) &&
+      !columns.some(column => column.role === name)) || [])[0];
+    if (role) {
+      columns.push({ role, x: cell.x });
+    }
+  });
+
+  const items = [];
+  for (let index = headerIndex + 1; index < lines.length; index++) {
+    const line = lines[index];
+    if (line.page !== header.page || TOTAL_LABEL.test(line.text) || SUBTOTAL_LABEL.test(line.cells[0].text) ||
+      line.cells.some(cell => TAX_LABEL.test(cell.text))) {
+      break;
+    }
+
+    const row = {};
+    line.cells.forEach(cell => {
+      const column = columns.reduce((nearest, candidate) => (
+        Math.abs(candidate.x - cell.x) < Math.abs(nearest.x - cell.x) ? candidate : nearest
+      ));
+      row[column.role] = row[column.role] ? `${row[column.role]} ${cell.text}` : cell.text;
+    });
+
+    const number = role => {
+      const amounts = row[role] ? amountsIn(row[role]) : [];
+      return amounts.length ? amounts[amounts.length - 1] : null;
+    };
+    const item = { description: row.description || null, quantity: number('quantity'), unitPrice: number('unitPrice'), total: number('total') };
+
+    if (item.quantity === null && item.unitPrice === null && item.total === null) {
+      // A description running onto a second line
+      if (item.description && items.length > 0 && line.cells.length === 1) {
+        items[items.length - 1].description += ` ${item.description}`;
+        continue;
+      }
+      break;
+    }
+
+    if (item.quantity !== null && item.unitPrice !== null && item.total !== null) {
+      item.confidence = sameAmount(item.quantity * item.unitPrice, item.total) ? 0.95 : 0.5;
+    } else if (item.quantity !== null && item.unitPrice !== null) {
+      item.total = round(item.quantity * item.unitPrice);
+      item.confidence = 0.7;
+    } else if (item.quantity !== null && item.total !== null && item.quantity !== 0) {
+      item.unitPrice = round(item.total / item.quantity);
+      item.confidence = 0.7;
+    } else {
+      item.confidence = 0.5;
+    }
+    items.push(item);
+  }
+
+  return {
+    value: items,
+    confidence: items.length ? round(Math.min(...items.map(item => item.confidence))) : 0
+  };
+}
+
+// Text lines from an OCR provider, with cells split on runs of spaces
+function ocrLines(result) {
+  const texts = Array.isArray(result) ? result : String(result || '').split(/\r?\n/);
+  return texts.map(line => (typeof line === 'string' ? line : line.text || ''))
+    .filter(text => text.trim())
+    .map(text => {
+      const cells = [];
+      const pattern = /\S+(?: \S+)*/g;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        cells.push({ x: match.index * 6, text: match[0] });
+      }
+      return { page: 1, cells, text: cells.map(cell => cell.text).join('  ') };
+    });
+}
+
+// Every field from the lines of an invoice's text
+function parseInvoiceText(lines) {
+  const totals = extractTotals(lines);
+  const totalLine = lines.findIndex(line => totals.totalAmount.value !== null &&
+    TOTAL_LABEL.test(line.text) && !NOT_A_TOTAL.test(line.cells[0].text) &&
+    amountsIn(line.text).some(amount => sameAmount(amount, totals.totalAmount.value)));
+  const lineItems = extractLineItems(lines);
+
+  const fields = {
+    invoiceNumber: extractInvoiceNumber(lines),
+    issueDate: extractDate(lines, LABELS.issueDate),
+    dueDate: extractDate(lines, LABELS.dueDate),
+    currency: extractCurrency(lines, totalLine === -1 ? undefined : totalLine),
+    ...totals,
+    vendor: extractParty(lines, LABELS.vendor),
+    customer: extractParty(lines, LABELS.customer)
+  };
+
+  if (fields.vendor.value === null) {
+    fields.vendor = vendorFromLetterhead(lines, fields.customer.value);
+  }
+
+  // No due date printed, but payment terms and an issue date to count from
+  const termDays = paymentTermDays(lines);
+  if (fields.dueDate.value === null && fields.issueDate.value !== null && termDays !== null) {
+    fields.dueDate = field(addDays(fields.issueDate.value, termDays), Math.min(0.7, fields.issueDate.confidence));
+  }
+
+  // Lines that add up to the subtotal (or the total, without one) back both up
+  const linesTotal = round(lineItems.value.reduce((sum, item) => sum + (item.total || 0), 0));
+  const checked = fields.subtotal.value !== null ? fields.subtotal : fields.totalAmount;
+  if (lineItems.value.length > 0 && checked.value !== null) {
+    if (sameAmount(linesTotal, checked.value)) {
+      lineItems.confidence = Math.max(lineItems.confidence, 0.9);
+      checked.confidence = Math.max(checked.confidence, 0.9);
+    } else {
+      lineItems.confidence = Math.min(lineItems.confidence, 0.5);
+    }
+  } else if (lineItems.value.length > 0 && fields.totalAmount.value === null) {
+    fields.totalAmount = field(linesTotal, 0.5);
+  }
+
+  return { fields, lineItems };
+}
+
+function reviewFieldsOf(fields, lineItems) {
+  const review = FIELDS.filter(name => (
+    fields[name].value === null ? REQUIRED_FIELDS.includes(name) : fields[name].confidence < REVIEW_CONFIDENCE
+  ));
+  if (lineItems.value.length > 0 && lineItems.confidence < REVIEW_CONFIDENCE) {
+    review.push('lineItems');
+  }
+  return review;
+}
+
+// What an uploaded invoice says: { method, pageCount, fields: { name: { value, confidence } },
+// lineItems: { value, confidence }, reviewFields, needsReview, extractedAt }. `method` is
+// 'pdf-text', 'ocr' or 'none' when nothing could be read.
+async function extractInvoiceData(buffer, mimeType) {
+  let lines = [];
+  let pageCount = null;
+  let method = 'none';
+
+  if (mimeType === 'application/pdf') {
+    try {
+      const text = await extractPdfText(buffer);
+      pageCount = text.pageCount;
+      lines = text.lines;
+    } catch (error) {
+      throw new AppError('The file could not be read as a PDF', 400, 'UNREADABLE_FILE');
+    }
+    if (lines.map(line => line.text).join('').replace(/\s/g, '').length >= MIN_TEXT_LENGTH) {
+      method = 'pdf-text';
+    }
+  }
+
+  if (method === 'none' && ocrProvider) {
+    lines = ocrLines(await ocrProvider(buffer, mimeType));
+    method = lines.length > 0 ? 'ocr' : 'none';
+  }
+
+  const { fields, lineItems } = method === 'none'
+    ? { fields: Object.fromEntries(FIELDS.map(name => [name, field(null)])), lineItems: { value: [], confidence: 0 } }
+    : parseInvoiceText(lines);
+  const reviewFields = reviewFieldsOf(fields, lineItems);
+
+  return {
+    method,
+    pageCount,
+    fields,
+    lineItems,
+    reviewFields,
+    needsReview: reviewFields.length > 0,
+    extractedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  REVIEW_CONFIDENCE,
+  FIELDS,
+  REQUIRED_FIELDS,
+  setOcrProvider,
+  parseDate,
+  amountsIn,
+  extractInvoiceData
+};
@@ -0,0 +1,452 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { PARTICIPANT_AGREEMENT_IDS } = require('./participants');
+const { createNotification } = require('./notifications');
+const { REVIEW_CONFIDENCE, FIELDS, REQUIRED_FIELDS } = require('./invoiceExtraction');
+const { isAdmin } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+
+// Invoice review
+//
+// What is read from an uploaded invoice is only a first draft: before the invoice can be
+// approved, paid or financed an admin checks every field against the document, corrects what was
+// misread and approves (or rejects) it. The invoice then takes the reviewed number, total,
+// currency and due date. The extraction itself is kept as it was, and each review stores per
+// field what was extracted, with its confidence, beside what the reviewer confirmed; those pairs
+// are what extraction accuracy is measured on.
+//
+// Every invoice starts out `awaiting_review`. Invoices entered by hand have nothing extracted, so
+// their review starts from the typed fields and is left out of the accuracy figures. A rejection
+// is final: the owner cannot change the invoice's status afterwards.
+
+const AMOUNT_FIELDS = ['subtotal', 'taxAmount', 'totalAmount'];
+
+// Invoice columns a review sets, and which can't be edited once it has
+const REVIEWED_COLUMNS = ['invoiceNumber', 'amount', 'currency', 'dueDate'];
+
+// Statuses that need the review to be done first
+const REVIEWED_STATUSES = ['approved', 'paid'];
+
+const isoDate = () => Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null)
+  .messages({ 'string.pattern.base': '{{#label}} must be a date as YYYY-MM-DD' });
+const amount = () => Joi.number().min(0).precision(2).allow(null);
+
+// Fields left out are confirmed as extracted
+const reviewInvoiceSchema = Joi.object({
+  decision: Joi.string().valid('approved', 'rejected').required(),
+  fields: Joi.object({
+    invoiceNumber: Joi.string().trim().min(3).max(50).allow(null),
+    issueDate: isoDate(),
+    dueDate: isoDate(),
+    currency: Joi.string().uppercase().pattern(/^[A-Z]{3,5}$/).allow(null),
+    subtotal: amount(),
+    taxAmount: amount(),
+    totalAmount: amount(),
+    vendor: Joi.string().trim().max(200).allow(null),
+    customer: Joi.string().trim().max(200).allow(null)
+  }).default({}),
+  lineItems: Joi.array().items(Joi.object({
+    description: Joi.string().trim().max(500).required(),
+    quantity: Joi.number().min(0).allow(null).default(null),
+    unitPrice: amount().default(null),
+    total: amount().default(null)
+  })).optional(),
+  notes: Joi.string().max(2000).optional()
+});
+
+const reviewQueueSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const reviewAccuracySchema = Joi.object({
+  method: Joi.string().valid('pdf-text', 'ocr', 'none').optional()
+});
+
+function parseExtraction(invoice) {
+  const extracted = invoice.extracted_data ? JSON.parse(invoice.extracted_data) : {};
+  return {
+    method: extracted.method || null,
+    pageCount: extracted.pageCount || null,
+    extractedAt: extracted.extractedAt || null,
+    // Invoices uploaded before extraction was real have no per-field results
+    fields: extracted.fields || {},
+    lineItems: extracted.lineItems || { value: [], confidence: null },
+    reviewFields: extracted.reviewFields || []
+  };
+}
+
+function sameLineItems(a, b) {
+  const key = items => JSON.stringify(items.map(item => [
+    String(item.description).trim(),
+    item.quantity === undefined ? null : item.quantity,
+    item.unitPrice === undefined ? null : item.unitPrice,
+    item.total === undefined ? null : item.total
+  ]));
+  return key(a) === key(b);
+}
+
+// Whether the reviewer kept the extracted value; amounts are compared to the cent
+function sameValue(field, extracted, reviewed) {
+  if (extracted === null || reviewed === null) {
+    return extracted === reviewed;
+  }
+  if (field === 'lineItems') {
+    return sameLineItems(extracted, reviewed);
+  }
+  if (AMOUNT_FIELDS.includes(field)) {
+    return Math.round(Number(extracted) * 100) === Math.round(Number(reviewed) * 100);
+  }
+  return String(extracted).trim() === String(reviewed).trim();
+}
+
+// 'approved' or 'rejected' once the invoice's review is done, otherwise null
+async function reviewDecision(db, invoice) {
+  if (invoice.review_status !== 'reviewed') {
+    return null;
+  }
+  const review = await db.getQuery('SELECT decision FROM invoice_reviews WHERE invoice_id = ?', [invoice.id]);
+  return review ? review.decision : null;
+}
+
+function assertApproved(invoice, decision, action) {
+  if (decision === 'rejected') {
+    throw new AppError(`Invoice ${invoice.invoice_number} was rejected in review and cannot be ${action}`, 409, 'INVOICE_REJECTED');
+  }
+  if (decision !== 'approved') {
+    throw new AppError(`Invoice ${invoice.invoice_number} must be reviewed before it can be ${action}`, 409, 'REVIEW_REQUIRED');
+  }
+}
+
+// 409 REVIEW_REQUIRED until a review has approved the invoice, INVOICE_REJECTED when it rejected it
+async function assertReviewed(db, invoice, action) {
+  assertApproved(invoice, await reviewDecision(db, invoice), action);
+}
+
+// The checks on an owner's update: no approving or paying without an approving review, no status
+// changes after a rejecting one, and no changing what a review confirmed
+async function assertUpdateAllowed(db, invoice, value) {
+  const decision = await reviewDecision(db, invoice);
+
+  if (value.status && value.status !== invoice.status && decision === 'rejected') {
+    throw new AppError(`Invoice ${invoice.invoice_number} was rejected in review; its status cannot be changed`, 409, 'INVOICE_REJECTED');
+  }
+  if (value.status && REVIEWED_STATUSES.includes(value.status)) {
+    assertApproved(invoice, decision, value.status);
+  }
+
+  if (invoice.review_status === 'reviewed') {
+    const changed = REVIEWED_COLUMNS.filter(key => value[key] !== undefined);
+    if (changed.length > 0) {
+      throw new AppError('Reviewed invoice fields cannot be changed', 409, 'INVOICE_REVIEWED', { fields: changed });
+    }
+  }
+}
+
+// An invoice its owner, a participant on its agreement or an admin can review or see the review of
+async function getInvoiceForReview(db, invoiceId, user) {
+  const invoice = isAdmin(user)
+    ? await db.getQuery('SELECT * FROM invoices WHERE id = ?', [invoiceId])
+    : await db.getQuery(
+      `SELECT * FROM invoices
+       WHERE id = ? AND (user_id = ? OR trade_agreement_id IN (${PARTICIPANT_AGREEMENT_IDS}))`,
+      [invoiceId, user.id, user.id]
+    );
+
+  if (!invoice) {
+    throw new AppError('Invoice not found', 404, 'NOT_FOUND');
+  }
+  return invoice;
+}
+
+// Invoices awaiting review, oldest first, with who uploaded them
+async function listReviewQueue(db, { page, limit }) {
+  const invoices = await db.allQuery(
+    `SELECT i.*, u.email, u.first_name, u.last_name, u.company
+     FROM invoices i
+     JOIN users u ON u.id = i.user_id
+     WHERE i.review_status = 'awaiting_review'
+     ORDER BY i.created_at ASC, i.id ASC LIMIT ? OFFSET ?`,
+    [limit, (page - 1) * limit]
+  );
+  const { total } = await db.getQuery(
+    "SELECT COUNT(*) as total FROM invoices WHERE review_status = 'awaiting_review'"
+  );
+
+  return { invoices, total: Number(total) };
+}
+
+async function getInvoiceReview(db, invoiceId) {
+  const review = await db.getQuery('SELECT * FROM invoice_reviews WHERE invoice_id = ?', [invoiceId]);
+  if (!review) {
+    return null;
+  }
+  const fields = await db.allQuery('SELECT * FROM invoice_review_fields WHERE review_id = ? ORDER BY id', [review.id]);
+  return { ...review, fields };
+}
+
+// Record a review and apply it: an approved invoice takes the reviewed number, total, currency
+// and due date; a rejected one keeps its fields. Approving needs every required field. Fields
+// left out keep what was extracted or, for an invoice entered by hand, what was typed.
+async function submitInvoiceReview(db, invoice, reviewer, value) {
+  if (invoice.user_id === reviewer.id) {
+    throw new AppError('Invoices are reviewed by someone other than the uploader', 403, 'OWN_INVOICE');
+  }
+
+  const extraction = parseExtraction(invoice);
+  const extractedValue = field => (extraction.fields[field] ? extraction.fields[field].value : null);
+  const entered = invoice.extracted_data
+    ? {}
+    : { invoiceNumber: invoice.invoice_number, totalAmount: invoice.amount, currency: invoice.currency, dueDate: invoice.due_date };
+  const defaultValue = field => {
+    const extracted = extractedValue(field);
+    return extracted === null && entered[field] !== undefined ? entered[field] : extracted;
+  };
+  const lineValue = items => items.map(({ description, quantity, unitPrice, total }) => ({ description, quantity, unitPrice, total }));
+
+  const rows = FIELDS.map(field => ({
+    field,
+    extracted: extractedValue(field),
+    confidence: extraction.fields[field] ? extraction.fields[field].confidence : null,
+    reviewed: value.fields[field] !== undefined ? value.fields[field] : defaultValue(field)
+  }));
+  if (extraction.lineItems.value.length > 0 || value.lineItems) {
+    const extracted = lineValue(extraction.lineItems.value);
+    rows.push({
+      field: 'lineItems',
+      extracted,
+      confidence: extraction.lineItems.confidence,
+      reviewed: value.lineItems ? lineValue(value.lineItems) : extracted
+    });
+  }
+  const reviewed = Object.fromEntries(rows.map(row => [row.field, row.reviewed]));
+
+  if (value.decision === 'approved') {
+    const missing = REQUIRED_FIELDS.filter(field => reviewed[field] === null);
+    if (missing.length > 0) {
+      throw new AppError(`Approving needs ${missing.join(', ')}`, 400, 'REVIEW_INCOMPLETE', { missingFields: missing });
+    }
+    if (!(reviewed.totalAmount > 0)) {
+      throw new AppError('Approving needs a total above 0', 400, 'REVIEW_INCOMPLETE', { missingFields: ['totalAmount'] });
+    }
+  }
+
+  return db.withTransaction(async (tx) => {
+    // Checked again inside the transaction so an invoice is reviewed once
+    const current = await tx.getQuery('SELECT review_status FROM invoices WHERE id = ?', [invoice.id]);
+    if (current.review_status !== 'awaiting_review') {
+      throw new AppError('Invoice is not awaiting review', 409, 'REVIEW_NOT_PENDING');
+    }
+
+    if (value.decision === 'approved' && reviewed.invoiceNumber !== invoice.invoice_number) {
+      const duplicate = await tx.getQuery(
+        'SELECT id FROM invoices WHERE user_id = ? AND invoice_number = ? AND id != ?',
+        [invoice.user_id, reviewed.invoiceNumber, invoice.id]
+      );
+      if (duplicate) {
+        throw new AppError('Invoice number already exists', 409, 'INVOICE_NUMBER_EXISTS', { invoiceNumber: reviewed.invoiceNumber });
+      }
+    }
+
+    const result = await tx.runQuery(
+      `INSERT INTO invoice_reviews (uuid, invoice_id, reviewer_id, decision, extraction_method, notes)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), invoice.id, reviewer.id, value.decision, extraction.method, value.notes || null]
+    );
+
+    for (const row of rows) {
+      await tx.runQuery(
+        `INSERT INTO invoice_review_fields
+         (review_id, field, extracted_value, extracted_confidence, flagged, reviewed_value, corrected)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          result.id, row.field, JSON.stringify(row.extracted), row.confidence,
+          extraction.reviewFields.includes(row.field) ? 1 : 0,
+          JSON.stringify(row.reviewed), sameValue(row.field, row.extracted, row.reviewed) ? 0 : 1
+        ]
+      );
+    }
+
+    if (value.decision === 'approved') {
+      await tx.runQuery(
+        `UPDATE invoices SET invoice_number = ?, amount = ?, currency = ?, due_date = ?,
+         status = 'approved', review_status = 'reviewed', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [reviewed.invoiceNumber, reviewed.totalAmount, reviewed.currency, reviewed.dueDate, invoice.id]
+      );
+    } else {
+      await tx.runQuery(
+        `UPDATE invoices SET status = 'rejected', review_status = 'reviewed', updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [invoice.id]
+      );
+    }
+
+    const invoiceNumber = value.decision === 'approved' ? reviewed.invoiceNumber : invoice.invoice_number;
+    await createNotification(tx, {
+      userId: invoice.user_id,
+      type: 'invoice',
+      title: value.decision === 'approved' ? 'Invoice Approved' : 'Invoice Rejected',
+      message: value.decision === 'approved'
+        ? `Invoice ${invoiceNumber} has been reviewed and approved`
+        : `Invoice ${invoiceNumber} was rejected in review${value.notes ? `: ${value.notes}` : ''}`,
+      metadata: { invoiceId: invoice.id, invoiceUuid: invoice.uuid, invoiceNumber, decision: value.decision }
+    });
+
+    return {
+      invoice: await tx.getQuery('SELECT * FROM invoices WHERE id = ?', [invoice.id]),
+      review: await getInvoiceReview(tx, invoice.id)
+    };
+  });
+}
+
+// Per field, how often review kept the extracted value, and whether flagging caught the misreads.
+// Reviews of invoices entered by hand had nothing extracted and are not counted.
+async function reviewAccuracy(db, { method }) {
+  const where = method ? 'WHERE r.extraction_method = ?' : 'WHERE r.extraction_method IS NOT NULL';
+  const params = method ? [method] : [];
+
+  const reviews = await db.getQuery(
+    `SELECT COUNT(*) as total,
+     SUM(CASE WHEN r.decision = 'approved' THEN 1 ELSE 0 END) as approved
+     FROM invoice_reviews r ${where}`,
+    params
+  );
+  const rows = await db.allQuery(
+    `SELECT f.field, COUNT(*) as reviewed, SUM(f.corrected) as corrected,
+     AVG(f.extracted_confidence) as average_confidence,
+     SUM(f.flagged) as flagged, SUM(f.flagged * f.corrected) as flagged_corrected
+     FROM invoice_review_fields f
+     JOIN invoice_reviews r ON r.id = f.review_id
+     ${where}
+     GROUP BY f.field`,
+    params
+  );
+
+  const stats = ({ reviewed, corrected, flagged, flaggedCorrected }) => ({
+    reviewed,
+    corrected,
+    accuracy: reviewed > 0 ? Math.round(((reviewed - corrected) / reviewed) * 1000) / 1000 : null,
+    flagged: { count: flagged, corrected: flaggedCorrected },
+    unflagged: { count: reviewed - flagged, corrected: corrected - flaggedCorrected }
+  });
+
+  const order = [...FIELDS, 'lineItems'];
+  const fields = rows
+    .map(row => ({
+      field: row.field,
+      reviewed: Number(row.reviewed),
+      corrected: Number(row.corrected || 0),
+      flagged: Number(row.flagged || 0),
+      flaggedCorrected: Number(row.flagged_corrected || 0),
+      averageConfidence: row.average_confidence === null ? null : Math.round(Number(row.average_confidence) * 1000) / 1000
+    }))
+    .sort((a, b) => order.indexOf(a.field) - order.indexOf(b.field));
+  const sum = key => fields.reduce((total, field) => total + field[key], 0);
+
+  return {
+    method: method || null,
+    reviewConfidence: REVIEW_CONFIDENCE,
+    reviews: {
+      total: Number(reviews.total),
+      approved: Number(reviews.approved || 0),
+      rejected: Number(reviews.total) - Number(reviews.approved || 0)
+    },
+    overall: stats({
+      reviewed: sum('reviewed'), corrected: sum('corrected'), flagged: sum('flagged'), flaggedCorrected: sum('flaggedCorrected')
+    }),
+    fields: fields.map(field => ({ field: field.field, averageConfidence: field.averageConfidence, ...stats(field) }))
+  };
+}
+
+function formatReview(review) {
+  return {
+    uuid: review.uuid,
+    decision: review.decision,
+    reviewerId: review.reviewer_id,
+    extractionMethod: review.extraction_method,
+    notes: review.notes,
+    correctedFields: review.fields.filter(field => field.corrected).map(field => field.field),
+    createdAt: review.created_at
+  };
+}
+
+// The extracted fields beside the document: per field the extracted value and confidence,
+// whether extraction flagged it, and once reviewed, the confirmed value
+function formatReviewView(invoice, review, user) {
+  const extraction = parseExtraction(invoice);
+  const reviewedFields = review ? review.fields : [];
+  const entry = (field, extracted, required) => {
+    const row = reviewedFields.find(reviewedField => reviewedField.field === field);
+    return {
+      field,
+      required,
+      extractedValue: extracted.value === undefined ? null : extracted.value,
+      confidence: extracted.confidence === undefined ? null : extracted.confidence,
+      flagged: extraction.reviewFields.includes(field),
+      reviewedValue: row ? JSON.parse(row.reviewed_value) : null,
+      corrected: row ? Boolean(row.corrected) : null
+    };
+  };
+
+  return {
+    invoice: {
+      id: invoice.id,
+      uuid: invoice.uuid,
+      invoiceNumber: invoice.invoice_number,
+      amount: invoice.amount,
+      currency: invoice.currency,
+      dueDate: invoice.due_date,
+      status: invoice.status,
+      reviewStatus: invoice.review_status || null,
+      createdAt: invoice.created_at
+    },
+    documentUrl: invoice.file_url ? `/api/invoices/${invoice.id}/file` : null,
+    extraction: {
+      method: extraction.method,
+      pageCount: extraction.pageCount,
+      extractedAt: extraction.extractedAt,
+      reviewFields: extraction.reviewFields
+    },
+    fields: FIELDS.map(field => entry(field, extraction.fields[field] || {}, REQUIRED_FIELDS.includes(field))),
+    lineItems: entry('lineItems', extraction.lineItems, false),
+    review: review ? formatReview(review) : null,
+    canReview: invoice.review_status === 'awaiting_review' && isAdmin(user) && invoice.user_id !== user.id
+  };
+}
+
+function formatQueuedInvoice(invoice) {
+  const extraction = parseExtraction(invoice);
+  return {
+    id: invoice.id,
+    uuid: invoice.uuid,
+    invoiceNumber: invoice.invoice_number,
+    amount: invoice.amount,
+    currency: invoice.currency,
+    dueDate: invoice.due_date,
+    status: invoice.status,
+    extractionMethod: extraction.method,
+    reviewFields: extraction.reviewFields,
+    uploadedBy: {
+      id: invoice.user_id,
+      name: `${invoice.first_name} ${invoice.last_name}`,
+      email: invoice.email,
+      company: invoice.company
+    },
+    createdAt: invoice.created_at
+  };
+}
+
+module.exports = {
+  reviewInvoiceSchema,
+  reviewQueueSchema,
+  reviewAccuracySchema,
+  assertReviewed,
+  assertUpdateAllowed,
+  getInvoiceForReview,
+  listReviewQueue,
+  getInvoiceReview,
+  submitInvoiceReview,
+  reviewAccuracy,
+  formatReviewView,
+  formatQueuedInvoice
+};
@@ -0,0 +1,102 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { getParticipantAgreement } = require('./participants');
+const { allocateLineItems, listAllocations } = require('./lineItems');
+const { AppError } = require('../middleware/errorHandler');
+
+// Creating invoices
+//
+// The fields a new invoice accepts and the checks and writes behind POST /api/invoices, shared
+// with bulk imports.
+
+// An invoice for agreement lines defaults to their share of the line totals, in the
+// agreement's currency
+const createInvoiceSchema = Joi.object({
+  tradeAgreementId: Joi.number().integer().when('lineItems', { is: Joi.exist(), then: Joi.required() }),
+  invoiceNumber: Joi.string().min(3).max(50).required(),
+  amount: Joi.number().positive().when('lineItems', { is: Joi.exist(), otherwise: Joi.required() }),
+  currency: Joi.string().uppercase().pattern(/^[A-Z]{3,5}$/).optional(),
+  dueDate: Joi.date().optional(),
+  lineItems: Joi.array().items(Joi.object({
+    lineItemId: Joi.number().integer().required(),
+    quantity: Joi.number().positive().required()
+  })).min(1).optional()
+});
+
+// Store a pending invoice from validated create fields. With an agreement, the user must be a
+// buyer, seller or creator on it. The invoice number must be unused among the user's invoices.
+// Like an upload, it waits for review before it can be approved.
+async function createInvoice(db, user, value) {
+  const { tradeAgreementId, invoiceNumber, dueDate, lineItems } = value;
+
+  return db.withTransaction(async (tx) => {
+    let tradeAgreement = null;
+
+    // Verify the user is a party to the trade agreement (if provided; observers can only view)
+    if (tradeAgreementId) {
+      tradeAgreement = await getParticipantAgreement(tx, tradeAgreementId, user.id);
+
+      if (!tradeAgreement) {
+        throw new AppError('Trade agreement not found', 404, 'TRADE_AGREEMENT_NOT_FOUND');
+      }
+
+      if (tradeAgreement.roles.every(role => role === 'observer')) {
+        throw new AppError('Observers cannot add invoices', 403, 'NOT_PARTY');
+      }
+    }
+
+    // Check if invoice number already exists
+    const existingInvoice = await tx.getQuery(
+      'SELECT id FROM invoices WHERE user_id = ? AND invoice_number = ?',
+      [user.id, invoiceNumber]
+    );
+
+    if (existingInvoice) {
+      throw new AppError('Invoice number already exists', 409, 'INVOICE_NUMBER_EXISTS');
+    }
+
+    const currency = value.currency || (lineItems ? tradeAgreement.currency : 'USD');
+    if (lineItems && currency !== tradeAgreement.currency) {
+      throw new AppError(
+        `Invoices for agreement lines must be in the agreement's currency (${tradeAgreement.currency})`,
+        400,
+        'CURRENCY_MISMATCH'
+      );
+    }
+
+    // Check the lines first, inside the transaction so two invoices cannot overbill a line
+    const allocations = lineItems
+      ? await allocateLineItems(tx, tradeAgreementId, lineItems, 'invoice_line_items')
+      : [];
+    const amount = value.amount ||
+      Math.round(allocations.reduce((total, allocation) => total + allocation.amount, 0) * 100) / 100;
+
+    const result = await tx.runQuery(
+      `INSERT INTO invoices 
+       (uuid, user_id, trade_agreement_id, invoice_number, amount, currency, due_date, status, review_status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(), user.id, tradeAgreementId, invoiceNumber, amount, currency,
+        dueDate, 'pending', 'awaiting_review'
+      ]
+    );
+
+    for (const allocation of allocations) {
+      await tx.runQuery(
+        'INSERT INTO invoice_line_items (invoice_id, line_item_id, quantity, amount) VALUES (?, ?, ?, ?)',
+        [result.id, allocation.line.id, allocation.quantity, allocation.amount]
+      );
+    }
+
+    // Get created invoice
+    return {
+      invoice: await tx.getQuery('SELECT * FROM invoices WHERE id = ?', [result.id]),
+      allocations: await listAllocations(tx, 'invoice_line_items', 'invoice_id', result.id)
+    };
+  });
+}
+
+module.exports = {
+  createInvoiceSchema,
+  createInvoice
+};
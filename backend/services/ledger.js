@@ -0,0 +1,257 @@
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../middleware/errorHandler');
+
+// Double-entry ledger
+//
+// Money only moves by posting a journal entry: a set of debit and credit lines that balance
+// per currency. Posted entries are never updated or deleted (the database rejects it), so a
+// mistake is corrected with a reversing entry. Wallet accounts are credit-normal (money the
+// platform owes the user) and system accounts are debit-normal, so across the whole ledger
+// debits always equal credits. wallets.balance is a cache of the wallet's accounts, kept in
+// step inside the same transaction as the entry, and wallets.frozen_balance is the part of it
+// held in the wallet's escrow accounts.
+
+// Amounts are stored as DECIMAL(15,2)
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+async function createAccount(db, { code, kind, walletId = null, currency, normalBalance }) {
+  const result = await db.runQuery(
+    `INSERT INTO ledger_accounts (uuid, code, kind, wallet_id, currency, normal_balance)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [uuidv4(), code, kind, walletId, currency, normalBalance]
+  );
+
+  return db.getQuery('SELECT * FROM ledger_accounts WHERE id = ?', [result.id]);
+}
+
+// Get the account holding a wallet's funds, opening it on first use
+async function getWalletAccount(db, wallet) {
+  const account = await db.getQuery(
+    "SELECT * FROM ledger_accounts WHERE wallet_id = ? AND kind = 'wallet'",
+    [wallet.id]
+  );
+
+  return account || createAccount(db, {
+    code: `wallet:${wallet.uuid}`,
+    kind: 'wallet',
+    walletId: wallet.id,
+    currency: wallet.currency,
+    normalBalance: 'credit'
+  });
+}
+
+// Get the account holding one escrow's funds. It belongs to the funding wallet, so its
+// balance counts towards that wallet's frozen_balance until the escrow is settled.
+async function getEscrowAccount(db, escrowUuid, wallet) {
+  const code = `escrow:${escrowUuid}`;
+  const account = await db.getQuery('SELECT * FROM ledger_accounts WHERE code = ?', [code]);
+
+  return account || createAccount(db, {
+    code,
+    kind: 'escrow',
+    walletId: wallet.id,
+    currency: wallet.currency,
+    normalBalance: 'credit'
+  });
+}
+
+// Get a platform-owned account, e.g. getSystemAccount(db, 'funding', 'USD') for money
+// entering or leaving TradeBridge through external payment rails
+async function getSystemAccount(db, name, currency) {
+  const code = `system:${name}:${currency}`;
+  const account = await db.getQuery('SELECT * FROM ledger_accounts WHERE code = ?', [code]);
+
+  return account || createAccount(db, { code, kind: 'system', currency, normalBalance: 'debit' });
+}
+
+// Reject entries that would not balance before anything is written
+function validateLines(lines, accountsById) {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new AppError('A journal entry needs at least two lines', 400, 'UNBALANCED_ENTRY');
+  }
+
+  const netByCurrency = {};
+
+  lines.forEach(line => {
+    const account = accountsById.get(line.accountId);
+
+    if (!account) {
+      throw new AppError(`Ledger account ${line.accountId} not found`, 400, 'ACCOUNT_NOT_FOUND');
+    }
+    if (line.direction !== 'debit' && line.direction !== 'credit') {
+      throw new AppError(`Invalid line direction "${line.direction}"`, 400, 'UNBALANCED_ENTRY');
+    }
+    if (!(line.amount > 0)) {
+      throw new AppError('Journal line amounts must be positive', 400, 'UNBALANCED_ENTRY');
+    }
+    if (line.currency !== account.currency) {
+      throw new AppError(
+        `Cannot post ${line.currency} to ${account.currency} account ${account.code}`,
+        400,
+        'CURRENCY_MISMATCH'
+      );
+    }
+
+    const signed = line.direction === 'debit' ? line.amount : -line.amount;
+    netByCurrency[line.currency] = roundMoney((netByCurrency[line.currency] || 0) + signed);
+  });
+
+  Object.entries(netByCurrency).forEach(([currency, net]) => {
+    if (net !== 0) {
+      throw new AppError(`Journal entry does not balance in ${currency} (off by ${net})`, 400, 'UNBALANCED_ENTRY');
+    }
+  });
+}
+
+// Apply the entry's effect to the cached wallet balances. Every debit of a wallet's available
+// funds must be covered by what is available before the entry, whatever the entry credits back
+// to the same wallet; the check is in the UPDATE itself so two concurrent debits can't both
+// spend the funds.
+async function applyWalletBalances(db, lines, accountsById) {
+  const deltaByWallet = new Map();
+
+  lines.forEach(line => {
+    const account = accountsById.get(line.accountId);
+    if (!account.wallet_id) {
+      return;
+    }
+
+    const amount = line.direction === 'credit' ? line.amount : -line.amount;
+    const delta = deltaByWallet.get(account.wallet_id) || { balance: 0, frozen: 0, spent: 0 };
+    delta.balance = roundMoney(delta.balance + amount);
+    if (account.kind === 'escrow') {
+      delta.frozen = roundMoney(delta.frozen + amount);
+    } else if (line.direction === 'debit') {
+      delta.spent = roundMoney(delta.spent + line.amount);
+    }
+    deltaByWallet.set(account.wallet_id, delta);
+  });
+
+  for (const [walletId, delta] of deltaByWallet) {
+    if (delta.balance === 0 && delta.frozen === 0 && delta.spent === 0) {
+      continue;
+    }
+
+    const guarded = delta.spent > 0;
+
+    const result = await db.runQuery(
+      `UPDATE wallets SET balance = ROUND(balance + ?, 2), frozen_balance = ROUND(frozen_balance + ?, 2),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?${guarded ? ' AND ROUND(balance - frozen_balance - ?, 2) >= 0' : ''}`,
+      guarded ? [delta.balance, delta.frozen, walletId, delta.spent] : [delta.balance, delta.frozen, walletId]
+    );
+
+    if (guarded && result.changes === 0) {
+      const wallet = await db.getQuery('SELECT balance, frozen_balance FROM wallets WHERE id = ?', [walletId]);
+      throw new AppError('Insufficient balance', 400, 'INSUFFICIENT_BALANCE', {
+        availableBalance: wallet ? roundMoney(wallet.balance - wallet.frozen_balance) : 0
+      });
+    }
+  }
+}
+
+// Post a balanced journal entry and update cached wallet balances.
+// lines: [{ accountId, direction: 'debit' | 'credit', amount, currency }]
+async function postJournalEntry(db, { entryType, description, reference, metadata, createdBy, lines }) {
+  return db.withTransaction(async (tx) => {
+    const accountIds = [...new Set(lines.map(line => line.accountId))];
+    const accounts = await tx.allQuery(
+      `SELECT * FROM ledger_accounts WHERE id IN (${accountIds.map(() => '?').join(', ')})`,
+      accountIds
+    );
+    const accountsById = new Map(accounts.map(account => [account.id, account]));
+
+    const normalizedLines = lines.map(line => ({ ...line, amount: roundMoney(line.amount) }));
+    validateLines(normalizedLines, accountsById);
+
+    const entryUuid = uuidv4();
+    const result = await tx.runQuery(
+      `INSERT INTO journal_entries (uuid, entry_type, description, reference, metadata, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [entryUuid, entryType, description, reference, metadata ? JSON.stringify(metadata) : null, createdBy]
+    );
+
+    for (const line of normalizedLines) {
+      await tx.runQuery(
+        `INSERT INTO journal_lines (journal_entry_id, account_id, direction, amount, currency)
+         VALUES (?, ?, ?, ?, ?)`,
+        [result.id, line.accountId, line.direction, line.amount, line.currency]
+      );
+    }
+
+    await applyWalletBalances(tx, normalizedLines, accountsById);
+
+    return tx.getQuery('SELECT * FROM journal_entries WHERE id = ?', [result.id]);
+  });
+}
+
+// Prove the books balance:
+//  - per currency, total debits equal total credits (every account's signed balance sums to zero)
+//  - every individual entry balances
+//  - every cached wallets.balance and frozen_balance equals the balance derived from its accounts
+async function checkLedgerIntegrity(db) {
+  const currencies = (await db.allQuery(
+    `SELECT currency,
+       COALESCE(SUM(CASE WHEN direction = 'debit' THEN amount ELSE 0 END), 0) AS debits,
+       COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE 0 END), 0) AS credits
+     FROM journal_lines GROUP BY currency ORDER BY currency`
+  )).map(row => ({
+    currency: row.currency,
+    debits: roundMoney(row.debits),
+    credits: roundMoney(row.credits),
+    net: roundMoney(row.debits - row.credits)
+  }));
+
+  const unbalancedEntries = (await db.allQuery(
+    `SELECT e.uuid, l.currency,
+       SUM(CASE WHEN l.direction = 'debit' THEN l.amount ELSE -l.amount END) AS net
+     FROM journal_lines l
+     JOIN journal_entries e ON l.journal_entry_id = e.id
+     GROUP BY e.uuid, l.currency
+     HAVING ROUND(SUM(CASE WHEN l.direction = 'debit' THEN l.amount ELSE -l.amount END), 2) <> 0`
+  )).map(row => ({ entryUuid: row.uuid, currency: row.currency, net: roundMoney(row.net) }));
+
+  const derivedBalances = await db.allQuery(
+    `SELECT a.wallet_id,
+       SUM(CASE WHEN l.direction = 'credit' THEN l.amount ELSE -l.amount END) AS balance,
+       SUM(CASE WHEN a.kind <> 'escrow' THEN 0 WHEN l.direction = 'credit' THEN l.amount ELSE -l.amount END) AS frozen
+     FROM journal_lines l
+     JOIN ledger_accounts a ON l.account_id = a.id
+     WHERE a.wallet_id IS NOT NULL
+     GROUP BY a.wallet_id`
+  );
+  const derivedByWallet = new Map(derivedBalances.map(row => [
+    row.wallet_id,
+    { balance: roundMoney(row.balance), frozen: roundMoney(row.frozen) }
+  ]));
+
+  const wallets = await db.allQuery('SELECT id, uuid, balance, frozen_balance FROM wallets ORDER BY id');
+  const walletMismatches = wallets
+    .map(wallet => ({
+      walletUuid: wallet.uuid,
+      cachedBalance: roundMoney(wallet.balance),
+      ledgerBalance: (derivedByWallet.get(wallet.id) || { balance: 0 }).balance,
+      cachedFrozenBalance: roundMoney(wallet.frozen_balance),
+      ledgerFrozenBalance: (derivedByWallet.get(wallet.id) || { frozen: 0 }).frozen
+    }))
+    .filter(wallet => wallet.cachedBalance !== wallet.ledgerBalance ||
+      wallet.cachedFrozenBalance !== wallet.ledgerFrozenBalance);
+
+  return {
+    balanced: currencies.every(row => row.net === 0) && unbalancedEntries.length === 0 && walletMismatches.length === 0,
+    currencies,
+    unbalancedEntries,
+    walletMismatches
+  };
+}
+
+module.exports = {
+  roundMoney,
+  getWalletAccount,
+  getEscrowAccount,
+  getSystemAccount,
+  postJournalEntry,
+  checkLedgerIntegrity
+};
@@ -0,0 +1,275 @@
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../middleware/errorHandler');
+
+// Trade agreement line items
+//
+// An agreement's goods are a list of numbered lines, each with its own SKU, HS code, unit of
+// measure, price and discount, tax and duty rates (percentages). Amounts are computed here, never
+// taken from the client: per line subtotal = quantity x unit price, the discount comes off the
+// subtotal, and tax and duty are charged on the discounted amount. The agreement keeps the
+// totals, plus product_description / quantity / unit_price as a summary for clients that predate
+// line items. Shipments and invoices can say which lines, and how much of each, they cover.
+
+// Request field -> line item column for the values a client sets
+const LINE_FIELDS = {
+  lineNumber: 'line_number',
+  sku: 'sku',
+  description: 'description',
+  hsCode: 'hs_code',
+  unitOfMeasure: 'unit_of_measure',
+  quantity: 'quantity',
+  unitPrice: 'unit_price',
+  discountRate: 'discount_rate',
+  taxRate: 'tax_rate',
+  dutyRate: 'duty_rate'
+};
+
+// Agreement fields set through the lines: lineItems, or quantity and unitPrice on a single line
+const LINE_TERMS = ['lineItems', 'quantity', 'unitPrice'];
+
+function round2(amount) {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+// Line item columns, with computed amounts, from request-shaped lines. Lines without a
+// lineNumber are numbered after the highest one given.
+function priceLineItems(lineItems) {
+  let nextNumber = Math.max(0, ...lineItems.map(item => item.lineNumber || 0)) + 1;
+  const numbers = new Set();
+
+  return lineItems.map(item => {
+    const lineNumber = item.lineNumber || nextNumber++;
+    if (numbers.has(lineNumber)) {
+      throw new AppError(`Line number ${lineNumber} is used twice`, 400, 'DUPLICATE_LINE_NUMBER');
+    }
+    numbers.add(lineNumber);
+
+    const discountRate = item.discountRate || 0;
+    const taxRate = item.taxRate || 0;
+    const dutyRate = item.dutyRate || 0;
+
+    const subtotal = round2(item.quantity * item.unitPrice);
+    const discountAmount = round2(subtotal * discountRate / 100);
+    const net = subtotal - discountAmount;
+    const taxAmount = round2(net * taxRate / 100);
+    const dutyAmount = round2(net * dutyRate / 100);
+
+    return {
+      line_number: lineNumber,
+      sku: item.sku || null,
+      description: item.description,
+      hs_code: item.hsCode || null,
+      unit_of_measure: item.unitOfMeasure || 'unit',
+      quantity: item.quantity,
+      unit_price: item.unitPrice,
+      discount_rate: discountRate,
+      tax_rate: taxRate,
+      duty_rate: dutyRate,
+      subtotal,
+      discount_amount: discountAmount,
+      tax_amount: taxAmount,
+      duty_amount: dutyAmount,
+      line_total: round2(net + taxAmount + dutyAmount)
+    };
+  }).sort((a, b) => a.line_number - b.line_number);
+}
+
+// The trade_agreements columns that follow from the lines: totals and the legacy summary
+function lineTermColumns(lines) {
+  const sum = column => round2(lines.reduce((total, line) => total + Number(line[column]), 0));
+  const quantity = lines.reduce((total, line) => total + Number(line.quantity), 0);
+  const subtotal = sum('subtotal');
+
+  return {
+    quantity: Math.round(quantity),
+    unit_price: lines.length === 1 ? lines[0].unit_price : round2(subtotal / quantity),
+    subtotal,
+    discount_total: sum('discount_amount'),
+    tax_total: sum('tax_amount'),
+    duty_total: sum('duty_amount'),
+    total_amount: sum('line_total')
+  };
+}
+
+// The priced lines a create, edit or amendment results in, or null if it leaves them alone.
+// The single-product quantity and unitPrice still work on an agreement with one line.
+function linesForChanges(currentLines, changes) {
+  if (changes.lineItems) {
+    return priceLineItems(changes.lineItems);
+  }
+  if (changes.quantity === undefined && changes.unitPrice === undefined && currentLines.length > 0) {
+    return null;
+  }
+  if (currentLines.length > 1) {
+    throw new AppError('This agreement has several line items; change them with lineItems', 400, 'USE_LINE_ITEMS');
+  }
+
+  const line = currentLines[0];
+  return priceLineItems([{
+    ...(line ? formatLineItem(line) : { description: changes.productDescription }),
+    quantity: changes.quantity !== undefined ? changes.quantity : Number(line.quantity),
+    unitPrice: changes.unitPrice !== undefined ? changes.unitPrice : Number(line.unit_price)
+  }]);
+}
+
+// The client-set values of each line, as stored in agreement versions
+function snapshotLineItems(lines) {
+  return lines.map(line => {
+    const snapshot = {};
+    Object.values(LINE_FIELDS).forEach(column => { snapshot[column] = line[column]; });
+    snapshot.line_total = line.line_total;
+    return snapshot;
+  });
+}
+
+function sameLineItems(a, b) {
+  return JSON.stringify(snapshotLineItems(a)) === JSON.stringify(snapshotLineItems(b));
+}
+
+function formatLineItem(line) {
+  return {
+    id: line.id,
+    lineNumber: line.line_number,
+    sku: line.sku,
+    description: line.description,
+    hsCode: line.hs_code,
+    unitOfMeasure: line.unit_of_measure,
+    quantity: line.quantity,
+    unitPrice: line.unit_price,
+    discountRate: line.discount_rate,
+    taxRate: line.tax_rate,
+    dutyRate: line.duty_rate,
+    subtotal: line.subtotal,
+    discountAmount: line.discount_amount,
+    taxAmount: line.tax_amount,
+    dutyAmount: line.duty_amount,
+    lineTotal: line.line_total
+  };
+}
+
+async function listLineItems(db, tradeAgreementId) {
+  return db.allQuery(
+    'SELECT * FROM trade_agreement_line_items WHERE trade_agreement_id = ? ORDER BY line_number',
+    [tradeAgreementId]
+  );
+}
+
+// Store priced lines, matched to the existing ones by line number so shipments and invoices
+// keep pointing at the same rows. Lines they reference cannot be removed.
+async function saveLineItems(db, tradeAgreementId, lines) {
+  const existing = await listLineItems(db, tradeAgreementId);
+  const columns = Object.keys(lines[0]);
+
+  for (const line of existing.filter(row => !lines.some(item => item.line_number === row.line_number))) {
+    const referenced = await db.getQuery(
+      `SELECT (SELECT COUNT(*) FROM shipment_line_items WHERE line_item_id = ?) +
+              (SELECT COUNT(*) FROM invoice_line_items WHERE line_item_id = ?) as count`,
+      [line.id, line.id]
+    );
+    if (referenced.count > 0) {
+      throw new AppError(`Line ${line.line_number} is on a shipment or invoice and cannot be removed`, 409, 'LINE_ITEM_REFERENCED');
+    }
+    await db.runQuery('DELETE FROM trade_agreement_line_items WHERE id = ?', [line.id]);
+  }
+
+  for (const line of lines) {
+    const current = existing.find(row => row.line_number === line.line_number);
+
+    if (current) {
+      await db.runQuery(
+        `UPDATE trade_agreement_line_items SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...columns.map(column => line[column]), current.id]
+      );
+    } else {
+      await db.runQuery(
+        `INSERT INTO trade_agreement_line_items (uuid, trade_agreement_id, ${columns.join(', ')})
+         VALUES (?, ?, ${columns.map(() => '?').join(', ')})`,
+        [uuidv4(), tradeAgreementId, ...columns.map(column => line[column])]
+      );
+    }
+  }
+}
+
+// Check the lines a shipment or invoice covers - { lineItemId, quantity } - against the
+// agreement: each must be one of its lines, and together with the other shipments (or invoices)
+// not exceed the quantity ordered. `table` is shipment_line_items or invoice_line_items.
+async function allocateLineItems(db, tradeAgreementId, references, table) {
+  const allocations = [];
+
+  for (const reference of references) {
+    if (allocations.some(allocation => allocation.line.id === reference.lineItemId)) {
+      throw new AppError(`Line item ${reference.lineItemId} is listed twice`, 400, 'DUPLICATE_LINE_ITEM');
+    }
+
+    const line = await db.getQuery(
+      'SELECT * FROM trade_agreement_line_items WHERE id = ? AND trade_agreement_id = ?',
+      [reference.lineItemId, tradeAgreementId]
+    );
+    if (!line) {
+      throw new AppError(`Line item ${reference.lineItemId} is not on this trade agreement`, 400, 'LINE_ITEM_NOT_FOUND');
+    }
+
+    const { allocated } = await db.getQuery(
+      `SELECT COALESCE(SUM(quantity), 0) as allocated FROM ${table} WHERE line_item_id = ?`,
+      [line.id]
+    );
+    if (Number(allocated) + reference.quantity > Number(line.quantity)) {
+      throw new AppError(
+        `Only ${Number(line.quantity) - Number(allocated)} ${line.unit_of_measure} of line ${line.line_number} remain`,
+        400,
+        'LINE_QUANTITY_EXCEEDED',
+        { lineItemId: line.id, remaining: Number(line.quantity) - Number(allocated) }
+      );
+    }
+
+    allocations.push({
+      line,
+      quantity: reference.quantity,
+      amount: round2(Number(line.line_total) * reference.quantity / Number(line.quantity))
+    });
+  }
+
+  return allocations;
+}
+
+// The lines a shipment or invoice covers; `column` is shipment_id or invoice_id
+async function listAllocations(db, table, column, id) {
+  return db.allQuery(
+    `SELECT a.*, l.line_number, l.sku, l.description, l.hs_code, l.unit_of_measure
+     FROM ${table} a
+     JOIN trade_agreement_line_items l ON l.id = a.line_item_id
+     WHERE a.${column} = ?
+     ORDER BY l.line_number`,
+    [id]
+  );
+}
+
+function formatAllocation(allocation) {
+  return {
+    lineItemId: allocation.line_item_id,
+    lineNumber: allocation.line_number,
+    sku: allocation.sku,
+    description: allocation.description,
+    hsCode: allocation.hs_code,
+    unitOfMeasure: allocation.unit_of_measure,
+    quantity: allocation.quantity,
+    amount: allocation.amount
+  };
+}
+
+module.exports = {
+  LINE_FIELDS,
+  LINE_TERMS,
+  priceLineItems,
+  lineTermColumns,
+  linesForChanges,
+  snapshotLineItems,
+  sameLineItems,
+  formatLineItem,
+  listLineItems,
+  saveLineItems,
+  allocateLineItems,
+  listAllocations,
+  formatAllocation
+};
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { AppError } = require('../middleware/errorHandler');
+
+// Location registry
+//
+// Ports, terminals, airports and inland hubs in the style of UN/LOCODE: a five-character code
+// (the ISO country and three letters for the place, e.g. NGAPP for Apapa), a name, what the place
+// handles and its coordinates. The registry is read from LOCATIONS_FILE, bundled with the app, so
+// lookups and maps work without any outside service.
+//
+// Shipments keep the origin, destination and event locations people type, and alongside each
+// the registry code it resolves to: a code itself, a name or alias ("Antwerpen"), either with a
+// country ("Kano, NG" or "Kano, Nigeria"). Accents and case are ignored. Text that matches
+// nothing, or more than one place, keeps no code.
+
+const LOCATIONS_FILE = process.env.LOCATIONS_FILE ||
+  path.join(__dirname, '../resources/locations.json');
+
+const LOCATION_FUNCTIONS = ['port', 'rail', 'road', 'airport'];
+
+const LOCODE_PATTERN = /^[A-Z]{2}\s?[A-Z2-9]{3}$/;
+
+const locationsSchema = Joi.object({
+  source: Joi.string().optional(),
+  locations: Joi.array().items(Joi.object({
+    code: Joi.string().pattern(/^[A-Z]{2}[A-Z2-9]{3}$/).required(),
+    name: Joi.string().required(),
+    subdivision: Joi.string().optional(),
+    functions: Joi.array().items(Joi.string().valid(...LOCATION_FUNCTIONS)).min(1).required(),
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required(),
+    aliases: Joi.array().items(Joi.string()).default([])
+  })).unique('code').required()
+});
+
+const searchLocationsSchema = Joi.object({
+  q: Joi.string().trim().min(2).max(100).required(),
+  country: Joi.string().uppercase().length(2).optional(),
+  function: Joi.string().valid(...LOCATION_FUNCTIONS).optional(),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+// Country names as people write them after a place, beside the ISO codes
+const COUNTRY_NAMES = {
+  nigeria: 'NG', ghana: 'GH', 'cote d\'ivoire': 'CI', 'ivory coast': 'CI', senegal: 'SN', benin: 'BJ',
+  togo: 'TG', cameroon: 'CM', niger: 'NE', 'burkina faso': 'BF', mali: 'ML', guinea: 'GN', liberia: 'LR',
+  'sierra leone': 'SL', gambia: 'GM', gabon: 'GA', congo: 'CG', angola: 'AO', kenya: 'KE', tanzania: 'TZ',
+  djibouti: 'DJ', ethiopia: 'ET', 'south africa': 'ZA', mozambique: 'MZ', morocco: 'MA', egypt: 'EG',
+  tunisia: 'TN', algeria: 'DZ', belgium: 'BE', netherlands: 'NL', germany: 'DE', france: 'FR',
+  'united kingdom': 'GB', uk: 'GB', spain: 'ES', italy: 'IT', portugal: 'PT', greece: 'GR', turkey: 'TR',
+  poland: 'PL', switzerland: 'CH', austria: 'AT', 'united arab emirates': 'AE', uae: 'AE', oman: 'OM',
+  'saudi arabia': 'SA', india: 'IN', 'sri lanka': 'LK', pakistan: 'PK', bangladesh: 'BD', singapore: 'SG',
+  malaysia: 'MY', thailand: 'TH', vietnam: 'VN', indonesia: 'ID', philippines: 'PH', china: 'CN',
+  'hong kong': 'HK', taiwan: 'TW', 'south korea': 'KR', korea: 'KR', japan: 'JP', australia: 'AU',
+  'united states': 'US', usa: 'US', canada: 'CA', mexico: 'MX', panama: 'PA', brazil: 'BR', argentina: 'AR',
+  chile: 'CL', peru: 'PE', colombia: 'CO', jamaica: 'JM'
+};
+
+let registry = null;
+
+// Lowercase without accents or punctuation, e.g. "Liège" -> "liege", "Tanger-Med" -> "tanger med"
+function normalizeName(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function loadLocations(file = LOCATIONS_FILE) {
+  const { error, value } = locationsSchema.validate(JSON.parse(fs.readFileSync(file, 'utf8')));
+  if (error) {
+    throw new Error(`${file}: ${error.details[0].message}`);
+  }
+
+  const byCode = new Map();
+  const byName = new Map();
+  value.locations.forEach(location => {
+    const entry = { ...location, country: location.code.slice(0, 2) };
+    byCode.set(entry.code, entry);
+
+    // A name shared by several places resolves to none of them
+    new Set([entry.name, ...entry.aliases].map(normalizeName)).forEach(name => {
+      byName.set(name, [...(byName.get(name) || []), entry]);
+    });
+  });
+
+  registry = { file, locations: [...byCode.values()], byCode, byName };
+  return registry;
+}
+
+function getRegistry() {
+  return registry || loadLocations();
+}
+
+function getLocation(code) {
+  const location = getRegistry().byCode.get(String(code).replace(/\s/g, '').toUpperCase());
+  if (!location) {
+    throw new AppError('Location not found', 404, 'LOCATION_NOT_FOUND');
+  }
+  return location;
+}
+
+// The registry location free text names, or null
+function resolveLocation(text) {
+  if (!text || !String(text).trim()) {
+    return null;
+  }
+  const { byCode, byName } = getRegistry();
+  const value = String(text).trim();
+
+  if (LOCODE_PATTERN.test(value.toUpperCase())) {
+    const location = byCode.get(value.replace(/\s/g, '').toUpperCase());
+    if (location) {
+      return location;
+    }
+  }
+
+  const unique = matches => (matches && matches.length === 1 ? matches[0] : null);
+  const exact = unique(byName.get(normalizeName(value)));
+  if (exact) {
+    return exact;
+  }
+
+  // "Kano, NG" or "Kano, Nigeria": the place in that country
+  const comma = value.lastIndexOf(',');
+  if (comma > 0) {
+    const place = normalizeName(value.slice(0, comma));
+    const countryText = value.slice(comma + 1).trim();
+    const country = /^[A-Za-z]{2}$/.test(countryText)
+      ? countryText.toUpperCase()
+      : COUNTRY_NAMES[normalizeName(countryText)];
+    if (country) {
+      return unique((byName.get(place) || []).filter(location => location.country === country));
+    }
+  }
+
+  return null;
+}
+
+// What to store for typed location text: the text, or the place's name for a bare code, and the
+// registry code it resolves to
+function normalizeLocation(text) {
+  if (text === undefined || text === null) {
+    return { name: text, code: null };
+  }
+
+  const location = resolveLocation(text);
+  const isCode = location && String(text).replace(/\s/g, '').toUpperCase() === location.code;
+  return {
+    name: isCode ? locationLabel(location) : text,
+    code: location ? location.code : null
+  };
+}
+
+function locationLabel(location) {
+  return `${location.name}, ${location.country}`;
+}
+
+// Autocomplete: places whose code, name or an alias starts with the query, or has a word that
+// does; codes first, then names, then aliases, each alphabetically
+function searchLocations({ q, country, function: locationFunction, limit }) {
+  const query = normalizeName(q);
+  const codeQuery = q.replace(/\s/g, '').toUpperCase();
+
+  const rank = location => {
+    if (location.code.startsWith(codeQuery)) {
+      return 0;
+    }
+    const name = normalizeName(location.name);
+    if (name.startsWith(query)) {
+      return 1;
+    }
+    if (name.split(' ').some(word => word.startsWith(query))) {
+      return 2;
+    }
+    return location.aliases.some(alias => normalizeName(alias).startsWith(query)) ? 3 : null;
+  };
+
+  return getRegistry().locations
+    .filter(location => !country || location.country === country)
+    .filter(location => !locationFunction || location.functions.includes(locationFunction))
+    .map(location => ({ location, rank: rank(location) }))
+    .filter(match => match.rank !== null)
+    .sort((a, b) => a.rank - b.rank || a.location.name.localeCompare(b.location.name))
+    .slice(0, limit)
+    .map(match => match.location);
+}
+
+function formatLocation(location) {
+  return {
+    code: location.code,
+    name: location.name,
+    label: locationLabel(location),
+    country: location.country,
+    subdivision: location.subdivision || null,
+    functions: location.functions,
+    coordinates: [location.lng, location.lat],
+    aliases: location.aliases
+  };
+}
+
+// A shipment's route for a map, as a GeoJSON FeatureCollection: a line per leg whose ends are
+// both in the registry, a point per place along the way and a point per event with a location
+// code. `legs` (in order) and `events` are formatted by formatShipmentLeg and formatShipmentEvent.
+function routeGeoJSON(legs, events) {
+  const point = code => {
+    const location = getRegistry().byCode.get(code);
+    return location ? [location.lng, location.lat] : null;
+  };
+  const features = [];
+
+  legs.forEach(leg => {
+    const from = leg.originCode && point(leg.originCode);
+    const to = leg.destinationCode && point(leg.destinationCode);
+    if (from && to) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [from, to] },
+        properties: {
+          kind: 'leg',
+          legNumber: leg.legNumber,
+          mode: leg.mode,
+          status: leg.status,
+          origin: leg.origin,
+          destination: leg.destination
+        }
+      });
+    }
+  });
+
+  // Each place once, as the origin, the destination or a stop in between
+  const stops = [];
+  legs.forEach(leg => [leg.originCode, leg.destinationCode].forEach(code => {
+    if (code && !stops.includes(code)) {
+      stops.push(code);
+    }
+  }));
+  const first = legs.length > 0 ? legs[0].originCode : null;
+  const last = legs.length > 0 ? legs[legs.length - 1].destinationCode : null;
+  stops.filter(point).forEach(code => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: point(code) },
+      properties: {
+        kind: 'place',
+        code,
+        name: locationLabel(getRegistry().byCode.get(code)),
+        role: code === first ? 'origin' : code === last ? 'destination' : 'stop'
+      }
+    });
+  });
+
+  events.filter(event => event.locationCode && point(event.locationCode)).forEach(event => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: point(event.locationCode) },
+      properties: {
+        kind: 'event',
+        code: event.locationCode,
+        eventCode: event.eventCode,
+        description: event.description,
+        location: event.location,
+        occurredAt: event.occurredAt
+      }
+    });
+  });
+
+  const positions = features.flatMap(feature => (
+    feature.geometry.type === 'Point' ? [feature.geometry.coordinates] : feature.geometry.coordinates
+  ));
+  const collection = { type: 'FeatureCollection', features };
+  if (positions.length > 0) {
+    const lngs = positions.map(position => position[0]);
+    const lats = positions.map(position => position[1]);
+    collection.bbox = [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+  }
+  return collection;
+}
+
+module.exports = {
+  LOCATIONS_FILE,
+  LOCATION_FUNCTIONS,
+  searchLocationsSchema,
+  loadLocations,
+  getLocation,
+  resolveLocation,
+  normalizeLocation,
+  searchLocations,
+  formatLocation,
+  routeGeoJSON
+};
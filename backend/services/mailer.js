@@ -0,0 +1,37 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email over SMTP. Without SMTP_HOST, messages are logged instead of sent so local
+// development works without a mail server. Only the recipient and subject are logged, so codes,
+// tokens and links belong in the body, never the subject.
+
+let transporter;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = process.env.SMTP_HOST
+      ? nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      })
+      : nodemailer.createTransport({ jsonTransport: true });
+  }
+  return transporter;
+}
+
+async function sendMail({ to, subject, text }) {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'TradeBridge <no-reply@tradebridge.app>',
+    to,
+    subject,
+    text
+  });
+
+  if (!process.env.SMTP_HOST) {
+    console.log(`✉️  Email to ${to}: ${subject}`);
+  }
+
+  return info;
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,17 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Insert a notification for a user. `db` is the database module or a transaction (tx),
+// so the notification commits or rolls back together with the change it describes.
+async function createNotification(db, { userId, type, title, message, metadata }) {
+  const notificationUuid = uuidv4();
+
+  const result = await db.runQuery(
+    `INSERT INTO notifications (uuid, user_id, type, title, message, metadata)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [notificationUuid, userId, type, title, message, metadata ? JSON.stringify(metadata) : null]
+  );
+
+  return { id: result.id, uuid: notificationUuid };
+}
+
+module.exports = { createNotification };
@@ -0,0 +1,46 @@
+// Organizations
+//
+// A named group of users that can share agreement templates. Whoever creates one is its owner;
+// owners add registered users by email as members or further owners, and remove them. An
+// organization always keeps at least one owner.
+
+const ORGANIZATION_ROLES = ['owner', 'member'];
+
+// Subquery for the ids of the organizations a user belongs to; bind the user id
+const MEMBER_ORGANIZATION_IDS = 'SELECT organization_id FROM organization_members WHERE user_id = ?';
+
+// The user's role in the organization, or null if they are not a member
+async function getMembershipRole(db, organizationId, userId) {
+  const membership = await db.getQuery(
+    'SELECT role FROM organization_members WHERE organization_id = ? AND user_id = ?',
+    [organizationId, userId]
+  );
+  return membership ? membership.role : null;
+}
+
+async function listMembers(db, organizationId) {
+  return db.allQuery(
+    `SELECT m.*, u.email, u.first_name, u.last_name
+     FROM organization_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.organization_id = ?
+     ORDER BY m.id`,
+    [organizationId]
+  );
+}
+
+async function countOwners(db, organizationId) {
+  const { count } = await db.getQuery(
+    "SELECT COUNT(*) as count FROM organization_members WHERE organization_id = ? AND role = 'owner'",
+    [organizationId]
+  );
+  return count;
+}
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  MEMBER_ORGANIZATION_IDS,
+  getMembershipRole,
+  listMembers,
+  countOwners
+};
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+const { createNotification } = require('./notifications');
+const { sendMail } = require('./mailer');
+
+// Trade agreement participants
+//
+// Every agreement has its creator, buyer and seller as participants, and the creator can add
+// observers. Who can see an agreement - and the shipments and invoices attached to it - follows
+// participation. Buyers and sellers without an account are invited by email; the invitation is
+// linked to their account when they register with that address or accept the invitation link.
+
+const ROLES = ['creator', 'buyer', 'seller', 'observer'];
+
+// Subquery for the ids of the agreements a user participates in; bind the user id
+const PARTICIPANT_AGREEMENT_IDS = 'SELECT trade_agreement_id FROM trade_agreement_participants WHERE user_id = ?';
+
+async function getParticipantRoles(db, tradeAgreementId, userId) {
+  const rows = await db.allQuery(
+    'SELECT role FROM trade_agreement_participants WHERE trade_agreement_id = ? AND user_id = ?',
+    [tradeAgreementId, userId]
+  );
+  return rows.map(row => row.role);
+}
+
+// The agreement with a `roles` array for the user, or null if they do not participate in it
+async function getParticipantAgreement(db, tradeAgreementId, userId) {
+  const roles = await getParticipantRoles(db, tradeAgreementId, userId);
+  if (roles.length === 0) {
+    return null;
+  }
+
+  const agreement = await db.getQuery('SELECT * FROM trade_agreements WHERE id = ?', [tradeAgreementId]);
+  return agreement ? { ...agreement, roles } : null;
+}
+
+async function listParticipants(db, tradeAgreementId) {
+  return db.allQuery(
+    `SELECT p.*, u.first_name, u.last_name, u.company
+     FROM trade_agreement_participants p
+     LEFT JOIN users u ON u.id = p.user_id
+     WHERE p.trade_agreement_id = ?
+     ORDER BY p.id`,
+    [tradeAgreementId]
+  );
+}
+
+// Registered users participating in the agreement, e.g. to notify them
+async function getParticipantUserIds(db, tradeAgreementId) {
+  const rows = await db.allQuery(
+    'SELECT DISTINCT user_id FROM trade_agreement_participants WHERE trade_agreement_id = ? AND user_id IS NOT NULL',
+    [tradeAgreementId]
+  );
+  return rows.map(row => row.user_id);
+}
+
+// Add `email` to the agreement in `role`. A registered user is linked and notified straight
+// away; anyone else gets an 'invited' row - send the email with sendInvitation after commit.
+async function addParticipant(db, { agreement, email, role, invitedBy }) {
+  const normalizedEmail = email.toLowerCase();
+
+  const existing = await db.getQuery(
+    'SELECT id FROM trade_agreement_participants WHERE trade_agreement_id = ? AND email = ? AND role = ?',
+    [agreement.id, normalizedEmail, role]
+  );
+
+  if (existing) {
+    throw new AppError(`${email} is already the ${role} on this agreement`, 409, 'PARTICIPANT_EXISTS');
+  }
+
+  const user = role === 'creator'
+    ? { id: agreement.user_id }
+    : await db.getQuery('SELECT id FROM users WHERE LOWER(email) = ? AND is_active = 1', [normalizedEmail]);
+
+  const result = await db.runQuery(
+    `INSERT INTO trade_agreement_participants
+     (trade_agreement_id, user_id, email, role, status, invitation_token, invited_by, accepted_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      agreement.id, user ? user.id : null, normalizedEmail, role, user ? 'active' : 'invited',
+      user ? null : crypto.randomBytes(24).toString('hex'), invitedBy, user ? new Date().toISOString() : null
+    ]
+  );
+
+  if (user && user.id !== invitedBy) {
+    await createNotification(db, {
+      userId: user.id,
+      type: 'trade',
+      title: 'Added to Trade Agreement',
+      message: `You were added to "${agreement.agreement_name}" as ${role}`,
+      metadata: { agreementId: agreement.id, agreementUuid: agreement.uuid, role }
+    });
+  }
+
+  return db.getQuery('SELECT * FROM trade_agreement_participants WHERE id = ?', [result.id]);
+}
+
+// Keep the buyer and seller participants in line with the agreement's buyer_email and
+// seller_email. Returns the participants that were added.
+async function syncPartyParticipants(db, agreement, invitedBy) {
+  const added = [];
+
+  for (const [role, email] of [['buyer', agreement.buyer_email], ['seller', agreement.seller_email]]) {
+    const current = await db.getQuery(
+      'SELECT * FROM trade_agreement_participants WHERE trade_agreement_id = ? AND role = ?',
+      [agreement.id, role]
+    );
+
+    if (current && current.email === email.toLowerCase()) {
+      continue;
+    }
+
+    await db.runQuery(
+      'DELETE FROM trade_agreement_participants WHERE trade_agreement_id = ? AND role = ?',
+      [agreement.id, role]
+    );
+    added.push(await addParticipant(db, { agreement, email, role, invitedBy }));
+  }
+
+  return added;
+}
+
+// Accept an invitation link. This is the only way an invitation is taken up: the token was
+// emailed to the invitee, while registering with their address proves nothing about owning it.
+async function acceptInvitation(db, token, user) {
+  const participant = await db.getQuery(
+    "SELECT * FROM trade_agreement_participants WHERE invitation_token = ? AND status = 'invited'",
+    [token]
+  );
+
+  if (!participant) {
+    throw new AppError('Invitation not found or already accepted', 404, 'INVITATION_NOT_FOUND');
+  }
+
+  await db.runQuery(
+    `UPDATE trade_agreement_participants
+     SET user_id = ?, status = 'active', invitation_token = NULL, accepted_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [user.id, participant.id]
+  );
+
+  return db.getQuery('SELECT * FROM trade_agreement_participants WHERE id = ?', [participant.id]);
+}
+
+// Email an invited participant their invitation link. Failures are logged, not thrown, so a mail
+// outage does not undo the change to the agreement.
+async function sendInvitation(participant, agreement, inviterEmail) {
+  if (participant.status !== 'invited') {
+    return;
+  }
+
+  const link = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/trade-agreement.html` +
+    `?invitation=${participant.invitation_token}`;
+
+  try {
+    await sendMail({
+      to: participant.email,
+      subject: `${inviterEmail} invited you to a trade agreement on TradeBridge`,
+      text: `${inviterEmail} added you as ${participant.role} on "${agreement.agreement_name}".\n\n` +
+        `Sign up or log in to review it: ${link}\n`
+    });
+  } catch (error) {
+    console.error('Invitation email error:', error);
+  }
+}
+
+module.exports = {
+  ROLES,
+  PARTICIPANT_AGREEMENT_IDS,
+  getParticipantRoles,
+  getParticipantAgreement,
+  listParticipants,
+  getParticipantUserIds,
+  addParticipant,
+  syncPartyParticipants,
+  acceptInvitation,
+  sendInvitation
+};
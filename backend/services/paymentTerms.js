@@ -0,0 +1,298 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// Delivery and payment terms
+//
+// Delivery terms are an Incoterms 2020 rule plus the named place it applies to. Payment terms
+// are a plan: an optional advance due on activation, and the balance paid net N days after a
+// trigger, under a letter of credit once the goods ship, or in milestones. The plan is stored as
+// JSON with a readable summary in payment_terms / delivery_terms, which older clients and the
+// contract still show; free-text payment terms that are not a plan we can read stay text only. When the agreement is activated the plan becomes a payment schedule:
+// one installment per payment, each due a number of days after its trigger (activation, the
+// first shipment leaving, or the first delivery) once that trigger has happened.
+
+const INCOTERMS = {
+  EXW: 'Ex Works',
+  FCA: 'Free Carrier',
+  CPT: 'Carriage Paid To',
+  CIP: 'Carriage and Insurance Paid To',
+  DAP: 'Delivered at Place',
+  DPU: 'Delivered at Place Unloaded',
+  DDP: 'Delivered Duty Paid',
+  FAS: 'Free Alongside Ship',
+  FOB: 'Free on Board',
+  CFR: 'Cost and Freight',
+  CIF: 'Cost, Insurance and Freight'
+};
+
+const PAYMENT_TRIGGERS = ['activation', 'shipment', 'delivery'];
+
+const BALANCE_METHODS = ['net', 'letter_of_credit', 'milestones'];
+
+// Request fields turned into term columns here rather than copied as they are
+const TRADE_TERMS = ['incoterm', 'namedPlace', 'deliveryTerms', 'paymentPlan', 'paymentTerms'];
+
+// What agreements created without terms get, as before structured terms
+const DEFAULT_TERMS = { deliveryTerms: 'FOB', paymentTerms: '30 days' };
+
+function round2(amount) {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// "FOB Lagos" -> { incoterm: 'FOB', namedPlace: 'Lagos' }
+function parseDeliveryTerms(text) {
+  const [rule, ...place] = text.trim().split(/\s+/);
+  const incoterm = rule.toUpperCase();
+
+  if (!INCOTERMS[incoterm]) {
+    throw new AppError(
+      `Delivery terms must start with an Incoterms 2020 rule (${Object.keys(INCOTERMS).join(', ')})`,
+      400,
+      'INVALID_INCOTERM'
+    );
+  }
+
+  return { incoterm, namedPlace: place.length ? place.join(' ') : null };
+}
+
+// A plan from the free-text payment terms older clients send - "30 days" / "Net 30", "Advance",
+// "Letter of credit" - or null for anything else, which is kept as text without a schedule
+function parsePaymentTerms(text) {
+  const value = text.trim();
+  const net = /^(?:net\s*)?(\d{1,3})(?:\s*days?)?$/i.exec(value);
+
+  if (net) {
+    return { advancePercent: 0, balance: 'net', netDays: Number(net[1]), netFrom: 'delivery' };
+  }
+  if (/^(?:100%\s*)?(?:advance|prepaid|prepayment|cash in advance)$/i.test(value)) {
+    return { advancePercent: 100 };
+  }
+  if (/^(?:letter of credit|l\/?c)$/i.test(value)) {
+    return { advancePercent: 0, balance: 'letter_of_credit', letterOfCredit: { type: 'sight' } };
+  }
+
+  return null;
+}
+
+function describeTrigger(trigger, days) {
+  return days > 0 ? `${days} days after ${trigger}` : `on ${trigger}`;
+}
+
+// The installments a plan makes, as percentages of the total. Advance and balance must make 100%.
+function planInstallments(plan) {
+  const advance = plan.advancePercent || 0;
+  const balance = round2(100 - advance);
+  const installments = [];
+
+  if (advance > 0) {
+    installments.push({ label: 'Advance payment', percent: advance, trigger: 'activation', days: 0 });
+  }
+
+  if (balance > 0) {
+    if (!plan.balance) {
+      throw new AppError('Say how the balance is paid (balance) unless it is all paid in advance', 400, 'INVALID_PAYMENT_PLAN');
+    }
+
+    if (plan.balance === 'net') {
+      installments.push({ label: 'Balance', percent: balance, trigger: plan.netFrom, days: plan.netDays });
+    } else if (plan.balance === 'letter_of_credit') {
+      const { type, usanceDays, issuingBank } = plan.letterOfCredit;
+      installments.push({
+        label: `Balance by ${type} letter of credit` + (issuingBank ? ` (${issuingBank})` : ''),
+        percent: balance,
+        trigger: 'shipment',
+        days: type === 'usance' ? usanceDays : 0
+      });
+    } else {
+      const total = round2(plan.milestones.reduce((sum, milestone) => sum + milestone.percent, 0));
+      if (total !== balance) {
+        throw new AppError(
+          `The milestones add up to ${total}% but the balance after the advance is ${balance}%`,
+          400,
+          'INVALID_PAYMENT_PLAN'
+        );
+      }
+      plan.milestones.forEach(milestone => installments.push({
+        label: milestone.name,
+        percent: milestone.percent,
+        trigger: milestone.trigger,
+        days: milestone.days || 0
+      }));
+    }
+  }
+
+  return installments;
+}
+
+function describePaymentPlan(plan) {
+  return planInstallments(plan)
+    .map(installment => `${installment.percent}% ${installment.label.charAt(0).toLowerCase()}${installment.label.slice(1)} ` +
+      describeTrigger(installment.trigger, installment.days))
+    .join('; ');
+}
+
+function describeDeliveryTerms({ incoterm, namedPlace }) {
+  return `${incoterm}${namedPlace ? ` ${namedPlace}` : ''} (Incoterms 2020)`;
+}
+
+// The term columns a create, edit or amendment sets from incoterm / namedPlace / deliveryTerms
+// and paymentPlan / paymentTerms. Without an agreement (create) the defaults apply.
+function tradeTermColumns(changes, agreement) {
+  const columns = {};
+
+  let delivery = null;
+  if (changes.deliveryTerms !== undefined) {
+    delivery = parseDeliveryTerms(changes.deliveryTerms);
+  } else if (changes.incoterm !== undefined || changes.namedPlace !== undefined) {
+    delivery = {
+      incoterm: changes.incoterm || (agreement && agreement.incoterm),
+      namedPlace: changes.namedPlace !== undefined ? changes.namedPlace : agreement && agreement.named_place
+    };
+    if (!delivery.incoterm) {
+      throw new AppError('Give the Incoterms 2020 rule (incoterm) with the named place', 400, 'INVALID_INCOTERM');
+    }
+  } else if (!agreement) {
+    delivery = parseDeliveryTerms(DEFAULT_TERMS.deliveryTerms);
+  }
+
+  if (delivery) {
+    columns.incoterm = delivery.incoterm;
+    columns.named_place = delivery.namedPlace || null;
+    columns.delivery_terms = describeDeliveryTerms(delivery);
+  }
+
+  if (changes.paymentPlan) {
+    columns.payment_plan = JSON.stringify(changes.paymentPlan);
+    columns.payment_terms = describePaymentPlan(changes.paymentPlan);
+  } else if (changes.paymentTerms !== undefined || !agreement) {
+    const text = changes.paymentTerms !== undefined ? changes.paymentTerms : DEFAULT_TERMS.paymentTerms;
+    const plan = parsePaymentTerms(text);
+    columns.payment_plan = plan ? JSON.stringify(plan) : null;
+    columns.payment_terms = plan ? describePaymentPlan(plan) : text;
+  }
+
+  return columns;
+}
+
+async function listPaymentSchedule(db, tradeAgreementId) {
+  return db.allQuery(
+    'SELECT * FROM trade_agreement_payment_schedule WHERE trade_agreement_id = ? ORDER BY installment_number',
+    [tradeAgreementId]
+  );
+}
+
+// Schedule rows for the agreement's plan and total, dated from the trigger dates known so far.
+// The last installment takes the rounding. Used as is for the preview before activation.
+function scheduleRows(agreement, dates = {}) {
+  if (!agreement.payment_plan) {
+    return [];
+  }
+
+  const installments = planInstallments(JSON.parse(agreement.payment_plan));
+  let remaining = Number(agreement.total_amount);
+
+  return installments.map((installment, index) => {
+    const amount = index === installments.length - 1
+      ? round2(remaining)
+      : round2(Number(agreement.total_amount) * installment.percent / 100);
+    remaining -= amount;
+
+    const triggerDate = dates[installment.trigger] || null;
+    return {
+      installment_number: index + 1,
+      label: installment.label,
+      percent: installment.percent,
+      amount,
+      currency: agreement.currency,
+      payment_trigger: installment.trigger,
+      offset_days: installment.days,
+      trigger_date: triggerDate,
+      due_date: triggerDate ? addDays(triggerDate, installment.days) : null
+    };
+  });
+}
+
+// (Re)build the stored schedule. Trigger dates already known are kept, so an amendment to an
+// active agreement reschedules from the same events; `triggerDates` adds new ones, e.g.
+// { activation: '2026-03-01' }.
+async function schedulePayments(db, agreement, triggerDates = {}) {
+  const existing = await listPaymentSchedule(db, agreement.id);
+  const dates = {};
+  existing.filter(row => row.trigger_date).forEach(row => { dates[row.payment_trigger] = row.trigger_date; });
+  Object.assign(dates, triggerDates);
+
+  await db.runQuery('DELETE FROM trade_agreement_payment_schedule WHERE trade_agreement_id = ?', [agreement.id]);
+
+  for (const row of scheduleRows(agreement, dates)) {
+    await db.runQuery(
+      `INSERT INTO trade_agreement_payment_schedule
+       (trade_agreement_id, installment_number, label, percent, amount, currency, payment_trigger, offset_days,
+        trigger_date, due_date)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        agreement.id, row.installment_number, row.label, row.percent, row.amount, row.currency,
+        row.payment_trigger, row.offset_days, row.trigger_date, row.due_date
+      ]
+    );
+  }
+
+  return listPaymentSchedule(db, agreement.id);
+}
+
+// Date the installments waiting on `trigger` once it first happens
+async function resolvePaymentTrigger(db, tradeAgreementId, trigger, date = today()) {
+  const rows = await db.allQuery(
+    `SELECT * FROM trade_agreement_payment_schedule
+     WHERE trade_agreement_id = ? AND payment_trigger = ? AND trigger_date IS NULL`,
+    [tradeAgreementId, trigger]
+  );
+
+  for (const row of rows) {
+    await db.runQuery(
+      'UPDATE trade_agreement_payment_schedule SET trigger_date = ?, due_date = ? WHERE id = ?',
+      [date, addDays(date, row.offset_days), row.id]
+    );
+  }
+}
+
+function formatInstallment(installment, asOf = today()) {
+  return {
+    number: installment.installment_number,
+    label: installment.label,
+    percent: installment.percent,
+    amount: installment.amount,
+    currency: installment.currency,
+    trigger: installment.payment_trigger,
+    days: installment.offset_days,
+    triggerDate: installment.trigger_date,
+    dueDate: installment.due_date,
+    overdue: Boolean(installment.due_date && installment.due_date < asOf)
+  };
+}
+
+module.exports = {
+  INCOTERMS,
+  PAYMENT_TRIGGERS,
+  BALANCE_METHODS,
+  TRADE_TERMS,
+  today,
+  parseDeliveryTerms,
+  parsePaymentTerms,
+  planInstallments,
+  describePaymentPlan,
+  tradeTermColumns,
+  listPaymentSchedule,
+  scheduleRows,
+  schedulePayments,
+  resolvePaymentTrigger,
+  formatInstallment
+};
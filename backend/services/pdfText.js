@@ -0,0 +1,531 @@
+const {
+  PDFDocument, PDFName, PDFDict, PDFArray, PDFNumber, PDFRawStream, decodePDFRawStream
+} = require('pdf-lib');
+
+// PDF text
+//
+// The text of a text-based PDF as lines, read locally with pdf-lib: the page content streams are
+// run to find where each piece of text is drawn, fonts' ToUnicode maps (or WinAnsi, for simple
+// fonts without one) turn the bytes into characters, and pieces are put back together into
+// lines by position. A line is split into cells where the gap between two pieces is wider than
+// a few spaces, which is how tables and label/value columns come out.
+//
+// Scanned PDFs have no text to read, so they come out empty.
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// WinAnsi bytes 0x80-0x9f that differ from Latin-1
+const WIN_ANSI = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰',
+  0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+  0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// Glyph names fonts use in /Differences, for the characters invoices need
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: '\'', parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-',
+  period: '.', slash: '/', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+  question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', underscore: '_',
+  numbersign1: '#', Euro: '€', sterling: '£', yen: '¥', naira: '₦', endash: '–', emdash: '—',
+  quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”', bullet: '•', degree: '°'
+};
+
+function multiply(a, b) {
+  return [
+    a[0] * b[0] + a[1] * b[2], a[0] * b[1] + a[1] * b[3],
+    a[2] * b[0] + a[3] * b[2], a[2] * b[1] + a[3] * b[3],
+    a[4] * b[0] + a[5] * b[2] + b[4], a[4] * b[1] + a[5] * b[3] + b[5]
+  ];
+}
+
+function decodeStream(stream) {
+  if (stream instanceof PDFRawStream) {
+    return Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1');
+  }
+  return stream && stream.getContents ? Buffer.from(stream.getContents()).toString('latin1') : '';
+}
+
+function numberValue(object, fallback = 0) {
+  return object instanceof PDFNumber ? object.asNumber() : fallback;
+}
+
+// Content stream lexer
+
+const WHITESPACE = '\0\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (WHITESPACE.includes(char)) {
+      i++;
+    } else if (char === '%') {
+      while (i < source.length && source[i] !== '\n' && source[i] !== '\r') {
+        i++;
+      }
+    } else if (char === '(') {
+      let depth = 1;
+      let value = '';
+      i++;
+      while (i < source.length && depth > 0) {
+        const c = source[i];
+        if (c === '\\') {
+          const next = source[i + 1];
+          const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+          if (escapes[next]) {
+            value += escapes[next];
+            i += 2;
+          } else if (/[0-7]/.test(next)) {
+            const octal = source.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+            value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+            i += 1 + octal.length;
+          } else if (next === '\r' || next === '\n') {
+            i += next === '\r' && source[i + 2] === '\n' ? 3 : 2;
+          } else {
+            value += next || '';
+            i += 2;
+          }
+        } else {
+          if (c === '(') {
+            depth++;
+          } else if (c === ')') {
+            depth--;
+          }
+          if (depth > 0) {
+            value += c;
+          }
+          i++;
+        }
+      }
+      tokens.push({ type: 'string', value });
+    } else if (char === '<' && source[i + 1] === '<') {
+      tokens.push({ type: 'dictStart' });
+      i += 2;
+    } else if (char === '>' && source[i + 1] === '>') {
+      tokens.push({ type: 'dictEnd' });
+      i += 2;
+    } else if (char === '<') {
+      const end = source.indexOf('>', i);
+      let hex = source.slice(i + 1, end === -1 ? source.length : end).replace(/[^0-9a-fA-F]/g, '');
+      if (hex.length % 2) {
+        hex += '0';
+      }
+      tokens.push({ type: 'string', value: Buffer.from(hex, 'hex').toString('latin1') });
+      i = end === -1 ? source.length : end + 1;
+    } else if (char === '[' || char === ']') {
+      tokens.push({ type: char === '[' ? 'arrayStart' : 'arrayEnd' });
+      i++;
+    } else if (char === '{' || char === '}' || char === '>' || char === ')') {
+      i++;
+    } else if (char === '/') {
+      let name = '';
+      i++;
+      while (i < source.length && !WHITESPACE.includes(source[i]) && !DELIMITERS.includes(source[i])) {
+        name += source[i];
+        i++;
+      }
+      tokens.push({ type: 'name', value: name.replace(/#([0-9a-fA-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))) });
+    } else {
+      let word = '';
+      while (i < source.length && !WHITESPACE.includes(source[i]) && !DELIMITERS.includes(source[i])) {
+        word += source[i];
+        i++;
+      }
+      if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+        tokens.push({ type: 'number', value: parseFloat(word) });
+      } else if (word === 'ID') {
+        // Inline image data runs to EI; it is not text
+        const end = source.slice(i).search(/\sEI(?=[\s]|$)/);
+        i = end === -1 ? source.length : i + end + 3;
+        tokens.push({ type: 'operator', value: 'EI' });
+      } else if (word) {
+        tokens.push({ type: ['true', 'false', 'null'].includes(word) ? 'keyword' : 'operator', value: word });
+      } else {
+        i++;
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// Operators with their operands, arrays and dictionaries as nested values
+function* operations(source) {
+  const stack = [];
+  let operands = [];
+
+  for (const token of tokenize(source)) {
+    if (token.type === 'arrayStart' || token.type === 'dictStart') {
+      stack.push(operands);
+      operands = [];
+    } else if (token.type === 'arrayEnd' || token.type === 'dictEnd') {
+      const value = operands;
+      operands = stack.pop() || [];
+      operands.push(token.type === 'arrayEnd' ? { type: 'array', value } : { type: 'dict', value });
+    } else if (token.type === 'operator' && stack.length === 0) {
+      yield { operator: token.value, operands };
+      operands = [];
+    } else {
+      operands.push(token);
+    }
+  }
+}
+
+// Fonts
+
+// A ToUnicode CMap: codes (as byte strings) to text, and how many bytes a code takes
+function parseToUnicode(source) {
+  const map = new Map();
+  let codeLength = 0;
+  const hex = token => token.replace(/[<>\s]/g, '');
+  const hexText = value => Buffer.from(value.padStart(Math.ceil(value.length / 4) * 4, '0'), 'hex')
+    .swap16().toString('utf16le');
+  const hexCode = value => Buffer.from(value, 'hex').toString('latin1');
+  const HEX = '<[0-9a-fA-F\\s]*>';
+
+  (source.match(/begincodespacerange[\s\S]*?endcodespacerange/g) || []).forEach(block => {
+    (block.match(new RegExp(HEX, 'g')) || []).forEach(token => {
+      codeLength = Math.max(codeLength, hex(token).length / 2);
+    });
+  });
+
+  (source.match(/beginbfchar[\s\S]*?endbfchar/g) || []).forEach(block => {
+    (block.match(new RegExp(`(${HEX})\\s*(${HEX})`, 'g')) || []).forEach(pair => {
+      const [code, text] = pair.match(new RegExp(HEX, 'g')).map(hex);
+      map.set(hexCode(code), hexText(text));
+    });
+  });
+
+  (source.match(/beginbfrange[\s\S]*?endbfrange/g) || []).forEach(block => {
+    (block.match(new RegExp(`${HEX}\\s*${HEX}\\s*(${HEX}|\\[[^\\]]*\\])`, 'g')) || []).forEach(range => {
+      const [low, high, ...targets] = range.match(new RegExp(HEX, 'g')).map(hex);
+      const start = parseInt(low, 16);
+      const end = Math.min(parseInt(high, 16), start + 0xffff);
+      const isArray = range.includes('[');
+
+      for (let code = start; code <= end; code++) {
+        const key = hexCode(code.toString(16).padStart(low.length, '0'));
+        if (isArray) {
+          if (targets[code - start]) {
+            map.set(key, hexText(targets[code - start]));
+          }
+        } else {
+          const base = Buffer.from(targets[0].padStart(Math.ceil(targets[0].length / 4) * 4, '0'), 'hex');
+          base.writeUInt16BE((base.readUInt16BE(base.length - 2) + code - start) & 0xffff, base.length - 2);
+          map.set(key, base.swap16().toString('utf16le'));
+        }
+      }
+    });
+  });
+
+  return { map, codeLength: codeLength || 1 };
+}
+
+function loadFont(dict) {
+  const subtype = dict.lookup(PDFName.of('Subtype'));
+  const composite = subtype === PDFName.of('Type0');
+  const font = { composite, codeLength: composite ? 2 : 1, toUnicode: null, differences: {}, widths: new Map() };
+
+  const toUnicode = dict.lookup(PDFName.of('ToUnicode'));
+  if (toUnicode instanceof PDFRawStream) {
+    const cmap = parseToUnicode(decodeStream(toUnicode));
+    font.toUnicode = cmap.map;
+    font.codeLength = composite ? Math.max(cmap.codeLength, 1) : 1;
+  }
+
+  const encoding = dict.lookup(PDFName.of('Encoding'));
+  if (encoding instanceof PDFDict) {
+    const differences = encoding.lookup(PDFName.of('Differences'));
+    if (differences instanceof PDFArray) {
+      let code = 0;
+      differences.asArray().forEach(item => {
+        if (item instanceof PDFNumber) {
+          code = item.asNumber();
+        } else if (item instanceof PDFName) {
+          font.differences[code++] = item.decodeText();
+        }
+      });
+    }
+  }
+
+  if (composite) {
+    const descendants = dict.lookup(PDFName.of('DescendantFonts'));
+    const descendant = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+    font.defaultWidth = descendant instanceof PDFDict ? numberValue(descendant.lookup(PDFName.of('DW')), 1000) : 1000;
+    const widths = descendant instanceof PDFDict ? descendant.lookup(PDFName.of('W')) : null;
+    if (widths instanceof PDFArray) {
+      const items = widths.asArray().map(item => widths.context.lookup(item));
+      for (let i = 0; i < items.length;) {
+        const first = numberValue(items[i]);
+        if (items[i + 1] instanceof PDFArray) {
+          items[i + 1].asArray().forEach((width, offset) => {
+            font.widths.set(first + offset, numberValue(items[i + 1].context.lookup(width)));
+          });
+          i += 2;
+        } else {
+          for (let code = first; code <= numberValue(items[i + 1]); code++) {
+            font.widths.set(code, numberValue(items[i + 2]));
+          }
+          i += 3;
+        }
+      }
+    }
+  } else {
+    const firstChar = numberValue(dict.lookup(PDFName.of('FirstChar')));
+    const widths = dict.lookup(PDFName.of('Widths'));
+    if (widths instanceof PDFArray) {
+      widths.asArray().forEach((width, offset) => {
+        font.widths.set(firstChar + offset, numberValue(widths.context.lookup(width)));
+      });
+    }
+    // Roughly the average width of the standard fonts, which come without widths
+    font.defaultWidth = 500;
+  }
+
+  return font;
+}
+
+function glyphText(name) {
+  if (GLYPH_NAMES[name]) {
+    return GLYPH_NAMES[name];
+  }
+  if (/^uni[0-9A-F]{4}$/.test(name)) {
+    return String.fromCharCode(parseInt(name.slice(3), 16));
+  }
+  return name.length === 1 ? name : '';
+}
+
+// Split shown bytes into codes with their text and width (in thousandths of the font size)
+function decodeText(font, bytes) {
+  const glyphs = [];
+  for (let i = 0; i < bytes.length; i += font.codeLength) {
+    const code = bytes.slice(i, i + font.codeLength);
+    const value = [...code].reduce((total, char) => total * 256 + char.charCodeAt(0), 0);
+
+    let text;
+    if (font.toUnicode && font.toUnicode.has(code)) {
+      text = font.toUnicode.get(code);
+    } else if (font.composite) {
+      text = '';
+    } else if (font.differences[value] !== undefined) {
+      text = glyphText(font.differences[value]);
+    } else {
+      text = WIN_ANSI[value] || String.fromCharCode(value);
+    }
+
+    glyphs.push({ text, width: font.widths.has(value) ? font.widths.get(value) : font.defaultWidth, space: value === 32 && font.codeLength === 1 });
+  }
+  return glyphs;
+}
+
+// Running a page's content
+
+function resourceDict(resources, kind) {
+  const dict = resources instanceof PDFDict ? resources.lookup(PDFName.of(kind)) : null;
+  return dict instanceof PDFDict ? dict : null;
+}
+
+function runContent(source, resources, ctm, runs, fontCache, depth = 0) {
+  const fonts = resourceDict(resources, 'Font');
+  const xObjects = resourceDict(resources, 'XObject');
+  const states = [];
+  let state = { ctm, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, font: null, fontSize: 0 };
+  let textMatrix = IDENTITY;
+  let lineMatrix = IDENTITY;
+
+  const getFont = name => {
+    const ref = fonts ? fonts.get(PDFName.of(name)) : null;
+    if (!ref) {
+      return null;
+    }
+    if (!fontCache.has(ref)) {
+      const dict = fonts.lookup(PDFName.of(name));
+      fontCache.set(ref, dict instanceof PDFDict ? loadFont(dict) : null);
+    }
+    return fontCache.get(ref);
+  };
+
+  const moveLine = (tx, ty) => {
+    lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix;
+  };
+
+  const show = (bytes) => {
+    if (!state.font) {
+      return;
+    }
+    const matrix = multiply(textMatrix, state.ctm);
+    const size = state.fontSize * Math.hypot(matrix[2], matrix[3]);
+    let text = '';
+    let advance = 0;
+
+    decodeText(state.font, bytes).forEach(glyph => {
+      text += glyph.text;
+      advance += (glyph.width / 1000 * state.fontSize + state.charSpacing + (glyph.space ? state.wordSpacing : 0)) * state.scale;
+    });
+
+    if (text) {
+      const end = multiply([1, 0, 0, 1, advance, 0], matrix);
+      runs.push({ x: matrix[4], y: matrix[5], endX: end[4], size, text });
+    }
+    textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+  };
+
+  const numbers = operands => operands.map(operand => operand.value);
+
+  for (const { operator, operands } of operations(source)) {
+    switch (operator) {
+      case 'q':
+        states.push({ ...state });
+        break;
+      case 'Q':
+        state = states.pop() || state;
+        break;
+      case 'cm':
+        state.ctm = multiply(numbers(operands), state.ctm);
+        break;
+      case 'BT':
+        textMatrix = IDENTITY;
+        lineMatrix = IDENTITY;
+        break;
+      case 'Tf':
+        state.font = getFont(operands[0] && operands[0].value);
+        state.fontSize = operands[1] ? operands[1].value : 0;
+        break;
+      case 'Tc':
+        state.charSpacing = operands[0].value;
+        break;
+      case 'Tw':
+        state.wordSpacing = operands[0].value;
+        break;
+      case 'Tz':
+        state.scale = operands[0].value / 100;
+        break;
+      case 'TL':
+        state.leading = operands[0].value;
+        break;
+      case 'Td':
+        moveLine(operands[0].value, operands[1].value);
+        break;
+      case 'TD':
+        state.leading = -operands[1].value;
+        moveLine(operands[0].value, operands[1].value);
+        break;
+      case 'Tm':
+        lineMatrix = numbers(operands);
+        textMatrix = lineMatrix;
+        break;
+      case 'T*':
+        moveLine(0, -state.leading);
+        break;
+      case 'Tj':
+        show(operands[0] ? operands[0].value : '');
+        break;
+      case '\'':
+        moveLine(0, -state.leading);
+        show(operands[0] ? operands[0].value : '');
+        break;
+      case '"':
+        state.wordSpacing = operands[0].value;
+        state.charSpacing = operands[1].value;
+        moveLine(0, -state.leading);
+        show(operands[2] ? operands[2].value : '');
+        break;
+      case 'TJ':
+        (operands[0] ? operands[0].value : []).forEach(item => {
+          if (item.type === 'string') {
+            show(item.value);
+          } else if (item.type === 'number') {
+            textMatrix = multiply([1, 0, 0, 1, -item.value / 1000 * state.fontSize * state.scale, 0], textMatrix);
+          }
+        });
+        break;
+      case 'Do': {
+        const name = operands[0] && operands[0].value;
+        const xObject = xObjects && name ? xObjects.lookup(PDFName.of(name)) : null;
+        if (depth < 5 && xObject instanceof PDFRawStream && xObject.dict.lookup(PDFName.of('Subtype')) === PDFName.of('Form')) {
+          const formMatrix = xObject.dict.lookup(PDFName.of('Matrix'));
+          const matrix = formMatrix instanceof PDFArray
+            ? formMatrix.asArray().map(item => numberValue(item))
+            : IDENTITY;
+          runContent(
+            decodeStream(xObject), xObject.dict.lookup(PDFName.of('Resources')) || resources,
+            multiply(matrix, state.ctm), runs, fontCache, depth + 1
+          );
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+// Pieces of text drawn at about the same height make a line, read left to right
+function assembleLines(runs, page) {
+  const sorted = runs.filter(run => run.text.trim() || run.text === ' ')
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+  const rows = [];
+
+  sorted.forEach(run => {
+    const row = rows.find(candidate => Math.abs(candidate.y - run.y) <= Math.max(candidate.size, run.size) * 0.4);
+    if (row) {
+      row.runs.push(run);
+    } else {
+      rows.push({ y: run.y, size: run.size, runs: [run] });
+    }
+  });
+
+  return rows.sort((a, b) => b.y - a.y).map(row => {
+    const cells = [];
+    row.runs.sort((a, b) => a.x - b.x).forEach(run => {
+      const cell = cells[cells.length - 1];
+      const gap = cell ? run.x - cell.endX : 0;
+      const size = run.size || row.size || 10;
+
+      if (!cell || gap > size * 1.5) {
+        cells.push({ x: run.x, endX: run.endX, text: run.text });
+      } else {
+        cell.text += gap > size * 0.15 && !cell.text.endsWith(' ') && !run.text.startsWith(' ') ? ` ${run.text}` : run.text;
+        cell.endX = Math.max(cell.endX, run.endX);
+      }
+    });
+
+    const trimmed = cells
+      .map(cell => ({ x: Math.round(cell.x), text: cell.text.replace(/\s+/g, ' ').trim() }))
+      .filter(cell => cell.text);
+    return { page, y: Math.round(row.y), cells: trimmed, text: trimmed.map(cell => cell.text).join('  ') };
+  }).filter(line => line.cells.length > 0);
+}
+
+// The text of a PDF as lines, top to bottom and page by page: { pageCount, lines: [{ page, y,
+// cells: [{ x, text }], text }] }. Throws on files that are not PDFs.
+async function extractPdfText(buffer) {
+  const document = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  const pages = document.getPages();
+  const lines = [];
+
+  pages.forEach((page, index) => {
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map(item => contents.context.lookup(item))
+      : [contents];
+    const source = streams.filter(Boolean).map(decodeStream).join('\n');
+
+    const runs = [];
+    runContent(source, page.node.Resources(), IDENTITY, runs, new Map());
+    lines.push(...assembleLines(runs, index + 1));
+  });
+
+  return { pageCount: pages.length, lines };
+}
+
+module.exports = {
+  extractPdfText
+};
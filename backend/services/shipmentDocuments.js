@@ -0,0 +1,357 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { INCOTERMS } = require('./paymentTerms');
+const { AppError } = require('../middleware/errorHandler');
+
+// Shipping documents
+//
+// A shipment has at most one document of each type. Uploading a file for a type the shipment
+// already has adds a new version of that document rather than a second document; every version
+// is kept with its SHA-256 and uploader. A document starts as a draft, is issued, and an original
+// bill of lading is finally surrendered to release the cargo; it never moves back, and a
+// surrendered B/L takes no new versions. Files live under SHIPMENT_DOCUMENTS_PATH, outside the
+// public uploads folder, and are only served through the authenticated download route.
+//
+// Which documents a shipment needs depends on the agreement's Incoterm: the seller always
+// provides the commercial invoice and packing list; from FCA on it also hands over the transport
+// document (B/L) and certificate of origin, and under CIF and CIP the insurance certificate.
+// Only issued (or surrendered) documents count towards that.
+
+const SHIPMENT_DOCUMENTS_PATH = process.env.SHIPMENT_DOCUMENTS_PATH ||
+  path.join(__dirname, '../storage/shipment-documents');
+
+const DOCUMENT_TYPES = {
+  bill_of_lading: 'Bill of Lading',
+  commercial_invoice: 'Commercial Invoice',
+  packing_list: 'Packing List',
+  certificate_of_origin: 'Certificate of Origin',
+  insurance_certificate: 'Insurance Certificate'
+};
+
+const DOCUMENT_STATUSES = ['draft', 'issued', 'surrendered'];
+
+// The statuses a document can move to from each
+const STATUS_TRANSITIONS = {
+  draft: ['issued'],
+  issued: ['surrendered'],
+  surrendered: []
+};
+
+const FINAL_DOCUMENT_STATUSES = ['issued', 'surrendered'];
+
+const FILE_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
+
+const BASE_DOCUMENTS = ['commercial_invoice', 'packing_list'];
+const SHIPPED_DOCUMENTS = [...BASE_DOCUMENTS, 'bill_of_lading', 'certificate_of_origin'];
+const INSURED_DOCUMENTS = [...SHIPPED_DOCUMENTS, 'insurance_certificate'];
+
+const REQUIRED_DOCUMENTS = {
+  EXW: BASE_DOCUMENTS,
+  FCA: SHIPPED_DOCUMENTS,
+  FAS: SHIPPED_DOCUMENTS,
+  FOB: SHIPPED_DOCUMENTS,
+  CPT: SHIPPED_DOCUMENTS,
+  CFR: SHIPPED_DOCUMENTS,
+  CIP: INSURED_DOCUMENTS,
+  CIF: INSURED_DOCUMENTS,
+  DAP: SHIPPED_DOCUMENTS,
+  DPU: SHIPPED_DOCUMENTS,
+  DDP: SHIPPED_DOCUMENTS
+};
+
+// Multipart fields sent with the file
+const uploadShipmentDocumentSchema = Joi.object({
+  type: Joi.string().valid(...Object.keys(DOCUMENT_TYPES)).required(),
+  documentNumber: Joi.string().max(50).optional(),
+  // Upload straight as issued, e.g. a B/L the carrier has already issued
+  status: Joi.string().valid('draft', 'issued').optional()
+});
+
+const updateShipmentDocumentSchema = Joi.object({
+  status: Joi.string().valid(...DOCUMENT_STATUSES).optional(),
+  documentNumber: Joi.string().max(50).allow(null).optional()
+}).min(1);
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function checkTransition(document, status) {
+  if (status === document.status) {
+    return false;
+  }
+
+  if (!STATUS_TRANSITIONS[document.status].includes(status)) {
+    throw new AppError(`Cannot mark a ${document.status} document ${status}`, 409, 'INVALID_TRANSITION', {
+      status: document.status
+    });
+  }
+  if (status === 'surrendered' && document.document_type !== 'bill_of_lading') {
+    throw new AppError('Only a bill of lading is surrendered', 409, 'INVALID_TRANSITION', {
+      status: document.status
+    });
+  }
+  return true;
+}
+
+// Columns set when a document moves to `status`
+function statusColumns(status) {
+  return {
+    status,
+    ...(status === 'issued' ? { issued_at: new Date().toISOString() } : {}),
+    ...(status === 'surrendered' ? { surrendered_at: new Date().toISOString() } : {})
+  };
+}
+
+async function updateDocumentColumns(db, documentId, columns) {
+  const names = Object.keys(columns);
+  await db.runQuery(
+    `UPDATE shipment_documents SET ${names.map(name => `${name} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [...names.map(name => columns[name]), documentId]
+  );
+}
+
+// Documents with their current version's file and uploader
+const DOCUMENT_SELECT = `SELECT d.*, v.original_name, v.mime_type, v.file_size, v.sha256, v.created_at as uploaded_at,
+         u.email as uploaded_by_email
+  FROM shipment_documents d
+  JOIN shipment_document_versions v ON v.document_id = d.id AND v.version = d.current_version
+  JOIN users u ON u.id = v.uploaded_by`;
+
+async function listShipmentDocuments(db, shipmentId) {
+  return db.allQuery(`${DOCUMENT_SELECT} WHERE d.shipment_id = ? ORDER BY d.id`, [shipmentId]);
+}
+
+async function getShipmentDocument(db, shipmentId, documentId) {
+  const document = await db.getQuery(`${DOCUMENT_SELECT} WHERE d.id = ? AND d.shipment_id = ?`, [documentId, shipmentId]);
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+  return document;
+}
+
+// A document's versions, newest first
+async function listDocumentVersions(db, documentId) {
+  return db.allQuery(
+    `SELECT v.*, u.email as uploaded_by_email
+     FROM shipment_document_versions v
+     JOIN users u ON u.id = v.uploaded_by
+     WHERE v.document_id = ?
+     ORDER BY v.version DESC`,
+    [documentId]
+  );
+}
+
+async function getDocumentVersion(db, documentId, version) {
+  const row = await db.getQuery(
+    'SELECT * FROM shipment_document_versions WHERE document_id = ? AND version = ?',
+    [documentId, version]
+  );
+  if (!row) {
+    throw new AppError('Document version not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+  return row;
+}
+
+function documentFilePath(version) {
+  return path.join(SHIPMENT_DOCUMENTS_PATH, version.file_name);
+}
+
+// Store an uploaded file (multer's { originalname, mimetype, buffer }) as the next version of
+// the shipment's document of its type, creating the document on its first upload
+async function uploadShipmentDocument(db, shipment, userId, { type, documentNumber, status }, file) {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (!FILE_TYPES[extension] || FILE_TYPES[extension] !== file.mimetype) {
+    throw new AppError('Upload a PDF, JPEG or PNG file', 400, 'UNSUPPORTED_FILE_TYPE');
+  }
+
+  return db.withTransaction(async (tx) => {
+    const existing = await tx.getQuery(
+      'SELECT * FROM shipment_documents WHERE shipment_id = ? AND document_type = ?',
+      [shipment.id, type]
+    );
+
+    if (existing && existing.status === 'surrendered') {
+      throw new AppError('The bill of lading has been surrendered and can no longer change', 409, 'DOCUMENT_SURRENDERED');
+    }
+
+    const fileHash = sha256(file.buffer);
+    if (existing) {
+      const current = await getDocumentVersion(tx, existing.id, existing.current_version);
+      if (current.sha256 === fileHash) {
+        throw new AppError('This file is already the current version', 409, 'DOCUMENT_UNCHANGED');
+      }
+    }
+
+    const documentUuid = existing ? existing.uuid : uuidv4();
+    const version = existing ? existing.current_version + 1 : 1;
+    const versionUuid = uuidv4();
+    const fileName = path.join(shipment.uuid, documentUuid, `v${version}-${versionUuid}${extension}`);
+    const filePath = path.join(SHIPMENT_DOCUMENTS_PATH, fileName);
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, file.buffer);
+
+    try {
+      let documentId;
+      if (existing) {
+        const columns = { current_version: version };
+        if (documentNumber !== undefined) {
+          columns.document_number = documentNumber;
+        }
+        if (status && checkTransition(existing, status)) {
+          Object.assign(columns, statusColumns(status));
+        }
+        await updateDocumentColumns(tx, existing.id, columns);
+        documentId = existing.id;
+      } else {
+        const initial = statusColumns(status || 'draft');
+        const result = await tx.runQuery(
+          `INSERT INTO shipment_documents
+           (uuid, shipment_id, document_type, document_number, status, current_version, created_by, issued_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [documentUuid, shipment.id, type, documentNumber || null, initial.status, version, userId, initial.issued_at || null]
+        );
+        documentId = result.id;
+      }
+
+      await tx.runQuery(
+        `INSERT INTO shipment_document_versions
+         (uuid, document_id, version, file_name, original_name, mime_type, file_size, sha256, uploaded_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [versionUuid, documentId, version, fileName, file.originalname, file.mimetype, file.buffer.length, fileHash, userId]
+      );
+
+      return getShipmentDocument(tx, shipment.id, documentId);
+    } catch (error) {
+      fs.rmSync(filePath, { force: true });
+
+      if (error.code === 'SQLITE_CONSTRAINT' || error.code === '23505') {
+        throw new AppError('Another version of this document is being uploaded', 409, 'DOCUMENT_UPLOAD_IN_PROGRESS');
+      }
+      throw error;
+    }
+  });
+}
+
+// Change a document's status (forward only) or number
+async function updateShipmentDocument(db, shipmentId, documentId, { status, documentNumber }) {
+  const document = await getShipmentDocument(db, shipmentId, documentId);
+  const columns = {};
+
+  if (status && checkTransition(document, status)) {
+    Object.assign(columns, statusColumns(status));
+  }
+  if (documentNumber !== undefined) {
+    if (document.status === 'surrendered') {
+      throw new AppError('The bill of lading has been surrendered and can no longer change', 409, 'DOCUMENT_SURRENDERED');
+    }
+    columns.document_number = documentNumber;
+  }
+
+  if (Object.keys(columns).length > 0) {
+    await updateDocumentColumns(db, document.id, columns);
+  }
+  return getShipmentDocument(db, shipmentId, document.id);
+}
+
+// Which of the documents the Incoterm calls for the shipment has issued. Without an Incoterm
+// only the documents every shipment needs are checked.
+async function documentCompleteness(db, shipmentId, incoterm) {
+  const required = REQUIRED_DOCUMENTS[incoterm] || BASE_DOCUMENTS;
+  const documents = await listShipmentDocuments(db, shipmentId);
+
+  const checklist = required.map(type => {
+    const document = documents.find(row => row.document_type === type);
+    return {
+      type,
+      label: DOCUMENT_TYPES[type],
+      documentId: document ? document.id : null,
+      status: document ? document.status : 'missing'
+    };
+  });
+  const outstanding = checklist.filter(item => !FINAL_DOCUMENT_STATUSES.includes(item.status));
+
+  return {
+    incoterm: REQUIRED_DOCUMENTS[incoterm] ? incoterm : null,
+    incotermName: INCOTERMS[incoterm] || null,
+    complete: outstanding.length === 0,
+    required: checklist,
+    missing: outstanding.filter(item => item.status === 'missing').map(item => item.type),
+    drafts: outstanding.filter(item => item.status === 'draft').map(item => item.type)
+  };
+}
+
+// Delete every stored file of a deleted shipment's documents
+function removeShipmentDocumentFiles(shipment) {
+  fs.rmSync(path.join(SHIPMENT_DOCUMENTS_PATH, shipment.uuid), { recursive: true, force: true });
+}
+
+function formatDocumentVersion(version, shipmentId, document) {
+  return {
+    uuid: version.uuid,
+    version: version.version,
+    originalName: version.original_name,
+    mimeType: version.mime_type,
+    fileSize: version.file_size,
+    sha256: version.sha256,
+    uploadedBy: version.uploaded_by_email,
+    downloadUrl: `/api/shipments/${shipmentId}/documents/${document.id}/download?version=${version.version}`,
+    createdAt: version.created_at
+  };
+}
+
+function formatShipmentDocument(document) {
+  return {
+    id: document.id,
+    uuid: document.uuid,
+    type: document.document_type,
+    label: DOCUMENT_TYPES[document.document_type],
+    documentNumber: document.document_number,
+    status: document.status,
+    version: document.current_version,
+    originalName: document.original_name,
+    mimeType: document.mime_type,
+    fileSize: document.file_size,
+    sha256: document.sha256,
+    uploadedBy: document.uploaded_by_email,
+    uploadedAt: document.uploaded_at,
+    downloadUrl: `/api/shipments/${document.shipment_id}/documents/${document.id}/download`,
+    issuedAt: document.issued_at,
+    surrenderedAt: document.surrendered_at,
+    createdAt: document.created_at,
+    updatedAt: document.updated_at
+  };
+}
+
+module.exports = {
+  SHIPMENT_DOCUMENTS_PATH,
+  DOCUMENT_TYPES,
+  DOCUMENT_STATUSES,
+  REQUIRED_DOCUMENTS,
+  MAX_DOCUMENT_SIZE,
+  uploadShipmentDocumentSchema,
+  updateShipmentDocumentSchema,
+  listShipmentDocuments,
+  getShipmentDocument,
+  listDocumentVersions,
+  getDocumentVersion,
+  documentFilePath,
+  uploadShipmentDocument,
+  updateShipmentDocument,
+  documentCompleteness,
+  removeShipmentDocumentFiles,
+  formatShipmentDocument,
+  formatDocumentVersion
+};
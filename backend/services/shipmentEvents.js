@@ -0,0 +1,235 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { releaseEscrowOnDelivery } = require('./escrow');
+const { resolvePaymentTrigger } = require('./paymentTerms');
+const { resolveLocation, normalizeLocation } = require('./locations');
+const { AppError } = require('../middleware/errorHandler');
+
+// Shipment events
+//
+// A shipment's timeline is a list of dated events - picked up, departed, held by customs,
+// delivered - each with a location and where it came from (entered by a party, recorded by us,
+// or reported by a carrier). Events can arrive late and out of order, so they are kept by when
+// they happened, and the shipment's status is the status of the latest event that implies one.
+// Delivered and cancelled are final: later events still go on the timeline but do not reopen
+// the shipment; a party corrects that with PUT /api/shipments/:id.
+
+const SHIPMENT_EVENT_CODES = {
+  // Recorded when the shipment is entered, which can be after it has moved
+  CREATED: { label: 'Shipment created', status: null },
+  BOOKED: { label: 'Booking confirmed', status: 'pending' },
+  PICKED_UP: { label: 'Picked up from shipper', status: 'in_transit' },
+  GATE_IN: { label: 'Gated in at terminal', status: 'in_transit' },
+  LOADED: { label: 'Loaded', status: 'in_transit' },
+  DEPARTED: { label: 'Departed', status: 'in_transit' },
+  ARRIVED: { label: 'Arrived', status: 'in_transit' },
+  DISCHARGED: { label: 'Discharged', status: 'in_transit' },
+  CUSTOMS_HOLD: { label: 'Held by customs', status: 'delayed' },
+  CUSTOMS_CLEARED: { label: 'Cleared customs', status: 'in_transit' },
+  GATE_OUT: { label: 'Gated out of terminal', status: 'in_transit' },
+  OUT_FOR_DELIVERY: { label: 'Out for delivery', status: 'in_transit' },
+  DELIVERED: { label: 'Delivered', status: 'delivered' },
+  DELAYED: { label: 'Delayed', status: 'delayed' },
+  EXCEPTION: { label: 'Exception reported', status: 'delayed' },
+  CANCELLED: { label: 'Cancelled', status: 'cancelled' },
+  // Anything worth noting that does not change where the shipment is
+  NOTE: { label: 'Update', status: null }
+};
+
+const EVENT_SOURCES = ['manual', 'system', 'carrier'];
+
+// The event a status set directly through PUT is recorded as
+const STATUS_EVENT_CODES = {
+  pending: 'BOOKED',
+  in_transit: 'DEPARTED',
+  delivered: 'DELIVERED',
+  delayed: 'DELAYED',
+  cancelled: 'CANCELLED'
+};
+
+const FINAL_STATUSES = ['delivered', 'cancelled'];
+
+// How far ahead of our clock an event may be dated, for carriers whose clocks run fast
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Events that start and end the leg they belong to, setting its actual times
+const LEG_DEPARTURE_CODES = ['PICKED_UP', 'DEPARTED'];
+const LEG_ARRIVAL_CODES = ['ARRIVED', 'DISCHARGED', 'DELIVERED'];
+
+const STATUS_CODES = Object.keys(SHIPMENT_EVENT_CODES).filter(code => SHIPMENT_EVENT_CODES[code].status);
+
+const shipmentEventSchema = Joi.object({
+  eventCode: Joi.string().valid(...Object.keys(SHIPMENT_EVENT_CODES)).required(),
+  // Defaults to now
+  occurredAt: Joi.date().iso().optional(),
+  location: Joi.string().max(200).optional(),
+  description: Joi.string().max(500).optional(),
+  // The leg it happened on, if it belongs to one
+  legId: Joi.number().integer().optional()
+});
+
+async function listShipmentEvents(db, shipmentId) {
+  return db.allQuery(
+    'SELECT * FROM shipment_events WHERE shipment_id = ? ORDER BY occurred_at DESC, id DESC',
+    [shipmentId]
+  );
+}
+
+// What follows from a shipment's status changing: delivery releases escrow held against the
+// agreement (when the carrier or the buyer reports it), and the agreement's first shipment to
+// leave, and the first to arrive, date the installments waiting on them. `date` (YYYY-MM-DD)
+// is when it happened, today if not given; `source` is where the change came from.
+async function applyStatusChange(db, shipment, status, { actorId, date, source }) {
+  if (status === 'delivered' && shipment.status !== 'delivered') {
+    await releaseEscrowOnDelivery(db, shipment.trade_agreement_id, { actorId, source });
+  }
+
+  if (status === 'in_transit' && shipment.status === 'pending') {
+    await resolvePaymentTrigger(db, shipment.trade_agreement_id, 'shipment', date);
+  }
+  if (status === 'delivered' && shipment.status !== 'delivered') {
+    if (shipment.status === 'pending') {
+      await resolvePaymentTrigger(db, shipment.trade_agreement_id, 'shipment', date);
+    }
+    await resolvePaymentTrigger(db, shipment.trade_agreement_id, 'delivery', date);
+  }
+}
+
+// Store an event as it is, without touching the shipment's status. The location gets its
+// registry code; a carrier's `locationCode` (UN/LOCODE) is taken over its location's text.
+async function insertShipmentEvent(db, shipmentId, {
+  eventCode, occurredAt, location, locationCode, description, source, recordedBy, carrier, externalId, legId
+}) {
+  const listed = locationCode ? resolveLocation(locationCode) : null;
+  const place = normalizeLocation(location || (listed ? listed.code : null));
+
+  const result = await db.runQuery(
+    `INSERT INTO shipment_events
+     (uuid, shipment_id, event_code, description, location, location_code, occurred_at, source, recorded_by,
+      carrier, external_id, leg_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      uuidv4(), shipmentId, eventCode, description || SHIPMENT_EVENT_CODES[eventCode].label, place.name || null,
+      listed ? listed.code : place.code, (occurredAt || new Date()).toISOString(), source, recordedBy || null,
+      carrier || null, externalId || null, legId || null
+    ]
+  );
+
+  return db.getQuery('SELECT * FROM shipment_events WHERE id = ?', [result.id]);
+}
+
+// A departure or arrival sets the time on its leg: the earliest departure heard of, and the
+// first arrival
+async function updateLegTimes(db, event) {
+  if (LEG_DEPARTURE_CODES.includes(event.event_code)) {
+    await db.runQuery(
+      `UPDATE shipment_legs SET actual_departure = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND (actual_departure IS NULL OR actual_departure > ?)`,
+      [event.occurred_at, event.leg_id, event.occurred_at]
+    );
+  } else if (LEG_ARRIVAL_CODES.includes(event.event_code)) {
+    await db.runQuery(
+      'UPDATE shipment_legs SET actual_arrival = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND actual_arrival IS NULL',
+      [event.occurred_at, event.leg_id]
+    );
+  }
+}
+
+// Add an event to the timeline and move the shipment to the status its latest event implies.
+// An event on a leg also dates the leg's departure or arrival; delivery ends the last leg when
+// no leg is given. Returns the event and the shipment as it is afterwards.
+async function recordShipmentEvent(db, shipmentId, event, { source = 'manual', actorId = null } = {}) {
+  if (event.occurredAt && event.occurredAt.getTime() > Date.now() + CLOCK_SKEW_MS) {
+    throw new AppError('Events record what has happened; occurredAt cannot be in the future', 400, 'FUTURE_EVENT');
+  }
+
+  return db.withTransaction(async (tx) => {
+    const shipment = await tx.getQuery('SELECT * FROM shipments WHERE id = ?', [shipmentId]);
+
+    let leg = null;
+    if (event.legId) {
+      leg = await tx.getQuery('SELECT id FROM shipment_legs WHERE id = ? AND shipment_id = ?', [event.legId, shipmentId]);
+      if (!leg) {
+        throw new AppError('Leg not found', 404, 'LEG_NOT_FOUND');
+      }
+    } else if (event.eventCode === 'DELIVERED') {
+      leg = await tx.getQuery(
+        'SELECT id FROM shipment_legs WHERE shipment_id = ? ORDER BY leg_number DESC LIMIT 1',
+        [shipmentId]
+      );
+    }
+
+    const created = await insertShipmentEvent(tx, shipmentId, {
+      ...event,
+      legId: leg ? leg.id : null,
+      source,
+      recordedBy: actorId
+    });
+    if (leg) {
+      await updateLegTimes(tx, created);
+    }
+
+    const latest = await tx.getQuery(
+      `SELECT * FROM shipment_events WHERE shipment_id = ? AND event_code IN (${STATUS_CODES.map(() => '?').join(', ')})
+       ORDER BY occurred_at DESC, id DESC LIMIT 1`,
+      [shipmentId, ...STATUS_CODES]
+    );
+    const status = latest ? SHIPMENT_EVENT_CODES[latest.event_code].status : shipment.status;
+
+    if (status !== shipment.status && !FINAL_STATUSES.includes(shipment.status)) {
+      const date = latest.occurred_at.slice(0, 10);
+
+      if (status === 'delivered' && !shipment.actual_delivery) {
+        await tx.runQuery(
+          'UPDATE shipments SET status = ?, actual_delivery = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [status, latest.occurred_at, shipmentId]
+        );
+      } else {
+        await tx.runQuery(
+          'UPDATE shipments SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [status, shipmentId]
+        );
+      }
+
+      await applyStatusChange(tx, shipment, status, { actorId, date, source });
+    }
+
+    return {
+      event: created,
+      shipment: await tx.getQuery('SELECT * FROM shipments WHERE id = ?', [shipmentId])
+    };
+  });
+}
+
+function formatShipmentEvent(event) {
+  return {
+    id: event.id,
+    uuid: event.uuid,
+    eventCode: event.event_code,
+    status: SHIPMENT_EVENT_CODES[event.event_code] ? SHIPMENT_EVENT_CODES[event.event_code].status : null,
+    description: event.description,
+    location: event.location,
+    locationCode: event.location_code || null,
+    occurredAt: event.occurred_at,
+    source: event.source,
+    carrier: event.carrier,
+    externalId: event.external_id,
+    legId: event.leg_id,
+    recordedBy: event.recorded_by,
+    createdAt: event.created_at
+  };
+}
+
+module.exports = {
+  SHIPMENT_EVENT_CODES,
+  EVENT_SOURCES,
+  STATUS_EVENT_CODES,
+  FINAL_STATUSES,
+  CLOCK_SKEW_MS,
+  shipmentEventSchema,
+  listShipmentEvents,
+  applyStatusChange,
+  insertShipmentEvent,
+  recordShipmentEvent,
+  formatShipmentEvent
+};
@@ -0,0 +1,539 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { CLOCK_SKEW_MS, FINAL_STATUSES } = require('./shipmentEvents');
+const { PARTICIPANT_AGREEMENT_IDS } = require('./participants');
+const { normalizeLocation } = require('./locations');
+const { AppError } = require('../middleware/errorHandler');
+
+// Shipment legs and containers
+//
+// Cargo rarely makes one hop: it goes by truck to the port, by vessel to another port and by
+// truck again, each leg with its own carrier and reference (a CMR, a bill of lading, an air
+// waybill), and often in several containers. A shipment's origin, destination, carrier and
+// tracking number describe the whole journey; its legs, numbered from 1, describe the route.
+//
+// Progress is worked out across the legs. Each leg counts by its planned duration when every
+// leg has planned times, and equally otherwise. An arrived leg is done; a departed one is as far
+// along as the time since departure is of its planned duration (half way if it has no plan),
+// and never quite done until it arrives. Only a delivered shipment is at 100%.
+
+const LEG_MODES = ['truck', 'rail', 'sea', 'air', 'barge'];
+
+// Four letters (owner and category) and seven digits, e.g. MSCU1234565
+const CONTAINER_NUMBER_PATTERN = /^[A-Z]{4}\d{7}$/;
+
+// Request field -> shipment_legs column
+const LEG_FIELDS = {
+  mode: 'mode',
+  carrier: 'carrier',
+  trackingReference: 'tracking_reference',
+  origin: 'origin',
+  destination: 'destination',
+  plannedDeparture: 'planned_departure',
+  plannedArrival: 'planned_arrival',
+  actualDeparture: 'actual_departure',
+  actualArrival: 'actual_arrival'
+};
+
+const CONTAINER_FIELDS = {
+  containerNumber: 'container_number',
+  sealNumber: 'seal_number',
+  weightKg: 'weight_kg'
+};
+
+const legTime = Joi.date().iso().allow(null);
+
+const legFields = {
+  mode: Joi.string().valid(...LEG_MODES),
+  carrier: Joi.string().min(2).max(50).allow(null),
+  trackingReference: Joi.string().max(50).allow(null),
+  origin: Joi.string().min(2).max(100),
+  destination: Joi.string().min(2).max(100),
+  plannedDeparture: legTime,
+  plannedArrival: legTime,
+  actualDeparture: legTime,
+  actualArrival: legTime
+};
+
+const shipmentLegSchema = Joi.object({
+  ...legFields,
+  mode: legFields.mode.required(),
+  origin: legFields.origin.required(),
+  destination: legFields.destination.required()
+});
+
+const updateShipmentLegSchema = Joi.object(legFields).min(1);
+
+const containerFields = {
+  containerNumber: Joi.string().trim().uppercase().replace(/[\s-]/g, '').pattern(CONTAINER_NUMBER_PATTERN)
+    .messages({ 'string.pattern.base': '"containerNumber" must be four letters and seven digits, e.g. MSCU1234565' }),
+  sealNumber: Joi.string().max(30).allow(null),
+  weightKg: Joi.number().positive().allow(null)
+};
+
+const shipmentContainerSchema = Joi.object({
+  ...containerFields,
+  containerNumber: containerFields.containerNumber.required()
+});
+
+const updateShipmentContainerSchema = Joi.object(containerFields).min(1);
+
+function toIso(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+// Columns for a leg's changes. `leg` is the leg as stored, if it is being changed, so the times
+// are checked as they will be.
+function legColumns(changes, leg = {}) {
+  const columns = {};
+  Object.keys(LEG_FIELDS).forEach(field => {
+    if (changes[field] !== undefined) {
+      columns[LEG_FIELDS[field]] = toIso(changes[field]);
+    }
+  });
+
+  // Origin and destination keep their registry codes alongside
+  ['origin', 'destination'].forEach(column => {
+    if (columns[column] !== undefined) {
+      const place = normalizeLocation(columns[column]);
+      columns[column] = place.name;
+      columns[`${column}_code`] = place.code;
+    }
+  });
+
+  const merged = { ...leg, ...columns };
+  const before = (from, to) => merged[from] && merged[to] && Date.parse(merged[to]) < Date.parse(merged[from]);
+
+  if (before('planned_departure', 'planned_arrival')) {
+    throw new AppError('A leg cannot be planned to arrive before it departs', 400, 'INVALID_LEG_TIMES');
+  }
+  if (before('actual_departure', 'actual_arrival')) {
+    throw new AppError('A leg cannot arrive before it departs', 400, 'INVALID_LEG_TIMES');
+  }
+  ['actual_departure', 'actual_arrival'].forEach(column => {
+    if (columns[column] && Date.parse(columns[column]) > Date.now() + CLOCK_SKEW_MS) {
+      throw new AppError('Actual times record what has happened; they cannot be in the future', 400, 'FUTURE_EVENT');
+    }
+  });
+
+  return columns;
+}
+
+async function listShipmentLegs(db, shipmentId) {
+  return db.allQuery('SELECT * FROM shipment_legs WHERE shipment_id = ? ORDER BY leg_number', [shipmentId]);
+}
+
+async function listShipmentContainers(db, shipmentId) {
+  return db.allQuery('SELECT * FROM shipment_containers WHERE shipment_id = ? ORDER BY id', [shipmentId]);
+}
+
+// The legs of several shipments at once, by shipment ID
+async function legsByShipment(db, shipmentIds) {
+  const byShipment = new Map(shipmentIds.map(id => [id, []]));
+  if (shipmentIds.length === 0) {
+    return byShipment;
+  }
+
+  const legs = await db.allQuery(
+    `SELECT * FROM shipment_legs WHERE shipment_id IN (${shipmentIds.map(() => '?').join(', ')})
+     ORDER BY shipment_id, leg_number`,
+    shipmentIds
+  );
+  legs.forEach(leg => byShipment.get(leg.shipment_id).push(leg));
+  return byShipment;
+}
+
+// A carrier name as a comparable key: "Acme Freight", "acme-freight" and "ACME_FREIGHT" are one carrier
+function carrierKey(name) {
+  return String(name).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+function carrierKeySql(column) {
+  return `LOWER(REPLACE(REPLACE(REPLACE(${column}, ' ', ''), '-', ''), '_', ''))`;
+}
+
+const FINAL_PLACEHOLDERS = FINAL_STATUSES.map(() => '?').join(', ');
+
+// A carrier's reference has to lead to one shipment, so no other shipment under way may use it
+// with the same carrier, as its tracking number or as a leg's reference
+async function assertReferenceUnused(db, shipmentId, { carrier, trackingReference }) {
+  if (!carrier || !trackingReference) {
+    return;
+  }
+
+  const key = carrierKey(carrier);
+  const existing = await db.getQuery(
+    `SELECT s.id FROM shipments s
+     WHERE s.id != ? AND s.status NOT IN (${FINAL_PLACEHOLDERS})
+       AND ((s.tracking_number = ? AND ${carrierKeySql('s.carrier')} = ?)
+         OR EXISTS (
+           SELECT 1 FROM shipment_legs l
+           WHERE l.shipment_id = s.id AND l.tracking_reference = ? AND ${carrierKeySql('l.carrier')} = ?
+         ))
+     LIMIT 1`,
+    [shipmentId, ...FINAL_STATUSES, trackingReference, key, trackingReference, key]
+  );
+  if (existing) {
+    throw new AppError(
+      `${carrier} reference ${trackingReference} is already used by another shipment`,
+      409,
+      'REFERENCE_IN_USE'
+    );
+  }
+}
+
+// Add legs after the shipment's last one, in the order given. `leg.carrier` defaults to the
+// shipment's carrier.
+async function insertShipmentLegs(db, shipment, legs) {
+  const last = await db.getQuery(
+    'SELECT MAX(leg_number) as leg_number FROM shipment_legs WHERE shipment_id = ?',
+    [shipment.id]
+  );
+  let legNumber = (last && last.leg_number) || 0;
+  const ids = [];
+
+  for (const leg of legs) {
+    const columns = legColumns({ carrier: shipment.carrier, ...leg });
+    await assertReferenceUnused(db, shipment.id, { carrier: columns.carrier, trackingReference: columns.tracking_reference });
+    const names = Object.keys(columns);
+
+    const result = await db.runQuery(
+      `INSERT INTO shipment_legs (uuid, shipment_id, leg_number, ${names.join(', ')})
+       VALUES (?, ?, ?, ${names.map(() => '?').join(', ')})`,
+      [uuidv4(), shipment.id, ++legNumber, ...names.map(name => columns[name])]
+    );
+    ids.push(result.id);
+  }
+
+  return ids;
+}
+
+async function getShipmentLeg(db, shipmentId, legId) {
+  const leg = await db.getQuery('SELECT * FROM shipment_legs WHERE id = ? AND shipment_id = ?', [legId, shipmentId]);
+  if (!leg) {
+    throw new AppError('Leg not found', 404, 'LEG_NOT_FOUND');
+  }
+  return leg;
+}
+
+async function updateShipmentLeg(db, shipmentId, legId, changes) {
+  const leg = await getShipmentLeg(db, shipmentId, legId);
+  const columns = legColumns(changes, leg);
+  if (columns.carrier !== undefined || columns.tracking_reference !== undefined) {
+    const merged = { ...leg, ...columns };
+    await assertReferenceUnused(db, shipmentId, { carrier: merged.carrier, trackingReference: merged.tracking_reference });
+  }
+  const names = Object.keys(columns);
+
+  await db.runQuery(
+    `UPDATE shipment_legs SET ${names.map(name => `${name} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...names.map(name => columns[name]), leg.id]
+  );
+  return db.getQuery('SELECT * FROM shipment_legs WHERE id = ?', [leg.id]);
+}
+
+// Remove a leg and close the gap in the numbering. Its events stay on the timeline, no longer
+// tied to a leg.
+async function removeShipmentLeg(db, shipmentId, legId) {
+  return db.withTransaction(async (tx) => {
+    const leg = await getShipmentLeg(tx, shipmentId, legId);
+    const legs = await listShipmentLegs(tx, shipmentId);
+    if (legs.length === 1) {
+      throw new AppError('A shipment needs at least one leg', 409, 'LAST_LEG');
+    }
+
+    await tx.runQuery('UPDATE shipment_events SET leg_id = NULL WHERE leg_id = ?', [leg.id]);
+    await tx.runQuery('DELETE FROM shipment_legs WHERE id = ?', [leg.id]);
+
+    // One at a time and in order, so no two legs share a number on the way
+    for (const later of legs.filter(other => other.leg_number > leg.leg_number)) {
+      await tx.runQuery('UPDATE shipment_legs SET leg_number = ? WHERE id = ?', [later.leg_number - 1, later.id]);
+    }
+  });
+}
+
+function containerColumns(changes) {
+  const columns = {};
+  Object.keys(CONTAINER_FIELDS).forEach(field => {
+    if (changes[field] !== undefined) {
+      columns[CONTAINER_FIELDS[field]] = changes[field];
+    }
+  });
+  return columns;
+}
+
+// The shipment's own carrier and its legs', as carrierKey()s
+async function shipmentCarrierKeys(db, shipmentId) {
+  const rows = await db.allQuery(
+    `SELECT carrier FROM shipments WHERE id = ? AND carrier IS NOT NULL
+     UNION SELECT carrier FROM shipment_legs WHERE shipment_id = ? AND carrier IS NOT NULL`,
+    [shipmentId, shipmentId]
+  );
+  return [...new Set(rows.map(row => carrierKey(row.carrier)))];
+}
+
+// A container is listed once per shipment, and is on only one shipment under way with any of
+// the same carriers, so their events for it lead to one shipment
+async function assertContainerUnused(db, shipmentId, containerNumber, exceptId = null) {
+  const existing = await db.getQuery(
+    'SELECT id FROM shipment_containers WHERE shipment_id = ? AND container_number = ? AND id != ?',
+    [shipmentId, containerNumber, exceptId || 0]
+  );
+  if (existing) {
+    throw new AppError(`Container ${containerNumber} is already on this shipment`, 409, 'CONTAINER_EXISTS');
+  }
+
+  const carriers = await shipmentCarrierKeys(db, shipmentId);
+  if (carriers.length === 0) {
+    return;
+  }
+  const carrierPlaceholders = carriers.map(() => '?').join(', ');
+  const elsewhere = await db.getQuery(
+    `SELECT s.id FROM shipments s
+     JOIN shipment_containers c ON c.shipment_id = s.id
+     WHERE c.container_number = ? AND s.id != ? AND s.status NOT IN (${FINAL_PLACEHOLDERS})
+       AND (${carrierKeySql('s.carrier')} IN (${carrierPlaceholders}) OR EXISTS (
+         SELECT 1 FROM shipment_legs l WHERE l.shipment_id = s.id AND ${carrierKeySql('l.carrier')} IN (${carrierPlaceholders})
+       ))
+     LIMIT 1`,
+    [containerNumber, shipmentId, ...FINAL_STATUSES, ...carriers, ...carriers]
+  );
+  if (elsewhere) {
+    throw new AppError(
+      `Container ${containerNumber} is already on another shipment under way with the same carrier`,
+      409,
+      'CONTAINER_IN_USE'
+    );
+  }
+}
+
+async function insertShipmentContainers(db, shipmentId, containers) {
+  const ids = [];
+
+  for (const container of containers) {
+    await assertContainerUnused(db, shipmentId, container.containerNumber);
+    const columns = containerColumns(container);
+    const names = Object.keys(columns);
+
+    const result = await db.runQuery(
+      `INSERT INTO shipment_containers (uuid, shipment_id, ${names.join(', ')})
+       VALUES (?, ?, ${names.map(() => '?').join(', ')})`,
+      [uuidv4(), shipmentId, ...names.map(name => columns[name])]
+    );
+    ids.push(result.id);
+  }
+
+  return ids;
+}
+
+async function getShipmentContainer(db, shipmentId, containerId) {
+  const container = await db.getQuery(
+    'SELECT * FROM shipment_containers WHERE id = ? AND shipment_id = ?',
+    [containerId, shipmentId]
+  );
+  if (!container) {
+    throw new AppError('Container not found', 404, 'CONTAINER_NOT_FOUND');
+  }
+  return container;
+}
+
+async function updateShipmentContainer(db, shipmentId, containerId, changes) {
+  const container = await getShipmentContainer(db, shipmentId, containerId);
+  if (changes.containerNumber) {
+    await assertContainerUnused(db, shipmentId, changes.containerNumber, container.id);
+  }
+
+  const columns = containerColumns(changes);
+  const names = Object.keys(columns);
+  await db.runQuery(
+    `UPDATE shipment_containers SET ${names.map(name => `${name} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...names.map(name => columns[name]), container.id]
+  );
+  return db.getQuery('SELECT * FROM shipment_containers WHERE id = ?', [container.id]);
+}
+
+async function removeShipmentContainer(db, shipmentId, containerId) {
+  const container = await getShipmentContainer(db, shipmentId, containerId);
+  await db.runQuery('DELETE FROM shipment_containers WHERE id = ?', [container.id]);
+}
+
+// The shipment a carrier or user's reference points to, and the leg when it is a leg's own
+// reference: its tracking number, a leg's tracking reference, or a container number. A
+// container travels on many shipments over time, so the one still under way, or else the most
+// recent, is taken. A reference on more than one shipment under way is refused rather than
+// guessed at (409 AMBIGUOUS_REFERENCE), as an event for the wrong one could release its escrow.
+// With a `userId`, only shipments that user can see are searched; with a `carrier`, only
+// shipments and legs that carrier moves, so it cannot report on anyone else's.
+async function findShipmentByReference(db, references, { userId, carrier } = {}) {
+  const values = references.filter(Boolean).map(String);
+  if (values.length === 0) {
+    return null;
+  }
+  const placeholders = values.map(() => '?').join(', ');
+  const visible = userId ? ` AND (s.user_id = ? OR s.trade_agreement_id IN (${PARTICIPANT_AGREEMENT_IDS}))` : '';
+  const visibleParams = userId ? [userId, userId] : [];
+  const carrierParams = carrier ? [carrierKey(carrier)] : [];
+
+  // Each shipment the references lead to, with the leg when that is how it was found
+  const matches = [];
+
+  const byTrackingNumber = await db.allQuery(
+    `SELECT s.id FROM shipments s WHERE s.tracking_number IN (${placeholders})${visible}
+     ${carrier ? `AND ${carrierKeySql('s.carrier')} = ?` : ''}`,
+    [...values, ...visibleParams, ...carrierParams]
+  );
+  byTrackingNumber.forEach(row => matches.push({ shipmentId: row.id, leg: null }));
+
+  const legs = await db.allQuery(
+    `SELECT l.* FROM shipment_legs l
+     JOIN shipments s ON s.id = l.shipment_id
+     WHERE l.tracking_reference IN (${placeholders})${visible}
+     ${carrier ? `AND ${carrierKeySql('l.carrier')} = ?` : ''}
+     ORDER BY l.leg_number`,
+    [...values, ...visibleParams, ...carrierParams]
+  );
+  legs.forEach(leg => matches.push({ shipmentId: leg.shipment_id, leg }));
+
+  // A container is the carrier's when it carries the shipment or one of its legs
+  const containerNumbers = values.map(value => value.replace(/[\s-]/g, '').toUpperCase());
+  const byContainer = await db.allQuery(
+    `SELECT DISTINCT s.id FROM shipments s
+     JOIN shipment_containers c ON c.shipment_id = s.id
+     WHERE c.container_number IN (${containerNumbers.map(() => '?').join(', ')})${visible}
+     ${carrier ? `AND (${carrierKeySql('s.carrier')} = ? OR EXISTS (
+       SELECT 1 FROM shipment_legs cl WHERE cl.shipment_id = s.id AND ${carrierKeySql('cl.carrier')} = ?
+     ))` : ''}`,
+    [...containerNumbers, ...visibleParams, ...carrierParams, ...carrierParams]
+  );
+  byContainer.forEach(row => matches.push({ shipmentId: row.id, leg: null }));
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const ids = [...new Set(matches.map(match => match.shipmentId))];
+  const shipments = await db.allQuery(
+    `SELECT * FROM shipments WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY id DESC`,
+    ids
+  );
+  const underWay = shipments.filter(shipment => !FINAL_STATUSES.includes(shipment.status));
+
+  if (underWay.length > 1) {
+    throw new AppError('This reference is on more than one shipment under way', 409, 'AMBIGUOUS_REFERENCE');
+  }
+
+  const shipment = underWay[0] || shipments[0];
+  return { shipment, leg: matches.find(match => match.shipmentId === shipment.id).leg };
+}
+
+function legStatus(leg) {
+  if (leg.actual_arrival) {
+    return 'arrived';
+  }
+  return leg.actual_departure ? 'in_transit' : 'planned';
+}
+
+function plannedDuration(leg) {
+  if (!leg.planned_departure || !leg.planned_arrival) {
+    return null;
+  }
+  const duration = Date.parse(leg.planned_arrival) - Date.parse(leg.planned_departure);
+  return duration > 0 ? duration : null;
+}
+
+// How far along a leg is, from 0 to 1
+function legFraction(leg, now) {
+  if (leg.actual_arrival) {
+    return 1;
+  }
+  if (!leg.actual_departure) {
+    return 0;
+  }
+
+  const duration = plannedDuration(leg);
+  if (!duration) {
+    return 0.5;
+  }
+  return Math.min(Math.max((now.getTime() - Date.parse(leg.actual_departure)) / duration, 0), 0.95);
+}
+
+// { percent, legsCompleted, legCount, currentLeg } where currentLeg is the number of the first
+// leg not yet arrived, until the shipment is delivered
+function shipmentProgress(shipment, legs, now = new Date()) {
+  const current = legs.find(leg => !leg.actual_arrival);
+  const progress = {
+    percent: 0,
+    legsCompleted: legs.filter(leg => leg.actual_arrival).length,
+    legCount: legs.length,
+    currentLeg: current ? current.leg_number : null
+  };
+
+  if (shipment.status === 'delivered') {
+    return { ...progress, percent: 100, currentLeg: null };
+  }
+  if (legs.length === 0) {
+    return progress;
+  }
+
+  const weighted = legs.every(plannedDuration);
+  const weight = leg => (weighted ? plannedDuration(leg) : 1);
+  const total = legs.reduce((sum, leg) => sum + weight(leg), 0);
+  const done = legs.reduce((sum, leg) => sum + weight(leg) * legFraction(leg, now), 0);
+
+  return { ...progress, percent: Math.min(99, Math.round(done / total * 100)) };
+}
+
+function formatShipmentLeg(leg) {
+  return {
+    id: leg.id,
+    uuid: leg.uuid,
+    legNumber: leg.leg_number,
+    mode: leg.mode,
+    carrier: leg.carrier,
+    trackingReference: leg.tracking_reference,
+    origin: leg.origin,
+    originCode: leg.origin_code || null,
+    destination: leg.destination,
+    destinationCode: leg.destination_code || null,
+    plannedDeparture: leg.planned_departure,
+    plannedArrival: leg.planned_arrival,
+    actualDeparture: leg.actual_departure,
+    actualArrival: leg.actual_arrival,
+    status: legStatus(leg),
+    createdAt: leg.created_at,
+    updatedAt: leg.updated_at
+  };
+}
+
+function formatShipmentContainer(container) {
+  return {
+    id: container.id,
+    uuid: container.uuid,
+    containerNumber: container.container_number,
+    sealNumber: container.seal_number,
+    weightKg: container.weight_kg === null ? null : Number(container.weight_kg),
+    createdAt: container.created_at,
+    updatedAt: container.updated_at
+  };
+}
+
+module.exports = {
+  LEG_MODES,
+  shipmentLegSchema,
+  updateShipmentLegSchema,
+  shipmentContainerSchema,
+  updateShipmentContainerSchema,
+  listShipmentLegs,
+  listShipmentContainers,
+  legsByShipment,
+  insertShipmentLegs,
+  updateShipmentLeg,
+  removeShipmentLeg,
+  insertShipmentContainers,
+  updateShipmentContainer,
+  removeShipmentContainer,
+  findShipmentByReference,
+  shipmentProgress,
+  formatShipmentLeg,
+  formatShipmentContainer
+};
@@ -0,0 +1,136 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { getParticipantAgreement } = require('./participants');
+const { allocateLineItems, listAllocations } = require('./lineItems');
+const { insertShipmentEvent } = require('./shipmentEvents');
+const { normalizeLocation } = require('./locations');
+const {
+  shipmentLegSchema, shipmentContainerSchema, insertShipmentLegs, insertShipmentContainers, listShipmentLegs,
+  listShipmentContainers
+} = require('./shipmentLegs');
+const { AppError } = require('../middleware/errorHandler');
+
+// Creating shipments
+//
+// The fields a new shipment accepts and the checks and writes behind POST /api/shipments, shared
+// with bulk imports.
+
+const createShipmentSchema = Joi.object({
+  tradeAgreementId: Joi.number().integer().required(),
+  trackingNumber: Joi.string().min(5).max(50).required(),
+  carrier: Joi.string().min(2).max(50).required(),
+  origin: Joi.string().min(2).max(100).required(),
+  destination: Joi.string().min(2).max(100).required(),
+  estimatedDelivery: Joi.date().optional(),
+  // The agreement lines, and how much of each, this shipment carries
+  lineItems: Joi.array().items(Joi.object({
+    lineItemId: Joi.number().integer().required(),
+    quantity: Joi.number().positive().required()
+  })).min(1).optional(),
+  // The route, in order; without it the shipment is one leg from origin to destination
+  legs: Joi.array().items(shipmentLegSchema).min(1).optional(),
+  containers: Joi.array().items(shipmentContainerSchema).optional()
+});
+
+// Store a pending shipment, with its legs and containers, from validated create fields. The user
+// must be a buyer, seller or creator on the agreement, and the tracking number unused.
+async function createShipment(db, user, value) {
+  const {
+    tradeAgreementId,
+    trackingNumber,
+    carrier,
+    origin,
+    destination,
+    estimatedDelivery,
+    lineItems,
+    legs,
+    containers
+  } = value;
+
+  return db.withTransaction(async (tx) => {
+    // Verify the user is a party to the trade agreement (observers can only view)
+    const tradeAgreement = await getParticipantAgreement(tx, tradeAgreementId, user.id);
+
+    if (!tradeAgreement) {
+      throw new AppError('Trade agreement not found', 404, 'TRADE_AGREEMENT_NOT_FOUND');
+    }
+
+    if (tradeAgreement.roles.every(role => role === 'observer')) {
+      throw new AppError('Observers cannot add shipments', 403, 'NOT_PARTY');
+    }
+
+    // Check if tracking number already exists
+    const existingShipment = await tx.getQuery(
+      'SELECT id FROM shipments WHERE tracking_number = ?',
+      [trackingNumber]
+    );
+
+    if (existingShipment) {
+      throw new AppError('Tracking number already exists', 409, 'TRACKING_NUMBER_EXISTS');
+    }
+
+    // Check the lines first, inside the transaction so two shipments cannot overbook a line
+    const allocations = lineItems
+      ? await allocateLineItems(tx, tradeAgreementId, lineItems, 'shipment_line_items')
+      : [];
+
+    const from = normalizeLocation(origin);
+    const to = normalizeLocation(destination);
+
+    const result = await tx.runQuery(
+      `INSERT INTO shipments 
+       (uuid, trade_agreement_id, user_id, tracking_number, carrier, origin, destination, 
+        status, estimated_delivery, origin_code, destination_code)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(), tradeAgreementId, user.id, trackingNumber, carrier,
+        from.name, to.name, 'pending', estimatedDelivery, from.code, to.code
+      ]
+    );
+
+    for (const allocation of allocations) {
+      await tx.runQuery(
+        'INSERT INTO shipment_line_items (shipment_id, line_item_id, quantity) VALUES (?, ?, ?)',
+        [result.id, allocation.line.id, allocation.quantity]
+      );
+    }
+
+    const [firstLegId] = await insertShipmentLegs(tx, { id: result.id, carrier }, legs || [{
+      trackingReference: trackingNumber,
+      origin,
+      destination,
+      plannedArrival: estimatedDelivery
+    }]);
+    await insertShipmentContainers(tx, result.id, containers || []);
+
+    // The timeline starts here
+    await insertShipmentEvent(tx, result.id, {
+      eventCode: 'CREATED',
+      location: origin,
+      source: 'system',
+      recordedBy: user.id,
+      legId: firstLegId
+    });
+
+    // Get created shipment
+    const shipment = await tx.getQuery(
+      `SELECT s.*, ta.agreement_name, ta.buyer_company, ta.seller_company 
+       FROM shipments s 
+       JOIN trade_agreements ta ON s.trade_agreement_id = ta.id 
+       WHERE s.id = ?`,
+      [result.id]
+    );
+
+    return {
+      shipment,
+      allocations: await listAllocations(tx, 'shipment_line_items', 'shipment_id', result.id),
+      legs: await listShipmentLegs(tx, result.id),
+      containers: await listShipmentContainers(tx, result.id)
+    };
+  });
+}
+
+module.exports = {
+  createShipmentSchema,
+  createShipment
+};
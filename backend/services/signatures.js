@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../middleware/errorHandler');
+const { createNotification } = require('./notifications');
+const { sendMail } = require('./mailer');
+const { getParticipantUserIds } = require('./participants');
+const { CONTRACTS_PATH, getContractDocument, contractFilePath } = require('./contracts');
+
+// Contract signatures
+//
+// The buyer and seller each sign the latest contract version of an approved or active
+// agreement. A signature records the typed name, time, IP address and the SHA-256 of the exact
+// version signed, and needs the signer's password or a one-time code emailed to them. Once both
+// parties have signed, the agreement is marked signed - its terms and contract can no longer
+// change - and a copy of the contract with a signature certificate page appended is stored.
+
+const SIGNING_STATUSES = ['approved', 'active'];
+const PARTY_ROLES = ['buyer', 'seller'];
+
+const SIGNING_CODE_TTL_MINUTES = parseInt(process.env.SIGNING_CODE_TTL_MINUTES, 10) || 10;
+const SIGNING_CODE_MAX_ATTEMPTS = 5;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+async function listSignatures(db, contractDocumentId) {
+  return db.allQuery(
+    `SELECT s.*, u.email as signer_email
+     FROM contract_signatures s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.contract_document_id = ?
+     ORDER BY s.id`,
+    [contractDocumentId]
+  );
+}
+
+// The latest contract version with its signatures and the parties still to sign
+async function getSigningStatus(db, agreement) {
+  const document = await getContractDocument(db, agreement.id);
+  const signatures = document ? await listSignatures(db, document.id) : [];
+  const signedRoles = signatures.map(signature => signature.party_role);
+
+  return {
+    document,
+    signatures,
+    pendingRoles: PARTY_ROLES.filter(role => !signedRoles.includes(role)),
+    signed: Boolean(agreement.signed_at)
+  };
+}
+
+// Create a one-time signing code for the user and email it to them
+async function sendSigningCode(db, agreement, user) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const expiresAt = new Date(Date.now() + SIGNING_CODE_TTL_MINUTES * 60 * 1000).toISOString();
+
+  // A new code replaces any earlier one
+  await db.runQuery(
+    `UPDATE signing_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE trade_agreement_id = ? AND user_id = ? AND used_at IS NULL`,
+    [agreement.id, user.id]
+  );
+  await db.runQuery(
+    'INSERT INTO signing_codes (trade_agreement_id, user_id, code_hash, expires_at) VALUES (?, ?, ?, ?)',
+    [agreement.id, user.id, sha256(code), expiresAt]
+  );
+
+  // The code stays in the body; subjects show up in inbox previews and the mailer's log
+  await sendMail({
+    to: user.email,
+    subject: `Your TradeBridge signing code for "${agreement.agreement_name}"`,
+    text: `Use ${code} to sign the contract for "${agreement.agreement_name}".\n\n` +
+      `The code expires in ${SIGNING_CODE_TTL_MINUTES} minutes. If you did not ask to sign, ignore this email.\n`
+  });
+
+  return { expiresAt };
+}
+
+// Check the signer's re-entered password or one-time code. Runs outside the signing
+// transaction so failed code attempts are counted even though the signature is refused.
+async function verifySigner(db, agreement, user, { password, otp }) {
+  if (password) {
+    const row = await db.getQuery('SELECT password_hash FROM users WHERE id = ?', [user.id]);
+    if (!row || !await bcrypt.compare(password, row.password_hash)) {
+      throw new AppError('Incorrect password', 403, 'SIGNING_AUTH_FAILED');
+    }
+    return 'password';
+  }
+
+  const signingCode = await db.getQuery(
+    `SELECT * FROM signing_codes
+     WHERE trade_agreement_id = ? AND user_id = ? AND used_at IS NULL AND expires_at > ?
+     ORDER BY id DESC LIMIT 1`,
+    [agreement.id, user.id, new Date().toISOString()]
+  );
+
+  if (!signingCode || signingCode.attempts >= SIGNING_CODE_MAX_ATTEMPTS) {
+    throw new AppError('The signing code has expired; request a new one', 403, 'SIGNING_CODE_EXPIRED');
+  }
+
+  const matches = crypto.timingSafeEqual(Buffer.from(sha256(otp)), Buffer.from(signingCode.code_hash));
+
+  await db.runQuery(
+    `UPDATE signing_codes SET attempts = attempts + 1${matches ? ', used_at = CURRENT_TIMESTAMP' : ''} WHERE id = ?`,
+    [signingCode.id]
+  );
+
+  if (!matches) {
+    throw new AppError('Incorrect signing code', 403, 'SIGNING_AUTH_FAILED');
+  }
+  return 'otp';
+}
+
+// pdf-lib's standard fonts only encode WinAnsi characters
+function pdfText(value) {
+  return String(value).replace(/[^\x20-\x7E\u00A0-\u00FF]/g, '?');
+}
+
+// The contract version with a signature certificate page appended
+async function renderSignedContract(agreement, document, signatures) {
+  const pdf = await PDFDocument.load(fs.readFileSync(contractFilePath(document)));
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const mono = await pdf.embedFont(StandardFonts.Courier);
+
+  const page = pdf.addPage([595.28, 841.89]);
+  const margin = 56;
+  let y = 841.89 - margin;
+
+  const line = (text, { font = regular, size = 10, gap = 6, color = rgb(0, 0, 0) } = {}) => {
+    y -= size;
+    page.drawText(pdfText(text), { x: margin, y, size, font, color });
+    y -= gap;
+  };
+
+  line('Signature Certificate', { font: bold, size: 20, gap: 10 });
+  line(agreement.agreement_name, { size: 13, gap: 4 });
+  line(`Reference ${agreement.uuid}  |  Contract version ${document.version}`, { size: 9, color: rgb(0.33, 0.33, 0.33), gap: 18 });
+
+  line('Signed document (SHA-256 of the preceding pages as generated)', { font: bold, size: 11 });
+  line(document.sha256, { font: mono, size: 9, gap: 18 });
+
+  signatures.forEach(signature => {
+    line(`${signature.party_role === 'buyer' ? 'Buyer' : 'Seller'}: ${signature.typed_name}`, { font: bold, size: 12 });
+    line(`Account: ${signature.signer_email}`);
+    line(`Signed at: ${new Date(signature.signed_at).toISOString()}`);
+    line(`IP address: ${signature.ip_address || 'unknown'}`);
+    line(`Verified by: ${signature.auth_method === 'otp' ? 'one-time code sent by email' : 'account password'}`);
+    line(`Signature ID: ${signature.uuid}`, { gap: 18 });
+  });
+
+  line('Each party signed electronically in TradeBridge by typing their name and confirming their identity.', { size: 9, gap: 3 });
+  line('Compare the hash above with the X-Document-SHA256 of the contract version download to verify it.', { size: 9 });
+
+  return Buffer.from(await pdf.save());
+}
+
+// Sign the latest contract version as the buyer and/or seller. `db` is the database module:
+// the credentials are checked before the signing transaction starts.
+async function signContract(db, agreement, signer, { typedName, documentHash, password, otp, ipAddress, userAgent }) {
+  const partyRoles = agreement.roles.filter(role => PARTY_ROLES.includes(role));
+
+  if (partyRoles.length === 0) {
+    throw new AppError('Only the buyer or seller can sign the contract', 403, 'NOT_PARTY');
+  }
+  if (agreement.signed_at) {
+    throw new AppError('The contract has already been signed by both parties', 409, 'AGREEMENT_SIGNED');
+  }
+  if (!SIGNING_STATUSES.includes(agreement.status)) {
+    throw new AppError(`Cannot sign a ${agreement.status} agreement; it must be approved first`, 409, 'INVALID_STATUS', {
+      status: agreement.status
+    });
+  }
+
+  const latest = await getContractDocument(db, agreement.id);
+  if (!latest) {
+    throw new AppError('Generate the contract before signing', 409, 'CONTRACT_NOT_FOUND');
+  }
+  if (latest.sha256 !== documentHash) {
+    throw new AppError('The contract has changed since you reviewed it; review the latest version', 409, 'DOCUMENT_CHANGED', {
+      contractVersion: latest.version,
+      contractHash: latest.sha256
+    });
+  }
+
+  const authMethod = await verifySigner(db, agreement, signer, { password, otp });
+
+  return db.withTransaction(async (tx) => {
+    // Touching the agreement serializes the two parties signing at the same time
+    const touched = await tx.runQuery(
+      'UPDATE trade_agreements SET updated_at = CURRENT_TIMESTAMP WHERE id = ? AND signed_at IS NULL',
+      [agreement.id]
+    );
+    if (touched.changes === 0) {
+      throw new AppError('The contract has already been signed by both parties', 409, 'AGREEMENT_SIGNED');
+    }
+
+    const document = await getContractDocument(tx, agreement.id);
+    if (document.id !== latest.id) {
+      throw new AppError('The contract has changed since you reviewed it; review the latest version', 409, 'DOCUMENT_CHANGED', {
+        contractVersion: document.version,
+        contractHash: document.sha256
+      });
+    }
+
+    const existing = await listSignatures(tx, document.id);
+    const rolesToSign = partyRoles.filter(role => !existing.some(signature => signature.party_role === role));
+    if (rolesToSign.length === 0) {
+      throw new AppError('You have already signed this contract version', 409, 'ALREADY_SIGNED');
+    }
+
+    const signedAt = new Date().toISOString();
+    for (const role of rolesToSign) {
+      await tx.runQuery(
+        `INSERT INTO contract_signatures
+         (uuid, trade_agreement_id, contract_document_id, contract_version, document_sha256, user_id,
+          party_role, typed_name, ip_address, user_agent, auth_method, signed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          uuidv4(), agreement.id, document.id, document.version, document.sha256, signer.id,
+          role, typedName, ipAddress || null, userAgent || null, authMethod, signedAt
+        ]
+      );
+    }
+
+    const signatures = await listSignatures(tx, document.id);
+    const complete = PARTY_ROLES.every(role => signatures.some(signature => signature.party_role === role));
+
+    if (complete) {
+      const signedPdf = await renderSignedContract(agreement, document, signatures);
+      const signedFileName = path.join(agreement.uuid, `v${document.version}-${document.uuid}-signed.pdf`);
+      const signedFilePath = path.join(CONTRACTS_PATH, signedFileName);
+      fs.writeFileSync(signedFilePath, signedPdf);
+
+      try {
+        await tx.runQuery(
+          `UPDATE contract_documents
+           SET signed_file_name = ?, signed_file_size = ?, signed_sha256 = ?, signed_at = ?
+           WHERE id = ?`,
+          [signedFileName, signedPdf.length, sha256(signedPdf), signedAt, document.id]
+        );
+        await tx.runQuery('UPDATE trade_agreements SET signed_at = ? WHERE id = ?', [signedAt, agreement.id]);
+      } catch (error) {
+        fs.unlinkSync(signedFilePath);
+        throw error;
+      }
+    }
+
+    const userIds = await getParticipantUserIds(tx, agreement.id);
+    for (const userId of userIds.filter(id => id !== signer.id)) {
+      await createNotification(tx, {
+        userId,
+        type: 'trade',
+        title: complete ? 'Contract Fully Signed' : 'Contract Signed',
+        message: complete
+          ? `"${agreement.agreement_name}" has been signed by both parties`
+          : `${signer.email} signed version ${document.version} of the contract for "${agreement.agreement_name}"`,
+        metadata: { agreementId: agreement.id, agreementUuid: agreement.uuid, contractVersion: document.version }
+      });
+    }
+
+    return {
+      agreement: await tx.getQuery('SELECT * FROM trade_agreements WHERE id = ?', [agreement.id]),
+      document: await tx.getQuery('SELECT * FROM contract_documents WHERE id = ?', [document.id]),
+      signatures
+    };
+  }).catch(error => {
+    if (error.code === 'SQLITE_CONSTRAINT' || error.code === '23505') {
+      throw new AppError('You have already signed this contract version', 409, 'ALREADY_SIGNED');
+    }
+    throw error;
+  });
+}
+
+// Signatures of a deleted agreement's contracts and its signing codes
+async function removeSignatures(db, tradeAgreementId) {
+  await db.runQuery('DELETE FROM contract_signatures WHERE trade_agreement_id = ?', [tradeAgreementId]);
+  await db.runQuery('DELETE FROM signing_codes WHERE trade_agreement_id = ?', [tradeAgreementId]);
+}
+
+module.exports = {
+  SIGNING_STATUSES,
+  PARTY_ROLES,
+  listSignatures,
+  getSigningStatus,
+  sendSigningCode,
+  verifySigner,
+  renderSignedContract,
+  signContract,
+  removeSignatures
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { listShipmentEvents } = require('./shipmentEvents');
+const { listShipmentLegs, shipmentProgress, formatShipmentLeg } = require('./shipmentLegs');
+const { AppError } = require('../middleware/errorHandler');
+
+// Public tracking links
+//
+// A shipment's owner can share its progress with someone who has no account through a link
+// carrying a random token. Only the token's SHA-256 is stored, so the link is shown once, when
+// it is made. Links expire after at most MAX_LINK_DAYS and can be revoked sooner; every use,
+// including refused ones, is logged with the IP address and user agent.
+//
+// Whoever holds the link sees a redacted view: status, route, progress and the timeline without
+// its free-text notes, but no tracking references, container numbers, agreement or people.
+
+const DEFAULT_LINK_DAYS = 7;
+const MAX_LINK_DAYS = 90;
+
+const createTrackingLinkSchema = Joi.object({
+  expiresInDays: Joi.number().integer().min(1).max(MAX_LINK_DAYS).default(DEFAULT_LINK_DAYS),
+  label: Joi.string().max(100).optional()
+});
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function trackingUrl(token) {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/track.html?token=${token}`;
+}
+
+function linkStatus(link, now = new Date()) {
+  if (link.revoked_at) {
+    return 'revoked';
+  }
+  return Date.parse(link.expires_at) <= now.getTime() ? 'expired' : 'active';
+}
+
+async function createTrackingLink(db, shipment, userId, { expiresInDays, label }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const result = await db.runQuery(
+    `INSERT INTO shipment_tracking_links (uuid, shipment_id, token_hash, label, expires_at, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [uuidv4(), shipment.id, hashToken(token), label || null, expiresAt, userId]
+  );
+
+  return { link: await getTrackingLink(db, shipment.id, result.id), token };
+}
+
+// Links with how often they have been opened
+const LINK_SELECT = `SELECT l.*, v.view_count, v.last_viewed_at
+  FROM shipment_tracking_links l
+  LEFT JOIN (
+    SELECT link_id, COUNT(*) as view_count, MAX(viewed_at) as last_viewed_at
+    FROM shipment_tracking_link_views WHERE outcome = 'viewed' GROUP BY link_id
+  ) v ON v.link_id = l.id`;
+
+async function listTrackingLinks(db, shipmentId) {
+  return db.allQuery(`${LINK_SELECT} WHERE l.shipment_id = ? ORDER BY l.id DESC`, [shipmentId]);
+}
+
+async function getTrackingLink(db, shipmentId, linkId) {
+  const link = await db.getQuery(`${LINK_SELECT} WHERE l.id = ? AND l.shipment_id = ?`, [linkId, shipmentId]);
+  if (!link) {
+    throw new AppError('Tracking link not found', 404, 'LINK_NOT_FOUND');
+  }
+  return link;
+}
+
+// Revoking twice leaves the first revocation time
+async function revokeTrackingLink(db, shipmentId, linkId) {
+  const link = await getTrackingLink(db, shipmentId, linkId);
+  if (!link.revoked_at) {
+    await db.runQuery('UPDATE shipment_tracking_links SET revoked_at = ? WHERE id = ?', [new Date().toISOString(), link.id]);
+  }
+  return getTrackingLink(db, shipmentId, link.id);
+}
+
+// A link's uses, newest first
+async function listTrackingLinkViews(db, linkId, limit = 100) {
+  return db.allQuery(
+    'SELECT * FROM shipment_tracking_link_views WHERE link_id = ? ORDER BY id DESC LIMIT ?',
+    [linkId, limit]
+  );
+}
+
+// The shipment behind a link's token. Unknown tokens are a plain 404; a known link that has
+// expired or been revoked is logged and answered with 410.
+async function openTrackingLink(db, token, { ipAddress, userAgent }) {
+  const link = typeof token === 'string' && /^[0-9a-f]{64}$/.test(token)
+    ? await db.getQuery('SELECT * FROM shipment_tracking_links WHERE token_hash = ?', [hashToken(token)])
+    : null;
+  if (!link) {
+    throw new AppError('Tracking link not found', 404, 'LINK_NOT_FOUND');
+  }
+
+  const status = linkStatus(link);
+  await db.runQuery(
+    `INSERT INTO shipment_tracking_link_views (link_id, outcome, ip_address, user_agent, viewed_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [link.id, status === 'active' ? 'viewed' : status, ipAddress || null, userAgent ? userAgent.slice(0, 255) : null, new Date().toISOString()]
+  );
+
+  if (status === 'revoked') {
+    throw new AppError('This tracking link has been revoked', 410, 'LINK_REVOKED');
+  }
+  if (status === 'expired') {
+    throw new AppError('This tracking link has expired', 410, 'LINK_EXPIRED');
+  }
+
+  return db.getQuery('SELECT * FROM shipments WHERE id = ?', [link.shipment_id]);
+}
+
+// Only the last four characters of the tracking number, enough to tell shipments apart
+function maskReference(reference) {
+  return reference.length > 4 ? `${'•'.repeat(reference.length - 4)}${reference.slice(-4)}` : reference;
+}
+
+// What a link's holder sees of the shipment
+async function publicTrackingView(db, shipment) {
+  const legs = await listShipmentLegs(db, shipment.id);
+  const events = await listShipmentEvents(db, shipment.id);
+
+  return {
+    reference: maskReference(shipment.tracking_number),
+    carrier: shipment.carrier,
+    origin: shipment.origin,
+    destination: shipment.destination,
+    status: shipment.status,
+    estimatedDelivery: shipment.estimated_delivery,
+    actualDelivery: shipment.actual_delivery,
+    progress: shipmentProgress(shipment, legs),
+    legs: legs.map(formatShipmentLeg).map(({ id, uuid, carrier, trackingReference, createdAt, updatedAt, ...leg }) => leg),
+    events: events.filter(event => event.event_code !== 'NOTE').map(event => ({
+      eventCode: event.event_code,
+      description: event.description,
+      location: event.location,
+      occurredAt: event.occurred_at
+    })),
+    updatedAt: shipment.updated_at
+  };
+}
+
+function formatTrackingLink(link) {
+  return {
+    id: link.id,
+    uuid: link.uuid,
+    label: link.label,
+    status: linkStatus(link),
+    expiresAt: link.expires_at,
+    revokedAt: link.revoked_at,
+    viewCount: Number(link.view_count || 0),
+    lastViewedAt: link.last_viewed_at,
+    createdBy: link.created_by,
+    createdAt: link.created_at
+  };
+}
+
+function formatTrackingLinkView(view) {
+  return {
+    outcome: view.outcome,
+    ipAddress: view.ip_address,
+    userAgent: view.user_agent,
+    viewedAt: view.viewed_at
+  };
+}
+
+module.exports = {
+  createTrackingLinkSchema,
+  trackingUrl,
+  createTrackingLink,
+  listTrackingLinks,
+  getTrackingLink,
+  revokeTrackingLink,
+  listTrackingLinkViews,
+  openTrackingLink,
+  publicTrackingView,
+  formatTrackingLink,
+  formatTrackingLinkView
+};
@@ -0,0 +1,140 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { addParticipant, getParticipantRoles } = require('./participants');
+const { partyRole, recordVersion } = require('./agreementVersions');
+const { linesForChanges, lineTermColumns, listLineItems, saveLineItems } = require('./lineItems');
+const { INCOTERMS, PAYMENT_TRIGGERS, BALANCE_METHODS, tradeTermColumns } = require('./paymentTerms');
+
+// Creating trade agreements
+//
+// The fields a new agreement accepts and the work of storing one - its lines, participants and
+// first version - shared by POST /api/trade-agreements, clones, templates and bulk imports.
+
+// Amounts are computed from the lines; rates are percentages
+const lineItemSchema = Joi.object({
+  lineNumber: Joi.number().integer().min(1).optional(),
+  sku: Joi.string().max(64).optional(),
+  description: Joi.string().min(3).max(500).required(),
+  hsCode: Joi.string().pattern(/^\d{4}\.?\d{2}(\.?\d{2,4})?$/).optional()
+    .messages({ 'string.pattern.base': 'hsCode must be a 6 to 10 digit HS code' }),
+  unitOfMeasure: Joi.string().max(20).default('unit'),
+  quantity: Joi.number().positive().required(),
+  unitPrice: Joi.number().positive().required(),
+  discountRate: Joi.number().min(0).max(100).default(0),
+  taxRate: Joi.number().min(0).max(100).default(0),
+  dutyRate: Joi.number().min(0).max(100).default(0)
+});
+
+// The advance is due on activation; the balance is paid net, by letter of credit or in
+// milestones that, with the advance, make up 100%
+const paymentPlanSchema = Joi.object({
+  advancePercent: Joi.number().min(0).max(100).default(0),
+  balance: Joi.string().valid(...BALANCE_METHODS).optional(),
+  netDays: Joi.number().integer().min(0).max(365)
+    .when('balance', { is: 'net', then: Joi.required(), otherwise: Joi.forbidden() }),
+  netFrom: Joi.string().valid(...PAYMENT_TRIGGERS)
+    .when('balance', { is: 'net', then: Joi.optional().default('delivery'), otherwise: Joi.forbidden() }),
+  letterOfCredit: Joi.object({
+    type: Joi.string().valid('sight', 'usance').required(),
+    usanceDays: Joi.number().integer().min(1).max(360)
+      .when('type', { is: 'usance', then: Joi.required(), otherwise: Joi.forbidden() }),
+    issuingBank: Joi.string().max(100).optional()
+  }).when('balance', { is: 'letter_of_credit', then: Joi.required(), otherwise: Joi.forbidden() }),
+  milestones: Joi.array().items(Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    percent: Joi.number().greater(0).max(100).required(),
+    trigger: Joi.string().valid(...PAYMENT_TRIGGERS).required(),
+    days: Joi.number().integer().min(0).max(365).default(0)
+  })).min(1).max(20).when('balance', { is: 'milestones', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+// With lineItems the single-product quantity and unit price are summaries and cannot be set.
+// Delivery terms are an Incoterms 2020 rule with its named place; the free-text deliveryTerms
+// ("FOB Lagos") and paymentTerms ("30 days") of older clients are still read.
+const createTradeAgreementSchema = Joi.object({
+  agreementName: Joi.string().min(3).max(100).required(),
+  buyerCompany: Joi.string().min(2).max(100).required(),
+  sellerCompany: Joi.string().min(2).max(100).required(),
+  buyerEmail: Joi.string().email().required(),
+  sellerEmail: Joi.string().email().required(),
+  productDescription: Joi.string().min(10).max(500)
+    .when('lineItems', { is: Joi.exist(), otherwise: Joi.required() }),
+  quantity: Joi.number().integer().min(1)
+    .when('lineItems', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() }),
+  unitPrice: Joi.number().positive()
+    .when('lineItems', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() }),
+  lineItems: Joi.array().items(lineItemSchema).min(1).max(200).optional(),
+  currency: Joi.string().uppercase().pattern(/^[A-Z]{3,5}$/).default('USD'),
+  incoterm: Joi.string().uppercase().valid(...Object.keys(INCOTERMS)).optional(),
+  namedPlace: Joi.string().min(2).max(100).when('incoterm', { is: Joi.exist(), then: Joi.required() }),
+  deliveryTerms: Joi.string().max(100).optional(),
+  paymentPlan: paymentPlanSchema.optional(),
+  paymentTerms: Joi.string().max(100).optional()
+}).oxor('incoterm', 'deliveryTerms').oxor('namedPlace', 'deliveryTerms').oxor('paymentPlan', 'paymentTerms')
+  .messages({ 'object.oxor': 'Send either {{#presentWithLabels}}, not both' });
+
+// Store a draft agreement from validated create fields, with its line items, participants and
+// first version. `origin` records the template or agreement it came from. Everything that can
+// reject the fields is checked before the first write. The caller sends the participants'
+// invitations once the transaction commits.
+async function createTradeAgreement(db, user, value, { templateId = null, clonedFromId = null } = {}) {
+  const {
+    agreementName,
+    buyerCompany,
+    sellerCompany,
+    buyerEmail,
+    sellerEmail,
+    currency
+  } = value;
+
+  // A single product without lineItems becomes line 1
+  const lines = linesForChanges([], value);
+  const totals = lineTermColumns(lines);
+  const productDescription = value.productDescription ||
+    lines.map(line => line.description).join('; ').slice(0, 500);
+  const terms = tradeTermColumns(value, null);
+
+  return db.withTransaction(async (tx) => {
+    const result = await tx.runQuery(
+      `INSERT INTO trade_agreements 
+       (uuid, user_id, agreement_name, buyer_company, seller_company, buyer_email, seller_email,
+        product_description, quantity, unit_price, subtotal, discount_total, tax_total, duty_total,
+        total_amount, currency, payment_terms, payment_plan, delivery_terms, incoterm, named_place, status,
+        template_id, cloned_from_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(), user.id, agreementName, buyerCompany, sellerCompany,
+        buyerEmail, sellerEmail, productDescription, totals.quantity, totals.unit_price,
+        totals.subtotal, totals.discount_total, totals.tax_total, totals.duty_total,
+        totals.total_amount, currency, terms.payment_terms, terms.payment_plan, terms.delivery_terms,
+        terms.incoterm, terms.named_place, 'draft', templateId, clonedFromId
+      ]
+    );
+
+    await saveLineItems(tx, result.id, lines);
+
+    const agreement = await tx.getQuery('SELECT * FROM trade_agreements WHERE id = ?', [result.id]);
+
+    // The creator, buyer and seller can all see the agreement; unregistered parties are invited
+    const participants = [];
+    for (const [role, email] of [['creator', user.email], ['buyer', buyerEmail], ['seller', sellerEmail]]) {
+      participants.push(await addParticipant(tx, { agreement, email, role, invitedBy: user.id }));
+    }
+
+    // The initial terms are version 1
+    await recordVersion(tx, agreement, {
+      actorId: user.id,
+      role: partyRole(await getParticipantRoles(tx, agreement.id, user.id)),
+      source: 'created'
+    });
+
+    return { agreement, participants, lineItems: await listLineItems(tx, agreement.id) };
+  });
+}
+
+module.exports = {
+  lineItemSchema,
+  paymentPlanSchema,
+  createTradeAgreementSchema,
+  createTradeAgreement
+};
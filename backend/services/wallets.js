@@ -0,0 +1,59 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Wallets: one per user per currency
+
+const DEFAULT_CURRENCY = 'USD';
+
+async function findWallet(db, userId, currency) {
+  return db.getQuery(
+    'SELECT * FROM wallets WHERE user_id = ? AND currency = ?',
+    [userId, currency]
+  );
+}
+
+// Get the user's wallet in `currency`, opening it if this is their first funds in it
+async function getOrCreateWallet(db, userId, currency) {
+  const wallet = await findWallet(db, userId, currency);
+  if (wallet) {
+    return wallet;
+  }
+
+  const result = await db.runQuery(
+    'INSERT INTO wallets (uuid, user_id, currency, balance) VALUES (?, ?, ?, ?)',
+    [uuidv4(), userId, currency, 0.00]
+  );
+
+  return db.getQuery('SELECT * FROM wallets WHERE id = ?', [result.id]);
+}
+
+// The user's wallets, default currency first
+async function listWallets(db, userId) {
+  return db.allQuery(
+    `SELECT * FROM wallets WHERE user_id = ?
+     ORDER BY CASE WHEN currency = ? THEN 0 ELSE 1 END, currency`,
+    [userId, DEFAULT_CURRENCY]
+  );
+}
+
+// Add a row to a wallet's transaction history for funds moved by a journal entry
+async function recordTransaction(db, { wallet, userId, type, amount, description, reference, metadata, journalEntryId }) {
+  const result = await db.runQuery(
+    `INSERT INTO transactions
+     (uuid, wallet_id, user_id, type, amount, currency, description, reference, status, metadata, journal_entry_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      uuidv4(), wallet.id, userId, type, amount, wallet.currency,
+      description, reference, 'completed', metadata ? JSON.stringify(metadata) : null, journalEntryId
+    ]
+  );
+
+  return result.id;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  findWallet,
+  getOrCreateWallet,
+  listWallets,
+  recordTransaction
+};
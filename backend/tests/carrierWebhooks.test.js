@@ -0,0 +1,216 @@
+process.env.CARRIER_WEBHOOK_SECRETS = 'maersk=maersk-secret,dhl=dhl-secret';
+
+const { setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createApp, createUser } = require('./helpers/app');
+const { signPayload } = require('../services/carrierWebhooks');
+
+// Carrier events are taken only when signed with that carrier's secret, and only for shipments
+// and legs it moves. Each has to lead to exactly one shipment: references are kept unique among
+// shipments under way, and one that still matches several is rejected rather than guessed at
+
+describe('carrier webhooks', () => {
+  let db;
+  let api;
+  let seller;
+  let other;
+  let shipments = 0;
+
+  const createAgreement = async (user, counterparty) => {
+    const res = await api.post('/api/trade-agreements').set(user.auth).send({
+      agreementName: 'Sesame deal',
+      buyerCompany: 'Buyer Co',
+      sellerCompany: 'Seller Co',
+      buyerEmail: counterparty.email,
+      sellerEmail: user.email,
+      productDescription: 'Hulled sesame seeds',
+      quantity: 100,
+      unitPrice: 10
+    });
+    expect(res.status).toBe(201);
+    return res.body.agreement.id;
+  };
+
+  const createShipment = (user, agreementId, fields = {}) => {
+    shipments += 1;
+    return api.post('/api/shipments').set(user.auth).send({
+      tradeAgreementId: agreementId,
+      trackingNumber: `TRK${String(shipments).padStart(6, '0')}`,
+      carrier: 'Maersk',
+      origin: 'Apapa, Lagos',
+      destination: 'Antwerp',
+      ...fields
+    });
+  };
+
+  const csv = rows => 'event_id,tracking_number,event,occurred_at\n' +
+    rows.map(([id, reference, event]) => `${id},${reference},${event},${new Date(Date.now() - 3600e3).toISOString()}`)
+      .join('\n') + '\n';
+
+  const send = (carrier, secret, body) => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    return api.post(`/api/integrations/carriers/${carrier}/webhook`)
+      .set({
+        'Content-Type': 'text/csv',
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+      })
+      .send(body);
+  };
+
+  let sellerAgreement;
+  let otherAgreement;
+
+  beforeAll(async () => {
+    db = await setupDatabase();
+    api = createApp();
+    seller = await createUser(db, 'seller@example.com');
+    other = await createUser(db, 'other@example.com');
+    const buyer = await createUser(db, 'buyer@example.com');
+    sellerAgreement = await createAgreement(seller, buyer);
+    otherAgreement = await createAgreement(other, buyer);
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+  });
+
+  describe('signatures', () => {
+    const body = csv([['s1', 'TRK-NONE', 'DEPARTED']]);
+
+    test('a delivery signed with the carrier secret is accepted', async () => {
+      const res = await send('maersk', 'maersk-secret', body);
+
+      expect(res.status).toBe(200);
+      expect(res.body.unmatched).toBe(1);
+    });
+
+    test.each([
+      ["another carrier's secret", { secret: 'dhl-secret' }],
+      ['a changed body', { sentBody: body.replace('DEPARTED', 'DELIVERED') }],
+      ['a stale timestamp', { age: 3600 }],
+      ['no signature', { signature: '' }]
+    ])('%s is refused', async (label, { secret = 'maersk-secret', sentBody = body, age = 0, signature }) => {
+      const timestamp = String(Math.floor(Date.now() / 1000) - age);
+
+      const res = await api.post('/api/integrations/carriers/maersk/webhook')
+        .set({
+          'Content-Type': 'text/csv',
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signature !== undefined ? signature : `sha256=${signPayload(secret, timestamp, body)}`
+        })
+        .send(sentBody);
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('INVALID_SIGNATURE');
+    });
+
+    test('a carrier without a secret is unknown', async () => {
+      const res = await send('acme', 'maersk-secret', body);
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('UNKNOWN_CARRIER');
+    });
+  });
+
+  describe('matching', () => {
+    test("events match only the carrier's own shipments and legs", async () => {
+      const created = await createShipment(seller, sellerAgreement, {
+        carrier: 'DHL',
+        legs: [
+          { mode: 'truck', trackingReference: 'CMR-2001', origin: 'Kano', destination: 'Apapa, Lagos' },
+          { mode: 'sea', carrier: 'Maersk', trackingReference: 'MAEU200001', origin: 'Apapa, Lagos', destination: 'Antwerp' }
+        ]
+      });
+      expect(created.status).toBe(201);
+      const { trackingNumber } = created.body.shipment;
+
+      const maersk = await send('maersk', 'maersk-secret', csv([
+        ['m-own', 'MAEU200001', 'DEPARTED'],
+        ['m-leg', 'CMR-2001', 'ARRIVED'],
+        ['m-shipment', trackingNumber, 'DELIVERED']
+      ]));
+
+      expect(maersk.body.results.map(result => result.result)).toEqual(['recorded', 'unmatched', 'unmatched']);
+      const { status } = await db.getQuery('SELECT status FROM shipments WHERE id = ?', [created.body.shipment.id]);
+      expect(status).toBe('in_transit');
+    });
+
+    test('an event sent again is recorded once', async () => {
+      const created = await createShipment(seller, sellerAgreement);
+      const body = csv([['repeat-1', created.body.shipment.trackingNumber, 'DEPARTED']]);
+
+      const first = await send('maersk', 'maersk-secret', body);
+      const second = await send('maersk', 'maersk-secret', body);
+
+      expect(first.body.recorded).toBe(1);
+      expect(second.body.duplicates).toBe(1);
+    });
+  });
+
+  describe('references', () => {
+    test("another shipment cannot take a carrier's leg reference", async () => {
+      const first = await createShipment(seller, sellerAgreement, {
+        legs: [{ mode: 'sea', trackingReference: 'MAEU100001', origin: 'Apapa, Lagos', destination: 'Antwerp' }]
+      });
+      expect(first.status).toBe(201);
+
+      const res = await createShipment(other, otherAgreement, {
+        legs: [{ mode: 'sea', trackingReference: 'MAEU100001', origin: 'Apapa, Lagos', destination: 'Antwerp' }]
+      });
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('REFERENCE_IN_USE');
+
+      const withOtherCarrier = await createShipment(other, otherAgreement, {
+        carrier: 'DHL',
+        legs: [{ mode: 'sea', trackingReference: 'MAEU100001', origin: 'Apapa, Lagos', destination: 'Antwerp' }]
+      });
+      expect(withOtherCarrier.status).toBe(201);
+
+      const legs = (await api.get(`/api/shipments/${withOtherCarrier.body.shipment.id}/legs`).set(other.auth)).body.legs;
+      const update = await api.put(`/api/shipments/${withOtherCarrier.body.shipment.id}/legs/${legs[0].id}`)
+        .set(other.auth).send({ carrier: 'Maersk' });
+      expect(update.status).toBe(409);
+      expect(update.body.code).toBe('REFERENCE_IN_USE');
+    });
+
+    test('a container is on one shipment under way per carrier', async () => {
+      const first = await createShipment(seller, sellerAgreement, { containers: [{ containerNumber: 'MSCU1234565' }] });
+      expect(first.status).toBe(201);
+
+      const res = await createShipment(other, otherAgreement, { containers: [{ containerNumber: 'MSCU1234565' }] });
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('CONTAINER_IN_USE');
+
+      await api.put(`/api/shipments/${first.body.shipment.id}`).set(seller.auth).send({ status: 'delivered' });
+      const afterDelivery = await createShipment(other, otherAgreement, { containers: [{ containerNumber: 'MSCU1234565' }] });
+      expect(afterDelivery.status).toBe(201);
+    });
+
+    test('an event whose reference is on several shipments under way is rejected', async () => {
+      const first = await createShipment(seller, sellerAgreement, { containers: [{ containerNumber: 'TGHU7654321' }] });
+      const second = await createShipment(other, otherAgreement, {
+        carrier: 'DHL',
+        containers: [{ containerNumber: 'TGHU7654321' }]
+      });
+      expect(first.status).toBe(201);
+      expect(second.status).toBe(201);
+      // A Maersk leg added later puts the container with Maersk on both
+      const leg = await api.post(`/api/shipments/${second.body.shipment.id}/legs`).set(other.auth)
+        .send({ mode: 'sea', carrier: 'Maersk', origin: 'Antwerp', destination: 'Rotterdam' });
+      expect(leg.status).toBe(201);
+
+      const res = await send('maersk', 'maersk-secret', csv([['m1', 'TGHU7654321', 'DELIVERED']]));
+
+      expect(res.status).toBe(200);
+      expect(res.body.rejected).toBe(1);
+      for (const shipment of [first, second]) {
+        const { status } = await db.getQuery('SELECT status FROM shipments WHERE id = ?', [shipment.body.shipment.id]);
+        expect(status).toBe('pending');
+      }
+
+      const dhl = await send('dhl', 'dhl-secret', csv([['d1', 'TGHU7654321', 'DEPARTED']]));
+      expect(dhl.body.recorded).toBe(1);
+      expect(dhl.body.results[0].trackingNumber).toBe(second.body.shipment.trackingNumber);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { isPostgres, setupDatabase, teardownDatabase } = require('./helpers/database');
+const { translateSql } = require('../config/adapters/postgres');
+
+describe('translateSql', () => {
+  test('numbers ? placeholders in order', () => {
+    expect(translateSql('SELECT * FROM users WHERE id = ? AND email = ?'))
+      .toBe('SELECT * FROM users WHERE id = $1 AND email = $2');
+  });
+
+  test('leaves ? inside quoted literals alone', () => {
+    expect(translateSql("SELECT * FROM t WHERE a = '?' AND b = ? AND c = 'x?y'"))
+      .toBe("SELECT * FROM t WHERE a = '?' AND b = $1 AND c = 'x?y'");
+  });
+
+  test('rewrites SQLite column types in CREATE and ALTER only', () => {
+    expect(translateSql('CREATE TABLE t (id INTEGER PRIMARY KEY AUTOINCREMENT, at DATETIME, flag BOOLEAN)'))
+      .toBe('CREATE TABLE t (id SERIAL PRIMARY KEY, at TIMESTAMP, flag SMALLINT)');
+    expect(translateSql('ALTER TABLE t ADD COLUMN seen BOOLEAN'))
+      .toBe('ALTER TABLE t ADD COLUMN seen SMALLINT');
+    expect(translateSql("SELECT 'BOOLEAN' as word")).toBe("SELECT 'BOOLEAN' as word");
+  });
+
+  test('makes LIKE case-insensitive', () => {
+    expect(translateSql('SELECT * FROM t WHERE name LIKE ?')).toBe('SELECT * FROM t WHERE name ILIKE $1');
+  });
+
+  test('adds RETURNING id to inserts that have none', () => {
+    expect(translateSql('INSERT INTO t (a) VALUES (?)')).toBe('INSERT INTO t (a) VALUES ($1) RETURNING id');
+    expect(translateSql('INSERT INTO t (a) VALUES (?) RETURNING uuid')).toBe('INSERT INTO t (a) VALUES ($1) RETURNING uuid');
+    expect(translateSql('UPDATE t SET a = ?')).toBe('UPDATE t SET a = $1');
+  });
+});
+
+describe(`database helpers (${isPostgres ? 'postgres' : 'sqlite'})`, () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await setupDatabase();
+    await db.runQuery(`CREATE TABLE adapter_checks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      amount DECIMAL(15,2),
+      flag BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+  });
+
+  test('runs against the dialect DATABASE_URL selects', () => {
+    expect(db.getDialect()).toBe(isPostgres ? 'postgres' : 'sqlite');
+  });
+
+  test('runQuery reports the inserted id and the rows changed', async () => {
+    const first = await db.runQuery('INSERT INTO adapter_checks (name, amount) VALUES (?, ?)', ['Cocoa', 1250.5]);
+    const second = await db.runQuery('INSERT INTO adapter_checks (name, amount) VALUES (?, ?)', ['cashew', 80]);
+
+    expect(first.id).toEqual(expect.any(Number));
+    expect(second.id).toBe(first.id + 1);
+
+    const updated = await db.runQuery('UPDATE adapter_checks SET flag = 1 WHERE id IN (?, ?)', [first.id, second.id]);
+    expect(updated.changes).toBe(2);
+  });
+
+  test('getQuery and allQuery bind placeholders and return plain numbers', async () => {
+    const row = await db.getQuery("SELECT name, amount, flag FROM adapter_checks WHERE name = ? AND name != '?'", ['Cocoa']);
+    expect(row).toEqual({ name: 'Cocoa', amount: 1250.5, flag: 1 });
+
+    const { total } = await db.getQuery('SELECT COUNT(*) as total FROM adapter_checks');
+    expect(total).toBe(2);
+
+    const rows = await db.allQuery('SELECT name FROM adapter_checks WHERE amount > ? ORDER BY id', [0]);
+    expect(rows.map(r => r.name)).toEqual(['Cocoa', 'cashew']);
+
+    expect(await db.getQuery('SELECT * FROM adapter_checks WHERE id = ?', [-1])).toBeUndefined();
+  });
+
+  test('LIKE ignores case on both backends', async () => {
+    const rows = await db.allQuery('SELECT name FROM adapter_checks WHERE name LIKE ? ORDER BY id', ['c%']);
+    expect(rows.map(r => r.name)).toEqual(['Cocoa', 'cashew']);
+  });
+
+  test('sqlDaysAgo can be compared with stored timestamps', async () => {
+    const { total } = await db.getQuery(
+      `SELECT COUNT(*) as total FROM adapter_checks WHERE created_at > ${db.sqlDaysAgo(1)}`
+    );
+    expect(total).toBe(2);
+  });
+
+  test('withTransaction commits, or rolls back when the callback throws', async () => {
+    const id = await db.withTransaction(async (tx) => {
+      const result = await tx.runQuery('INSERT INTO adapter_checks (name) VALUES (?)', ['committed']);
+      return result.id;
+    });
+    expect(await db.getQuery('SELECT name FROM adapter_checks WHERE id = ?', [id])).toEqual({ name: 'committed' });
+
+    await expect(db.withTransaction(async (tx) => {
+      await tx.runQuery('INSERT INTO adapter_checks (name) VALUES (?)', ['rolled back']);
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    expect(await db.getQuery('SELECT id FROM adapter_checks WHERE name = ?', ['rolled back'])).toBeUndefined();
+  });
+});
@@ -0,0 +1,191 @@
+const { setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createApp, createUser } = require('./helpers/app');
+const { checkLedgerIntegrity } = require('../services/ledger');
+
+// Funded escrow leaves the buyer's hands only to the seller on delivery, or back to the buyer with
+// the seller's consent
+
+describe('escrow', () => {
+  let db;
+  let api;
+  let buyer;
+  let seller;
+  let shipments = 0;
+
+  const createFundedAgreement = async () => {
+    let res = await api.post('/api/trade-agreements').set(buyer.auth).send({
+      agreementName: 'Cocoa deal',
+      buyerCompany: 'Buyer Co',
+      sellerCompany: 'Seller Co',
+      buyerEmail: buyer.email,
+      sellerEmail: seller.email,
+      productDescription: 'Cocoa beans grade A',
+      quantity: 10,
+      unitPrice: 100
+    });
+    expect(res.status).toBe(201);
+    const id = res.body.agreement.id;
+
+    await api.post(`/api/trade-agreements/${id}/submit`).set(buyer.auth).send({});
+    res = await api.post(`/api/trade-agreements/${id}/approve`).set(seller.auth).send({});
+    expect(res.body.agreement.status).toBe('approved');
+
+    res = await api.post(`/api/trade-agreements/${id}/escrow`).set(buyer.auth).send({});
+    expect(res.status).toBe(201);
+    return id;
+  };
+
+  const createShipment = async (id) => {
+    shipments += 1;
+    const res = await api.post('/api/shipments').set(seller.auth).send({
+      tradeAgreementId: id,
+      trackingNumber: `TRK${String(shipments).padStart(6, '0')}`,
+      carrier: 'DHL',
+      origin: 'Lagos',
+      destination: 'Rotterdam'
+    });
+    expect(res.status).toBe(201);
+    return res.body.shipment.id;
+  };
+
+  const escrowOf = async (id) => (await api.get(`/api/trade-agreements/${id}/escrow`).set(buyer.auth)).body.escrow;
+
+  const walletOf = async (user) => (await api.get('/api/wallet/balance').set(user.auth)).body.wallet;
+
+  beforeAll(async () => {
+    db = await setupDatabase();
+    api = createApp();
+    buyer = await createUser(db, 'buyer@example.com');
+    seller = await createUser(db, 'seller@example.com');
+
+    const res = await api.post('/api/wallet/transactions').set(buyer.auth).send({ type: 'credit', amount: 10000 });
+    expect(res.status).toBe(201);
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+  });
+
+  afterEach(async () => {
+    expect((await checkLedgerIntegrity(db)).balanced).toBe(true);
+  });
+
+  describe('releasing', () => {
+    test('cannot be funded before the agreement is approved', async () => {
+      const res = await api.post('/api/trade-agreements').set(buyer.auth).send({
+        agreementName: 'Draft deal',
+        buyerCompany: 'Buyer Co',
+        sellerCompany: 'Seller Co',
+        buyerEmail: buyer.email,
+        sellerEmail: seller.email,
+        productDescription: 'Cocoa beans grade A',
+        quantity: 10,
+        unitPrice: 100
+      });
+
+      const fund = await api.post(`/api/trade-agreements/${res.body.agreement.id}/escrow`).set(buyer.auth).send({});
+
+      expect(fund.status).toBe(400);
+      expect(fund.body.code).toBe('INVALID_STATUS');
+      expect(await escrowOf(res.body.agreement.id)).toBeUndefined();
+    });
+
+    test("the seller's delivery asks the buyer to confirm instead of releasing", async () => {
+      const id = await createFundedAgreement();
+      const shipmentId = await createShipment(id);
+
+      const res = await api.post(`/api/shipments/${shipmentId}/events`).set(seller.auth).send({ eventCode: 'DELIVERED' });
+
+      expect(res.status).toBe(201);
+      expect((await escrowOf(id)).status).toBe('funded');
+      const notifications = (await api.get('/api/notifications').set(buyer.auth)).body.notifications;
+      expect(notifications.some(n => n.title === 'Delivery Awaiting Confirmation')).toBe(true);
+    });
+
+    test('the buyer recording the delivery releases it to the seller', async () => {
+      const id = await createFundedAgreement();
+      const shipmentId = await createShipment(id);
+      const before = await walletOf(seller);
+
+      await api.post(`/api/shipments/${shipmentId}/events`).set(buyer.auth).send({ eventCode: 'DELIVERED' });
+
+      const escrow = await escrowOf(id);
+      expect(escrow.status).toBe('released');
+      expect(escrow.settlementReason).toBe('buyer_confirmed_delivery');
+      expect((await walletOf(seller)).balance).toBe((before ? before.balance : 0) + escrow.amount);
+    });
+
+    test('only the buyer can release it early', async () => {
+      const id = await createFundedAgreement();
+
+      const bySeller = await api.post(`/api/trade-agreements/${id}/escrow/release`).set(seller.auth).send({});
+      expect(bySeller.status).toBe(403);
+      expect((await escrowOf(id)).status).toBe('funded');
+
+      const byBuyer = await api.post(`/api/trade-agreements/${id}/escrow/release`).set(buyer.auth).send({});
+      expect(byBuyer.status).toBe(200);
+      expect((await escrowOf(id)).status).toBe('released');
+    });
+  });
+
+  describe('cancelling', () => {
+    test("the buyer's cancel only asks the seller to agree", async () => {
+      const id = await createFundedAgreement();
+
+      const res = await api.post(`/api/trade-agreements/${id}/cancel`).set(buyer.auth).send({});
+
+      expect(res.status).toBe(202);
+      expect(res.body.agreement.status).toBe('approved');
+      const escrow = await escrowOf(id);
+      expect(escrow.status).toBe('funded');
+      expect(escrow.refundRequestedBy).toBe(buyer.id);
+
+      const again = await api.post(`/api/trade-agreements/${id}/cancel`).set(buyer.auth).send({});
+      expect(again.status).toBe(409);
+      expect(again.body.code).toBe('CANCELLATION_REQUESTED');
+
+      const notifications = (await api.get('/api/notifications').set(seller.auth)).body.notifications;
+      expect(notifications.some(n => n.title === 'Cancellation Requested')).toBe(true);
+    });
+
+    test("the seller's cancel refunds the escrow to the buyer", async () => {
+      const id = await createFundedAgreement();
+      const before = await walletOf(buyer);
+
+      await api.post(`/api/trade-agreements/${id}/cancel`).set(buyer.auth).send({});
+      const res = await api.post(`/api/trade-agreements/${id}/cancel`).set(seller.auth).send({});
+
+      expect(res.status).toBe(200);
+      expect(res.body.agreement.status).toBe('cancelled');
+      const escrow = await escrowOf(id);
+      expect(escrow.status).toBe('refunded');
+      expect(escrow.settlementReason).toBe('agreement_cancelled');
+      const after = await walletOf(buyer);
+      expect(after.frozenBalance).toBe(before.frozenBalance - escrow.amount);
+    });
+
+    test('cannot be asked for once a shipment is delivered', async () => {
+      const id = await createFundedAgreement();
+      const shipmentId = await createShipment(id);
+      await api.post(`/api/shipments/${shipmentId}/events`).set(seller.auth).send({ eventCode: 'DELIVERED' });
+
+      const res = await api.post(`/api/trade-agreements/${id}/cancel`).set(buyer.auth).send({});
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('SHIPMENT_DELIVERED');
+      expect((await escrowOf(id)).status).toBe('funded');
+      expect((await api.get(`/api/trade-agreements/${id}`).set(buyer.auth)).body.agreement.status).toBe('approved');
+    });
+
+    test('without funded escrow either party cancels outright', async () => {
+      const id = await createFundedAgreement();
+      await api.post(`/api/trade-agreements/${id}/escrow/release`).set(buyer.auth).send({});
+
+      const res = await api.post(`/api/trade-agreements/${id}/cancel`).set(buyer.auth).send({});
+
+      expect(res.status).toBe(200);
+      expect(res.body.agreement.status).toBe('cancelled');
+      expect((await escrowOf(id)).status).toBe('released');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken, generateToken } = require('../../middleware/auth');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+// The API mounted as server.js mounts it, without the HTTP server, rate limiting, request logs
+// or scheduled jobs. Require it after ./database so the routes use the test database.
+function createApp() {
+  const app = express();
+
+  app.use('/api/integrations', require('../../routes/integrations'));
+  app.use(express.json({ limit: '10mb' }));
+
+  app.use('/api/auth', require('../../routes/auth'));
+  app.use('/api/tracking', require('../../routes/tracking'));
+  app.use('/api/trade-agreements', authenticateToken, require('../../routes/tradeAgreements'));
+  app.use('/api/shipments', authenticateToken, require('../../routes/shipments'));
+  app.use('/api/wallet', authenticateToken, require('../../routes/wallet'));
+  app.use('/api/invoices', authenticateToken, require('../../routes/invoices'));
+  app.use('/api/notifications', authenticateToken, require('../../routes/notifications'));
+
+  app.use(errorHandler);
+  return request(app);
+}
+
+// A user straight in the database, with the Authorization header to act as them
+async function createUser(db, email) {
+  const result = await db.runQuery(
+    `INSERT INTO users (uuid, email, password_hash, first_name, last_name)
+     VALUES (?, ?, ?, ?, ?)`,
+    [uuidv4(), email, 'not-a-real-hash', 'Test', 'User']
+  );
+  return {
+    id: result.id,
+    email,
+    auth: { Authorization: `Bearer ${generateToken(result.id, email)}` }
+  };
+}
+
+module.exports = {
+  createApp,
+  createUser
+};
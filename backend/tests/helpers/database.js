@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Tests run on a throwaway SQLite file, or on the Postgres database at TEST_DATABASE_URL.
+// That database is emptied before each test file, so never point it at one you want to keep.
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL || '';
+const SQLITE_FILE = path.join(os.tmpdir(), `tradebridge-test-${process.pid}-${Date.now()}.db`);
+
+process.env.DATABASE_URL = TEST_DATABASE_URL || `sqlite:${SQLITE_FILE}`;
+
+const database = require('../../config/database');
+const { migrateUp } = require('../../config/migrations');
+
+const isPostgres = /^postgres(ql)?:\/\//i.test(process.env.DATABASE_URL);
+
+async function resetPostgres() {
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+  try {
+    await client.query('DROP SCHEMA public CASCADE');
+    await client.query('CREATE SCHEMA public');
+  } finally {
+    await client.end();
+  }
+}
+
+// An empty, fully migrated database
+async function setupDatabase() {
+  if (isPostgres) {
+    await resetPostgres();
+  } else {
+    fs.rmSync(SQLITE_FILE, { force: true });
+  }
+
+  // The connection and migration progress messages are noise in test output
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await database.initializeDatabase();
+    await migrateUp();
+  } finally {
+    console.log = log;
+  }
+  return database;
+}
+
+async function teardownDatabase() {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await database.closeDatabase();
+  } finally {
+    console.log = log;
+  }
+  if (!isPostgres) {
+    fs.rmSync(SQLITE_FILE, { force: true });
+  }
+}
+
+module.exports = {
+  isPostgres,
+  setupDatabase,
+  teardownDatabase
+};
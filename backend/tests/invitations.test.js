@@ -0,0 +1,79 @@
+const { setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createApp, createUser } = require('./helpers/app');
+
+// An invited buyer or seller joins an agreement through the emailed link, never just by
+// registering with the invited address
+
+describe('agreement invitations', () => {
+  let db;
+  let api;
+  let creator;
+  let agreementId;
+
+  const invitation = () => db.getQuery(
+    "SELECT * FROM trade_agreement_participants WHERE trade_agreement_id = ? AND role = 'seller'",
+    [agreementId]
+  );
+
+  const register = async (email) => {
+    const res = await api.post('/api/auth/register').send({
+      email,
+      password: 'secret123',
+      firstName: 'New',
+      lastName: 'User'
+    });
+    expect(res.status).toBe(201);
+    return { id: res.body.user.id, email, auth: { Authorization: `Bearer ${res.body.token}` } };
+  };
+
+  beforeAll(async () => {
+    // Without SMTP_HOST the invitation email is logged, which is noise in test output
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = await setupDatabase();
+    api = createApp();
+    creator = await createUser(db, 'creator@example.com');
+
+    const res = await api.post('/api/trade-agreements').set(creator.auth).send({
+      agreementName: 'Cocoa deal',
+      buyerCompany: 'Buyer Co',
+      sellerCompany: 'Seller Co',
+      buyerEmail: creator.email,
+      sellerEmail: 'invited@example.com',
+      productDescription: 'Cocoa beans grade A',
+      quantity: 10,
+      unitPrice: 100
+    });
+    expect(res.status).toBe(201);
+    agreementId = res.body.agreement.id;
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+    console.log.mockRestore();
+  });
+
+  test('registering with the invited address does not join the agreement', async () => {
+    const user = await register('invited@example.com');
+
+    const participant = await invitation();
+    expect(participant.status).toBe('invited');
+    expect(participant.user_id).toBeNull();
+    expect((await api.get(`/api/trade-agreements/${agreementId}`).set(user.auth)).status).toBe(404);
+  });
+
+  test('the invitation link joins the account that accepts it, once', async () => {
+    const user = await createUser(db, 'accepting@example.com');
+    const { invitation_token: token } = await invitation();
+
+    const res = await api.post(`/api/trade-agreements/invitations/${token}/accept`).set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.roles).toContain('seller');
+    expect((await invitation()).user_id).toBe(user.id);
+    expect((await api.get(`/api/trade-agreements/${agreementId}`).set(user.auth)).status).toBe(200);
+
+    const again = await api.post(`/api/trade-agreements/invitations/${token}/accept`).set(creator.auth);
+    expect(again.status).toBe(404);
+    expect(again.body.code).toBe('INVITATION_NOT_FOUND');
+  });
+});
@@ -0,0 +1,105 @@
+process.env.ADMIN_EMAILS = 'reviewer@example.com';
+
+const { setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createApp, createUser } = require('./helpers/app');
+
+// Invoices, uploaded or entered by hand, are approved, paid or financed only after someone
+// other than their owner has reviewed and approved them
+
+describe('invoice review gate', () => {
+  let db;
+  let api;
+  let owner;
+  let reviewer;
+  let invoices = 0;
+
+  const createInvoice = async (user = owner) => {
+    invoices += 1;
+    const res = await api.post('/api/invoices').set(user.auth).send({
+      invoiceNumber: `INV-${String(invoices).padStart(4, '0')}`,
+      amount: 2500,
+      currency: 'USD',
+      dueDate: '2026-12-31'
+    });
+    expect(res.status).toBe(201);
+    return res.body.invoice;
+  };
+
+  const review = (invoice, decision, user = reviewer) => api.post(`/api/invoices/${invoice.id}/review`).set(user.auth)
+    .send({ decision, fields: { vendor: 'Seller Co', customer: 'Buyer Co' } });
+
+  const finance = invoice => api.post(`/api/invoices/${invoice.id}/generate-smart-contract`).set(owner.auth);
+
+  beforeAll(async () => {
+    db = await setupDatabase();
+    api = createApp();
+    owner = await createUser(db, 'owner@example.com');
+    reviewer = await createUser(db, 'reviewer@example.com');
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+  });
+
+  test('an invoice entered by hand waits for review', async () => {
+    const invoice = await createInvoice();
+
+    expect(invoice.status).toBe('pending');
+    expect(invoice.reviewStatus).toBe('awaiting_review');
+
+    for (const status of ['approved', 'paid']) {
+      const res = await api.put(`/api/invoices/${invoice.id}`).set(owner.auth).send({ status });
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('REVIEW_REQUIRED');
+    }
+    const financed = await finance(invoice);
+    expect(financed.status).toBe(409);
+    expect(financed.body.code).toBe('REVIEW_REQUIRED');
+  });
+
+  test('only an admin other than the owner can review it', async () => {
+    const invoice = await createInvoice();
+    const own = await createInvoice(reviewer);
+
+    const byOwner = await review(invoice, 'approved', owner);
+    expect(byOwner.status).toBe(403);
+    expect(byOwner.body.code).toBe('ADMIN_REQUIRED');
+
+    const ownInvoice = await review(own, 'approved');
+    expect(ownInvoice.status).toBe(403);
+    expect(ownInvoice.body.code).toBe('OWN_INVOICE');
+  });
+
+  test('once approved in review it can be financed, and the reviewed fields are kept', async () => {
+    const invoice = await createInvoice();
+
+    const reviewed = await review(invoice, 'approved');
+    expect(reviewed.status).toBe(200);
+
+    const financed = await finance(invoice);
+    expect(financed.status).toBe(200);
+
+    const changed = await api.put(`/api/invoices/${invoice.id}`).set(owner.auth).send({ amount: 9999 });
+    expect(changed.status).toBe(409);
+    expect(changed.body.code).toBe('INVOICE_REVIEWED');
+  });
+
+  test('once rejected in review its status is locked', async () => {
+    const invoice = await createInvoice();
+
+    const reviewed = await review(invoice, 'rejected');
+    expect(reviewed.status).toBe(200);
+
+    for (const status of ['pending', 'approved', 'paid']) {
+      const res = await api.put(`/api/invoices/${invoice.id}`).set(owner.auth).send({ status });
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('INVOICE_REJECTED');
+    }
+    const financed = await finance(invoice);
+    expect(financed.status).toBe(409);
+    expect(financed.body.code).toBe('INVOICE_REJECTED');
+
+    const { status } = await db.getQuery('SELECT status FROM invoices WHERE id = ?', [invoice.id]);
+    expect(status).toBe('rejected');
+  });
+});
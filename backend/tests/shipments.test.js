@@ -0,0 +1,87 @@
+const { setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createApp, createUser } = require('./helpers/app');
+
+// A status set with PUT goes through the timeline like any event, and delivered or cancelled
+// shipments keep their status
+
+describe('shipment status updates', () => {
+  let db;
+  let api;
+  let owner;
+  let agreementId;
+  let shipments = 0;
+
+  const createShipment = async () => {
+    shipments += 1;
+    const res = await api.post('/api/shipments').set(owner.auth).send({
+      tradeAgreementId: agreementId,
+      trackingNumber: `TRK${String(shipments).padStart(6, '0')}`,
+      carrier: 'DHL',
+      origin: 'Lagos',
+      destination: 'Rotterdam'
+    });
+    expect(res.status).toBe(201);
+    return res.body.shipment.id;
+  };
+
+  const eventCodes = async (id) => (await api.get(`/api/shipments/${id}/events`).set(owner.auth)).body.events
+    .map(event => event.eventCode);
+
+  beforeAll(async () => {
+    db = await setupDatabase();
+    api = createApp();
+    owner = await createUser(db, 'owner@example.com');
+    const seller = await createUser(db, 'seller@example.com');
+
+    const res = await api.post('/api/trade-agreements').set(owner.auth).send({
+      agreementName: 'Cocoa deal',
+      buyerCompany: 'Buyer Co',
+      sellerCompany: 'Seller Co',
+      buyerEmail: owner.email,
+      sellerEmail: seller.email,
+      productDescription: 'Cocoa beans grade A',
+      quantity: 10,
+      unitPrice: 100
+    });
+    expect(res.status).toBe(201);
+    agreementId = res.body.agreement.id;
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+  });
+
+  test('a status is recorded as its event', async () => {
+    const id = await createShipment();
+
+    const res = await api.put(`/api/shipments/${id}`).set(owner.auth).send({ status: 'in_transit' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.shipment.status).toBe('in_transit');
+    expect(await eventCodes(id)).toContain('DEPARTED');
+  });
+
+  test.each(['delivered', 'cancelled'])('a %s shipment keeps its status', async (status) => {
+    const id = await createShipment();
+    await api.put(`/api/shipments/${id}`).set(owner.auth).send({ status });
+
+    const res = await api.put(`/api/shipments/${id}`).set(owner.auth).send({ status: 'in_transit' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('SHIPMENT_FINAL');
+    const shipment = await db.getQuery('SELECT status FROM shipments WHERE id = ?', [id]);
+    expect(shipment.status).toBe(status);
+  });
+
+  test('other fields of a delivered shipment can still be corrected', async () => {
+    const id = await createShipment();
+    await api.put(`/api/shipments/${id}`).set(owner.auth).send({ status: 'delivered' });
+
+    const res = await api.put(`/api/shipments/${id}`).set(owner.auth)
+      .send({ status: 'delivered', destination: 'Antwerp' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.shipment.status).toBe('delivered');
+    expect(res.body.shipment.destination).toBe('Antwerp');
+  });
+});
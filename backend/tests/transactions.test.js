@@ -0,0 +1,186 @@
+const { v4: uuidv4 } = require('uuid');
+const { setupDatabase, teardownDatabase } = require('./helpers/database');
+const { getWalletAccount, getSystemAccount, postJournalEntry, checkLedgerIntegrity } = require('../services/ledger');
+const { getOrCreateWallet, recordTransaction } = require('../services/wallets');
+
+// A wallet transfer is several writes - the recipient's wallet and ledger account, the journal
+// entry and its lines, both cached balances and both transaction rows. A failure at any step
+// must leave none of them behind.
+
+class InjectedFailure extends Error {}
+
+// Query helpers that throw on the `nth` statement matching `pattern`, for failures inside
+// services that receive them; nested withTransaction calls keep failing the same way
+function failingOn(tx, pattern, nth = 1) {
+  let seen = 0;
+  const check = sql => {
+    if (pattern.test(sql) && ++seen === nth) {
+      throw new InjectedFailure(`Injected failure on: ${sql.trim().split('\n')[0]}`);
+    }
+  };
+  const helpers = {
+    runQuery: async (sql, params) => { check(sql); return tx.runQuery(sql, params); },
+    getQuery: async (sql, params) => { check(sql); return tx.getQuery(sql, params); },
+    allQuery: async (sql, params) => { check(sql); return tx.allQuery(sql, params); },
+    withTransaction: callback => tx.withTransaction(() => callback(helpers))
+  };
+  return helpers;
+}
+
+describe('wallet transfers roll back on failure', () => {
+  let db;
+  let sender;
+  let recipient;
+
+  // The transfer as POST /api/wallet/transfer makes it; `failAfter` throws once that step is done
+  async function transfer(tx, amount, failAfter) {
+    const step = name => {
+      if (failAfter === name) {
+        throw new InjectedFailure(`Injected failure after ${name}`);
+      }
+    };
+
+    const senderWallet = await getOrCreateWallet(tx, sender.id, 'USD');
+    const recipientWallet = await getOrCreateWallet(tx, recipient.id, 'USD');
+    const senderAccount = await getWalletAccount(tx, senderWallet);
+    const recipientAccount = await getWalletAccount(tx, recipientWallet);
+    step('accounts');
+
+    const entry = await postJournalEntry(tx, {
+      entryType: 'transfer',
+      description: 'Test transfer',
+      reference: uuidv4(),
+      createdBy: sender.id,
+      lines: [
+        { accountId: senderAccount.id, direction: 'debit', amount, currency: 'USD' },
+        { accountId: recipientAccount.id, direction: 'credit', amount, currency: 'USD' }
+      ]
+    });
+    step('journal');
+
+    await recordTransaction(tx, {
+      wallet: senderWallet, userId: sender.id, type: 'transfer', amount, journalEntryId: entry.id
+    });
+    step('sender transaction');
+
+    await recordTransaction(tx, {
+      wallet: recipientWallet, userId: recipient.id, type: 'credit', amount, journalEntryId: entry.id
+    });
+    step('recipient transaction');
+
+    return entry;
+  }
+
+  // Everything a transfer writes, to compare before and after
+  async function snapshot() {
+    const count = async table => (await db.getQuery(`SELECT COUNT(*) as total FROM ${table}`)).total;
+    return {
+      journalEntries: await count('journal_entries'),
+      journalLines: await count('journal_lines'),
+      ledgerAccounts: await count('ledger_accounts'),
+      transactions: await count('transactions'),
+      wallets: await db.allQuery('SELECT user_id, currency, balance, frozen_balance FROM wallets ORDER BY id')
+    };
+  }
+
+  async function createUser(email) {
+    const result = await db.runQuery(
+      `INSERT INTO users (uuid, email, password_hash, first_name, last_name)
+       VALUES (?, ?, ?, ?, ?)`,
+      [uuidv4(), email, 'not-a-real-hash', 'Test', 'User']
+    );
+    return { id: result.id, email };
+  }
+
+  beforeAll(async () => {
+    db = await setupDatabase();
+    sender = await createUser('sender@example.com');
+    recipient = await createUser('recipient@example.com');
+
+    // 500 USD into the sender's wallet from outside the platform
+    await db.withTransaction(async (tx) => {
+      const wallet = await getOrCreateWallet(tx, sender.id, 'USD');
+      await postJournalEntry(tx, {
+        entryType: 'deposit',
+        description: 'Test deposit',
+        reference: uuidv4(),
+        createdBy: sender.id,
+        lines: [
+          { accountId: (await getSystemAccount(tx, 'funding', 'USD')).id, direction: 'debit', amount: 500, currency: 'USD' },
+          { accountId: (await getWalletAccount(tx, wallet)).id, direction: 'credit', amount: 500, currency: 'USD' }
+        ]
+      });
+    });
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+  });
+
+  test.each(['accounts', 'journal', 'sender transaction', 'recipient transaction'])(
+    'a failure after the %s step leaves nothing behind',
+    async (failAfter) => {
+      const before = await snapshot();
+
+      await expect(db.withTransaction(tx => transfer(tx, 120, failAfter))).rejects.toThrow(InjectedFailure);
+
+      expect(await snapshot()).toEqual(before);
+      expect((await checkLedgerIntegrity(db)).balanced).toBe(true);
+    }
+  );
+
+  test('a failure between the journal lines, inside the nested transaction, rolls back the entry', async () => {
+    const before = await snapshot();
+
+    await expect(db.withTransaction(tx => transfer(failingOn(tx, /INSERT INTO journal_lines/, 2), 120)))
+      .rejects.toThrow(InjectedFailure);
+
+    expect(await snapshot()).toEqual(before);
+  });
+
+  test('a failure updating the balances, after the entry and lines are written, rolls them back', async () => {
+    const before = await snapshot();
+
+    await expect(db.withTransaction(tx => transfer(failingOn(tx, /UPDATE wallets SET balance/, 2), 120)))
+      .rejects.toThrow(InjectedFailure);
+
+    expect(await snapshot()).toEqual(before);
+  });
+
+  test('overspending fails in the balance guard and leaves no entry', async () => {
+    const before = await snapshot();
+
+    await expect(db.withTransaction(tx => transfer(tx, 10000))).rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+
+    expect(await snapshot()).toEqual(before);
+  });
+
+  test('an outer failure after nested withTransaction calls have finished rolls them all back', async () => {
+    const before = await snapshot();
+
+    await expect(db.withTransaction(async (tx) => {
+      await tx.withTransaction(inner => transfer(inner, 50));
+      await tx.withTransaction(inner => inner.withTransaction(innermost => transfer(innermost, 25)));
+      throw new InjectedFailure('Injected failure after two nested transfers');
+    })).rejects.toThrow(InjectedFailure);
+
+    expect(await snapshot()).toEqual(before);
+    expect((await checkLedgerIntegrity(db)).balanced).toBe(true);
+  });
+
+  test('a transfer that completes commits every write', async () => {
+    const before = await snapshot();
+
+    await db.withTransaction(tx => transfer(tx, 120));
+
+    const after = await snapshot();
+    expect(after.journalEntries).toBe(before.journalEntries + 1);
+    expect(after.journalLines).toBe(before.journalLines + 2);
+    expect(after.transactions).toBe(before.transactions + 2);
+    expect(after.wallets).toEqual([
+      { user_id: sender.id, currency: 'USD', balance: 380, frozen_balance: 0 },
+      { user_id: recipient.id, currency: 'USD', balance: 120, frozen_balance: 0 }
+    ]);
+    expect((await checkLedgerIntegrity(db)).balanced).toBe(true);
+  });
+});
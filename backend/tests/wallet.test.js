@@ -0,0 +1,168 @@
+const { setupDatabase, teardownDatabase } = require('./helpers/database');
+const { createApp, createUser } = require('./helpers/app');
+const { getWalletAccount, postJournalEntry, checkLedgerIntegrity } = require('../services/ledger');
+const { getOrCreateWallet } = require('../services/wallets');
+const { setRates } = require('../services/fx');
+
+// Transfers may only spend what the sender has available, however the entry nets out
+
+describe('wallet transfer guards', () => {
+  let db;
+  let api;
+  let sender;
+  let recipient;
+
+  const balance = async (user) => {
+    const res = await api.get('/api/wallet/balance').set(user.auth);
+    return res.body.wallet.balance;
+  };
+
+  const counts = async () => ({
+    transactions: (await db.getQuery('SELECT COUNT(*) as total FROM transactions')).total,
+    journalEntries: (await db.getQuery('SELECT COUNT(*) as total FROM journal_entries')).total
+  });
+
+  beforeAll(async () => {
+    db = await setupDatabase();
+    api = createApp();
+    sender = await createUser(db, 'sender@example.com');
+    recipient = await createUser(db, 'recipient@example.com');
+
+    const res = await api.post('/api/wallet/transactions').set(sender.auth).send({ type: 'credit', amount: 100 });
+    expect(res.status).toBe(201);
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+  });
+
+  afterEach(async () => {
+    expect((await checkLedgerIntegrity(db)).balanced).toBe(true);
+  });
+
+  test('a transfer to yourself is refused before anything is written', async () => {
+    const before = await counts();
+
+    const res = await api.post('/api/wallet/transfer').set(sender.auth)
+      .send({ recipientEmail: sender.email, amount: 999999 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('SELF_TRANSFER');
+    expect(await counts()).toEqual(before);
+    expect(await balance(sender)).toBe(100);
+  });
+
+  test('a transfer above the available balance is refused', async () => {
+    const before = await counts();
+
+    const res = await api.post('/api/wallet/transfer').set(sender.auth)
+      .send({ recipientEmail: recipient.email, amount: 100.01 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INSUFFICIENT_BALANCE');
+    expect(res.body.availableBalance).toBe(100);
+    expect(await counts()).toEqual(before);
+  });
+
+  test.each([0.001, 0, -5])('an amount of %p is a validation error', async (amount) => {
+    const transfer = await api.post('/api/wallet/transfer').set(sender.auth)
+      .send({ recipientEmail: recipient.email, amount });
+    const credit = await api.post('/api/wallet/transactions').set(sender.auth)
+      .send({ type: 'credit', amount });
+
+    expect(transfer.status).toBe(400);
+    expect(transfer.body.code).toBe('VALIDATION_ERROR');
+    expect(credit.status).toBe(400);
+    expect(credit.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('amounts are rounded to the cent', async () => {
+    const res = await api.post('/api/wallet/transfer').set(sender.auth)
+      .send({ recipientEmail: recipient.email, amount: 10.004 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.transfer.amount).toBe(10);
+    expect(await balance(sender)).toBe(90);
+    expect(await balance(recipient)).toBe(10);
+  });
+
+  test('the whole available balance can be sent', async () => {
+    const res = await api.post('/api/wallet/transfer').set(sender.auth)
+      .send({ recipientEmail: recipient.email, amount: 90 });
+
+    expect(res.status).toBe(200);
+    expect(await balance(sender)).toBe(0);
+    expect(await balance(recipient)).toBe(100);
+  });
+});
+
+describe('wallet currencies', () => {
+  let db;
+  let api;
+  let user;
+  let other;
+
+  beforeAll(async () => {
+    db = await setupDatabase();
+    api = createApp();
+    user = await createUser(db, 'holder@example.com');
+    other = await createUser(db, 'other@example.com');
+    await setRates(db, { EUR: 0.92 }, 'test');
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+  });
+
+  test('only currencies with an FX rate can be credited', async () => {
+    const unknown = await api.post('/api/wallet/transactions').set(user.auth)
+      .send({ type: 'credit', amount: 100, currency: 'ZZZ' });
+    const listed = await api.post('/api/wallet/transactions').set(user.auth)
+      .send({ type: 'credit', amount: 100, currency: 'eur' });
+
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.code).toBe('UNSUPPORTED_CURRENCY');
+    expect(await db.getQuery("SELECT id FROM wallets WHERE currency = 'ZZZ'")).toBeUndefined();
+    expect(listed.status).toBe(201);
+    expect(listed.body.transaction.currency).toBe('EUR');
+  });
+
+  test('a transfer in an unsupported currency is refused', async () => {
+    const res = await api.post('/api/wallet/transfer').set(user.auth)
+      .send({ recipientEmail: other.email, amount: 10, currency: 'ZZZ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('UNSUPPORTED_CURRENCY');
+  });
+});
+
+describe('applyWalletBalances', () => {
+  let db;
+  let user;
+
+  beforeAll(async () => {
+    db = await setupDatabase();
+    user = await createUser(db, 'owner@example.com');
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+  });
+
+  test('checks each debit of a wallet, not what the entry nets to', async () => {
+    await expect(db.withTransaction(async (tx) => {
+      const account = await getWalletAccount(tx, await getOrCreateWallet(tx, user.id, 'USD'));
+      return postJournalEntry(tx, {
+        entryType: 'transfer',
+        reference: 'self',
+        createdBy: user.id,
+        lines: [
+          { accountId: account.id, direction: 'debit', amount: 500, currency: 'USD' },
+          { accountId: account.id, direction: 'credit', amount: 500, currency: 'USD' }
+        ]
+      });
+    })).rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+
+    expect((await db.getQuery('SELECT COUNT(*) as total FROM journal_entries')).total).toBe(0);
+  });
+});